@@ -17,10 +17,19 @@ import Dashboard from "./pages/Admin/Dashboard";
 import AllAppointments from "./pages/Admin/AllApointments";
 import DoctorsList from "./pages/Admin/DoctorsList";
 import ContactMessages from "./pages/Admin/ContactMessages";
+import Payments from "./pages/Admin/Payments";
+import Wallets from "./pages/Admin/Wallets";
+import PaymentReconciliation from "./pages/Admin/PaymentReconciliation";
+import Refunds from "./pages/Admin/Refunds";
+import Coupons from "./pages/Admin/Coupons";
+import Payouts from "./pages/Admin/Payouts";
+import AdminAccounts from "./pages/Admin/AdminAccounts";
 import { DoctorContext } from "./context/DoctorContext";
 import DoctorDashboard from "./pages/Doctor/DoctorDashboard.jsx";
 import DoctorAppointments from "./pages/Doctor/DoctorAppointments.jsx";
 import DoctorProfile from "./pages/Doctor/DoctorProfile.jsx";
+import DoctorWaitlist from "./pages/Doctor/DoctorWaitlist.jsx";
+import DoctorEarnings from "./pages/Doctor/DoctorEarnings.jsx";
 
 /**
  * Renders the admin panel UI if authenticated, otherwise shows the login page.
@@ -57,9 +66,18 @@ const App = () => {
             <Route path="/admin-appointments" element={<AllAppointments />} />
             <Route path="/doctor-list" element={<DoctorsList />} />
             <Route path="/contact-messages" element={<ContactMessages />} />
+            <Route path="/payments" element={<Payments />} />
+            <Route path="/payment-reconciliation" element={<PaymentReconciliation />} />
+            <Route path="/refunds" element={<Refunds />} />
+            <Route path="/wallets" element={<Wallets />} />
+            <Route path="/coupons" element={<Coupons />} />
+            <Route path="/payouts" element={<Payouts />} />
+            <Route path="/admin-accounts" element={<AdminAccounts />} />
             {/* Doctor Routes */}
             <Route path="/doctor-dashboard" element={<DoctorDashboard />} />
             <Route path="/doctor-appointments" element={<DoctorAppointments />} />
+            <Route path="/doctor-waitlist" element={<DoctorWaitlist />} />
+            <Route path="/doctor-earnings" element={<DoctorEarnings />} />
             <Route path="/doctor-profile" element={<DoctorProfile />} />
           </Routes>
         </main>
@@ -3,7 +3,7 @@
  * Displays the application logo, user role, and logout button.
  *
  * - Shows the admin logo and role ("Admin" if logged in, otherwise "Doctor").
- * - Provides a logout button that clears the token from context and localStorage.
+ * - Provides logout buttons for this device or all devices, which end the session on the server.
  * - Uses Tailwind CSS for styling and responsive layout.
  *
  * @component
@@ -13,25 +13,26 @@ import { useContext } from "react";
 import { AdminContext } from "../context/AdminContext";
 import { assets } from "../assets/assets";
 import { DoctorContext } from "../context/DoctorContext";
+import { getAdminRoleLabel } from "../config/adminPermissions";
 
 const Navbar = () => {
-  const { token, setToken } = useContext(AdminContext);
+  const { token, logout, adminProfile } = useContext(AdminContext);
   const { dtoken, logoutDoctor } = useContext(DoctorContext);
 
   /**
-   * Handles logout by clearing the token from context and localStorage.
+   * Handles logout by ending the session on the server and clearing the tokens.
+   * @param {boolean} [allDevices] - Also log out of every other device
    */
-  const logoutHandler = () => {
+  const logoutHandler = (allDevices = false) => {
     if (token) {
-      setToken(null);
-      localStorage.removeItem("token");
+      logout({ allDevices });
     } else if (dtoken) {
-      logoutDoctor();
+      logoutDoctor({ allDevices });
     }
   };
 
   const userRole = token ? "Admin" : "Doctor";
-  const userEmail = token ? localStorage.getItem("adminEmail") : localStorage.getItem("doctorEmail") || "doctor@test.com";
+  const userEmail = token ? adminProfile?.email : localStorage.getItem("doctorEmail") || "doctor@test.com";
 
   return (
     <div className="bg-white border-b border-gray-200 shadow-sm">
@@ -53,14 +54,23 @@ const Navbar = () => {
                 </span>
               </div>
               <div className="text-right">
-                <p className="text-sm font-medium text-gray-900">{userRole}</p>
+                <p className="text-sm font-medium text-gray-900">
+                  {token && adminProfile ? `${adminProfile.name} · ${getAdminRoleLabel(adminProfile.role)}` : userRole}
+                </p>
                 <p className="text-xs text-gray-500">{userEmail || "user@example.com"}</p>
               </div>
             </div>
           </div>
           
           <button
-            onClick={logoutHandler}
+            onClick={() => logoutHandler(true)}
+            className="hidden md:block px-4 py-2 text-sm font-medium text-gray-600 hover:text-gray-900 rounded-lg transition-colors duration-200"
+          >
+            Log out of all devices
+          </button>
+
+          <button
+            onClick={() => logoutHandler()}
             className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors duration-200"
           >
             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -0,0 +1,206 @@
+/**
+ * RescheduleModal component for moving an appointment to another free slot.
+ * Loads the doctor's bookable slots and submits the chosen one to the admin API.
+ *
+ * @module components/RescheduleModal
+ */
+
+import { useState, useEffect, useContext } from "react";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AdminContext } from "../context/AdminContext";
+
+const daysOfWeek = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+const RescheduleModal = ({ isOpen, onClose, appointment, onSuccess }) => {
+  const { backendUrl, token } = useContext(AdminContext);
+  const [days, setDays] = useState([]);
+  const [dayIndex, setDayIndex] = useState(0);
+  const [slotTime, setSlotTime] = useState("");
+  const [reason, setReason] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * Loads the doctor's bookable slots whenever the modal opens for an appointment
+   */
+  useEffect(() => {
+    if (isOpen && appointment) {
+      setDayIndex(0);
+      setSlotTime("");
+      setReason("");
+      fetchSlots();
+    }
+  }, [isOpen, appointment]);
+
+  const fetchSlots = async () => {
+    setLoading(true);
+    try {
+      const { data } = await axios.get(
+        `${backendUrl}/api/doctor/slots/${appointment.docId}`
+      );
+      if (data.success) {
+        setDays(data.days.map((day) => ({ ...day, date: new Date(day.date) })));
+      } else {
+        setDays([]);
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error fetching available slots:", error);
+      setDays([]);
+      toast.error("Failed to load available slots");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Submits the selected slot
+   */
+  const handleSubmit = async () => {
+    if (!slotTime) {
+      toast.error("Please select a time slot");
+      return;
+    }
+    setIsSubmitting(true);
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/admin/reschedule-appointment`,
+        {
+          appointmentId: appointment._id,
+          slotDate: days[dayIndex].slotDate,
+          slotTime,
+          reason: reason.trim(),
+        },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        onSuccess?.();
+        onClose();
+      } else {
+        toast.error(data.message);
+        fetchSlots();
+      }
+    } catch (error) {
+      console.error("Error rescheduling appointment:", error);
+      toast.error("Error rescheduling appointment");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen || !appointment) return null;
+
+  const selectedDay = days[dayIndex];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-start mb-6">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">Reschedule Appointment</h2>
+              <p className="text-sm text-gray-500 mt-1">
+                {appointment.userData.name} with {appointment.docData.name}, currently {appointment.slotTime}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : days.length === 0 ? (
+            <p className="text-sm text-gray-500 py-6">
+              This doctor has no bookable days in the coming period.
+            </p>
+          ) : (
+            <>
+              <p className="text-sm font-medium text-gray-700 mb-2">Date</p>
+              <div className="flex gap-2 overflow-x-auto pb-2 mb-4">
+                {days.map((day, index) => (
+                  <button
+                    key={day.slotDate}
+                    type="button"
+                    onClick={() => {
+                      setDayIndex(index);
+                      setSlotTime("");
+                    }}
+                    className={`min-w-[4rem] px-3 py-2 rounded-lg border text-center transition-colors ${
+                      dayIndex === index
+                        ? "border-blue-500 bg-blue-50 text-blue-700"
+                        : "border-gray-200 text-gray-700 hover:bg-gray-50"
+                    }`}
+                  >
+                    <div className="text-xs text-gray-500">{daysOfWeek[day.date.getDay()]}</div>
+                    <div className="font-semibold">{day.date.getDate()}</div>
+                  </button>
+                ))}
+              </div>
+
+              <p className="text-sm font-medium text-gray-700 mb-2">Time</p>
+              {selectedDay && selectedDay.slots.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">All slots on this day are booked.</p>
+              ) : (
+                <div className="grid grid-cols-3 md:grid-cols-5 gap-2 mb-4">
+                  {selectedDay?.slots.map((slot) => (
+                    <button
+                      key={slot.slotTime}
+                      type="button"
+                      onClick={() => setSlotTime(slot.slotTime)}
+                      className={`px-3 py-2 rounded-lg border text-sm transition-colors ${
+                        slotTime === slot.slotTime
+                          ? "border-blue-500 bg-blue-500 text-white"
+                          : "border-gray-200 text-gray-700 hover:bg-gray-50"
+                      }`}
+                    >
+                      {slot.slotTime}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <label className="block text-sm font-medium text-gray-700 mb-2">Reason (optional)</label>
+              <input
+                type="text"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-6"
+                placeholder="e.g. Patient requested a later time"
+              />
+            </>
+          )}
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              Close
+            </button>
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={isSubmitting || !slotTime}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? "Rescheduling..." : "Reschedule"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RescheduleModal;
@@ -0,0 +1,35 @@
+/**
+ * Admin permissions and role labels.
+ * Mirrors backend/config/adminRoles.js, which is the source of truth for what
+ * each role may do; the admin panel only uses them to hide pages.
+ */
+
+export const ADMIN_PERMISSIONS = {
+  DASHBOARD_VIEW: "dashboard:view",
+  DOCTORS_VIEW: "doctors:view",
+  DOCTORS_MANAGE: "doctors:manage",
+  APPOINTMENTS_VIEW: "appointments:view",
+  APPOINTMENTS_MANAGE: "appointments:manage",
+  CASH_COLLECT: "cash:collect",
+  CONTACTS_MANAGE: "contacts:manage",
+  PAYMENTS_VIEW: "payments:view",
+  PAYMENTS_RECONCILE: "payments:reconcile",
+  INVOICES_VIEW: "invoices:view",
+  REFUNDS_VIEW: "refunds:view",
+  REFUNDS_REQUEST: "refunds:request",
+  REFUNDS_APPROVE: "refunds:approve",
+  WALLETS_VIEW: "wallets:view",
+  WALLETS_ADJUST: "wallets:adjust",
+  COUPONS_MANAGE: "coupons:manage",
+  PAYOUTS_MANAGE: "payouts:manage",
+  ADMINS_MANAGE: "admins:manage",
+};
+
+const adminRoleLabels = {
+  "super-admin": "Super Admin",
+  operations: "Operations",
+  finance: "Finance",
+  support: "Support",
+};
+
+export const getAdminRoleLabel = (role) => adminRoleLabels[role] || role;
@@ -0,0 +1,46 @@
+/**
+ * Appointment status values, display labels and badge colors.
+ * Mirrors backend/config/appointmentStatus.js, which is the source of truth
+ * for which transitions are allowed.
+ */
+
+const appointmentStatuses = {
+  booked: { label: "Booked", color: "bg-yellow-100 text-yellow-800" },
+  confirmed: { label: "Confirmed", color: "bg-blue-100 text-blue-800" },
+  paid: { label: "Paid", color: "bg-indigo-100 text-indigo-800" },
+  "checked-in": { label: "Checked In", color: "bg-purple-100 text-purple-800" },
+  completed: { label: "Completed", color: "bg-green-100 text-green-800" },
+  cancelled: { label: "Cancelled", color: "bg-red-100 text-red-800" },
+  "no-show": { label: "No-show", color: "bg-gray-100 text-gray-800" },
+  refunded: { label: "Refunded", color: "bg-orange-100 text-orange-800" },
+};
+
+// Statuses in which the appointment is still open
+export const activeStatuses = ["booked", "confirmed", "paid", "checked-in"];
+
+// Next statuses a doctor can move an appointment to from the doctor panel
+export const doctorTransitions = {
+  booked: ["confirmed", "checked-in", "no-show", "cancelled"],
+  confirmed: ["checked-in", "no-show", "cancelled"],
+  paid: ["checked-in", "no-show", "cancelled"],
+  "checked-in": ["completed"],
+};
+
+export const getStatusLabel = (status) =>
+  appointmentStatuses[status]?.label || status;
+
+export const getStatusColor = (status) =>
+  appointmentStatuses[status]?.color || "bg-gray-100 text-gray-800";
+
+// Statuses in which cash can still be collected at the clinic
+export const payableStatuses = ["booked", "confirmed"];
+
+// Whether the patient chose to pay in cash at the clinic and has not paid yet
+export const isPayAtClinic = (appointment) =>
+  appointment.paymentMethod === "CASH" && payableStatuses.includes(appointment.status);
+
+// Whether the appointment was paid at some point, so it has an invoice
+export const hasBeenPaid = (appointment) =>
+  (appointment.statusHistory || []).some((entry) => entry.to === "paid");
+
+export default appointmentStatuses;
@@ -1,13 +1,14 @@
 /**
  * React context for admin-related state and actions in the admin panel.
- * Provides authentication, doctor management, and utility functions to child components.
+ * Provides authentication, the signed-in admin's permissions, doctor management, and utility functions to child components.
  *
  * @module AdminContext
  */
 
-import { createContext, useState } from "react";
+import { createContext, useEffect, useState } from "react";
 import axios from "axios";
 import { toast } from "react-toastify";
+import { installTokenRefresh } from "../utils/tokenRefresh";
 export const AdminContext = createContext();
 
 /**
@@ -20,6 +21,7 @@ const AdminContextProvider = (props) => {
   const [doctors, setDoctors] = useState([]);
   const [appointments, setAppointments] = useState([]);
   const [dashboardData, setDashboardData] = useState({});
+  const [adminProfile, setAdminProfile] = useState(null);
 
   /**
    * Backend API base URL for admin requests.
@@ -28,6 +30,113 @@ const AdminContextProvider = (props) => {
 
   const backendUrl =
     import.meta.env.VITE_BACKEND_URL || "http://localhost:4000";
+  /**
+   * Stores the tokens and profile returned by a successful login.
+   *
+   * @function saveSession
+   * @param {string} accessToken - Access token
+   * @param {string} refreshToken - Refresh token
+   * @param {object} [admin] - Signed-in admin's profile
+   * @returns {void}
+   */
+
+  const saveSession = (accessToken, refreshToken, admin = null) => {
+    localStorage.setItem("token", accessToken);
+    localStorage.setItem("refreshToken", refreshToken);
+    if (admin) setAdminProfile(admin);
+    setToken(accessToken);
+  };
+
+  /**
+   * Logs out of this device, or of every device the admin is signed in on.
+   *
+   * @async
+   * @function logout
+   * @param {object} [options]
+   * @param {boolean} [options.allDevices] - End every session of the admin
+   * @returns {Promise<void>}
+   */
+
+  const logout = async ({ allDevices = false } = {}) => {
+    try {
+      if (allDevices) {
+        await axios.post(`${backendUrl}/api/admin/logout-all`, {}, { headers: { token } });
+      } else {
+        await axios.post(`${backendUrl}/api/admin/logout`, {
+          refreshToken: localStorage.getItem("refreshToken"),
+        });
+      }
+    } catch (error) {
+      console.error("Error logging out:", error);
+    }
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+    setToken(null);
+  };
+
+  // Refreshes the access token when it expires
+  useEffect(
+    () =>
+      installTokenRefresh({
+        header: "token",
+        refreshUrl: `${backendUrl}/api/admin/refresh-token`,
+        refreshTokenKey: "refreshToken",
+        onRefresh: (accessToken, refreshToken) => {
+          localStorage.setItem("token", accessToken);
+          localStorage.setItem("refreshToken", refreshToken);
+          setToken(accessToken);
+        },
+        onSessionEnd: () => {
+          localStorage.removeItem("token");
+          localStorage.removeItem("refreshToken");
+          setToken(null);
+        },
+      }),
+    [backendUrl]
+  );
+
+  /**
+   * Fetches the signed-in admin's profile, role and permissions.
+   *
+   * @async
+   * @function getAdminProfile
+   * @returns {Promise<void>}
+   */
+
+  const getAdminProfile = async () => {
+    try {
+      const { data } = await axios.get(`${backendUrl}/api/admin/me`, {
+        headers: {
+          token,
+        },
+      });
+      if (data.success) {
+        setAdminProfile(data.admin);
+      }
+    } catch (error) {
+      console.error("Error fetching admin profile:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      getAdminProfile();
+    } else {
+      setAdminProfile(null);
+    }
+  }, [token]);
+
+  /**
+   * Whether the signed-in admin's role grants a permission.
+   *
+   * @function can
+   * @param {string} permission - One of ADMIN_PERMISSIONS
+   * @returns {boolean}
+   */
+
+  const can = (permission) =>
+    Boolean(adminProfile?.permissions?.includes(permission));
+
   /**
    * Fetches all doctors from the backend and updates state.
    * Shows a toast notification on error or failure.
@@ -125,14 +234,15 @@ const AdminContextProvider = (props) => {
    * @async
    * @function cancelAppointment
    * @param {string} appointmentId - The ID of the appointment to cancel
+   * @param {string} [reason] - Why the appointment is cancelled
    * @returns {Promise<void>}
    */
 
-  const cancelAppointment = async (appointmentId) => {
+  const cancelAppointment = async (appointmentId, reason = "") => {
     try {
       const { data } = await axios.post(
         `${backendUrl}/api/admin/cancel-appointment`,
-        { appointmentId },
+        { appointmentId, reason },
         {
           headers: {
             token,
@@ -141,6 +251,9 @@ const AdminContextProvider = (props) => {
       );
       if (data.success) {
         toast.success(data.message || "Appointment cancelled successfully");
+        if (data.refund?.paidAmount > 0) {
+          toast.info(`Refundable amount: ${data.refund.refundableAmount} of ${data.refund.paidAmount} paid`);
+        }
         getAllAppointments(); // Refresh the appointments list
       } else {
         toast.error(data.message || "Failed to cancel appointment");
@@ -150,6 +263,64 @@ const AdminContextProvider = (props) => {
       console.error("Error cancelling appointment:", error);
     }
   };
+  /**
+   * Records cash collected at the clinic front desk for an appointment.
+   * Refreshes the appointments list on success.
+   *
+   * @async
+   * @function collectCash
+   * @param {string} appointmentId - The ID of the booked or confirmed appointment
+   * @returns {Promise<void>}
+   */
+
+  const collectCash = async (appointmentId) => {
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/admin/collect-cash`,
+        { appointmentId },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        getAllAppointments();
+      } else {
+        toast.error(data.message || "Failed to record cash payment");
+      }
+    } catch (error) {
+      toast.error("Error recording cash payment");
+      console.error("Error recording cash payment:", error);
+    }
+  };
+  /**
+   * Downloads the PDF invoice of a paid appointment.
+   * Shows a toast notification if the appointment has no invoice.
+   *
+   * @async
+   * @function downloadInvoice
+   * @param {string} appointmentId - The ID of the paid appointment
+   * @returns {Promise<void>}
+   */
+
+  const downloadInvoice = async (appointmentId) => {
+    try {
+      const { data, headers } = await axios.get(
+        `${backendUrl}/api/admin/invoice/${appointmentId}`,
+        { headers: { token }, responseType: "blob" }
+      );
+      const filename =
+        /filename="(.+)"/.exec(headers["content-disposition"] || "")?.[1] || "invoice.pdf";
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error("Invoice is not available for this appointment");
+      console.error("Error downloading invoice:", error);
+    }
+  };
+
   /**
    * Fetches dashboard data from the backend and updates state.
    * Shows a toast notification on error or failure.
@@ -182,6 +353,10 @@ const AdminContextProvider = (props) => {
    * @typedef {object} AdminContextValue
    * @property {string|null} token - Admin authentication token
    * @property {function} setToken - Setter for token
+   * @property {function} saveSession - Stores the tokens and profile from a login
+   * @property {function} logout - Logs out of this device or all devices
+   * @property {object|null} adminProfile - Signed-in admin's name, email, role and permissions
+   * @property {function} can - Whether the signed-in admin has a permission
    * @property {string} backendUrl - Backend API base URL
    * @property {function} getAllDoctors - Fetches all doctors
    * @property {Array} doctors - List of doctor objects
@@ -191,6 +366,10 @@ const AdminContextProvider = (props) => {
   const value = {
     token,
     setToken,
+    saveSession,
+    logout,
+    adminProfile,
+    can,
     backendUrl,
     getAllDoctors,
     doctors,
@@ -199,6 +378,8 @@ const AdminContextProvider = (props) => {
     setAppointments,
     getAllAppointments,
     cancelAppointment,
+    collectCash,
+    downloadInvoice,
     getDashboardData,
     dashboardData,
   };
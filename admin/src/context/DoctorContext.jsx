@@ -6,8 +6,9 @@
  */
 
 import axios from "axios";
-import { createContext, useState } from "react";
+import { createContext, useEffect, useState } from "react";
 import { toast } from "react-toastify";
+import { installTokenRefresh } from "../utils/tokenRefresh";
 
 /**
  * Context object for doctor features.
@@ -29,6 +30,29 @@ const DoctorContextProvider = (props) => {
   const [appointments, setAppointments] = useState([]);
   const [appointmentStats, setAppointmentStats] = useState({});
   const [loading, setLoading] = useState(false);
+  const [waitlist, setWaitlist] = useState([]);
+  const [earnings, setEarnings] = useState(null);
+
+  // Refreshes the access token when it expires
+  useEffect(
+    () =>
+      installTokenRefresh({
+        header: "dtoken",
+        refreshUrl: `${backendUrl}/api/doctor/refresh-token`,
+        refreshTokenKey: "drefreshToken",
+        onRefresh: (accessToken, refreshToken) => {
+          localStorage.setItem("dtoken", accessToken);
+          localStorage.setItem("drefreshToken", refreshToken);
+          setdtoken(accessToken);
+        },
+        onSessionEnd: () => {
+          localStorage.removeItem("dtoken");
+          localStorage.removeItem("drefreshToken");
+          setdtoken("");
+        },
+      }),
+    [backendUrl]
+  );
   
   const getAppointments = async () => {
     setLoading(true);
@@ -61,6 +85,150 @@ const DoctorContextProvider = (props) => {
       setLoading(false);
     }
   };
+  /**
+   * Moves one of the doctor's appointments to a new status.
+   * Refreshes the appointments list on success.
+   *
+   * @async
+   * @function updateAppointmentStatus
+   * @param {string} appointmentId - The ID of the appointment to update
+   * @param {"confirmed"|"checked-in"|"completed"|"no-show"|"cancelled"} status - The new status
+   * @param {string} [reason] - Cancellation reason, required when cancelling
+   * @returns {Promise<boolean>} True if the update succeeded
+   */
+  const updateAppointmentStatus = async (appointmentId, status, reason) => {
+    const endpoints = {
+      confirmed: "confirm-appointment",
+      "checked-in": "check-in-appointment",
+      completed: "complete-appointment",
+      "no-show": "no-show-appointment",
+      cancelled: "cancel-appointment",
+    };
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/doctor/${endpoints[status]}`,
+        { appointmentId, reason },
+        { headers: { dtoken } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        await getAppointments();
+        return true;
+      }
+      toast.error(data.message);
+      return false;
+    } catch (error) {
+      console.error("Error updating appointment status:", error);
+      toast.error(error.response?.data?.message || "Failed to update appointment");
+      return false;
+    }
+  };
+
+  /**
+   * Records cash collected at the clinic for one of the doctor's appointments.
+   * Refreshes the appointments list on success.
+   *
+   * @async
+   * @function collectCash
+   * @param {string} appointmentId - The ID of the booked or confirmed appointment
+   * @returns {Promise<boolean>} True if the payment was recorded
+   */
+  const collectCash = async (appointmentId) => {
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/doctor/collect-cash`,
+        { appointmentId },
+        { headers: { dtoken } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        await getAppointments();
+        return true;
+      }
+      toast.error(data.message);
+      return false;
+    } catch (error) {
+      console.error("Error recording cash payment:", error);
+      toast.error(error.response?.data?.message || "Failed to record cash payment");
+      return false;
+    }
+  };
+
+  /**
+   * Fetches the patients waiting for the doctor's freed slots, in queue order.
+   *
+   * @async
+   * @function getWaitlist
+   * @returns {Promise<void>}
+   */
+  const getWaitlist = async () => {
+    try {
+      const { data } = await axios.get(`${backendUrl}/api/doctor/waitlist`, {
+        headers: { dtoken },
+      });
+      if (data.success) {
+        setWaitlist(data.entries);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error fetching waitlist:", error);
+      toast.error(error.response?.data?.message || "Failed to fetch waitlist");
+    }
+  };
+
+  /**
+   * Fetches the doctor's earnings: monthly totals, unsettled balance, payouts
+   * and current commission rate.
+   *
+   * @async
+   * @function getEarnings
+   * @returns {Promise<void>}
+   */
+  const getEarnings = async () => {
+    try {
+      const { data } = await axios.get(`${backendUrl}/api/doctor/earnings`, {
+        headers: { dtoken },
+      });
+      if (data.success) {
+        setEarnings(data);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error fetching earnings:", error);
+      toast.error(error.response?.data?.message || "Failed to fetch earnings");
+    }
+  };
+
+  /**
+   * Downloads the doctor's PDF earnings statement for a month.
+   *
+   * @async
+   * @function downloadStatement
+   * @param {string} period - Month of the statement ('YYYY-MM')
+   * @returns {Promise<void>}
+   */
+  const downloadStatement = async (period) => {
+    try {
+      const { data, headers } = await axios.get(
+        `${backendUrl}/api/doctor/earnings/statement/${period}`,
+        { headers: { dtoken }, responseType: "blob" }
+      );
+      const filename =
+        /filename="(.+)"/.exec(headers["content-disposition"] || "")?.[1] || `statement-${period}.pdf`;
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error downloading statement:", error);
+      toast.error("Failed to download statement");
+    }
+  };
+
   const loginDoctor = async (email, password) => {
     try {
       const { data } = await axios.post(`${backendUrl}/api/doctor/login`, {
@@ -71,6 +239,7 @@ const DoctorContextProvider = (props) => {
       if (data.success) {
         setdtoken(data.token);
         localStorage.setItem("dtoken", data.token);
+        localStorage.setItem("drefreshToken", data.refreshToken);
         localStorage.setItem("doctorId", data.doctorId || data.doctor._id); // Store doctor ID
         localStorage.setItem("doctorEmail", data.doctor.email); // Store doctor email
         localStorage.setItem("doctorInfo", JSON.stringify(data.doctor)); // Store full doctor info
@@ -86,11 +255,26 @@ const DoctorContextProvider = (props) => {
     }
   };
 
-  const logoutDoctor = () => {
+  // Ends this device's session, or every session of the doctor with allDevices
+  const logoutDoctor = async ({ allDevices = false } = {}) => {
+    try {
+      if (allDevices) {
+        await axios.post(`${backendUrl}/api/doctor/logout-all`, {}, { headers: { dtoken } });
+      } else {
+        await axios.post(`${backendUrl}/api/doctor/logout`, {
+          refreshToken: localStorage.getItem("drefreshToken"),
+        });
+      }
+    } catch (error) {
+      console.error("Error logging out:", error);
+    }
     setdtoken("");
     setAppointments([]);
     setAppointmentStats({});
+    setWaitlist([]);
+    setEarnings(null);
     localStorage.removeItem("dtoken");
+    localStorage.removeItem("drefreshToken");
     localStorage.removeItem("doctorId");
     localStorage.removeItem("doctorEmail");
     localStorage.removeItem("doctorInfo");
@@ -105,6 +289,13 @@ const DoctorContextProvider = (props) => {
     loading,
     getAppointments,
     setAppointments,
+    updateAppointmentStatus,
+    collectCash,
+    waitlist,
+    getWaitlist,
+    earnings,
+    getEarnings,
+    downloadStatement,
     loginDoctor,
     logoutDoctor,
 
@@ -0,0 +1,257 @@
+/**
+ * Admin accounts page component for admin panel.
+ * Lets a super-admin create admin accounts, change their role, reset their
+ * password and deactivate or reactivate them. A deactivated admin loses
+ * access at their next request.
+ *
+ * @module pages/Admin/AdminAccounts
+ */
+
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { getAdminRoleLabel } from "../../config/adminPermissions";
+
+const EMPTY_FORM = {
+  name: "",
+  email: "",
+  password: "",
+  role: "support",
+};
+
+const AdminAccounts = () => {
+  const { backendUrl, token, adminProfile } = useContext(AdminContext);
+  const [admins, setAdmins] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchAdmins = async () => {
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get(`${backendUrl}/api/admin/admins`, {
+        headers: { token },
+      });
+      if (data.success) {
+        setAdmins(data.admins);
+        setRoles(data.roles);
+      } else {
+        toast.error(data.message || "Failed to fetch admin accounts");
+      }
+    } catch (error) {
+      console.error("Error fetching admin accounts:", error);
+      toast.error(error.response?.data?.message || "Failed to fetch admin accounts");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      fetchAdmins();
+    }
+  }, [token]);
+
+  const updateField = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const createAccount = async (event) => {
+    event.preventDefault();
+    try {
+      setIsSaving(true);
+      const { data } = await axios.post(`${backendUrl}/api/admin/admins`, form, {
+        headers: { token },
+      });
+      if (data.success) {
+        toast.success(data.message);
+        setForm(EMPTY_FORM);
+        fetchAdmins();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error creating admin account:", error);
+      toast.error("Failed to create admin account");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const updateAccount = async (admin, changes) => {
+    try {
+      const { data } = await axios.put(`${backendUrl}/api/admin/admins/${admin._id}`, changes, {
+        headers: { token },
+      });
+      if (data.success) {
+        toast.success(data.message);
+        fetchAdmins();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error updating admin account:", error);
+      toast.error("Failed to update admin account");
+    }
+  };
+
+  const changeRole = (admin, role) => {
+    if (!window.confirm(`Make ${admin.name} ${getAdminRoleLabel(role)}?`)) return;
+    updateAccount(admin, { role });
+  };
+
+  const toggleActive = (admin) => {
+    const action = admin.active ? "Deactivate" : "Reactivate";
+    if (!window.confirm(`${action} ${admin.name}'s account?`)) return;
+    updateAccount(admin, { active: !admin.active });
+  };
+
+  const resetPassword = (admin) => {
+    const password = window.prompt(`New password for ${admin.name} (at least 8 characters)`);
+    if (!password) return;
+    updateAccount(admin, { password });
+  };
+
+  const inputClass = "w-full border border-gray-300 rounded-lg px-3 py-2 text-sm";
+
+  return (
+    <div className="p-6 max-h-[90vh] overflow-y-auto bg-gray-50 w-full">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Admin Accounts</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Each admin signs in with their own account. Their role decides which pages they can use.
+        </p>
+      </div>
+
+      {/* New account */}
+      <form
+        onSubmit={createAccount}
+        className="bg-white rounded-lg p-6 shadow-sm border border-gray-200 mb-6 space-y-4"
+      >
+        <h2 className="text-lg font-semibold text-gray-800">Add admin</h2>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <input
+            value={form.name}
+            onChange={(e) => updateField("name", e.target.value)}
+            placeholder="Full name"
+            required
+            className={inputClass}
+          />
+          <input
+            type="email"
+            value={form.email}
+            onChange={(e) => updateField("email", e.target.value)}
+            placeholder="Email"
+            required
+            className={inputClass}
+          />
+          <input
+            type="password"
+            minLength={8}
+            value={form.password}
+            onChange={(e) => updateField("password", e.target.value)}
+            placeholder="Password (8+ characters)"
+            required
+            className={inputClass}
+          />
+          <select
+            value={form.role}
+            onChange={(e) => updateField("role", e.target.value)}
+            className={inputClass}
+          >
+            {roles.map((role) => (
+              <option key={role} value={role}>
+                {getAdminRoleLabel(role)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-6 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSaving ? "Saving..." : "Create account"}
+        </button>
+      </form>
+
+      {/* Accounts */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+        {isLoading ? (
+          <p className="p-6 text-sm text-gray-500">Loading admin accounts...</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium">Admin</th>
+                <th className="px-4 py-3 text-left font-medium">Role</th>
+                <th className="px-4 py-3 text-left font-medium">Last sign-in</th>
+                <th className="px-4 py-3 text-left font-medium">Status</th>
+                <th className="px-4 py-3 text-right font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {admins.map((admin) => {
+                const isSelf = admin._id === adminProfile?._id;
+                return (
+                  <tr key={admin._id} className="border-t border-gray-100">
+                    <td className="px-4 py-3">
+                      <p className="font-medium text-gray-800">
+                        {admin.name} {isSelf && <span className="text-xs text-gray-400">(you)</span>}
+                      </p>
+                      <p className="text-xs text-gray-500">{admin.email}</p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <select
+                        value={admin.role}
+                        onChange={(e) => changeRole(admin, e.target.value)}
+                        disabled={isSelf}
+                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm disabled:bg-gray-50"
+                      >
+                        {roles.map((role) => (
+                          <option key={role} value={role}>
+                            {getAdminRoleLabel(role)}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-4 py-3 text-gray-600">
+                      {admin.lastLoginAt ? new Date(admin.lastLoginAt).toLocaleString() : "Never"}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span
+                        className={`px-2 py-1 rounded-full text-xs font-medium ${
+                          admin.active ? "bg-green-100 text-green-800" : "bg-gray-100 text-gray-600"
+                        }`}
+                      >
+                        {admin.active ? "Active" : "Deactivated"}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-right space-x-3 whitespace-nowrap">
+                      <button
+                        onClick={() => resetPassword(admin)}
+                        className="text-blue-600 hover:underline"
+                      >
+                        Reset password
+                      </button>
+                      {!isSelf && (
+                        <button
+                          onClick={() => toggleActive(admin)}
+                          className={admin.active ? "text-red-600 hover:underline" : "text-green-600 hover:underline"}
+                        >
+                          {admin.active ? "Deactivate" : "Reactivate"}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminAccounts;
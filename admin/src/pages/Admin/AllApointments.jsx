@@ -10,9 +10,21 @@ import { useContext, useState, useEffect } from "react";
 import { AdminContext } from "../../context/AdminContext";
 import { AppContext } from "../../context/AppContext";
 import { assets } from "../../assets/assets";
+import RescheduleModal from "../../components/RescheduleModal";
+import {
+  activeStatuses,
+  getStatusColor,
+  getStatusLabel,
+  hasBeenPaid,
+  isPayAtClinic,
+  payableStatuses,
+} from "../../config/appointmentStatus";
+
+// Statuses from which an admin can still cancel or reschedule an appointment
+const CANCELLABLE_STATUSES = ["booked", "confirmed", "paid"];
 
 const AllAppointments = () => {
-  const { token, getAllAppointments, appointments, cancelAppointment } =
+  const { token, getAllAppointments, appointments, cancelAppointment, collectCash, downloadInvoice } =
     useContext(AdminContext);
   const { calculateAge, slotDateFormat, currency } = useContext(AppContext);
   
@@ -23,6 +35,8 @@ const AllAppointments = () => {
   const [filterDate, setFilterDate] = useState("");
   const [currentPage, setCurrentPage] = useState(1);
   const [cancellingAppointment, setCancellingAppointment] = useState(null);
+  const [reschedulingAppointment, setReschedulingAppointment] = useState(null);
+  const [collectingCash, setCollectingCash] = useState(null);
 
   // Pagination settings
   const itemsPerPage = 10;
@@ -55,16 +69,30 @@ const AllAppointments = () => {
    * Handles appointment cancellation with confirmation
    */
   const handleCancelAppointment = async (appointment) => {
-    if (window.confirm(`Are you sure you want to cancel the appointment for ${appointment.userData.name}?`)) {
+    const reason = window.prompt(`Reason for cancelling the appointment for ${appointment.userData.name}:`);
+    if (reason !== null) {
       setCancellingAppointment(appointment._id);
       try {
-        await cancelAppointment(appointment._id);
+        await cancelAppointment(appointment._id, reason.trim());
       } finally {
         setCancellingAppointment(null);
       }
     }
   };
 
+  /**
+   * Records cash taken from the patient at the clinic front desk
+   */
+  const handleCollectCash = async (appointment) => {
+    if (!window.confirm(`Record ${currency}${appointment.amount} collected in cash from ${appointment.userData.name}?`)) return;
+    setCollectingCash(appointment._id);
+    try {
+      await collectCash(appointment._id);
+    } finally {
+      setCollectingCash(null);
+    }
+  };
+
   /**
    * Filters appointments based on search term and filters
    */
@@ -101,9 +129,9 @@ const AllAppointments = () => {
 
   // Statistics
   const totalAppointments = appointments.length;
-  const pendingAppointments = appointments.filter(a => a.status === "pending").length;
+  const pendingAppointments = appointments.filter(a => activeStatuses.includes(a.status)).length;
   const completedAppointments = appointments.filter(a => a.status === "completed").length;
-  const cancelledAppointments = appointments.filter(a => a.cancelled).length;
+  const cancelledAppointments = appointments.filter(a => a.status === "cancelled").length;
 
   return (
     <div className="p-6 max-h-[90vh] overflow-y-auto bg-gray-50">
@@ -210,7 +238,7 @@ const AllAppointments = () => {
               >
                 <option value="all">All Status</option>
                 {statuses.map(status => (
-                  <option key={status} value={status}>{status}</option>
+                  <option key={status} value={status}>{getStatusLabel(status)}</option>
                 ))}
               </select>
             </div>
@@ -287,13 +315,8 @@ const AllAppointments = () => {
                     <div className="md:hidden mb-3">
                       <div className="flex items-center justify-between mb-2">
                         <span className="text-sm font-medium text-gray-700">#{startIndex + index + 1}</span>
-                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                          appointment.cancelled ? 'bg-red-100 text-red-800' :
-                          appointment.status === 'completed' ? 'bg-green-100 text-green-800' :
-                          appointment.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
-                          'bg-gray-100 text-gray-800'
-                        }`}>
-                          {appointment.cancelled ? 'Cancelled' : appointment.status}
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
+                          {getStatusLabel(appointment.status)}
                         </span>
                       </div>
                     </div>
@@ -356,36 +379,68 @@ const AllAppointments = () => {
                     </div>
 
                     {/* Status */}
-                    <div className="hidden md:flex items-center">
-                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                        appointment.cancelled ? 'bg-red-100 text-red-800' :
-                        appointment.status === 'completed' ? 'bg-green-100 text-green-800' :
-                        appointment.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
-                        'bg-gray-100 text-gray-800'
-                      }`}>
-                        {appointment.cancelled ? 'Cancelled' : appointment.status}
+                    <div className="hidden md:flex flex-col items-start justify-center gap-1">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
+                        {getStatusLabel(appointment.status)}
                       </span>
+                      {isPayAtClinic(appointment) && (
+                        <span className="text-xs text-gray-500">Pays at clinic</span>
+                      )}
                     </div>
 
                     {/* Action */}
-                    <div className="flex items-center">
-                      {appointment.cancelled ? (
-                        <span className="text-red-500 text-sm font-medium">Cancelled</span>
-                      ) : (
+                    <div className="flex items-center gap-1">
+                      {hasBeenPaid(appointment) && (
+                        <button
+                          onClick={() => downloadInvoice(appointment._id)}
+                          className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-colors"
+                          title="Download Invoice"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                          </svg>
+                        </button>
+                      )}
+                      {payableStatuses.includes(appointment.status) && (
                         <button
-                          onClick={() => handleCancelAppointment(appointment)}
-                          disabled={cancellingAppointment === appointment._id}
-                          className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                          title="Cancel Appointment"
+                          onClick={() => handleCollectCash(appointment)}
+                          disabled={collectingCash === appointment._id}
+                          className="p-2 text-emerald-600 hover:text-emerald-800 hover:bg-emerald-50 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                          title="Record Cash Payment"
                         >
-                          {cancellingAppointment === appointment._id ? (
-                            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-600"></div>
-                          ) : (
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z" />
+                          </svg>
+                        </button>
+                      )}
+                      {!CANCELLABLE_STATUSES.includes(appointment.status) ? (
+                        <span className="text-gray-500 text-sm font-medium">{getStatusLabel(appointment.status)}</span>
+                      ) : (
+                        <>
+                          <button
+                            onClick={() => setReschedulingAppointment(appointment)}
+                            className="p-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-lg transition-colors"
+                            title="Reschedule Appointment"
+                          >
                             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
                             </svg>
-                          )}
-                        </button>
+                          </button>
+                          <button
+                            onClick={() => handleCancelAppointment(appointment)}
+                            disabled={cancellingAppointment === appointment._id}
+                            className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            title="Cancel Appointment"
+                          >
+                            {cancellingAppointment === appointment._id ? (
+                              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-600"></div>
+                            ) : (
+                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                              </svg>
+                            )}
+                          </button>
+                        </>
                       )}
                     </div>
                   </div>
@@ -441,6 +496,13 @@ const AllAppointments = () => {
           )}
         </>
       )}
+
+      <RescheduleModal
+        isOpen={!!reschedulingAppointment}
+        appointment={reschedulingAppointment}
+        onClose={() => setReschedulingAppointment(null)}
+        onSuccess={getAllAppointments}
+      />
     </div>
   );
 };
@@ -0,0 +1,458 @@
+/**
+ * Coupons page component for admin panel.
+ * Creates, edits, deactivates and deletes promo codes: percentage or fixed
+ * discounts with a validity window, global and per-patient usage limits, and
+ * optional restriction to some doctors or specialities.
+ *
+ * @module pages/Admin/Coupons
+ */
+
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import { AppContext } from "../../context/AppContext";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { formatSpeciality, getSnakeCaseSpecialities } from "../../utils/specialityUtils";
+
+const EMPTY_FORM = {
+  code: "",
+  description: "",
+  type: "percentage",
+  value: "",
+  maxDiscount: "",
+  startsAt: "",
+  expiresAt: "",
+  usageLimit: "",
+  perUserLimit: "1",
+  doctorIds: [],
+  specialities: [],
+  newPatientsOnly: false,
+  active: true,
+};
+
+// Converts a stored date to the value of a date input
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+const Coupons = () => {
+  const { backendUrl, token, doctors, getAllDoctors } = useContext(AdminContext);
+  const { currency } = useContext(AppContext);
+  const [coupons, setCoupons] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+
+  const fetchCoupons = async () => {
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get(`${backendUrl}/api/admin/coupons`, {
+        headers: { token },
+      });
+      if (data.success) {
+        setCoupons(data.coupons);
+      } else {
+        toast.error(data.message || "Failed to fetch coupons");
+      }
+    } catch (error) {
+      console.error("Error fetching coupons:", error);
+      toast.error("Failed to fetch coupons");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      fetchCoupons();
+      getAllDoctors();
+    }
+  }, [token]);
+
+  const updateField = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const toggleInList = (key, value) =>
+    setForm((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value)
+        ? prev[key].filter((item) => item !== value)
+        : [...prev[key], value],
+    }));
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const startEditing = (coupon) => {
+    setEditingId(coupon._id);
+    setForm({
+      ...EMPTY_FORM,
+      ...coupon,
+      value: String(coupon.value),
+      maxDiscount: coupon.maxDiscount ? String(coupon.maxDiscount) : "",
+      usageLimit: coupon.usageLimit ? String(coupon.usageLimit) : "",
+      perUserLimit: String(coupon.perUserLimit),
+      startsAt: toDateInput(coupon.startsAt),
+      expiresAt: toDateInput(coupon.expiresAt),
+    });
+  };
+
+  const saveCoupon = async (event) => {
+    event.preventDefault();
+    const payload = {
+      code: form.code,
+      description: form.description,
+      type: form.type,
+      value: form.value,
+      maxDiscount: form.maxDiscount || 0,
+      startsAt: form.startsAt || null,
+      expiresAt: form.expiresAt || null,
+      usageLimit: form.usageLimit || 0,
+      perUserLimit: form.perUserLimit || 0,
+      doctorIds: form.doctorIds,
+      specialities: form.specialities,
+      newPatientsOnly: form.newPatientsOnly,
+      active: form.active,
+    };
+    try {
+      const { data } = editingId
+        ? await axios.put(`${backendUrl}/api/admin/coupons/${editingId}`, payload, {
+            headers: { token },
+          })
+        : await axios.post(`${backendUrl}/api/admin/coupons`, payload, {
+            headers: { token },
+          });
+      if (data.success) {
+        toast.success(data.message);
+        resetForm();
+        fetchCoupons();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error saving coupon:", error);
+      toast.error("Failed to save coupon");
+    }
+  };
+
+  const toggleActive = async (coupon) => {
+    try {
+      const { data } = await axios.put(
+        `${backendUrl}/api/admin/coupons/${coupon._id}`,
+        { active: !coupon.active },
+        { headers: { token } }
+      );
+      if (data.success) {
+        fetchCoupons();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error updating coupon:", error);
+      toast.error("Failed to update coupon");
+    }
+  };
+
+  const deleteCoupon = async (coupon) => {
+    if (!window.confirm(`Delete promo code ${coupon.code}?`)) return;
+    try {
+      const { data } = await axios.delete(`${backendUrl}/api/admin/coupons/${coupon._id}`, {
+        headers: { token },
+      });
+      if (data.success) {
+        toast.success(data.message);
+        if (editingId === coupon._id) resetForm();
+        fetchCoupons();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error deleting coupon:", error);
+      toast.error("Failed to delete coupon");
+    }
+  };
+
+  const describeDiscount = (coupon) =>
+    coupon.type === "percentage"
+      ? `${coupon.value}% off${coupon.maxDiscount ? ` (max ${currency}${coupon.maxDiscount})` : ""}`
+      : `${currency}${coupon.value} off`;
+
+  const describeRestrictions = (coupon) => {
+    const parts = [];
+    if (coupon.doctorIds.length) {
+      parts.push(
+        coupon.doctorIds
+          .map((id) => doctors.find((doctor) => doctor._id === id)?.name || "Unknown doctor")
+          .join(", ")
+      );
+    }
+    if (coupon.specialities.length) {
+      parts.push(coupon.specialities.map(formatSpeciality).join(", "));
+    }
+    if (coupon.newPatientsOnly) parts.push("First consultation only");
+    return parts.join(" · ") || "Any appointment";
+  };
+
+  const inputClass = "w-full border border-gray-300 rounded-lg px-3 py-2 text-sm";
+
+  return (
+    <div className="p-6 max-h-[90vh] overflow-y-auto bg-gray-50 w-full">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Promo Codes</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Discounts patients can apply at checkout. Usage counts once a payment completes.
+        </p>
+      </div>
+
+      {/* Create or edit a coupon */}
+      <form
+        onSubmit={saveCoupon}
+        className="bg-white rounded-lg p-6 shadow-sm border border-gray-200 mb-6 space-y-4"
+      >
+        <h2 className="text-lg font-semibold text-gray-800">
+          {editingId ? `Edit ${form.code}` : "New promo code"}
+        </h2>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">Code</label>
+            <input
+              value={form.code}
+              onChange={(e) => updateField("code", e.target.value.toUpperCase())}
+              required
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">Type</label>
+            <select
+              value={form.type}
+              onChange={(e) => updateField("type", e.target.value)}
+              className={inputClass}
+            >
+              <option value="percentage">Percentage</option>
+              <option value="fixed">Fixed amount</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">
+              {form.type === "percentage" ? "Percent off" : `Amount off (${currency})`}
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.value}
+              onChange={(e) => updateField("value", e.target.value)}
+              required
+              className={inputClass}
+            />
+          </div>
+          {form.type === "percentage" && (
+            <div>
+              <label className="block text-sm text-gray-600 mb-1">Max discount ({currency}, optional)</label>
+              <input
+                type="number"
+                min="0"
+                value={form.maxDiscount}
+                onChange={(e) => updateField("maxDiscount", e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">Starts (optional)</label>
+            <input
+              type="date"
+              value={form.startsAt}
+              onChange={(e) => updateField("startsAt", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">Expires (optional)</label>
+            <input
+              type="date"
+              value={form.expiresAt}
+              onChange={(e) => updateField("expiresAt", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">Total uses (blank = unlimited)</label>
+            <input
+              type="number"
+              min="0"
+              value={form.usageLimit}
+              onChange={(e) => updateField("usageLimit", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">Uses per patient (0 = unlimited)</label>
+            <input
+              type="number"
+              min="0"
+              value={form.perUserLimit}
+              onChange={(e) => updateField("perUserLimit", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Description</label>
+          <input
+            value={form.description}
+            onChange={(e) => updateField("description", e.target.value)}
+            placeholder="e.g. Dashain festival discount"
+            className={inputClass}
+          />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <p className="text-sm text-gray-600 mb-1">Only for these doctors (none selected = any)</p>
+            <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-lg p-2 space-y-1">
+              {doctors.map((doctor) => (
+                <label key={doctor._id} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.doctorIds.includes(doctor._id)}
+                    onChange={() => toggleInList("doctorIds", doctor._id)}
+                  />
+                  {doctor.name}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="text-sm text-gray-600 mb-1">Only for these specialities (none selected = any)</p>
+            <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-lg p-2 space-y-1">
+              {getSnakeCaseSpecialities().map((speciality) => (
+                <label key={speciality} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.specialities.includes(speciality)}
+                    onChange={() => toggleInList("specialities", speciality)}
+                  />
+                  {formatSpeciality(speciality)}
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-6">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.newPatientsOnly}
+              onChange={(e) => updateField("newPatientsOnly", e.target.checked)}
+            />
+            First consultation only
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.active}
+              onChange={(e) => updateField("active", e.target.checked)}
+            />
+            Active
+          </label>
+          <div className="flex gap-2 ml-auto">
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm"
+            >
+              {editingId ? "Save changes" : "Create promo code"}
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : coupons.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <p className="text-gray-500 text-lg">No promo codes yet</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="hidden md:grid grid-cols-[1.5fr_1.5fr_1.5fr_1fr_2fr_1.5fr] gap-4 py-4 px-6 border-b bg-gray-50">
+            <p className="text-sm font-medium text-gray-700">Code</p>
+            <p className="text-sm font-medium text-gray-700">Discount</p>
+            <p className="text-sm font-medium text-gray-700">Valid</p>
+            <p className="text-sm font-medium text-gray-700">Used</p>
+            <p className="text-sm font-medium text-gray-700">Applies to</p>
+            <p className="text-sm font-medium text-gray-700">Actions</p>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {coupons.map((coupon) => (
+              <div
+                key={coupon._id}
+                className="grid grid-cols-1 md:grid-cols-[1.5fr_1.5fr_1.5fr_1fr_2fr_1.5fr] gap-2 md:gap-4 py-4 px-6 hover:bg-gray-50 transition-colors"
+              >
+                <div>
+                  <p className="font-mono font-semibold text-gray-900">{coupon.code}</p>
+                  {coupon.description && (
+                    <p className="text-xs text-gray-500">{coupon.description}</p>
+                  )}
+                  {!coupon.active && (
+                    <span className="inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                      Inactive
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-900">{describeDiscount(coupon)}</p>
+                <p className="text-sm text-gray-600">
+                  {coupon.startsAt ? toDateInput(coupon.startsAt) : "Now"} –{" "}
+                  {coupon.expiresAt ? toDateInput(coupon.expiresAt) : "No expiry"}
+                </p>
+                <p className="text-sm text-gray-900">
+                  {coupon.usedCount}
+                  {coupon.usageLimit ? ` / ${coupon.usageLimit}` : ""}
+                  <span className="block text-xs text-gray-500">
+                    {coupon.perUserLimit ? `${coupon.perUserLimit} per patient` : "No per-patient limit"}
+                  </span>
+                </p>
+                <p className="text-sm text-gray-600">{describeRestrictions(coupon)}</p>
+                <div className="flex flex-wrap gap-2 items-start">
+                  <button
+                    onClick={() => startEditing(coupon)}
+                    className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => toggleActive(coupon)}
+                    className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                  >
+                    {coupon.active ? "Deactivate" : "Activate"}
+                  </button>
+                  <button
+                    onClick={() => deleteCoupon(coupon)}
+                    className="px-3 py-1 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Coupons;
@@ -10,6 +10,7 @@ import { useContext, useEffect, useState } from "react";
 import { AdminContext } from "../../context/AdminContext";
 import { assets } from "../../assets/assets";
 import { AppContext } from "../../context/AppContext";
+import { getStatusColor, getStatusLabel } from "../../config/appointmentStatus";
 
 const Dashboard = () => {
   const { token, getDashboardData, dashboardData } = useContext(AdminContext);
@@ -37,24 +38,6 @@ const Dashboard = () => {
     }
   };
 
-  /**
-   * Gets status text for appointments
-   */
-  const getStatusText = (cancelled, isCompleted) => {
-    if (cancelled) return 'Cancelled';
-    if (isCompleted) return 'Completed';
-    return 'Pending';
-  };
-
-  /**
-   * Gets status color for appointments
-   */
-  const getStatusColor = (cancelled, isCompleted) => {
-    if (cancelled) return 'bg-red-100 text-red-800';
-    if (isCompleted) return 'bg-green-100 text-green-800';
-    return 'bg-yellow-100 text-yellow-800';
-  };
-
   /**
    * Formats currency
    */
@@ -169,6 +152,9 @@ const Dashboard = () => {
                   <p className="text-xs text-green-600 mt-1">
                     +{dashboardData.growth?.revenue || 0}% from last month
                   </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {formatCurrency(dashboardData.revenue?.monthlyCash || 0)} collected in cash
+                  </p>
                 </div>
                 <div className="p-3 bg-yellow-100 rounded-lg">
                   <svg className="w-8 h-8 text-yellow-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -338,8 +324,8 @@ const Dashboard = () => {
                     </div>
                     
                                          <div className="flex items-center gap-3">
-                       <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(booking.cancelled, booking.isCompleted)}`}>
-                         {getStatusText(booking.cancelled, booking.isCompleted)}
+                       <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(booking.status)}`}>
+                         {getStatusLabel(booking.status)}
                        </span>
                        <div className="w-2 h-2 bg-gray-300 rounded-full"></div>
                      </div>
@@ -0,0 +1,207 @@
+/**
+ * PaymentReconciliation page component for admin panel.
+ * Shows recent runs of the job that settles payments stuck in PENDING,
+ * with what each run changed or failed to check, and lets the admin start a run.
+ *
+ * @module pages/Admin/PaymentReconciliation
+ */
+
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import { toast } from "react-toastify";
+import axios from "axios";
+
+const STATUS_STYLES = {
+  COMPLETE: "bg-green-100 text-green-800",
+  FAILED: "bg-red-100 text-red-800",
+  CANCELED: "bg-red-100 text-red-800",
+  EXPIRED: "bg-gray-100 text-gray-800",
+  AMBIGUOUS: "bg-yellow-100 text-yellow-800",
+};
+
+const PaymentReconciliation = () => {
+  const { backendUrl, token } = useContext(AdminContext);
+  const [runs, setRuns] = useState([]);
+  const [pending, setPending] = useState(0);
+  const [policy, setPolicy] = useState(null);
+  const [expandedRun, setExpandedRun] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const fetchRuns = async () => {
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get(
+        `${backendUrl}/api/payment/admin/reconciliation-runs`,
+        { headers: { token } }
+      );
+      if (data.success) {
+        setRuns(data.runs);
+        setPending(data.pending);
+        setPolicy(data.policy);
+      } else {
+        toast.error(data.message || "Failed to fetch reconciliation runs");
+      }
+    } catch (error) {
+      console.error("Error fetching reconciliation runs:", error);
+      toast.error("Failed to fetch reconciliation runs");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const runNow = async () => {
+    try {
+      setIsRunning(true);
+      const { data } = await axios.post(
+        `${backendUrl}/api/payment/admin/reconcile`,
+        {},
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(
+          `Checked ${data.run.checked} payment(s), changed ${data.run.changes.length}`
+        );
+        fetchRuns();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error running reconciliation:", error);
+      toast.error("Failed to run reconciliation");
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      fetchRuns();
+    }
+  }, [token]);
+
+  const formatDateTime = (value) =>
+    value ? new Date(value).toLocaleString() : "—";
+
+  return (
+    <div className="p-6 max-h-[90vh] overflow-y-auto bg-gray-50 w-full">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Payment Reconciliation</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            {policy
+              ? `Payments pending for over ${policy.reconcileAfterMinutes} minutes are checked with their gateway; after ${policy.expireAfterHours} hours they expire.`
+              : "Payments stuck in pending are checked with their gateway."}
+          </p>
+        </div>
+        <button
+          onClick={runNow}
+          disabled={isRunning}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {isRunning ? "Running..." : "Run now"}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+          <p className="text-sm font-medium text-gray-600">Pending payments</p>
+          <p className="text-2xl font-bold text-gray-900">{pending}</p>
+        </div>
+        <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+          <p className="text-sm font-medium text-gray-600">Last run</p>
+          <p className="text-lg font-semibold text-gray-900">
+            {formatDateTime(runs[0]?.startedAt)}
+          </p>
+        </div>
+        <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+          <p className="text-sm font-medium text-gray-600">Schedule</p>
+          <p className="text-lg font-semibold text-gray-900">
+            {policy?.intervalMinutes
+              ? `Every ${policy.intervalMinutes} minutes`
+              : "Manual only"}
+          </p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : runs.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <p className="text-gray-500 text-lg">No reconciliation runs yet</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="hidden md:grid grid-cols-[2fr_1fr_repeat(6,_0.8fr)] gap-4 py-4 px-6 border-b bg-gray-50">
+            <p className="text-sm font-medium text-gray-700">Started</p>
+            <p className="text-sm font-medium text-gray-700">Trigger</p>
+            <p className="text-sm font-medium text-gray-700">Checked</p>
+            <p className="text-sm font-medium text-gray-700">Completed</p>
+            <p className="text-sm font-medium text-gray-700">Failed</p>
+            <p className="text-sm font-medium text-gray-700">Expired</p>
+            <p className="text-sm font-medium text-gray-700">Flagged</p>
+            <p className="text-sm font-medium text-gray-700">Errors</p>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {runs.map((run) => (
+              <div key={run._id}>
+                <div
+                  onClick={() => setExpandedRun(expandedRun === run._id ? null : run._id)}
+                  className="grid grid-cols-2 md:grid-cols-[2fr_1fr_repeat(6,_0.8fr)] gap-2 md:gap-4 py-4 px-6 hover:bg-gray-50 transition-colors cursor-pointer"
+                >
+                  <p className="text-sm text-gray-900">{formatDateTime(run.startedAt)}</p>
+                  <p className="text-sm text-gray-600 capitalize">{run.trigger}</p>
+                  <p className="text-sm text-gray-900">{run.checked}</p>
+                  <p className="text-sm text-green-700">{run.completed}</p>
+                  <p className="text-sm text-red-700">{run.failed}</p>
+                  <p className="text-sm text-gray-700">{run.expired}</p>
+                  <p className="text-sm text-yellow-700">{run.flagged}</p>
+                  <p className="text-sm text-red-700">{run.failures.length}</p>
+                </div>
+
+                {/* Details of what the run changed */}
+                {expandedRun === run._id && (
+                  <div className="px-6 pb-4 space-y-3">
+                    {run.changes.length === 0 && run.failures.length === 0 ? (
+                      <p className="text-sm text-gray-500">Nothing changed in this run.</p>
+                    ) : (
+                      <>
+                        {run.changes.map((change) => (
+                          <div
+                            key={change.transaction_uuid}
+                            className="flex flex-wrap items-center gap-2 text-sm"
+                          >
+                            <span className="font-mono text-gray-700">{change.transaction_uuid}</span>
+                            <span className="text-gray-500">({change.gateway})</span>
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[change.to] || "bg-blue-100 text-blue-800"}`}>
+                              {change.from} → {change.to}
+                            </span>
+                            {change.note && <span className="text-gray-500">{change.note}</span>}
+                          </div>
+                        ))}
+                        {run.failures.map((failure) => (
+                          <div
+                            key={failure.transaction_uuid}
+                            className="flex flex-wrap items-center gap-2 text-sm"
+                          >
+                            <span className="font-mono text-gray-700">{failure.transaction_uuid}</span>
+                            <span className="text-gray-500">({failure.gateway})</span>
+                            <span className="text-red-600">{failure.message}</span>
+                          </div>
+                        ))}
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentReconciliation;
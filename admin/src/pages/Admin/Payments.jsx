@@ -0,0 +1,498 @@
+/**
+ * Payments page component for admin panel.
+ * Ledger of all payments with filters for status, date range, doctor,
+ * patient, gateway and transaction UUID. A payment opens with its linked
+ * appointment, refunds and invoice, and the filtered ledger can be exported
+ * as CSV for the accountant.
+ *
+ * @module pages/Admin/Payments
+ */
+
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import { AppContext } from "../../context/AppContext";
+import { getStatusColor, getStatusLabel } from "../../config/appointmentStatus";
+import { toast } from "react-toastify";
+import axios from "axios";
+
+const PAYMENT_STATUSES = [
+  "PENDING",
+  "COMPLETE",
+  "PARTIAL_REFUND",
+  "FULL_REFUND",
+  "FAILED",
+  "CANCELED",
+  "EXPIRED",
+  "AMBIGUOUS",
+  "NOT_FOUND",
+];
+
+const STATUS_STYLES = {
+  PENDING: "bg-yellow-100 text-yellow-800",
+  COMPLETE: "bg-green-100 text-green-800",
+  PARTIAL_REFUND: "bg-purple-100 text-purple-800",
+  FULL_REFUND: "bg-purple-100 text-purple-800",
+  AMBIGUOUS: "bg-orange-100 text-orange-800",
+};
+
+const EMPTY_FILTERS = {
+  status: "",
+  from: "",
+  to: "",
+  doctorId: "",
+  patient: "",
+  gateway: "",
+  search: "",
+};
+
+// Drop empty filters so they are not sent as query parameters
+const toParams = (filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ""));
+
+const Payments = () => {
+  const { backendUrl, token, doctors, getAllDoctors } = useContext(AdminContext);
+  const { currency, slotDateFormat } = useContext(AppContext);
+  const [payments, setPayments] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [gateways, setGateways] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  const fetchPayments = async () => {
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get(`${backendUrl}/api/admin/payments`, {
+        headers: { token },
+        params: { ...toParams(appliedFilters), page: currentPage },
+      });
+      if (data.success) {
+        setPayments(data.payments);
+        setTotals(data.totals);
+        setGateways(data.gateways);
+        setTotalPages(Math.max(data.pagination.totalPages, 1));
+      } else {
+        toast.error(data.message || "Failed to fetch payments");
+      }
+    } catch (error) {
+      console.error("Error fetching payments:", error);
+      toast.error("Failed to fetch payments");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openPayment = async (paymentId) => {
+    try {
+      const { data } = await axios.get(`${backendUrl}/api/admin/payments/${paymentId}`, {
+        headers: { token },
+      });
+      if (data.success) {
+        setSelected(data);
+      } else {
+        toast.error(data.message || "Failed to fetch payment");
+      }
+    } catch (error) {
+      console.error("Error fetching payment:", error);
+      toast.error("Failed to fetch payment");
+    }
+  };
+
+  const exportCsv = async () => {
+    try {
+      setIsExporting(true);
+      const { data, headers } = await axios.get(`${backendUrl}/api/admin/payments/export`, {
+        headers: { token },
+        params: toParams(appliedFilters),
+        responseType: "blob",
+      });
+      const filename =
+        /filename="(.+)"/.exec(headers["content-disposition"] || "")?.[1] || "payments.csv";
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      // Errors come back as a JSON blob because of the blob response type
+      let message = "Failed to export payments";
+      try {
+        message = JSON.parse(await error.response.data.text()).message || message;
+      } catch {
+        // Keep the generic message
+      }
+      console.error("Error exporting payments:", error);
+      toast.error(message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const applyFilters = (event) => {
+    event.preventDefault();
+    setCurrentPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  useEffect(() => {
+    if (token) {
+      getAllDoctors();
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (token) {
+      fetchPayments();
+    }
+  }, [token, currentPage, appliedFilters]);
+
+  /**
+   * Formats an amount in rupees
+   */
+  const formatAmount = (amount) =>
+    `${currency} ${Number(amount || 0).toLocaleString("en-IN", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
+
+  const appointment = selected?.appointment;
+
+  return (
+    <div className="p-6 max-h-[90vh] overflow-y-auto bg-gray-50 w-full">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Payments</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Every online, cash and promo code payment. The export includes all payments matching the filters.
+          </p>
+        </div>
+        <button
+          onClick={exportCsv}
+          disabled={isExporting}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center gap-2"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+          </svg>
+          {isExporting ? "Exporting..." : "Export CSV"}
+        </button>
+      </div>
+
+      {/* Filters */}
+      <form
+        onSubmit={applyFilters}
+        className="bg-white rounded-lg p-4 shadow-sm border border-gray-200 mb-6 grid grid-cols-1 md:grid-cols-4 gap-3"
+      >
+        <input
+          value={filters.search}
+          onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+          placeholder="Transaction UUID"
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm font-mono"
+        />
+        <input
+          value={filters.patient}
+          onChange={(e) => setFilters({ ...filters, patient: e.target.value })}
+          placeholder="Patient name, email or phone"
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <select
+          value={filters.doctorId}
+          onChange={(e) => setFilters({ ...filters, doctorId: e.target.value })}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        >
+          <option value="">All doctors</option>
+          {doctors.map((doctor) => (
+            <option key={doctor._id} value={doctor._id}>
+              {doctor.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.gateway}
+          onChange={(e) => setFilters({ ...filters, gateway: e.target.value })}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm capitalize"
+        >
+          <option value="">All gateways</option>
+          {gateways.map((gateway) => (
+            <option key={gateway} value={gateway}>
+              {gateway}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        >
+          <option value="">All statuses</option>
+          {PAYMENT_STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {status.replace("_", " ")}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          From
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          To
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </label>
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm"
+          >
+            Apply
+          </button>
+          <button
+            type="button"
+            onClick={clearFilters}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+          >
+            Clear
+          </button>
+        </div>
+      </form>
+
+      {/* Totals of the filtered payments */}
+      {totals && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+          <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+            <p className="text-sm font-medium text-gray-600">Payments</p>
+            <p className="text-2xl font-bold text-gray-900">{totals.count}</p>
+          </div>
+          <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+            <p className="text-sm font-medium text-gray-600">Collected</p>
+            <p className="text-2xl font-bold text-green-600">{formatAmount(totals.completedAmount)}</p>
+          </div>
+          <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+            <p className="text-sm font-medium text-gray-600">Refunded</p>
+            <p className="text-2xl font-bold text-purple-600">{formatAmount(totals.refundedAmount)}</p>
+          </div>
+          <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+            <p className="text-sm font-medium text-gray-600">Net</p>
+            <p className="text-2xl font-bold text-gray-900">
+              {formatAmount(totals.completedAmount - totals.refundedAmount)}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center items-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : payments.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <p className="text-gray-500 text-lg">No payments found</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="hidden md:grid grid-cols-[1.5fr_2.5fr_2fr_2fr_1fr_1.5fr_1.5fr] gap-4 py-4 px-6 border-b bg-gray-50">
+            <p className="text-sm font-medium text-gray-700">Date</p>
+            <p className="text-sm font-medium text-gray-700">Transaction</p>
+            <p className="text-sm font-medium text-gray-700">Patient</p>
+            <p className="text-sm font-medium text-gray-700">Doctor</p>
+            <p className="text-sm font-medium text-gray-700">Gateway</p>
+            <p className="text-sm font-medium text-gray-700">Total</p>
+            <p className="text-sm font-medium text-gray-700">Status</p>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {payments.map((payment) => (
+              <div
+                key={payment._id}
+                onClick={() => openPayment(payment._id)}
+                className="grid grid-cols-1 md:grid-cols-[1.5fr_2.5fr_2fr_2fr_1fr_1.5fr_1.5fr] gap-2 md:gap-4 py-4 px-6 hover:bg-gray-50 transition-colors cursor-pointer"
+              >
+                <p className="text-sm text-gray-900">{new Date(payment.createdAt).toLocaleString()}</p>
+                <p className="text-xs font-mono text-gray-600 break-all">{payment.transaction_uuid}</p>
+                <div>
+                  <p className="font-medium text-gray-900">{payment.user?.name || "—"}</p>
+                  <p className="text-xs text-gray-500">{payment.user?.email}</p>
+                </div>
+                <p className="text-sm text-gray-900">{payment.appointmentId?.docData?.name || "—"}</p>
+                <p className="text-sm text-gray-600 uppercase">{payment.gateway}</p>
+                <div>
+                  <p className="text-sm font-semibold text-gray-900">{formatAmount(payment.total_amount)}</p>
+                  {payment.refunded_amount > 0 && (
+                    <p className="text-xs text-purple-600">-{formatAmount(payment.refunded_amount)} refunded</p>
+                  )}
+                </div>
+                <span
+                  className={`self-start w-fit px-2 py-1 rounded-full text-xs font-medium ${
+                    STATUS_STYLES[payment.status] || "bg-gray-100 text-gray-700"
+                  }`}
+                >
+                  {payment.status.replace("_", " ")}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex justify-center mt-6">
+          <div className="flex gap-2">
+            <button
+              onClick={() => setCurrentPage((prev) => Math.max(1, prev - 1))}
+              disabled={currentPage === 1}
+              className="px-4 py-2 border border-gray-200 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50 transition-colors"
+            >
+              Previous
+            </button>
+            <span className="px-4 py-2 text-gray-600">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage((prev) => Math.min(totalPages, prev + 1))}
+              disabled={currentPage === totalPages}
+              className="px-4 py-2 border border-gray-200 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50 transition-colors"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Payment details with the linked appointment */}
+      {selected && (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4" onClick={() => setSelected(null)}>
+          <div
+            className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[85vh] overflow-y-auto p-6"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-800">Payment</h2>
+                <p className="text-xs font-mono text-gray-500 break-all">{selected.payment.transaction_uuid}</p>
+              </div>
+              <button onClick={() => setSelected(null)} className="text-gray-400 hover:text-gray-600" title="Close">
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 gap-x-6 gap-y-2 text-sm mb-6">
+              <p className="text-gray-500">Status</p>
+              <p className="text-gray-900">{selected.payment.status.replace("_", " ")}</p>
+              <p className="text-gray-500">Method</p>
+              <p className="text-gray-900 capitalize">
+                {selected.payment.method.toLowerCase()} ({selected.payment.gateway})
+              </p>
+              {(selected.payment.ref_id || selected.payment.gateway_reference) && (
+                <>
+                  <p className="text-gray-500">Gateway reference</p>
+                  <p className="text-gray-900 font-mono break-all">
+                    {selected.payment.ref_id || selected.payment.gateway_reference}
+                  </p>
+                </>
+              )}
+              {selected.payment.collectedBy && (
+                <>
+                  <p className="text-gray-500">Collected by</p>
+                  <p className="text-gray-900">
+                    {selected.payment.collectedBy.name} ({selected.payment.collectedBy.role})
+                  </p>
+                </>
+              )}
+              <p className="text-gray-500">Fee</p>
+              <p className="text-gray-900">{formatAmount(selected.payment.amount)}</p>
+              {selected.payment.discount && (
+                <>
+                  <p className="text-gray-500">Promo code</p>
+                  <p className="text-gray-900">
+                    {selected.payment.discount.code} (-{formatAmount(selected.payment.discount.amount)})
+                  </p>
+                </>
+              )}
+              <p className="text-gray-500">Tax / service charge</p>
+              <p className="text-gray-900">
+                {formatAmount(selected.payment.tax_amount)} / {formatAmount(selected.payment.product_service_charge)}
+              </p>
+              <p className="text-gray-500">Total</p>
+              <p className="text-gray-900 font-semibold">{formatAmount(selected.payment.total_amount)}</p>
+              {selected.invoice && (
+                <>
+                  <p className="text-gray-500">Invoice</p>
+                  <p className="text-gray-900">{selected.invoice.number}</p>
+                </>
+              )}
+              <p className="text-gray-500">Created</p>
+              <p className="text-gray-900">{new Date(selected.payment.createdAt).toLocaleString()}</p>
+            </div>
+
+            <h3 className="text-sm font-semibold text-gray-800 mb-2">Appointment</h3>
+            {appointment ? (
+              <div className="border border-gray-200 rounded-lg p-4 mb-6 grid grid-cols-2 gap-x-6 gap-y-2 text-sm">
+                <p className="text-gray-500">Patient</p>
+                <p className="text-gray-900">{appointment.userData?.name}</p>
+                <p className="text-gray-500">Doctor</p>
+                <p className="text-gray-900">
+                  {appointment.docData?.name}
+                  <span className="text-xs text-gray-500"> · {appointment.docData?.speciality}</span>
+                </p>
+                <p className="text-gray-500">Slot</p>
+                <p className="text-gray-900">
+                  {slotDateFormat(appointment.slotDate)}, {appointment.slotTime}
+                </p>
+                <p className="text-gray-500">Status</p>
+                <span
+                  className={`w-fit px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}
+                >
+                  {getStatusLabel(appointment.status)}
+                </span>
+                <p className="text-gray-500">Appointment ID</p>
+                <p className="text-xs font-mono text-gray-600 break-all">{appointment._id}</p>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500 mb-6">The linked appointment no longer exists.</p>
+            )}
+
+            {selected.refunds.length > 0 && (
+              <>
+                <h3 className="text-sm font-semibold text-gray-800 mb-2">Refunds</h3>
+                <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                  {selected.refunds.map((refund) => (
+                    <div key={refund._id} className="flex items-center justify-between px-4 py-2 text-sm">
+                      <span className="text-gray-600">{new Date(refund.createdAt).toLocaleDateString()}</span>
+                      <span className="text-gray-900">{formatAmount(refund.amount)}</span>
+                      <span className="text-gray-600 capitalize">{refund.status}</span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Payments;
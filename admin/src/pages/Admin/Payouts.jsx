@@ -0,0 +1,393 @@
+/**
+ * Payouts page component for admin panel.
+ * Sets the platform commission per doctor or speciality, generates monthly
+ * payout statements from doctors' unsettled earnings, and marks statements
+ * paid with the transfer reference.
+ *
+ * @module pages/Admin/Payouts
+ */
+
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import { AppContext } from "../../context/AppContext";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { formatSpeciality, getSnakeCaseSpecialities } from "../../utils/specialityUtils";
+
+// Previous month as 'YYYY-MM', the latest month statements can be generated for
+const previousPeriod = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+};
+
+const Payouts = () => {
+  const { backendUrl, token, doctors, getAllDoctors } = useContext(AdminContext);
+  const { currency } = useContext(AppContext);
+  const [rates, setRates] = useState([]);
+  const [defaultRate, setDefaultRate] = useState(null);
+  const [rateForm, setRateForm] = useState({ scope: "doctor", target: "", rate: "" });
+  const [payouts, setPayouts] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [period, setPeriod] = useState(previousPeriod());
+  const [isLoading, setIsLoading] = useState(true);
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  const fetchRates = async () => {
+    try {
+      const { data } = await axios.get(`${backendUrl}/api/admin/commission-rates`, {
+        headers: { token },
+      });
+      if (data.success) {
+        setRates(data.rates);
+        setDefaultRate(data.defaultRate);
+      } else {
+        toast.error(data.message || "Failed to fetch commission rates");
+      }
+    } catch (error) {
+      console.error("Error fetching commission rates:", error);
+      toast.error("Failed to fetch commission rates");
+    }
+  };
+
+  const fetchPayouts = async () => {
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get(`${backendUrl}/api/admin/payouts`, {
+        headers: { token },
+        params: statusFilter ? { status: statusFilter } : {},
+      });
+      if (data.success) {
+        setPayouts(data.payouts);
+      } else {
+        toast.error(data.message || "Failed to fetch payouts");
+      }
+    } catch (error) {
+      console.error("Error fetching payouts:", error);
+      toast.error("Failed to fetch payouts");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      fetchRates();
+      getAllDoctors();
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (token) {
+      fetchPayouts();
+    }
+  }, [token, statusFilter]);
+
+  const saveRate = async (event) => {
+    event.preventDefault();
+    try {
+      const { data } = await axios.put(`${backendUrl}/api/admin/commission-rates`, rateForm, {
+        headers: { token },
+      });
+      if (data.success) {
+        toast.success(data.message);
+        setRateForm((prev) => ({ ...prev, target: "", rate: "" }));
+        fetchRates();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error saving commission rate:", error);
+      toast.error("Failed to save commission rate");
+    }
+  };
+
+  const removeRate = async (rate) => {
+    try {
+      const { data } = await axios.delete(`${backendUrl}/api/admin/commission-rates/${rate._id}`, {
+        headers: { token },
+      });
+      if (data.success) {
+        toast.success(data.message);
+        fetchRates();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error removing commission rate:", error);
+      toast.error("Failed to remove commission rate");
+    }
+  };
+
+  const generateStatements = async () => {
+    try {
+      setIsGenerating(true);
+      const { data } = await axios.post(
+        `${backendUrl}/api/admin/payouts/generate`,
+        { period },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        fetchPayouts();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error generating payouts:", error);
+      toast.error("Failed to generate payout statements");
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const markPaid = async (payout) => {
+    const reference = window.prompt(
+      `Transfer reference for ${payout.doctor.name} (${currency} ${payout.netAmount})`
+    );
+    if (!reference) return;
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/admin/payouts/${payout._id}/paid`,
+        { reference },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        fetchPayouts();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error marking payout paid:", error);
+      toast.error("Failed to mark payout as paid");
+    }
+  };
+
+  const downloadStatement = async (payout) => {
+    try {
+      const { data, headers } = await axios.get(
+        `${backendUrl}/api/admin/payouts/${payout._id}/statement`,
+        { headers: { token }, responseType: "blob" }
+      );
+      const filename =
+        /filename="(.+)"/.exec(headers["content-disposition"] || "")?.[1] || "statement.pdf";
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error downloading statement:", error);
+      toast.error("Failed to download statement");
+    }
+  };
+
+  const formatAmount = (amount) =>
+    `${amount < 0 ? "-" : ""}${currency} ${Math.abs(amount || 0).toLocaleString("en-IN", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
+
+  const describeTarget = (rate) =>
+    rate.scope === "doctor"
+      ? doctors.find((doctor) => doctor._id === rate.target)?.name || "Unknown doctor"
+      : formatSpeciality(rate.target);
+
+  const inputClass = "border border-gray-300 rounded-lg px-3 py-2 text-sm";
+
+  return (
+    <div className="p-6 max-h-[90vh] overflow-y-auto bg-gray-50 w-full">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Doctor Payouts</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Each completed payment records the doctor&apos;s earning after commission; refunds take back the same share.
+        </p>
+      </div>
+
+      {/* Commission rates */}
+      <div className="bg-white rounded-lg p-6 shadow-sm border border-gray-200 mb-6">
+        <h2 className="text-lg font-semibold text-gray-800">Commission rates</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          A doctor&apos;s own rate wins over their speciality&apos;s; otherwise the platform default
+          {defaultRate !== null ? ` of ${defaultRate}%` : ""} applies. Changes affect payments completed from now on.
+        </p>
+        <form onSubmit={saveRate} className="flex flex-wrap items-end gap-3 mb-4">
+          <select
+            value={rateForm.scope}
+            onChange={(e) => setRateForm({ scope: e.target.value, target: "", rate: rateForm.rate })}
+            className={inputClass}
+          >
+            <option value="doctor">Doctor</option>
+            <option value="speciality">Speciality</option>
+          </select>
+          <select
+            value={rateForm.target}
+            onChange={(e) => setRateForm((prev) => ({ ...prev, target: e.target.value }))}
+            required
+            className={inputClass}
+          >
+            <option value="">Select…</option>
+            {rateForm.scope === "doctor"
+              ? doctors.map((doctor) => (
+                  <option key={doctor._id} value={doctor._id}>
+                    {doctor.name}
+                  </option>
+                ))
+              : getSnakeCaseSpecialities().map((speciality) => (
+                  <option key={speciality} value={speciality}>
+                    {formatSpeciality(speciality)}
+                  </option>
+                ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.1"
+            placeholder="Rate %"
+            value={rateForm.rate}
+            onChange={(e) => setRateForm((prev) => ({ ...prev, rate: e.target.value }))}
+            required
+            className={`${inputClass} w-28`}
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm"
+          >
+            Save rate
+          </button>
+        </form>
+        {rates.length === 0 ? (
+          <p className="text-sm text-gray-500">No custom rates; every doctor pays the default.</p>
+        ) : (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {rates.map((rate) => (
+              <div key={rate._id} className="flex items-center justify-between px-4 py-2">
+                <p className="text-sm text-gray-900">
+                  <span className="text-xs uppercase text-gray-500 mr-2">{rate.scope}</span>
+                  {describeTarget(rate)}
+                </p>
+                <div className="flex items-center gap-4">
+                  <p className="text-sm font-semibold text-gray-900">{rate.rate}%</p>
+                  <button
+                    onClick={() => removeRate(rate)}
+                    className="text-sm text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Payout statements */}
+      <div className="flex flex-wrap items-end justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          {["", "pending", "paid"].map((status) => (
+            <button
+              key={status || "all"}
+              onClick={() => setStatusFilter(status)}
+              className={`px-3 py-1 rounded-full text-sm ${
+                statusFilter === status ? "bg-blue-600 text-white" : "bg-white border border-gray-300 text-gray-700"
+              }`}
+            >
+              {status ? status[0].toUpperCase() + status.slice(1) : "All"}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="month"
+            value={period}
+            max={previousPeriod()}
+            onChange={(e) => setPeriod(e.target.value)}
+            className={inputClass}
+          />
+          <button
+            onClick={generateStatements}
+            disabled={isGenerating || !period}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+          >
+            {isGenerating ? "Generating…" : "Generate statements"}
+          </button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : payouts.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <p className="text-gray-500 text-lg">No payout statements</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="hidden md:grid grid-cols-[1fr_2fr_1.5fr_1.5fr_1.5fr_2fr_2fr] gap-4 py-4 px-6 border-b bg-gray-50">
+            <p className="text-sm font-medium text-gray-700">Month</p>
+            <p className="text-sm font-medium text-gray-700">Doctor</p>
+            <p className="text-sm font-medium text-gray-700">Fees</p>
+            <p className="text-sm font-medium text-gray-700">Commission</p>
+            <p className="text-sm font-medium text-gray-700">Payable</p>
+            <p className="text-sm font-medium text-gray-700">Status</p>
+            <p className="text-sm font-medium text-gray-700">Actions</p>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {payouts.map((payout) => (
+              <div
+                key={payout._id}
+                className="grid grid-cols-1 md:grid-cols-[1fr_2fr_1.5fr_1.5fr_1.5fr_2fr_2fr] gap-2 md:gap-4 py-4 px-6 hover:bg-gray-50 transition-colors"
+              >
+                <p className="text-sm font-medium text-gray-900">{payout.period}</p>
+                <div>
+                  <p className="text-sm text-gray-900">{payout.doctor.name}</p>
+                  <p className="text-xs text-gray-500">{payout.entryCount} entries</p>
+                </div>
+                <p className="text-sm text-gray-900">{formatAmount(payout.grossAmount)}</p>
+                <p className="text-sm text-gray-600">{formatAmount(payout.commissionAmount)}</p>
+                <p className="text-sm font-semibold text-gray-900">{formatAmount(payout.netAmount)}</p>
+                {payout.status === "paid" ? (
+                  <div>
+                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                      Paid
+                    </span>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {new Date(payout.paidAt).toLocaleDateString()} · Ref. {payout.reference}
+                    </p>
+                  </div>
+                ) : (
+                  <span className="self-start w-fit px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                    Pending
+                  </span>
+                )}
+                <div className="flex flex-wrap gap-2 items-start">
+                  {payout.status === "pending" && (
+                    <button
+                      onClick={() => markPaid(payout)}
+                      className="px-3 py-1 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700"
+                    >
+                      Mark paid
+                    </button>
+                  )}
+                  <button
+                    onClick={() => downloadStatement(payout)}
+                    className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                  >
+                    Statement
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Payouts;
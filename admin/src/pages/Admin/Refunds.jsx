@@ -0,0 +1,272 @@
+/**
+ * Refunds page component for admin panel.
+ * Lists refund requests created by cancellations or by admins, lets the admin
+ * approve them so they are sent to the payment gateway, record refunds issued
+ * outside the gateway (e.g. from the eSewa portal) and request new refunds.
+ *
+ * @module pages/Admin/Refunds
+ */
+
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import { toast } from "react-toastify";
+import axios from "axios";
+
+const STATUS_STYLES = {
+  requested: "bg-yellow-100 text-yellow-800",
+  approved: "bg-blue-100 text-blue-800",
+  processed: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+const STATUS_FILTERS = ["requested", "failed", "processed", "approved"];
+
+const Refunds = () => {
+  const { backendUrl, token } = useContext(AdminContext);
+  const [refunds, setRefunds] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [statusFilter, setStatusFilter] = useState("requested");
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [newRefund, setNewRefund] = useState({ appointmentId: "", amount: "", reason: "" });
+
+  const fetchRefunds = async () => {
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get(
+        `${backendUrl}/api/admin/refunds?status=${statusFilter}`,
+        { headers: { token } }
+      );
+      if (data.success) {
+        setRefunds(data.refunds);
+        setCounts(data.counts);
+      } else {
+        toast.error(data.message || "Failed to fetch refunds");
+      }
+    } catch (error) {
+      console.error("Error fetching refunds:", error);
+      toast.error("Failed to fetch refunds");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const approveRefund = async (refund) => {
+    try {
+      setBusyId(refund._id);
+      const { data } = await axios.post(
+        `${backendUrl}/api/admin/refunds/${refund._id}/approve`,
+        {},
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+      } else {
+        toast.error(data.message);
+      }
+      fetchRefunds();
+    } catch (error) {
+      console.error("Error approving refund:", error);
+      toast.error("Failed to approve refund");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // For refunds issued outside the gateway API, such as eSewa portal refunds
+  const recordRefund = async (refund) => {
+    const refId = window.prompt("Gateway reference of the refund issued from the merchant portal:");
+    if (!refId) return;
+    try {
+      setBusyId(refund._id);
+      const { data } = await axios.post(
+        `${backendUrl}/api/admin/refunds/${refund._id}/record`,
+        { refId },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        fetchRefunds();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error recording refund:", error);
+      toast.error("Failed to record refund");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const createRefund = async (event) => {
+    event.preventDefault();
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/admin/refunds`,
+        {
+          appointmentId: newRefund.appointmentId.trim(),
+          amount: newRefund.amount === "" ? undefined : Number(newRefund.amount),
+          reason: newRefund.reason,
+        },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        setNewRefund({ appointmentId: "", amount: "", reason: "" });
+        setStatusFilter("requested");
+        fetchRefunds();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error requesting refund:", error);
+      toast.error("Failed to request refund");
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      fetchRefunds();
+    }
+  }, [token, statusFilter]);
+
+  return (
+    <div className="p-6 max-h-[90vh] overflow-y-auto bg-gray-50 w-full">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Refunds</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Approving a refund sends it to the payment gateway. eSewa refunds are issued from the eSewa merchant portal and recorded here.
+        </p>
+      </div>
+
+      {/* Request a refund for an appointment */}
+      <form
+        onSubmit={createRefund}
+        className="bg-white rounded-lg p-4 shadow-sm border border-gray-200 mb-6 grid grid-cols-1 md:grid-cols-[2fr_1fr_2fr_auto] gap-3"
+      >
+        <input
+          value={newRefund.appointmentId}
+          onChange={(e) => setNewRefund({ ...newRefund, appointmentId: e.target.value })}
+          placeholder="Appointment ID"
+          required
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={newRefund.amount}
+          onChange={(e) => setNewRefund({ ...newRefund, amount: e.target.value })}
+          placeholder="Amount (default: all)"
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <input
+          value={newRefund.reason}
+          onChange={(e) => setNewRefund({ ...newRefund, reason: e.target.value })}
+          placeholder="Reason"
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm"
+        >
+          Request refund
+        </button>
+      </form>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_FILTERS.map((status) => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium capitalize transition-colors ${
+              statusFilter === status
+                ? "bg-blue-600 text-white"
+                : "bg-white text-gray-600 border border-gray-200 hover:bg-gray-50"
+            }`}
+          >
+            {status} ({counts[status] || 0})
+          </button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : refunds.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <p className="text-gray-500 text-lg">No {statusFilter} refunds</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="hidden md:grid grid-cols-[1.5fr_2fr_1fr_1fr_2fr_1fr_1.5fr] gap-4 py-4 px-6 border-b bg-gray-50">
+            <p className="text-sm font-medium text-gray-700">Requested</p>
+            <p className="text-sm font-medium text-gray-700">Patient / Transaction</p>
+            <p className="text-sm font-medium text-gray-700">Amount</p>
+            <p className="text-sm font-medium text-gray-700">Source</p>
+            <p className="text-sm font-medium text-gray-700">Reason</p>
+            <p className="text-sm font-medium text-gray-700">Status</p>
+            <p className="text-sm font-medium text-gray-700">Actions</p>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {refunds.map((refund) => (
+              <div
+                key={refund._id}
+                className="grid grid-cols-1 md:grid-cols-[1.5fr_2fr_1fr_1fr_2fr_1fr_1.5fr] gap-2 md:gap-4 py-4 px-6 hover:bg-gray-50 transition-colors"
+              >
+                <p className="text-sm text-gray-900">{new Date(refund.createdAt).toLocaleString()}</p>
+                <div>
+                  <p className="font-medium text-gray-900">{refund.paymentId?.user?.name || "—"}</p>
+                  <p className="text-xs font-mono text-gray-500">{refund.paymentId?.transaction_uuid}</p>
+                  <p className="text-xs text-gray-500 uppercase">
+                    {refund.destination === "wallet" ? "To wallet" : refund.gateway}
+                  </p>
+                </div>
+                <p className="text-sm text-gray-900">
+                  {refund.amount}
+                  <span className="text-xs text-gray-500"> / {refund.paymentId?.total_amount}</span>
+                </p>
+                <p className="text-sm text-gray-600 capitalize">{refund.source}</p>
+                <div>
+                  <p className="text-sm text-gray-600">{refund.reason || "—"}</p>
+                  {refund.failureReason && (
+                    <p className="text-xs text-red-600 mt-1">{refund.failureReason}</p>
+                  )}
+                  {refund.gatewayRefId && (
+                    <p className="text-xs text-gray-500 mt-1">Ref: {refund.gatewayRefId}</p>
+                  )}
+                </div>
+                <span className={`self-start w-fit px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[refund.status]}`}>
+                  {refund.status}
+                </span>
+                <div className="flex flex-col gap-2">
+                  {["requested", "failed"].includes(refund.status) && (
+                    <>
+                      <button
+                        onClick={() => approveRefund(refund)}
+                        disabled={busyId === refund._id}
+                        className="px-3 py-1 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                      >
+                        {refund.status === "failed" ? "Retry" : "Approve"}
+                      </button>
+                      <button
+                        onClick={() => recordRefund(refund)}
+                        disabled={busyId === refund._id}
+                        className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        Record manual refund
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Refunds;
@@ -0,0 +1,261 @@
+/**
+ * Patient wallets page component for admin panel.
+ * Looks up a patient's wallet by email or phone number, shows its balance and full history,
+ * and adds manual adjustments or promotional credit with a note the patient
+ * sees in their history.
+ *
+ * @module pages/Admin/Wallets
+ */
+
+import { useContext, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import { AppContext } from "../../context/AppContext";
+import { toast } from "react-toastify";
+import axios from "axios";
+
+const EMPTY_FORM = {
+  type: "credit",
+  source: "adjustment",
+  amount: "",
+  note: "",
+};
+
+// Labels for the reasons a wallet transaction was made
+const SOURCE_LABELS = {
+  refund: "Refund",
+  adjustment: "Adjustment",
+  promotion: "Promotion",
+  checkout: "Appointment payment",
+  "checkout-release": "Payment returned",
+};
+
+const Wallets = () => {
+  const { backendUrl, token } = useContext(AdminContext);
+  const { currency } = useContext(AppContext);
+  const [email, setEmail] = useState("");
+  const [wallet, setWallet] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchWallet = async (query) => {
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get(`${backendUrl}/api/admin/wallets`, {
+        params: query,
+        headers: { token },
+      });
+      if (data.success) {
+        setWallet(data);
+      } else {
+        setWallet(null);
+        toast.error(data.message || "Failed to fetch wallet");
+      }
+    } catch (error) {
+      console.error("Error fetching wallet:", error);
+      setWallet(null);
+      toast.error(error.response?.data?.message || "Failed to fetch wallet");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const searchWallet = (event) => {
+    event.preventDefault();
+    const search = email.trim();
+    if (!search) return;
+    // Patients who signed up by phone have no email
+    fetchWallet(search.includes("@") ? { email: search } : { phone: search });
+  };
+
+  const updateField = (key, value) =>
+    setForm((prev) => ({
+      ...prev,
+      [key]: value,
+      // Promotions can only credit the wallet
+      ...(key === "source" && value === "promotion" ? { type: "credit" } : {}),
+    }));
+
+  const adjustWallet = async (event) => {
+    event.preventDefault();
+    const action = form.type === "credit" ? "Credit" : "Debit";
+    if (!window.confirm(`${action} ${currency}${form.amount} to ${wallet.user.name}'s wallet?`)) return;
+    try {
+      setIsSaving(true);
+      const { data } = await axios.post(
+        `${backendUrl}/api/admin/wallets/${wallet.user._id}/adjust`,
+        { ...form, amount: Number(form.amount) },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        setForm(EMPTY_FORM);
+        fetchWallet({ userId: wallet.user._id });
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error adjusting wallet:", error);
+      toast.error("Failed to adjust wallet");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = "w-full border border-gray-300 rounded-lg px-3 py-2 text-sm";
+
+  return (
+    <div className="p-6 max-h-[90vh] overflow-y-auto bg-gray-50 w-full">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Patient Wallets</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Balances are computed from each patient&apos;s wallet history. Every adjustment is recorded there.
+        </p>
+      </div>
+
+      {/* Look up a patient */}
+      <form
+        onSubmit={searchWallet}
+        className="bg-white rounded-lg p-6 shadow-sm border border-gray-200 mb-6 flex flex-col sm:flex-row gap-3"
+      >
+        <input
+          type="text"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Patient email or phone number"
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="px-6 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isLoading ? "Searching..." : "Find wallet"}
+        </button>
+      </form>
+
+      {wallet && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+            <div className="bg-white rounded-lg p-6 shadow-sm border border-gray-200 md:col-span-1">
+              <p className="text-sm text-gray-500">{wallet.user.name}</p>
+              <p className="text-xs text-gray-400">{wallet.user.email || wallet.user.phone}</p>
+              <p className="text-sm text-gray-500 mt-4">Balance</p>
+              <p className="text-3xl font-bold text-green-600">
+                {currency}{wallet.balance}
+              </p>
+            </div>
+
+            {/* Credit or debit the wallet */}
+            <form
+              onSubmit={adjustWallet}
+              className="bg-white rounded-lg p-6 shadow-sm border border-gray-200 md:col-span-2 space-y-4"
+            >
+              <h2 className="text-lg font-semibold text-gray-800">Adjust balance</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm text-gray-600 mb-1">Reason</label>
+                  <select
+                    value={form.source}
+                    onChange={(e) => updateField("source", e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value="adjustment">Adjustment</option>
+                    <option value="promotion">Promotional credit</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-600 mb-1">Type</label>
+                  <select
+                    value={form.type}
+                    onChange={(e) => updateField("type", e.target.value)}
+                    disabled={form.source === "promotion"}
+                    className={inputClass}
+                  >
+                    <option value="credit">Credit</option>
+                    <option value="debit">Debit</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-600 mb-1">Amount ({currency})</label>
+                  <input
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={form.amount}
+                    onChange={(e) => updateField("amount", e.target.value)}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm text-gray-600 mb-1">Note shown to the patient</label>
+                <input
+                  value={form.note}
+                  onChange={(e) => updateField("note", e.target.value)}
+                  placeholder="e.g. Goodwill credit for the long wait"
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSaving ? "Saving..." : "Save"}
+              </button>
+            </form>
+          </div>
+
+          {/* Wallet history */}
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th className="text-left px-4 py-3 font-medium">Date</th>
+                  <th className="text-left px-4 py-3 font-medium">Reason</th>
+                  <th className="text-left px-4 py-3 font-medium">Note</th>
+                  <th className="text-left px-4 py-3 font-medium">By</th>
+                  <th className="text-right px-4 py-3 font-medium">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {wallet.transactions.length === 0 ? (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-6 text-center text-gray-500">
+                      No wallet activity yet
+                    </td>
+                  </tr>
+                ) : (
+                  wallet.transactions.map((transaction) => (
+                    <tr key={transaction._id}>
+                      <td className="px-4 py-3 text-gray-600 whitespace-nowrap">
+                        {new Date(transaction.createdAt).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3 text-gray-800">
+                        {SOURCE_LABELS[transaction.source] || transaction.source}
+                      </td>
+                      <td className="px-4 py-3 text-gray-600">{transaction.note || "—"}</td>
+                      <td className="px-4 py-3 text-gray-600 capitalize">{transaction.createdBy?.role}</td>
+                      <td
+                        className={`px-4 py-3 text-right font-semibold whitespace-nowrap ${
+                          transaction.type === "credit" ? "text-green-600" : "text-gray-700"
+                        }`}
+                      >
+                        {transaction.type === "credit" ? "+" : "−"}{currency}{transaction.amount}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Wallets;
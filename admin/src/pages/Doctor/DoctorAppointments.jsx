@@ -10,9 +10,17 @@ import { useContext, useState, useEffect } from "react";
 import { DoctorContext } from "../../context/DoctorContext";
 import { AppContext } from "../../context/AppContext";
 import { assets } from "../../assets/assets";
+import appointmentStatuses, {
+  activeStatuses,
+  doctorTransitions,
+  getStatusColor,
+  getStatusLabel,
+  isPayAtClinic,
+  payableStatuses,
+} from "../../config/appointmentStatus";
 
 const DoctorAppointments = () => {
-  const { appointments, appointmentStats, loading, getAppointments } = useContext(DoctorContext);
+  const { appointments, appointmentStats, loading, getAppointments, updateAppointmentStatus, collectCash } = useContext(DoctorContext);
   const { slotDateFormat, calculateAge } = useContext(AppContext);
   
   // Local state for enhanced functionality
@@ -25,8 +33,8 @@ const DoctorAppointments = () => {
   // Pagination settings
   const itemsPerPage = 8;
 
-  // Get unique statuses for filter
-  const statuses = ["pending", "completed", "cancelled"];
+  // Statuses for filter; "pending" groups every open status
+  const statuses = ["pending", ...Object.keys(appointmentStatuses)];
 
   /**
    * useEffect hook to fetch appointments when component mounts.
@@ -39,13 +47,14 @@ const DoctorAppointments = () => {
    * Handles appointment status update
    */
   const handleStatusUpdate = async (appointmentId, newStatus) => {
+    let reason;
+    if (newStatus === 'cancelled') {
+      reason = window.prompt("Please enter a reason for cancelling this appointment:");
+      if (!reason || !reason.trim()) return;
+    }
     setUpdatingStatus(appointmentId);
     try {
-      // Here you would call the API to update appointment status
-      // For now, we'll just simulate the update
-      console.log(`Updating appointment ${appointmentId} to ${newStatus}`);
-      // await updateAppointmentStatus(appointmentId, newStatus);
-      // await getAppointments(); // Refresh data
+      await updateAppointmentStatus(appointmentId, newStatus, reason);
     } catch (error) {
       console.error("Error updating appointment status:", error);
     } finally {
@@ -53,6 +62,19 @@ const DoctorAppointments = () => {
     }
   };
 
+  /**
+   * Records cash taken from the patient at the clinic
+   */
+  const handleCollectCash = async (appointment) => {
+    if (!window.confirm(`Record ${formatCurrency(appointment.amount)} collected in cash from ${appointment.userData.name}?`)) return;
+    setUpdatingStatus(appointment._id);
+    try {
+      await collectCash(appointment._id);
+    } finally {
+      setUpdatingStatus(null);
+    }
+  };
+
   /**
    * Filters appointments based on search term and filters
    */
@@ -63,9 +85,8 @@ const DoctorAppointments = () => {
       appointment.status?.toLowerCase().includes(searchTerm.toLowerCase());
     
     const matchesStatus = filterStatus === "all" || 
-      (filterStatus === "pending" && !appointment.cancelled && !appointment.isCompleted) ||
-      (filterStatus === "completed" && appointment.isCompleted) ||
-      (filterStatus === "cancelled" && appointment.cancelled);
+      (filterStatus === "pending" && activeStatuses.includes(appointment.status)) ||
+      appointment.status === filterStatus;
     
     const matchesDate = !filterDate || appointment.slotDate === filterDate;
     
@@ -91,21 +112,34 @@ const DoctorAppointments = () => {
   };
 
   /**
-   * Gets status text for appointments
-   */
-  const getStatusText = (cancelled, isCompleted) => {
-    if (cancelled) return 'Cancelled';
-    if (isCompleted) return 'Completed';
-    return 'Pending';
-  };
-
-  /**
-   * Gets status color for appointments
+   * Action buttons for each status a doctor can move an appointment to
    */
-  const getStatusColor = (cancelled, isCompleted) => {
-    if (cancelled) return 'bg-red-100 text-red-800';
-    if (isCompleted) return 'bg-green-100 text-green-800';
-    return 'bg-yellow-100 text-yellow-800';
+  const statusActions = {
+    confirmed: {
+      title: "Confirm Appointment",
+      className: "text-blue-600 hover:text-blue-800 hover:bg-blue-50",
+      icon: "M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z",
+    },
+    "checked-in": {
+      title: "Check In Patient",
+      className: "text-purple-600 hover:text-purple-800 hover:bg-purple-50",
+      icon: "M11 16l-4-4m0 0l4-4m-4 4h14m-5 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h7a3 3 0 013 3v1",
+    },
+    completed: {
+      title: "Mark as Completed",
+      className: "text-green-600 hover:text-green-800 hover:bg-green-50",
+      icon: "M5 13l4 4L19 7",
+    },
+    "no-show": {
+      title: "Mark as No-show",
+      className: "text-gray-600 hover:text-gray-800 hover:bg-gray-100",
+      icon: "M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636",
+    },
+    cancelled: {
+      title: "Cancel Appointment",
+      className: "text-red-600 hover:text-red-800 hover:bg-red-50",
+      icon: "M6 18L18 6M6 6l12 12",
+    },
   };
 
   /**
@@ -227,7 +261,7 @@ const DoctorAppointments = () => {
               >
                 <option value="all">All Status</option>
                 {statuses.map(status => (
-                  <option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</option>
+                  <option key={status} value={status}>{status === "pending" ? "Pending" : getStatusLabel(status)}</option>
                 ))}
               </select>
             </div>
@@ -303,8 +337,8 @@ const DoctorAppointments = () => {
                     <div className="md:hidden mb-3">
                       <div className="flex items-center justify-between mb-2">
                         <span className="text-sm font-medium text-gray-700">#{appointment._id.slice(-6)}</span>
-                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.cancelled, appointment.isCompleted)}`}>
-                          {getStatusText(appointment.cancelled, appointment.isCompleted)}
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
+                          {getStatusLabel(appointment.status)}
                         </span>
                       </div>
                     </div>
@@ -354,42 +388,46 @@ const DoctorAppointments = () => {
                     </div>
 
                     {/* Status */}
-                    <div className="hidden md:flex items-center">
-                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.cancelled, appointment.isCompleted)}`}>
-                        {getStatusText(appointment.cancelled, appointment.isCompleted)}
+                    <div className="hidden md:flex flex-col items-start justify-center gap-1">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
+                        {getStatusLabel(appointment.status)}
                       </span>
+                      {isPayAtClinic(appointment) && (
+                        <span className="text-xs text-gray-500">Pays at clinic</span>
+                      )}
                     </div>
 
                     {/* Actions */}
                     <div className="flex items-center gap-2">
-                      {!appointment.cancelled && !appointment.isCompleted && (
-                        <>
-                          <button
-                            onClick={() => handleStatusUpdate(appointment._id, 'completed')}
-                            disabled={updatingStatus === appointment._id}
-                            className="p-2 text-green-600 hover:text-green-800 hover:bg-green-50 rounded-lg transition-colors disabled:opacity-50"
-                            title="Mark as Completed"
-                          >
-                            {updatingStatus === appointment._id ? (
-                              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-green-600"></div>
-                            ) : (
-                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                              </svg>
-                            )}
-                          </button>
-                          <button
-                            onClick={() => handleStatusUpdate(appointment._id, 'cancelled')}
-                            disabled={updatingStatus === appointment._id}
-                            className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
-                            title="Cancel Appointment"
-                          >
+                      {payableStatuses.includes(appointment.status) && (
+                        <button
+                          onClick={() => handleCollectCash(appointment)}
+                          disabled={updatingStatus === appointment._id}
+                          className="p-2 rounded-lg transition-colors disabled:opacity-50 text-emerald-600 hover:text-emerald-800 hover:bg-emerald-50"
+                          title="Cash Collected"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z" />
+                          </svg>
+                        </button>
+                      )}
+                      {(doctorTransitions[appointment.status] || []).map((nextStatus) => (
+                        <button
+                          key={nextStatus}
+                          onClick={() => handleStatusUpdate(appointment._id, nextStatus)}
+                          disabled={updatingStatus === appointment._id}
+                          className={`p-2 rounded-lg transition-colors disabled:opacity-50 ${statusActions[nextStatus].className}`}
+                          title={statusActions[nextStatus].title}
+                        >
+                          {updatingStatus === appointment._id ? (
+                            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current"></div>
+                          ) : (
                             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={statusActions[nextStatus].icon} />
                             </svg>
-                          </button>
-                        </>
-                      )}
+                          )}
+                        </button>
+                      ))}
                       <button
                         className="p-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-lg transition-colors"
                         title="View Details"
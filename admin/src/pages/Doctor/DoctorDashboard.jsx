@@ -10,6 +10,7 @@ import { useContext, useState, useEffect } from "react";
 import { DoctorContext } from "../../context/DoctorContext";
 import { AppContext } from "../../context/AppContext";
 import { assets } from "../../assets/assets";
+import { getStatusColor, getStatusLabel } from "../../config/appointmentStatus";
 
 const DoctorDashboard = () => {
   const { appointments, appointmentStats, loading, getAppointments } = useContext(DoctorContext);
@@ -40,24 +41,6 @@ const DoctorDashboard = () => {
     }).format(amount);
   };
 
-  /**
-   * Gets status text for appointments
-   */
-  const getStatusText = (cancelled, isCompleted) => {
-    if (cancelled) return 'Cancelled';
-    if (isCompleted) return 'Completed';
-    return 'Pending';
-  };
-
-  /**
-   * Gets status color for appointments
-   */
-  const getStatusColor = (cancelled, isCompleted) => {
-    if (cancelled) return 'bg-red-100 text-red-800';
-    if (isCompleted) return 'bg-green-100 text-green-800';
-    return 'bg-yellow-100 text-yellow-800';
-  };
-
   /**
    * Calculate weekly trends for the last 7 days
    */
@@ -341,8 +324,8 @@ const DoctorDashboard = () => {
                     </div>
                     
                     <div className="flex items-center gap-3">
-                      <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.cancelled, appointment.isCompleted)}`}>
-                        {getStatusText(appointment.cancelled, appointment.isCompleted)}
+                      <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
+                        {getStatusLabel(appointment.status)}
                       </span>
                       <div className="text-right">
                         <p className="text-sm font-medium text-gray-900">
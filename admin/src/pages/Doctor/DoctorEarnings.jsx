@@ -0,0 +1,162 @@
+/**
+ * DoctorEarnings page component for doctor panel.
+ * Shows the doctor's earnings after platform commission month by month, the
+ * balance not yet settled in a payout, and payout statements, with a PDF
+ * statement to download for each month.
+ *
+ * @module pages/Doctor/DoctorEarnings
+ */
+
+import { useContext, useEffect, useState } from "react";
+import { DoctorContext } from "../../context/DoctorContext";
+import { AppContext } from "../../context/AppContext";
+
+const DoctorEarnings = () => {
+  const { earnings, getEarnings, downloadStatement } = useContext(DoctorContext);
+  const { currency } = useContext(AppContext);
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Fetches earnings with loading state
+   */
+  const fetchEarnings = async () => {
+    setLoading(true);
+    try {
+      await getEarnings();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEarnings();
+  }, []);
+
+  /**
+   * Formats an amount in rupees
+   */
+  const formatAmount = (amount) =>
+    `${amount < 0 ? "-" : ""}${currency} ${Math.abs(amount || 0).toLocaleString("en-IN", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
+
+  /**
+   * Formats a 'YYYY-MM' period as a month name
+   */
+  const formatPeriod = (period) => {
+    const [year, month] = period.split("-").map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString("en-GB", { month: "long", year: "numeric" });
+  };
+
+  const payoutByPeriod = new Map((earnings?.payouts || []).map((payout) => [payout.period, payout]));
+
+  return (
+    <div className="p-6 max-h-[90vh] overflow-y-auto bg-gray-50">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Earnings</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Consultation fees after the platform commission
+            {earnings ? ` (currently ${earnings.commissionRate}%)` : ""}. Refunds are deducted in the month they are processed.
+          </p>
+        </div>
+        <button
+          onClick={fetchEarnings}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+          </svg>
+          Refresh
+        </button>
+      </div>
+
+      {loading && !earnings ? (
+        <div className="flex justify-center items-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : !earnings ? null : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+              <p className="text-sm font-medium text-gray-600">Not yet settled</p>
+              <p className="text-2xl font-bold text-gray-900">{formatAmount(earnings.unsettled.netAmount)}</p>
+              <p className="text-xs text-gray-500 mt-1">Included in the next payout statement</p>
+            </div>
+            <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+              <p className="text-sm font-medium text-gray-600">Awaiting payment</p>
+              <p className="text-2xl font-bold text-yellow-600">{formatAmount(earnings.awaitingPayment)}</p>
+              <p className="text-xs text-gray-500 mt-1">Statements generated but not paid yet</p>
+            </div>
+            <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+              <p className="text-sm font-medium text-gray-600">Paid out</p>
+              <p className="text-2xl font-bold text-green-600">{formatAmount(earnings.paidOut)}</p>
+            </div>
+          </div>
+
+          {earnings.months.length === 0 ? (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+              <p className="text-gray-500 text-lg">No earnings yet</p>
+            </div>
+          ) : (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+              <div className="hidden md:grid grid-cols-[1.5fr_1fr_1.5fr_1.5fr_1.5fr_2fr_1.5fr] gap-4 py-4 px-6 border-b bg-gray-50">
+                <p className="text-sm font-medium text-gray-700">Month</p>
+                <p className="text-sm font-medium text-gray-700">Entries</p>
+                <p className="text-sm font-medium text-gray-700">Fees</p>
+                <p className="text-sm font-medium text-gray-700">Commission</p>
+                <p className="text-sm font-medium text-gray-700">Earnings</p>
+                <p className="text-sm font-medium text-gray-700">Payout</p>
+                <p className="text-sm font-medium text-gray-700">Statement</p>
+              </div>
+              <div className="divide-y divide-gray-200">
+                {earnings.months.map((month) => {
+                  const payout = payoutByPeriod.get(month.period);
+                  return (
+                    <div
+                      key={month.period}
+                      className="grid grid-cols-1 md:grid-cols-[1.5fr_1fr_1.5fr_1.5fr_1.5fr_2fr_1.5fr] gap-2 md:gap-4 py-4 px-6 hover:bg-gray-50 transition-colors"
+                    >
+                      <p className="font-medium text-gray-900">{formatPeriod(month.period)}</p>
+                      <p className="text-sm text-gray-900">{month.entryCount}</p>
+                      <p className="text-sm text-gray-900">{formatAmount(month.grossAmount)}</p>
+                      <p className="text-sm text-gray-600">{formatAmount(month.commissionAmount)}</p>
+                      <p className="text-sm font-semibold text-gray-900">{formatAmount(month.netAmount)}</p>
+                      {!payout ? (
+                        <span className="self-start w-fit px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                          Not settled
+                        </span>
+                      ) : payout.status === "paid" ? (
+                        <div>
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                            Paid {formatAmount(payout.netAmount)}
+                          </span>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {new Date(payout.paidAt).toLocaleDateString()} · Ref. {payout.reference}
+                          </p>
+                        </div>
+                      ) : (
+                        <span className="self-start w-fit px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                          {formatAmount(payout.netAmount)} pending
+                        </span>
+                      )}
+                      <button
+                        onClick={() => downloadStatement(month.period)}
+                        className="self-start w-fit px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                      >
+                        Download PDF
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DoctorEarnings;
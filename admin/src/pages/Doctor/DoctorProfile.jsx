@@ -11,6 +11,15 @@ import { DoctorContext } from "../../context/DoctorContext";
 import axios from "axios";
 import { toast } from "react-toastify";
 
+const WEEK_DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const DEFAULT_SCHEDULE = {
+  weeklyHours: WEEK_DAYS.map((_, day) => ({ day, start: "10:00", end: "21:00" })),
+  slotDuration: 30,
+  breaks: [],
+  bookingHorizonDays: 7,
+};
+
 const DoctorProfile = () => {
   const { dtoken, backendUrl, appointmentStats, getAppointments } = useContext(DoctorContext);
   const [loading, setLoading] = useState(false);
@@ -34,15 +43,37 @@ const DoctorProfile = () => {
       zipCode: ""
     }
   });
+  const [schedule, setSchedule] = useState(DEFAULT_SCHEDULE);
 
   /**
    * useEffect hook to fetch doctor profile and appointments when component mounts.
    */
   useEffect(() => {
     fetchDoctorProfile();
+    fetchSchedule();
     getAppointments(); // Also fetch appointments for statistics
   }, []);
 
+  /**
+   * Fetches the doctor's weekly schedule
+   */
+  const fetchSchedule = async () => {
+    try {
+      const { data } = await axios.get(`${backendUrl}/api/doctor/schedule`, {
+        headers: { dtoken }
+      });
+
+      if (data.success) {
+        setSchedule(data.schedule);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error fetching schedule:", error);
+      toast.error("Failed to fetch schedule");
+    }
+  };
+
   /**
    * Fetches doctor profile data
    */
@@ -110,6 +141,62 @@ const DoctorProfile = () => {
     }
   };
 
+  /**
+   * Returns the working hours for a weekday, or undefined if the doctor is off that day
+   */
+  const getDayHours = (day) => schedule.weeklyHours.find((range) => range.day === day);
+
+  /**
+   * Toggles a weekday on or off in the schedule
+   */
+  const toggleWorkingDay = (day) => {
+    setSchedule(prev => ({
+      ...prev,
+      weeklyHours: prev.weeklyHours.some((range) => range.day === day)
+        ? prev.weeklyHours.filter((range) => range.day !== day)
+        : [...prev.weeklyHours, { day, start: "10:00", end: "17:00" }].sort((a, b) => a.day - b.day)
+    }));
+  };
+
+  /**
+   * Updates the start or end time of a weekday
+   */
+  const handleDayHoursChange = (day, field, value) => {
+    setSchedule(prev => ({
+      ...prev,
+      weeklyHours: prev.weeklyHours.map((range) =>
+        range.day === day ? { ...range, [field]: value } : range
+      )
+    }));
+  };
+
+  /**
+   * Updates a field of a break; an empty day means the break applies every day
+   */
+  const handleBreakChange = (index, field, value) => {
+    setSchedule(prev => ({
+      ...prev,
+      breaks: prev.breaks.map((pause, i) =>
+        i === index
+          ? { ...pause, [field]: field === "day" ? (value === "" ? null : Number(value)) : value }
+          : pause
+      )
+    }));
+  };
+
+  /**
+   * Saves the weekly schedule
+   */
+  const saveSchedule = async () => {
+    const { data } = await axios.put(`${backendUrl}/api/doctor/schedule`, { schedule }, {
+      headers: { dtoken }
+    });
+    if (!data.success) {
+      throw new Error(data.message);
+    }
+    setSchedule(data.schedule);
+  };
+
   /**
    * Handles form submission
    */
@@ -123,6 +210,7 @@ const DoctorProfile = () => {
       });
 
       if (data.success) {
+        await saveSchedule();
         toast.success("Profile updated successfully");
         setIsEditing(false);
         await fetchDoctorProfile();
@@ -131,7 +219,7 @@ const DoctorProfile = () => {
       }
     } catch (error) {
       console.error("Error updating profile:", error);
-      toast.error("Failed to update profile");
+      toast.error(error.response?.data?.message || error.message || "Failed to update profile");
     } finally {
       setSaving(false);
     }
@@ -271,10 +359,12 @@ const DoctorProfile = () => {
                     {[
                       { id: 'personal', label: 'Personal Info', icon: 'M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z' },
                       { id: 'professional', label: 'Professional', icon: 'M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4' },
-                      { id: 'contact', label: 'Contact', icon: 'M3 8l7.89 4.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z' }
+                      { id: 'contact', label: 'Contact', icon: 'M3 8l7.89 4.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z' },
+                      { id: 'schedule', label: 'Schedule', icon: 'M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z' }
                     ].map((tab) => (
                       <button
                         key={tab.id}
+                        type="button"
                         onClick={() => setActiveTab(tab.id)}
                         className={`flex items-center gap-2 py-4 px-2 border-b-2 font-medium text-sm transition-all duration-300 ${
                           activeTab === tab.id
@@ -494,6 +584,141 @@ const DoctorProfile = () => {
                       </div>
                     )}
 
+                    {/* Schedule Tab */}
+                    {activeTab === 'schedule' && (
+                      <div className="space-y-6">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                          <div>
+                            <label className="block text-sm font-semibold text-gray-700 mb-3">Slot Length (minutes)</label>
+                            <input
+                              type="number"
+                              value={schedule.slotDuration}
+                              onChange={(e) => setSchedule(prev => ({ ...prev, slotDuration: Number(e.target.value) }))}
+                              disabled={!isEditing}
+                              className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-50 transition-all duration-300"
+                              min="5"
+                              max="240"
+                              step="5"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-sm font-semibold text-gray-700 mb-3">Booking Horizon (days)</label>
+                            <input
+                              type="number"
+                              value={schedule.bookingHorizonDays}
+                              onChange={(e) => setSchedule(prev => ({ ...prev, bookingHorizonDays: Number(e.target.value) }))}
+                              disabled={!isEditing}
+                              className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-50 transition-all duration-300"
+                              min="1"
+                              max="90"
+                            />
+                          </div>
+                        </div>
+
+                        <div>
+                          <h3 className="text-lg font-semibold text-gray-800 mb-4">Working Hours</h3>
+                          <div className="space-y-3">
+                            {WEEK_DAYS.map((dayName, day) => {
+                              const hours = getDayHours(day);
+                              return (
+                                <div key={dayName} className="flex items-center gap-4 p-3 bg-gray-50 rounded-xl">
+                                  <label className="flex items-center gap-2 w-36 text-sm font-medium text-gray-700">
+                                    <input
+                                      type="checkbox"
+                                      checked={!!hours}
+                                      onChange={() => toggleWorkingDay(day)}
+                                      disabled={!isEditing}
+                                    />
+                                    {dayName}
+                                  </label>
+                                  {hours ? (
+                                    <div className="flex items-center gap-2">
+                                      <input
+                                        type="time"
+                                        value={hours.start}
+                                        onChange={(e) => handleDayHoursChange(day, "start", e.target.value)}
+                                        disabled={!isEditing}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-50"
+                                      />
+                                      <span className="text-gray-500">to</span>
+                                      <input
+                                        type="time"
+                                        value={hours.end}
+                                        onChange={(e) => handleDayHoursChange(day, "end", e.target.value)}
+                                        disabled={!isEditing}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-50"
+                                      />
+                                    </div>
+                                  ) : (
+                                    <span className="text-sm text-gray-400">Day off</span>
+                                  )}
+                                </div>
+                              );
+                            })}
+                          </div>
+                        </div>
+
+                        <div>
+                          <div className="flex items-center justify-between mb-4">
+                            <h3 className="text-lg font-semibold text-gray-800">Breaks</h3>
+                            {isEditing && (
+                              <button
+                                type="button"
+                                onClick={() => setSchedule(prev => ({ ...prev, breaks: [...prev.breaks, { day: null, start: "13:00", end: "14:00" }] }))}
+                                className="px-4 py-2 text-sm font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-all duration-300"
+                              >
+                                Add Break
+                              </button>
+                            )}
+                          </div>
+                          {schedule.breaks.length === 0 && (
+                            <p className="text-sm text-gray-500">No breaks configured</p>
+                          )}
+                          <div className="space-y-3">
+                            {schedule.breaks.map((pause, index) => (
+                              <div key={index} className="flex items-center gap-3 p-3 bg-gray-50 rounded-xl">
+                                <select
+                                  value={pause.day ?? ""}
+                                  onChange={(e) => handleBreakChange(index, "day", e.target.value)}
+                                  disabled={!isEditing}
+                                  className="px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-50"
+                                >
+                                  <option value="">Every day</option>
+                                  {WEEK_DAYS.map((dayName, day) => (
+                                    <option key={dayName} value={day}>{dayName}</option>
+                                  ))}
+                                </select>
+                                <input
+                                  type="time"
+                                  value={pause.start}
+                                  onChange={(e) => handleBreakChange(index, "start", e.target.value)}
+                                  disabled={!isEditing}
+                                  className="px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-50"
+                                />
+                                <span className="text-gray-500">to</span>
+                                <input
+                                  type="time"
+                                  value={pause.end}
+                                  onChange={(e) => handleBreakChange(index, "end", e.target.value)}
+                                  disabled={!isEditing}
+                                  className="px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-50"
+                                />
+                                {isEditing && (
+                                  <button
+                                    type="button"
+                                    onClick={() => setSchedule(prev => ({ ...prev, breaks: prev.breaks.filter((_, i) => i !== index) }))}
+                                    className="ml-auto text-sm text-red-600 hover:text-red-700"
+                                  >
+                                    Remove
+                                  </button>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      </div>
+                    )}
+
                     {/* Submit Buttons */}
                     {isEditing && (
                       <div className="flex gap-4 pt-6 border-t border-gray-200">
@@ -521,6 +746,7 @@ const DoctorProfile = () => {
                           onClick={() => {
                             setIsEditing(false);
                             fetchDoctorProfile(); // Reset form data
+                            fetchSchedule();
                           }}
                           className="px-8 py-3 bg-gray-600 text-white rounded-xl hover:bg-gray-700 transition-all duration-300 flex items-center gap-2 font-medium"
                         >
@@ -0,0 +1,130 @@
+/**
+ * DoctorWaitlist page component for doctor panel.
+ * Lists the patients waiting for the doctor's freed slots in queue order,
+ * including the slot currently held for a patient and when that hold expires.
+ *
+ * @module pages/Doctor/DoctorWaitlist
+ */
+
+import { useContext, useEffect, useState } from "react";
+import { DoctorContext } from "../../context/DoctorContext";
+import { AppContext } from "../../context/AppContext";
+
+const DoctorWaitlist = () => {
+  const { waitlist, getWaitlist } = useContext(DoctorContext);
+  const { slotDateFormat } = useContext(AppContext);
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Fetches the waitlist with loading state
+   */
+  const fetchWaitlist = async () => {
+    setLoading(true);
+    try {
+      await getWaitlist();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchWaitlist();
+  }, []);
+
+  /**
+   * Formats a 'D_M_YYYY' slot date key for display
+   */
+  const formatSlotKey = (slotDate) => {
+    const [day, month, year] = slotDate.split("_").map(Number);
+    return slotDateFormat(new Date(year, month - 1, day));
+  };
+
+  const offeredCount = waitlist.filter((entry) => entry.status === "offered").length;
+
+  return (
+    <div className="p-6 max-h-[90vh] overflow-y-auto bg-gray-50">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Waitlist</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Patients waiting for a freed slot. Freed slots are held for the first patient in line.
+          </p>
+        </div>
+        <button
+          onClick={fetchWaitlist}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+          </svg>
+          Refresh
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+          <p className="text-sm font-medium text-gray-600">Waiting</p>
+          <p className="text-2xl font-bold text-gray-900">{waitlist.length - offeredCount}</p>
+        </div>
+        <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+          <p className="text-sm font-medium text-gray-600">Slots on hold</p>
+          <p className="text-2xl font-bold text-blue-600">{offeredCount}</p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : waitlist.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <p className="text-gray-500 text-lg">Nobody is on your waitlist</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="hidden md:grid grid-cols-[0.5fr_2fr_2fr_2.5fr] gap-4 py-4 px-6 border-b bg-gray-50">
+            <p className="text-sm font-medium text-gray-700">#</p>
+            <p className="text-sm font-medium text-gray-700">Patient</p>
+            <p className="text-sm font-medium text-gray-700">Available Dates</p>
+            <p className="text-sm font-medium text-gray-700">Status</p>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {waitlist.map((entry, index) => (
+              <div
+                key={entry._id}
+                className="grid grid-cols-1 md:grid-cols-[0.5fr_2fr_2fr_2.5fr] gap-2 md:gap-4 py-4 px-6 hover:bg-gray-50 transition-colors"
+              >
+                <p className="text-sm text-gray-900">{index + 1}</p>
+                <div>
+                  <p className="font-medium text-gray-900">{entry.userData.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {[entry.userData.email, entry.userData.phone].filter(Boolean).join(" · ")}
+                  </p>
+                </div>
+                <p className="text-sm text-gray-900">
+                  {slotDateFormat(entry.fromDate)} – {slotDateFormat(entry.toDate)}
+                </p>
+                {entry.status === "offered" ? (
+                  <div>
+                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                      Holding {formatSlotKey(entry.offer.slotDate)}, {entry.offer.slotTime}
+                    </span>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Expires at {new Date(entry.offer.expiresAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                    </p>
+                  </div>
+                ) : (
+                  <span className="self-start w-fit px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                    Waiting
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DoctorWaitlist;
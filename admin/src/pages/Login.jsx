@@ -1,22 +1,85 @@
 import axios from "axios";
 import { useContext, useState } from "react";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
 import { toast } from "react-toastify";
 import { AdminContext } from "../context/AdminContext";
 import { DoctorContext } from "../context/DoctorContext";
 /**
  * Login page component for admin panel.
  * Provides a login form for admin authentication and handles login logic.
+ * Doctors can also ask for a password reset link here, and set a new
+ * password from the link (/reset-password?token=...).
  *
  * @module pages/Login
  */
 
 const Login = () => {
-  const [state, setState] = useState("Admin");
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const resetToken = searchParams.get("token");
+  const [state, setState] = useState(
+    location.pathname === "/reset-password" ? "Doctor" : "Admin"
+  );
+  // "login", "forgot" (ask for a reset link) or "reset" (choose a new password)
+  const [mode, setMode] = useState(
+    location.pathname === "/reset-password" ? "reset" : "login"
+  );
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
 
-  const { setToken, backendUrl } = useContext(AdminContext);
+  const { saveSession, backendUrl } = useContext(AdminContext);
   const { loginDoctor } = useContext(DoctorContext);
+  /**
+   * Returns to the sign-in form.
+   */
+  const backToLogin = () => {
+    setMode("login");
+    setPassword("");
+    setConfirmPassword("");
+    navigate("/", { replace: true });
+  };
+
+  /**
+   * Asks for a doctor password reset link.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  const requestPasswordReset = async () => {
+    const { data } = await axios.post(backendUrl + "/api/doctor/forgot-password", { email });
+    if (data.success) {
+      toast.success(data.message);
+      setMode("login");
+    } else {
+      toast.error(data.message || "Could not send the reset link");
+    }
+  };
+
+  /**
+   * Sets a doctor's new password with the token from the reset link.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  const resetPassword = async () => {
+    if (password !== confirmPassword) {
+      toast.error("Passwords do not match");
+      return;
+    }
+    const { data } = await axios.post(backendUrl + "/api/doctor/reset-password", {
+      token: resetToken,
+      password,
+    });
+    if (data.success) {
+      toast.success(data.message);
+      backToLogin();
+    } else {
+      toast.error(data.message || "Could not reset the password");
+    }
+  };
+
   /**
    * Handles the form submission for admin login.
    * Sends login credentials to backend and sets token on success.
@@ -31,14 +94,17 @@ const Login = () => {
     event.preventDefault();
 
     try {
-      if (state === "Admin") {
+      if (mode === "forgot") {
+        await requestPasswordReset();
+      } else if (mode === "reset") {
+        await resetPassword();
+      } else if (state === "Admin") {
         const { data } = await axios.post(backendUrl + "/api/admin/login", {
           email,
           password,
         });
         if (data.success) {
-          localStorage.setItem("token", data.token);
-          setToken(data.token);
+          saveSession(data.token, data.refreshToken, data.admin);
         } else {
           toast.error(data.message || "Login failed");
         }
@@ -49,7 +115,7 @@ const Login = () => {
         }
       }
     } catch (error) {
-      toast.error(error?.response?.data?.message || "Login failed");
+      toast.error(error?.response?.data?.message || "Something went wrong. Please try again");
     }
   };
   return (
@@ -64,67 +130,120 @@ const Login = () => {
               </svg>
             </div>
             <h1 className="text-2xl font-bold text-white">
-              {state} Login
+              {mode === "login" ? `${state} Login` : "Reset Doctor Password"}
             </h1>
             <p className="text-blue-100 text-sm mt-1">
-              Welcome back! Please sign in to your account.
+              {mode === "login"
+                ? "Welcome back! Please sign in to your account."
+                : mode === "forgot"
+                  ? "We'll email you a link to choose a new password."
+                  : "Choose a new password for your account."}
             </p>
           </div>
 
           {/* Form */}
           <form onSubmit={onSubmitHandler} className="px-8 py-6 space-y-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Email Address
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 12a4 4 0 10-8 0 4 4 0 008 0zm0 0v1.5a2.5 2.5 0 005 0V12a9 9 0 10-9 9m4.5-1.206a8.959 8.959 0 01-4.5 1.207" />
-                  </svg>
+            {mode !== "reset" && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 12a4 4 0 10-8 0 4 4 0 008 0zm0 0v1.5a2.5 2.5 0 005 0V12a9 9 0 10-9 9m4.5-1.206a8.959 8.959 0 01-4.5 1.207" />
+                    </svg>
+                  </div>
+                  <input
+                    onChange={(e) => setEmail(e.target.value)}
+                    value={email}
+                    className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                    type="email"
+                    placeholder="Enter your email"
+                    required
+                  />
                 </div>
-                <input
-                  onChange={(e) => setEmail(e.target.value)}
-                  value={email}
-                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                  type="email"
-                  placeholder="Enter your email"
-                  required
-                />
               </div>
-            </div>
+            )}
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
-                  </svg>
+            {mode !== "forgot" && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {mode === "reset" ? "New Password" : "Password"}
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>
+                  </div>
+                  <input
+                    onChange={(e) => setPassword(e.target.value)}
+                    value={password}
+                    className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                    type="password"
+                    placeholder={mode === "reset" ? "Enter a new password" : "Enter your password"}
+                    required
+                  />
                 </div>
-                <input
-                  onChange={(e) => setPassword(e.target.value)}
-                  value={password}
-                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                  type="password"
-                  placeholder="Enter your password"
-                  required
-                />
+                {state === "Doctor" && mode === "login" && (
+                  <div className="text-right mt-2">
+                    <button
+                      type="button"
+                      onClick={() => setMode("forgot")}
+                      className="text-sm text-blue-600 hover:text-blue-700 font-medium transition-colors"
+                    >
+                      Forgot password?
+                    </button>
+                  </div>
+                )}
               </div>
-            </div>
+            )}
+
+            {mode === "reset" && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Confirm New Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>
+                  </div>
+                  <input
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    value={confirmPassword}
+                    className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                    type="password"
+                    placeholder="Enter the new password again"
+                    required
+                  />
+                </div>
+              </div>
+            )}
 
             <button
               type="submit"
               className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-3 px-4 rounded-lg font-medium hover:from-blue-700 hover:to-purple-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 transform hover:scale-[1.02]"
             >
-              Sign In
+              {mode === "login" ? "Sign In" : mode === "forgot" ? "Send Reset Link" : "Update Password"}
             </button>
 
             {/* Role Toggle */}
             <div className="text-center">
-              {state === "Admin" ? (
+              {mode !== "login" ? (
+                <p className="text-sm text-gray-600">
+                  Remembered your password?{" "}
+                  <button
+                    type="button"
+                    onClick={backToLogin}
+                    className="text-blue-600 hover:text-blue-700 font-medium transition-colors"
+                  >
+                    Back to Sign In
+                  </button>
+                </p>
+              ) : state === "Admin" ? (
                 <p className="text-sm text-gray-600">
                   Are you a doctor?{" "}
                   <button
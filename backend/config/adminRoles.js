@@ -0,0 +1,103 @@
+/**
+ * Admin roles and what each role may do in the admin panel.
+ *
+ * @module config/adminRoles
+ */
+
+/**
+ * Roles an admin account can have.
+ * @enum {string}
+ */
+export const ADMIN_ROLES = {
+  SUPER_ADMIN: "super-admin",
+  OPERATIONS: "operations",
+  FINANCE: "finance",
+  SUPPORT: "support",
+};
+
+/**
+ * Actions admin routes are guarded by.
+ * @enum {string}
+ */
+export const ADMIN_PERMISSIONS = {
+  DASHBOARD_VIEW: "dashboard:view",
+  DOCTORS_VIEW: "doctors:view",
+  DOCTORS_MANAGE: "doctors:manage",
+  APPOINTMENTS_VIEW: "appointments:view",
+  APPOINTMENTS_MANAGE: "appointments:manage",
+  CASH_COLLECT: "cash:collect",
+  CONTACTS_MANAGE: "contacts:manage",
+  PAYMENTS_VIEW: "payments:view",
+  PAYMENTS_RECONCILE: "payments:reconcile",
+  INVOICES_VIEW: "invoices:view",
+  REFUNDS_VIEW: "refunds:view",
+  REFUNDS_REQUEST: "refunds:request",
+  REFUNDS_APPROVE: "refunds:approve",
+  WALLETS_VIEW: "wallets:view",
+  WALLETS_ADJUST: "wallets:adjust",
+  COUPONS_MANAGE: "coupons:manage",
+  PAYOUTS_MANAGE: "payouts:manage",
+  ADMINS_MANAGE: "admins:manage",
+};
+
+const P = ADMIN_PERMISSIONS;
+
+/**
+ * Permissions of each role.
+ * - super-admin: everything, including managing admin accounts.
+ * - operations: runs the clinic day to day: doctors, appointments, cash at the front desk.
+ * - finance: money: payments, reconciliation, refunds, wallets, promo codes and payouts.
+ * - support: helps patients: looks up appointments, payments and wallets,
+ *   handles messages, moves or cancels appointments and requests refunds.
+ * @type {Object<string, string[]>}
+ */
+export const ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.SUPER_ADMIN]: Object.values(ADMIN_PERMISSIONS),
+  [ADMIN_ROLES.OPERATIONS]: [
+    P.DASHBOARD_VIEW,
+    P.DOCTORS_VIEW,
+    P.DOCTORS_MANAGE,
+    P.APPOINTMENTS_VIEW,
+    P.APPOINTMENTS_MANAGE,
+    P.CASH_COLLECT,
+    P.CONTACTS_MANAGE,
+    P.INVOICES_VIEW,
+    P.REFUNDS_VIEW,
+    P.REFUNDS_REQUEST,
+  ],
+  [ADMIN_ROLES.FINANCE]: [
+    P.DASHBOARD_VIEW,
+    P.DOCTORS_VIEW,
+    P.APPOINTMENTS_VIEW,
+    P.PAYMENTS_VIEW,
+    P.PAYMENTS_RECONCILE,
+    P.INVOICES_VIEW,
+    P.REFUNDS_VIEW,
+    P.REFUNDS_REQUEST,
+    P.REFUNDS_APPROVE,
+    P.WALLETS_VIEW,
+    P.WALLETS_ADJUST,
+    P.COUPONS_MANAGE,
+    P.PAYOUTS_MANAGE,
+  ],
+  [ADMIN_ROLES.SUPPORT]: [
+    P.DOCTORS_VIEW,
+    P.APPOINTMENTS_VIEW,
+    P.APPOINTMENTS_MANAGE,
+    P.CONTACTS_MANAGE,
+    P.PAYMENTS_VIEW,
+    P.INVOICES_VIEW,
+    P.REFUNDS_VIEW,
+    P.REFUNDS_REQUEST,
+    P.WALLETS_VIEW,
+  ],
+};
+
+/**
+ * Check whether a role grants a permission.
+ * @param {string} role - One of ADMIN_ROLES
+ * @param {string} permission - One of ADMIN_PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
@@ -0,0 +1,37 @@
+/**
+ * Configurable rules for changing booked appointments.
+ * Values are read from environment variables with sensible defaults.
+ *
+ * @module config/appointmentPolicy
+ */
+import { readNumber } from "./env.js";
+
+/**
+ * How many hours before the original start time an appointment can still be rescheduled.
+ * Set with RESCHEDULE_CUTOFF_HOURS (default 24).
+ * @returns {number} Cutoff in hours
+ */
+export const getRescheduleCutoffHours = () =>
+  readNumber("RESCHEDULE_CUTOFF_HOURS", 24);
+
+/**
+ * Rules applied when an appointment is cancelled.
+ * - Cancelling at least `freeCancelHours` before the start refunds everything.
+ *   Set with CANCEL_FREE_WINDOW_HOURS (default 24).
+ * - Cancelling later but before the start keeps `lateCancelFeePercent` of the
+ *   amount paid. Set with CANCEL_LATE_FEE_PERCENT (default 50, capped at 100).
+ * - Nothing is refunded once the appointment has started.
+ * @returns {{freeCancelHours: number, lateCancelFeePercent: number}}
+ */
+export const getCancellationPolicy = () => ({
+  freeCancelHours: readNumber("CANCEL_FREE_WINDOW_HOURS", 24),
+  lateCancelFeePercent: Math.min(readNumber("CANCEL_LATE_FEE_PERCENT", 50), 100),
+});
+
+/**
+ * How long a freed slot is held for a waitlisted patient before it expires
+ * and moves on to the next patient. Set with WAITLIST_HOLD_MINUTES (default 30).
+ * @returns {number} Hold duration in minutes
+ */
+export const getWaitlistHoldMinutes = () =>
+  readNumber("WAITLIST_HOLD_MINUTES", 30);
@@ -0,0 +1,87 @@
+/**
+ * Appointment status values and the transitions allowed between them.
+ *
+ * booked → confirmed/paid → checked-in → completed, with cancelled, no-show
+ * and refunded as side exits.
+ *
+ * @module config/appointmentStatus
+ */
+
+/**
+ * All appointment statuses.
+ * @enum {string}
+ */
+export const APPOINTMENT_STATUS = {
+  BOOKED: "booked",
+  CONFIRMED: "confirmed",
+  PAID: "paid",
+  CHECKED_IN: "checked-in",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  NO_SHOW: "no-show",
+  REFUNDED: "refunded",
+};
+
+const {
+  BOOKED,
+  CONFIRMED,
+  PAID,
+  CHECKED_IN,
+  COMPLETED,
+  CANCELLED,
+  NO_SHOW,
+  REFUNDED,
+} = APPOINTMENT_STATUS;
+
+/**
+ * Allowed next statuses for each status. Statuses mapped to an empty list are final.
+ * @type {Object<string, string[]>}
+ */
+export const STATUS_TRANSITIONS = {
+  [BOOKED]: [CONFIRMED, PAID, CHECKED_IN, CANCELLED, NO_SHOW],
+  [CONFIRMED]: [PAID, CHECKED_IN, CANCELLED, NO_SHOW],
+  [PAID]: [CHECKED_IN, CANCELLED, NO_SHOW, REFUNDED],
+  [CHECKED_IN]: [COMPLETED],
+  [COMPLETED]: [],
+  [CANCELLED]: [REFUNDED],
+  [NO_SHOW]: [],
+  [REFUNDED]: [],
+};
+
+/**
+ * Statuses in which the appointment still holds its slot and has not started.
+ * @type {string[]}
+ */
+export const UPCOMING_STATUSES = [BOOKED, CONFIRMED, PAID];
+
+/**
+ * Statuses in which the appointment can still be paid online.
+ * @type {string[]}
+ */
+export const PAYABLE_STATUSES = [BOOKED, CONFIRMED];
+
+/**
+ * Statuses in which the appointment is still open (not finished or closed).
+ * @type {string[]}
+ */
+export const ACTIVE_STATUSES = [...UPCOMING_STATUSES, CHECKED_IN];
+
+/**
+ * Roles recorded as the actor of a status change.
+ * @enum {string}
+ */
+export const STATUS_ACTORS = {
+  USER: "user",
+  DOCTOR: "doctor",
+  ADMIN: "admin",
+  SYSTEM: "system",
+};
+
+/**
+ * Check whether an appointment may move from one status to another.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransition = (from, to) =>
+  (STATUS_TRANSITIONS[from] || []).includes(to);
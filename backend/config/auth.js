@@ -0,0 +1,43 @@
+/**
+ * Sign-in sessions.
+ * Access tokens are short-lived JWTs; a refresh token, stored hashed on the
+ * server, is exchanged for a new access token and replaced on every use.
+ * Clients send the access token as `Authorization: Bearer <token>`.
+ *
+ * @module config/auth
+ */
+import { readNumber } from "./env.js";
+
+/**
+ * Kinds of signed-in account. A token stores the role it was issued to as
+ * `scope`, so a token issued to one kind of account is refused by the
+ * others' routes.
+ * @enum {string}
+ */
+export const AUTH_ROLES = {
+  USER: "user",
+  DOCTOR: "doctor",
+  ADMIN: "admin",
+};
+
+/**
+ * Token lifetimes.
+ * - `accessTokenMinutes`: how long an access token is accepted. Set with
+ *   ACCESS_TOKEN_TTL_MINUTES (default 15).
+ * - `refreshTokenDays`: how long a refresh token can be used; every refresh
+ *   starts a new period. Set with REFRESH_TOKEN_TTL_DAYS (default 30).
+ * @returns {{accessTokenMinutes: number, refreshTokenDays: number}}
+ */
+export const getTokenSettings = () => ({
+  accessTokenMinutes: readNumber("ACCESS_TOKEN_TTL_MINUTES", 15) || 15,
+  refreshTokenDays: readNumber("REFRESH_TOKEN_TTL_DAYS", 30) || 30,
+});
+
+/**
+ * Whether the legacy `token` and `dtoken` request headers are still accepted
+ * instead of `Authorization: Bearer`. Responses to requests using them carry a
+ * `Deprecation` header. Set LEGACY_AUTH_HEADERS=false to refuse them once
+ * every client sends `Authorization`.
+ * @returns {boolean}
+ */
+export const acceptsLegacyAuthHeaders = () => process.env.LEGACY_AUTH_HEADERS !== "false";
@@ -0,0 +1,16 @@
+/**
+ * Platform commission on doctor earnings.
+ * Values are read from environment variables with sensible defaults.
+ *
+ * @module config/earnings
+ */
+
+/**
+ * Commission the platform keeps, in percent of the fee paid, when neither the
+ * doctor nor their speciality has its own rate. Set with PLATFORM_COMMISSION_PERCENT.
+ * @returns {number}
+ */
+export const getDefaultCommissionRate = () => {
+  const rate = Number(process.env.PLATFORM_COMMISSION_PERCENT);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 100 ? rate : 10;
+};
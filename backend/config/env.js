@@ -0,0 +1,18 @@
+/**
+ * Helpers for reading settings from environment variables.
+ *
+ * @module config/env
+ */
+
+/**
+ * Read a non-negative number from the environment.
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @returns {number}
+ */
+export const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+};
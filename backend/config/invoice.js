@@ -0,0 +1,26 @@
+/**
+ * Clinic details and numbering printed on invoices.
+ * Values are read from environment variables with sensible defaults.
+ *
+ * @module config/invoice
+ */
+
+/**
+ * Clinic details shown in the invoice header. Set with CLINIC_NAME,
+ * CLINIC_ADDRESS, CLINIC_PHONE, CLINIC_EMAIL and CLINIC_PAN (the clinic's
+ * PAN/VAT registration number).
+ * @returns {{name: string, address: string, phone: string, email: string, pan: string}}
+ */
+export const getClinicDetails = () => ({
+  name: process.env.CLINIC_NAME || "MeroDoctor",
+  address: process.env.CLINIC_ADDRESS || "Kathmandu, Nepal",
+  phone: process.env.CLINIC_PHONE || "",
+  email: process.env.CLINIC_EMAIL || "",
+  pan: process.env.CLINIC_PAN || "",
+});
+
+/**
+ * Prefix of invoice numbers, e.g. 'INV' gives INV-000042. Set with INVOICE_PREFIX.
+ * @returns {string}
+ */
+export const getInvoicePrefix = () => process.env.INVOICE_PREFIX || "INV";
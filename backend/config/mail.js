@@ -0,0 +1,55 @@
+/**
+ * Settings for outgoing email and the account links sent by email.
+ * Email goes out over SMTP when SMTP_HOST is set. The file transport, which
+ * writes messages to a local outbox folder so links can be followed during
+ * development, is only used with MAIL_TRANSPORT=file; with neither, no email
+ * is sent.
+ *
+ * @module config/mail
+ */
+import { readNumber } from "./env.js";
+
+/**
+ * Outgoing email settings.
+ * - `transport`: 'smtp' or 'file'. Set with MAIL_TRANSPORT (default 'smtp'
+ *   when SMTP_HOST is set, else '' for none).
+ * - `from`: sender address. Set with MAIL_FROM.
+ * - `smtp`: server and credentials, from SMTP_HOST, SMTP_PORT (default 587),
+ *   SMTP_SECURE ('true' for TLS from the start, as on port 465), SMTP_USER
+ *   and SMTP_PASS.
+ * - `outboxDir`: folder the file transport writes to. Set with
+ *   MAIL_OUTBOX_DIR (default 'mail-outbox').
+ * @returns {{transport: string, from: string, smtp: {host: string, port: number, secure: boolean, user: string, pass: string}, outboxDir: string}}
+ */
+export const getMailSettings = () => ({
+  transport: (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "")).toLowerCase(),
+  from: process.env.MAIL_FROM || "MeroDoctor <no-reply@merodoctor.local>",
+  smtp: {
+    host: process.env.SMTP_HOST || "",
+    port: readNumber("SMTP_PORT", 587),
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER || "",
+    pass: process.env.SMTP_PASS || "",
+  },
+  outboxDir: process.env.MAIL_OUTBOX_DIR || "mail-outbox",
+});
+
+/**
+ * How long emailed account links work.
+ * - `passwordResetMinutes`: password reset links. Set with
+ *   PASSWORD_RESET_TTL_MINUTES (default 60).
+ * - `emailVerificationHours`: email verification links. Set with
+ *   EMAIL_VERIFICATION_TTL_HOURS (default 48).
+ * @returns {{passwordResetMinutes: number, emailVerificationHours: number}}
+ */
+export const getAccountLinkSettings = () => ({
+  passwordResetMinutes: readNumber("PASSWORD_RESET_TTL_MINUTES", 60) || 60,
+  emailVerificationHours: readNumber("EMAIL_VERIFICATION_TTL_HOURS", 48) || 48,
+});
+
+/**
+ * Public URL of the admin panel, where doctors reset their password.
+ * @returns {string}
+ */
+export const getAdminPanelUrl = () =>
+  (process.env.ADMIN_URL || "http://localhost:5173").replace(/\/$/, "");
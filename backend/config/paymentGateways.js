@@ -0,0 +1,121 @@
+/**
+ * Settings for the payment gateways and the payment status vocabulary.
+ * Credentials and endpoints are read from environment variables; the eSewa
+ * and Khalti defaults point at their public sandboxes.
+ *
+ * @module config/paymentGateways
+ */
+import { readNumber } from "./env.js";
+
+/**
+ * Payment statuses stored on Payment records.
+ * Every gateway maps its own statuses onto these.
+ * @readonly
+ * @enum {string}
+ */
+export const PAYMENT_STATUS = Object.freeze({
+  PENDING: "PENDING",
+  COMPLETE: "COMPLETE",
+  FAILED: "FAILED",
+  CANCELED: "CANCELED",
+  EXPIRED: "EXPIRED",
+  FULL_REFUND: "FULL_REFUND",
+  PARTIAL_REFUND: "PARTIAL_REFUND",
+  AMBIGUOUS: "AMBIGUOUS",
+  NOT_FOUND: "NOT_FOUND",
+});
+
+/**
+ * How an appointment is paid: online through a gateway, or in cash at the
+ * clinic front desk.
+ * @readonly
+ * @enum {string}
+ */
+export const PAYMENT_METHODS = Object.freeze({
+  ONLINE: "ONLINE",
+  CASH: "CASH",
+});
+
+/**
+ * Gateway used when a request does not name one.
+ * @type {string}
+ */
+export const DEFAULT_GATEWAY = "esewa";
+
+/**
+ * eSewa ePay v2 settings.
+ * @returns {{productCode: string, secretKey: string, formUrl: string, statusUrl: string}}
+ */
+export const getEsewaConfig = () => ({
+  productCode: process.env.ESEWA_PRODUCT_CODE || "EPAYTEST",
+  secretKey: process.env.ESEWA_SECRET_KEY || "8gBm/:&EnhH.1/q",
+  formUrl:
+    process.env.ESEWA_BASE_URL ||
+    "https://rc-epay.esewa.com.np/api/epay/main/v2/form",
+  statusUrl:
+    process.env.ESEWA_STATUS_URL ||
+    "https://rc-epay.esewa.com.np/api/epay/transaction/status/",
+});
+
+/**
+ * Khalti ePayment (KPG-2) settings.
+ * @returns {{secretKey: string, baseUrl: string, refundUrl: string}}
+ */
+export const getKhaltiConfig = () => ({
+  secretKey: process.env.KHALTI_SECRET_KEY || "",
+  baseUrl: process.env.KHALTI_BASE_URL || "https://dev.khalti.com/api/v2",
+  refundUrl:
+    process.env.KHALTI_REFUND_URL ||
+    "https://dev.khalti.com/api/merchant-transaction",
+});
+
+/**
+ * Public URL of this backend, used to build gateway callback URLs.
+ * @returns {string}
+ */
+export const getBackendUrl = () =>
+  (process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/$/, "");
+
+/**
+ * Public URL of the patient frontend, where payment results are shown.
+ * @returns {string}
+ */
+export const getFrontendUrl = () =>
+  (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "");
+
+/**
+ * Names of the gateways patients can choose from.
+ * Set with PAYMENT_GATEWAYS as a comma-separated list (default 'esewa', plus
+ * 'khalti' when KHALTI_SECRET_KEY is set).
+ * The local mock gateway completes payments without taking any money, so it is
+ * only added when PAYMENT_MOCK_ENABLED=true.
+ * @returns {string[]}
+ */
+export const getEnabledGateways = () => {
+  const fallback = process.env.KHALTI_SECRET_KEY ? "esewa,khalti" : "esewa";
+  const names = (process.env.PAYMENT_GATEWAYS || fallback)
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const mockEnabled = process.env.PAYMENT_MOCK_ENABLED === "true";
+
+  const withoutMock = names.filter((name) => name !== "mock");
+  return mockEnabled ? [...withoutMock, "mock"] : withoutMock;
+};
+
+/**
+ * Rules for the background job that settles payments whose callback never arrived.
+ * - Payments still PENDING after `reconcileAfterMinutes` are checked with the gateway.
+ *   Set with PAYMENT_RECONCILE_AFTER_MINUTES (default 15).
+ * - Payments the gateway still cannot settle after `expireAfterHours` are marked EXPIRED.
+ *   Set with PAYMENT_EXPIRE_AFTER_HOURS (default 24).
+ * - The job runs every `intervalMinutes`. Set with PAYMENT_RECONCILE_INTERVAL_MINUTES
+ *   (default 10, 0 turns the job off).
+ * @returns {{reconcileAfterMinutes: number, expireAfterHours: number, intervalMinutes: number}}
+ */
+export const getReconciliationPolicy = () => ({
+  reconcileAfterMinutes: readNumber("PAYMENT_RECONCILE_AFTER_MINUTES", 15),
+  expireAfterHours: readNumber("PAYMENT_EXPIRE_AFTER_HOURS", 24),
+  intervalMinutes: readNumber("PAYMENT_RECONCILE_INTERVAL_MINUTES", 10),
+});
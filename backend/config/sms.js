@@ -0,0 +1,56 @@
+/**
+ * Settings for text messages and the one-time codes patients sign in with.
+ * Messages are sent through Sparrow SMS when SPARROW_SMS_TOKEN is set. The
+ * stub provider, which sends nothing, is only used with SMS_PROVIDER=stub;
+ * with neither, no texts are sent.
+ *
+ * @module config/sms
+ */
+import { readNumber } from "./env.js";
+
+/**
+ * Text message settings.
+ * - `provider`: 'sparrow' or 'stub'. Set with SMS_PROVIDER (default
+ *   'sparrow' when SPARROW_SMS_TOKEN is set, else '' for none).
+ * - `sparrow`: API token, sender identity (SPARROW_SMS_FROM) and endpoint
+ *   (SPARROW_SMS_URL).
+ * @returns {{provider: string, sparrow: {token: string, from: string, url: string}}}
+ */
+export const getSmsSettings = () => ({
+  provider: (
+    process.env.SMS_PROVIDER || (process.env.SPARROW_SMS_TOKEN ? "sparrow" : "")
+  ).toLowerCase(),
+  sparrow: {
+    token: process.env.SPARROW_SMS_TOKEN || "",
+    from: process.env.SPARROW_SMS_FROM || "",
+    url: process.env.SPARROW_SMS_URL || "https://api.sparrowsms.com/v2/sms/",
+  },
+});
+
+/**
+ * Country calling code assumed for numbers entered without one. Set with
+ * DEFAULT_PHONE_COUNTRY_CODE (default 977, Nepal).
+ * @returns {string}
+ */
+export const getDefaultCountryCode = () =>
+  String(process.env.DEFAULT_PHONE_COUNTRY_CODE || "977").replace(/\D/g, "");
+
+/**
+ * Rules for one-time sign-in codes.
+ * - `codeLength`: digits in a code (OTP_LENGTH, default 6).
+ * - `ttlMinutes`: how long a code works (OTP_TTL_MINUTES, default 5).
+ * - `maxAttempts`: wrong entries before a code stops working
+ *   (OTP_MAX_ATTEMPTS, default 5).
+ * - `resendSeconds`: wait before another code is sent to the same number
+ *   (OTP_RESEND_SECONDS, default 60).
+ * - `maxSendsPerHour`: codes sent to one number in an hour
+ *   (OTP_MAX_SENDS_PER_HOUR, default 5).
+ * @returns {{codeLength: number, ttlMinutes: number, maxAttempts: number, resendSeconds: number, maxSendsPerHour: number}}
+ */
+export const getOtpPolicy = () => ({
+  codeLength: Math.min(Math.max(readNumber("OTP_LENGTH", 6), 4), 10),
+  ttlMinutes: readNumber("OTP_TTL_MINUTES", 5) || 5,
+  maxAttempts: readNumber("OTP_MAX_ATTEMPTS", 5) || 5,
+  resendSeconds: readNumber("OTP_RESEND_SECONDS", 60),
+  maxSendsPerHour: readNumber("OTP_MAX_SENDS_PER_HOUR", 5) || 5,
+});
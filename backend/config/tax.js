@@ -0,0 +1,37 @@
+/**
+ * VAT and service charge on consultations.
+ * Values are read from environment variables with sensible defaults.
+ *
+ * @module config/tax
+ */
+import { readNumber } from "./env.js";
+
+/**
+ * Read a comma-separated list of specialities from the environment.
+ * @param {string} name - Environment variable name
+ * @returns {string[]} Lower-case speciality names, e.g. 'general_physician'
+ */
+const readSpecialities = (name) =>
+  (process.env[name] || "")
+    .split(",")
+    .map((speciality) => speciality.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Tax rules applied when a consultation is priced.
+ * - `serviceChargePercent` of the fee (after any discount) is added as a service
+ *   charge. Set with SERVICE_CHARGE_PERCENT (default 0).
+ * - `vatPercent` is charged on the fee plus service charge, as Nepal's VAT is.
+ *   Set with VAT_PERCENT (default 13).
+ * - Consultations with a doctor of a speciality in `vatExemptSpecialities` are
+ *   VAT exempt, and those in `serviceChargeExemptSpecialities` carry no service
+ *   charge. Set with VAT_EXEMPT_SPECIALITIES and SERVICE_CHARGE_EXEMPT_SPECIALITIES
+ *   as comma-separated specialities, e.g. 'general_physician,pediatrician'.
+ * @returns {{vatPercent: number, serviceChargePercent: number, vatExemptSpecialities: string[], serviceChargeExemptSpecialities: string[]}}
+ */
+export const getTaxRules = () => ({
+  vatPercent: Math.min(readNumber("VAT_PERCENT", 13), 100),
+  serviceChargePercent: Math.min(readNumber("SERVICE_CHARGE_PERCENT", 0), 100),
+  vatExemptSpecialities: readSpecialities("VAT_EXEMPT_SPECIALITIES"),
+  serviceChargeExemptSpecialities: readSpecialities("SERVICE_CHARGE_EXEMPT_SPECIALITIES"),
+});
@@ -0,0 +1,114 @@
+/**
+ * Controller for account links sent by email.
+ * Patients and doctors reset a forgotten password; patients confirm they own
+ * their email address.
+ *
+ * @module controllers/accountEmailController
+ */
+import User from "../models/userModel.js";
+import { AUTH_ROLES } from "../config/auth.js";
+import {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+} from "../utils/accountEmails.js";
+
+/**
+ * Build the password reset handlers of one kind of account.
+ *
+ * @function
+ * @param {string} scope - AUTH_ROLES.USER or AUTH_ROLES.DOCTOR
+ * @returns {{forgotPassword: import('express').RequestHandler, resetPassword: import('express').RequestHandler}}
+ */
+const createPasswordResetHandlers = (scope) => ({
+  /**
+   * Emails a password reset link. Answers the same whether or not the
+   * address has an account.
+   */
+  forgotPassword: async (req, res) => {
+    try {
+      const { message } = await requestPasswordReset(scope, req.body?.email);
+      if (message) {
+        return res.json({ success: false, message });
+      }
+      res.json({
+        success: true,
+        message: "If an account exists for this email, we've sent a link to reset the password",
+      });
+    } catch (error) {
+      console.error(`Error in forgotPassword (${scope}):`, error);
+      res.status(500).json({ success: false, message: "Internal server error" });
+    }
+  },
+
+  /**
+   * Sets a new password with the token from a reset link.
+   */
+  resetPassword: async (req, res) => {
+    try {
+      const { token, password } = req.body || {};
+      const { message } = await resetPassword(scope, token, password);
+      if (message) {
+        return res.json({ success: false, message });
+      }
+      res.json({ success: true, message: "Password updated. Please sign in with your new password" });
+    } catch (error) {
+      console.error(`Error in resetPassword (${scope}):`, error);
+      res.status(500).json({ success: false, message: "Internal server error" });
+    }
+  },
+});
+
+const userPasswordReset = createPasswordResetHandlers(AUTH_ROLES.USER);
+const doctorPasswordReset = createPasswordResetHandlers(AUTH_ROLES.DOCTOR);
+
+/**
+ * Confirms a user's email address with the token from a verification link.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects token in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const verifyEmailAddress = async (req, res) => {
+  try {
+    const { user, message } = await verifyEmail(req.body?.token);
+    if (message) {
+      return res.json({ success: false, message });
+    }
+    res.json({ success: true, message: "Email verified", email: user.email });
+  } catch (error) {
+    console.error("Error in verifyEmailAddress:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Sends the signed-in user a new verification link.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const resendEmailVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    const { message } = await sendEmailVerification(user);
+    if (message) {
+      return res.json({ success: false, message });
+    }
+    res.json({ success: true, message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    console.error("Error in resendEmailVerification:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+export { userPasswordReset, doctorPasswordReset, verifyEmailAddress, resendEmailVerification };
@@ -0,0 +1,121 @@
+/**
+ * Controller for admin accounts.
+ * Every admin can see their own profile and permissions; super-admins create
+ * admin accounts and change their role, password or access.
+ *
+ * @module controllers/adminAccountController
+ */
+import mongoose from "mongoose";
+import Admin from "../models/adminModel.js";
+import { ADMIN_ROLES } from "../config/adminRoles.js";
+import {
+  createAdmin,
+  listAdmins,
+  toAdminProfile,
+  updateAdmin,
+} from "../utils/adminAccounts.js";
+
+/**
+ * Gets the signed-in admin's profile and permissions, so the admin panel can
+ * show only the pages their role can use.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const adminProfile = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.auth.id);
+    if (!admin) {
+      return res.status(404).json({ success: false, message: "Admin not found" });
+    }
+    res.json({ success: true, admin: toAdminProfile(admin) });
+  } catch (error) {
+    console.error("Error in adminProfile:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Lists admin accounts with the roles they can be given.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listAdminAccounts = async (req, res) => {
+  try {
+    const admins = await listAdmins();
+    res.json({ success: true, admins, roles: Object.values(ADMIN_ROLES) });
+  } catch (error) {
+    console.error("Error in listAdminAccounts:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Creates an admin account.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects name, email, password and role in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const createAdminAccount = async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+    const { admin, message } = await createAdmin(
+      { name, email, password, role },
+      req.auth.id
+    );
+    if (message) {
+      return res.json({ success: false, message });
+    }
+
+    res.json({ success: true, message: "Admin account created", admin: toAdminProfile(admin) });
+  } catch (error) {
+    console.error("Error in createAdminAccount:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Changes an admin account's name, role, password or whether it is active.
+ * A deactivated admin is signed out at their next request.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects adminId in params and any of name, role, active, password in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const updateAdminAccount = async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    if (!mongoose.isValidObjectId(adminId)) {
+      return res.status(404).json({ success: false, message: "Admin not found" });
+    }
+
+    const { name, role, active, password } = req.body;
+    const { admin, message } = await updateAdmin(
+      adminId,
+      { name, role, active, password },
+      req.auth.id
+    );
+    if (message) {
+      return res.json({ success: false, message });
+    }
+
+    res.json({ success: true, message: "Admin account updated", admin: toAdminProfile(admin) });
+  } catch (error) {
+    console.error("Error in updateAdminAccount:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+export { adminProfile, listAdminAccounts, createAdminAccount, updateAdminAccount };
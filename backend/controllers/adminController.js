@@ -5,11 +5,22 @@
 import Doctor from "../models/doctorModel.js";
 import bcrypt from "bcrypt";
 import { v2 as cloudinary } from "cloudinary";
-import jwt from "jsonwebtoken";
+import { issueSession } from "../utils/authTokens.js";
 import appointmentModel from "../models/appointmentModel.js";
 import User from "../models/userModel.js";
 import Payment from "../models/paymentModel.js";
 import Contact from "../models/contactModel.js";
+import { cancelAppointmentWithPolicy } from "../utils/cancellationPolicy.js";
+import { rescheduleAppointment } from "../utils/appointmentReschedule.js";
+import { collectCashPayment } from "../utils/cashPayments.js";
+import { authenticateAdmin, toAdminProfile } from "../utils/adminAccounts.js";
+import {
+  ACTIVE_STATUSES,
+  APPOINTMENT_STATUS,
+  STATUS_ACTORS,
+} from "../config/appointmentStatus.js";
+import { PAYMENT_METHODS } from "../config/paymentGateways.js";
+import { AUTH_ROLES } from "../config/auth.js";
 
 /**
  * Add a new doctor to the system.
@@ -103,6 +114,7 @@ const addDoctor = async (req, res) => {
 
 /**
  * Admin login endpoint.
+ * Signs an admin in with their own account and returns a token scoped to the admin panel.
  * @function
  * @async
  * @param {import('express').Request} req - Express request object
@@ -110,22 +122,17 @@ const addDoctor = async (req, res) => {
  * @returns {Promise<void>}
  */
 const adminLogin = async (req, res) => {
-  debugger;
   try {
     const { email, password } = req.body;
-    console.log("Admin login attempt:", process.env.ADMIN_EMAIL);
-    console.log("Admin login attempt:", process.env.ADMIN_PASSWORD);
-    if (
-      email === process.env.ADMIN_EMAIL &&
-      password === process.env.ADMIN_PASSWORD
-    ) {
-      const token = jwt.sign(email + password, process.env.JWT_SECRET);
-      res.json({ success: true, token });
-    } else {
-      return res
-        .status(401)
-        .json({ success: false, message: "Invalid credentials" });
+    const { admin, message } = await authenticateAdmin(email, password);
+    if (message) {
+      return res.status(401).json({ success: false, message });
     }
+
+    const { token, refreshToken } = await issueSession(AUTH_ROLES.ADMIN, admin._id, {
+      userAgent: req.get("User-Agent"),
+    });
+    res.json({ success: true, token, refreshToken, admin: toAdminProfile(admin) });
   } catch (error) {
     console.error("Error during admin login:", error);
     res.status(500).json({ success: false, message: "Internal server error" });
@@ -170,47 +177,93 @@ const appointmentsAdmin = async (req, res) => {
 
 /**
  * Cancel an appointment by admin.
+ * Paid amounts are credited to the patient's wallet unless `refundTo` is 'gateway'.
  * @function
  * @async
- * @param {import('express').Request} req - Express request object
+ * @param {import('express').Request} req - Express request object (expects appointmentId and optional reason and refundTo in body)
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
 const appointmentCancel = async (req, res) => {
   try {
-    const { appointmentId } = req.body;
-    const appointment = await appointmentModel.findById(appointmentId);
+    const { appointmentId, reason = "", refundTo } = req.body;
 
-    await appointmentModel.findByIdAndUpdate(appointmentId, {
-      cancelled: true,
+    // The transition releases the doctor slot
+    const { refund, message } = await cancelAppointmentWithPolicy(appointmentId, {
+      actor: { role: STATUS_ACTORS.ADMIN, id: req.auth.id },
+      reason,
+      refundTo,
     });
+    if (message) {
+      return res.json({ success: false, message });
+    }
 
-    // releaseing doctor slot
-
-    const { docId, slotDate, slotTime } = appointment;
-
-    const doctorData = await Doctor.findById(docId);
+    res.json({
+      success: true,
+      message: "Appointment cancelled successfully",
+      refund,
+    });
+  } catch (error) {
+    console.error("Error in cancelAppointment:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
 
-    // Convert slotDate (Date object) to '12_6_2025' format
-    const dateObj = new Date(slotDate);
-    const formattedSlotDate = `${dateObj.getDate()}_${
-      dateObj.getMonth() + 1
-    }_${dateObj.getFullYear()}`;
+/**
+ * Record cash collected at the clinic front desk for an appointment.
+ * The appointment moves to 'paid' and a CASH payment is stored with the admin as collector.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects appointmentId in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const appointmentCollectCash = async (req, res) => {
+  try {
+    const { appointmentId } = req.body;
+    const { payment, message } = await collectCashPayment(appointmentId, {
+      collector: { role: STATUS_ACTORS.ADMIN, id: req.auth.id, name: req.auth.name },
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
 
-    let slot_booked = doctorData.slot_booked;
+    res.json({ success: true, message: "Cash payment recorded", payment });
+  } catch (error) {
+    console.error("Error in appointmentCollectCash:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
 
-    slot_booked[formattedSlotDate] = slot_booked[formattedSlotDate].filter(
-      (el) => el !== slotTime
-    );
+/**
+ * Reschedule an appointment by admin to another free slot of the same doctor.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects appointmentId, slotDate, slotTime and optional reason in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const appointmentReschedule = async (req, res) => {
+  try {
+    const { appointmentId, slotDate, slotTime, reason = "" } = req.body;
 
-    await Doctor.findByIdAndUpdate(docId, { slot_booked });
+    const { appointment, message } = await rescheduleAppointment(appointmentId, {
+      slotDate,
+      slotTime,
+      actor: { role: STATUS_ACTORS.ADMIN, id: req.auth.id },
+      reason,
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
 
     res.json({
       success: true,
-      message: "Appointment cancelled successfully",
+      message: "Appointment rescheduled successfully",
+      appointment,
     });
   } catch (error) {
-    console.error("Error in cancelAppointment:", error);
+    console.error("Error in appointmentReschedule:", error);
     res.json({ success: false, message: "Server error" });
   }
 };
@@ -378,11 +431,17 @@ const adminDashboard = async (req, res) => {
     const lastMonthRevenue = payments
       .filter(payment => payment.createdAt >= lastMonth && payment.createdAt < currentMonth)
       .reduce((sum, payment) => sum + payment.amount, 0);
+    // Cash collected at the clinic, already included in the totals above
+    const cashPayments = payments.filter(payment => payment.method === PAYMENT_METHODS.CASH);
+    const cashRevenue = cashPayments.reduce((sum, payment) => sum + payment.amount, 0);
+    const monthlyCashRevenue = cashPayments
+      .filter(payment => payment.createdAt >= currentMonth)
+      .reduce((sum, payment) => sum + payment.amount, 0);
 
     // Calculate appointment statistics
-    const pendingAppointments = appointments.filter(apt => !apt.cancelled && !apt.isCompleted).length;
-    const completedAppointments = appointments.filter(apt => apt.isCompleted).length;
-    const cancelledAppointments = appointments.filter(apt => apt.cancelled).length;
+    const pendingAppointments = appointments.filter(apt => ACTIVE_STATUSES.includes(apt.status)).length;
+    const completedAppointments = appointments.filter(apt => apt.status === APPOINTMENT_STATUS.COMPLETED).length;
+    const cancelledAppointments = appointments.filter(apt => apt.status === APPOINTMENT_STATUS.CANCELLED).length;
 
     // Calculate growth percentages
     const currentMonthAppointments = appointments.filter(apt => apt.date >= currentMonth).length;
@@ -415,7 +474,7 @@ const adminDashboard = async (req, res) => {
     // Get top performing doctors (by appointment count)
     const doctorPerformance = doctors.map(doctor => {
       const doctorAppointments = appointments.filter(apt => apt.docId === doctor._id.toString());
-      const completedCount = doctorAppointments.filter(apt => apt.isCompleted).length;
+      const completedCount = doctorAppointments.filter(apt => apt.status === APPOINTMENT_STATUS.COMPLETED).length;
       const totalCount = doctorAppointments.length;
       const completionRate = totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0;
       
@@ -439,8 +498,7 @@ const adminDashboard = async (req, res) => {
         slotDate: apt.slotDate,
         slotTime: apt.slotTime,
         amount: apt.amount,
-        cancelled: apt.cancelled,
-        isCompleted: apt.isCompleted,
+        status: apt.status,
         date: apt.date,
         userData: apt.userData,
         docData: apt.docData
@@ -458,7 +516,10 @@ const adminDashboard = async (req, res) => {
       revenue: {
         total: totalRevenue,
         monthly: monthlyRevenue,
-        growth: revenueGrowth
+        growth: revenueGrowth,
+        cash: cashRevenue,
+        monthlyCash: monthlyCashRevenue,
+        online: totalRevenue - cashRevenue
       },
       
       // Appointment status counts
@@ -494,6 +555,8 @@ export {
   allDoctors,
   appointmentsAdmin,
   appointmentCancel,
+  appointmentCollectCash,
+  appointmentReschedule,
   adminDashboard,
   updateDoctor,
 };
@@ -0,0 +1,204 @@
+/**
+ * Controller for promo codes.
+ * Admins create, list, update and delete coupons; patients apply them at
+ * checkout through the payment routes.
+ *
+ * @module controllers/couponController
+ */
+import Coupon, { COUPON_TYPES } from "../models/couponModel.js";
+import { normalizeCouponCode } from "../utils/coupons.js";
+
+/**
+ * Read and check coupon fields sent by an admin.
+ * Only fields present in the body are returned, so it serves both create and update.
+ *
+ * @param {Object} body - Request body
+ * @returns {{fields?: Object, message?: string}} Fields to store, or why they are invalid
+ */
+const readCouponFields = (body) => {
+  const fields = {};
+
+  if (body.code !== undefined) {
+    fields.code = normalizeCouponCode(body.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(fields.code)) {
+      return { message: "Code must be 3-32 letters, digits, '-' or '_'" };
+    }
+  }
+  if (body.description !== undefined) {
+    fields.description = String(body.description).trim();
+  }
+  if (body.type !== undefined) {
+    if (!Object.values(COUPON_TYPES).includes(body.type)) {
+      return { message: "Type must be 'percentage' or 'fixed'" };
+    }
+    fields.type = body.type;
+  }
+  for (const key of ["value", "maxDiscount", "usageLimit", "perUserLimit"]) {
+    if (body[key] === undefined || body[key] === "") continue;
+    const number = Number(body[key]);
+    if (!Number.isFinite(number) || number < 0) {
+      return { message: `${key} must be a non-negative number` };
+    }
+    fields[key] = number;
+  }
+  for (const key of ["startsAt", "expiresAt"]) {
+    if (body[key] === undefined) continue;
+    if (!body[key]) {
+      fields[key] = null;
+      continue;
+    }
+    const date = new Date(body[key]);
+    if (Number.isNaN(date.getTime())) {
+      return { message: `${key} must be a valid date` };
+    }
+    fields[key] = date;
+  }
+  for (const key of ["doctorIds", "specialities"]) {
+    if (body[key] === undefined) continue;
+    if (!Array.isArray(body[key])) {
+      return { message: `${key} must be a list` };
+    }
+    fields[key] = body[key].map(String).filter(Boolean);
+  }
+  for (const key of ["newPatientsOnly", "active"]) {
+    if (body[key] !== undefined) fields[key] = Boolean(body[key]);
+  }
+
+  return { fields };
+};
+
+/**
+ * Check rules that depend on several fields of the resulting coupon.
+ * @param {Object} coupon - Coupon values after the change
+ * @returns {string} Why the coupon is invalid, or an empty string
+ */
+const checkCoupon = (coupon) => {
+  if (!(coupon.value > 0)) {
+    return "Value must be greater than 0";
+  }
+  if (coupon.type === COUPON_TYPES.PERCENTAGE && coupon.value > 100) {
+    return "A percentage discount cannot exceed 100";
+  }
+  if (coupon.startsAt && coupon.expiresAt && coupon.expiresAt <= coupon.startsAt) {
+    return "Expiry must be after the start date";
+  }
+  return "";
+};
+
+/**
+ * Lists all coupons for admins, newest first.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listCoupons = async (req, res) => {
+  try {
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 });
+    res.json({ success: true, coupons });
+  } catch (error) {
+    console.error("Error in listCoupons:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Creates a coupon.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects code, type and value in body, plus optional limits and restrictions)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const createCoupon = async (req, res) => {
+  try {
+    const { fields, message } = readCouponFields(req.body);
+    if (message) {
+      return res.json({ success: false, message });
+    }
+    if (!fields.code || !fields.type) {
+      return res.json({ success: false, message: "Code, type and value are required" });
+    }
+    const invalid = checkCoupon(fields);
+    if (invalid) {
+      return res.json({ success: false, message: invalid });
+    }
+    if (await Coupon.exists({ code: fields.code })) {
+      return res.json({ success: false, message: "A coupon with this code already exists" });
+    }
+
+    const coupon = await Coupon.create(fields);
+    res.json({ success: true, message: "Coupon created", coupon });
+  } catch (error) {
+    console.error("Error in createCoupon:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Updates a coupon. Fields missing from the body are left unchanged.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects couponId in params and the fields to change in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: "Coupon not found" });
+    }
+
+    const { fields, message } = readCouponFields(req.body);
+    if (message) {
+      return res.json({ success: false, message });
+    }
+    const invalid = checkCoupon({ ...coupon.toObject(), ...fields });
+    if (invalid) {
+      return res.json({ success: false, message: invalid });
+    }
+    if (
+      fields.code &&
+      fields.code !== coupon.code &&
+      (await Coupon.exists({ code: fields.code }))
+    ) {
+      return res.json({ success: false, message: "A coupon with this code already exists" });
+    }
+
+    coupon.set({ ...fields, updatedAt: new Date() });
+    await coupon.save();
+    res.json({ success: true, message: "Coupon updated", coupon });
+  } catch (error) {
+    console.error("Error in updateCoupon:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Deletes a coupon. Payments keep their own record of the discount they got.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects couponId in params)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.couponId);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: "Coupon not found" });
+    }
+    res.json({ success: true, message: "Coupon deleted" });
+  } catch (error) {
+    console.error("Error in deleteCoupon:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+export { listCoupons, createCoupon, updateCoupon, deleteCoupon };
@@ -4,8 +4,25 @@
  */
 import Doctor from "../models/doctorModel.js";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
+import { issueSession } from "../utils/authTokens.js";
+import { AUTH_ROLES } from "../config/auth.js";
 import appointmentModel from "../models/appointmentModel.js";
+import {
+  getAvailableSlots,
+  normalizeSchedule,
+  validateSchedule,
+} from "../utils/scheduleUtils.js";
+import {
+  hasBeenPaid,
+  transitionAppointment,
+} from "../utils/appointmentTransitions.js";
+import { cancelAppointmentWithPolicy } from "../utils/cancellationPolicy.js";
+import { collectCashPayment } from "../utils/cashPayments.js";
+import {
+  ACTIVE_STATUSES,
+  APPOINTMENT_STATUS,
+  STATUS_ACTORS,
+} from "../config/appointmentStatus.js";
 /**
  * Toggle the availability status of a doctor.
  * @function
@@ -65,11 +82,14 @@ const doctorLogin = async (req, res) => {
     if (!isPasswordCorrect) {
       return res.status(401).json({ success: false, message: "Invalid password" });
     }
-    const token = jwt.sign({ id: doctor._id }, process.env.JWT_SECRET);
+    const { token, refreshToken } = await issueSession(AUTH_ROLES.DOCTOR, doctor._id, {
+      userAgent: req.get("User-Agent"),
+    });
     res.json({ 
       success: true, 
       message: "Login successful", 
       token,
+      refreshToken,
       doctorId: doctor._id,
       doctor: {
         name: doctor.name,
@@ -86,7 +106,7 @@ const doctorLogin = async (req, res) => {
 // Api for doctor appointments for doctor panel
 const appointmentsDoctor = async (req, res) => {
   try {
-    const { docId } = req.body;
+    const docId = req.auth.id;
     
     if (!docId) {
       return res.status(400).json({ 
@@ -104,14 +124,15 @@ const appointmentsDoctor = async (req, res) => {
     
     // Calculate statistics
     const totalAppointments = appointments.length;
-    const pendingAppointments = appointments.filter(apt => !apt.cancelled && !apt.isCompleted).length;
-    const completedAppointments = appointments.filter(apt => apt.isCompleted).length;
-    const cancelledAppointments = appointments.filter(apt => apt.cancelled).length;
+    const pendingAppointments = appointments.filter(apt => ACTIVE_STATUSES.includes(apt.status)).length;
+    const completedAppointments = appointments.filter(apt => apt.status === APPOINTMENT_STATUS.COMPLETED).length;
+    const cancelledAppointments = appointments.filter(apt => apt.status === APPOINTMENT_STATUS.CANCELLED).length;
+    const noShowAppointments = appointments.filter(apt => apt.status === APPOINTMENT_STATUS.NO_SHOW).length;
     
     // Calculate monthly statistics
     const monthlyAppointments = appointments.filter(apt => apt.date >= currentMonth).length;
     const monthlyRevenue = appointments
-      .filter(apt => apt.date >= currentMonth && apt.payment)
+      .filter(apt => apt.date >= currentMonth && hasBeenPaid(apt))
       .reduce((sum, apt) => sum + apt.amount, 0);
     
     // Get appointment statistics by status
@@ -120,6 +141,7 @@ const appointmentsDoctor = async (req, res) => {
       pending: pendingAppointments,
       completed: completedAppointments,
       cancelled: cancelledAppointments,
+      noShow: noShowAppointments,
       monthly: monthlyAppointments,
       monthlyRevenue: monthlyRevenue
     };
@@ -139,6 +161,9 @@ const appointmentsDoctor = async (req, res) => {
 const getDoctorProfile = async (req, res) => {
   try {
     const { doctorId } = req.params;
+    if (doctorId !== req.auth.id) {
+      return res.status(403).json({ success: false, message: "You can only view your own profile" });
+    }
     
     const doctor = await Doctor.findById(doctorId).select('-password');
     
@@ -163,11 +188,16 @@ const getDoctorProfile = async (req, res) => {
 const updateDoctorProfile = async (req, res) => {
   try {
     const { doctorId } = req.params;
+    if (doctorId !== req.auth.id) {
+      return res.status(403).json({ success: false, message: "You can only update your own profile" });
+    }
     const updateData = req.body;
     
     // Remove sensitive fields that shouldn't be updated via this endpoint
     delete updateData.password;
     delete updateData.email; // Email should be updated separately for security
+    delete updateData.schedule; // Schedule is validated via /schedule
+    delete updateData.slot_booked;
     
     const doctor = await Doctor.findByIdAndUpdate(
       doctorId, 
@@ -193,4 +223,289 @@ const updateDoctorProfile = async (req, res) => {
   }
 };
 
-export { changeAvailability, doctorList, doctorLogin, appointmentsDoctor, getDoctorProfile, updateDoctorProfile };
+/**
+ * Get the bookable slots of a doctor for the booking horizon of their schedule.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects docId in params)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getDoctorSlots = async (req, res) => {
+  try {
+    const { docId } = req.params;
+    const doctor = await Doctor.findById(docId).select("schedule slot_booked available");
+
+    if (!doctor) {
+      return res.status(404).json({ success: false, message: "Doctor not found" });
+    }
+
+    const schedule = normalizeSchedule(doctor.schedule);
+    const days = doctor.available
+      ? getAvailableSlots(schedule, doctor.slot_booked || {})
+      : [];
+
+    res.json({
+      success: true,
+      available: doctor.available,
+      slotDuration: schedule.slotDuration,
+      days,
+    });
+  } catch (error) {
+    console.error("Error fetching doctor slots:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get the weekly schedule of the authenticated doctor.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getDoctorSchedule = async (req, res) => {
+  try {
+    const docId = req.auth.id;
+    const doctor = await Doctor.findById(docId).select("schedule");
+
+    if (!doctor) {
+      return res.status(404).json({ success: false, message: "Doctor not found" });
+    }
+
+    res.json({ success: true, schedule: normalizeSchedule(doctor.schedule) });
+  } catch (error) {
+    console.error("Error fetching doctor schedule:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Replace the weekly schedule of the authenticated doctor.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; schedule in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const updateDoctorSchedule = async (req, res) => {
+  try {
+    const docId = req.auth.id;
+    const { schedule } = req.body;
+
+    const validationError = validateSchedule(schedule);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const scheduleData = {
+      weeklyHours: schedule.weeklyHours.map(({ day, start, end }) => ({ day, start, end })),
+      slotDuration: schedule.slotDuration,
+      breaks: (schedule.breaks || []).map(({ day, start, end }) => ({
+        day: day ?? undefined,
+        start,
+        end,
+      })),
+      bookingHorizonDays: schedule.bookingHorizonDays,
+    };
+
+    const doctor = await Doctor.findByIdAndUpdate(
+      docId,
+      { schedule: scheduleData },
+      { new: true, runValidators: true }
+    ).select("schedule");
+
+    if (!doctor) {
+      return res.status(404).json({ success: false, message: "Doctor not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Schedule updated successfully",
+      schedule: normalizeSchedule(doctor.schedule),
+    });
+  } catch (error) {
+    console.error("Error updating doctor schedule:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Move one of the authenticated doctor's appointments to a new status and send the response.
+ * Ownership is enforced by matching the appointment's docId against the dtoken.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId and optional reason in body)
+ * @param {import('express').Response} res - Express response object
+ * @param {string} status - Target status
+ * @param {string} successMessage - Message returned on success
+ * @returns {Promise<void>}
+ */
+const respondWithDoctorTransition = async (req, res, status, successMessage) => {
+  const docId = req.auth.id;
+  const { appointmentId, reason = "" } = req.body;
+  if (typeof reason !== "string") {
+    return res.status(400).json({ success: false, message: "Reason must be text" });
+  }
+  const { message } = await transitionAppointment(appointmentId, status, {
+    actor: { role: STATUS_ACTORS.DOCTOR, id: docId },
+    reason: reason.trim(),
+    filter: { docId },
+  });
+  if (message) {
+    return res.json({ success: false, message });
+  }
+  res.json({ success: true, message: successMessage });
+};
+
+/**
+ * Confirm one of the authenticated doctor's booked appointments.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const appointmentConfirm = async (req, res) => {
+  try {
+    await respondWithDoctorTransition(req, res, APPOINTMENT_STATUS.CONFIRMED, "Appointment confirmed");
+  } catch (error) {
+    console.error("Error confirming appointment:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Check in the patient for one of the authenticated doctor's appointments.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const appointmentCheckIn = async (req, res) => {
+  try {
+    await respondWithDoctorTransition(req, res, APPOINTMENT_STATUS.CHECKED_IN, "Patient checked in");
+  } catch (error) {
+    console.error("Error checking in appointment:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Mark one of the authenticated doctor's checked-in appointments as completed.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const appointmentComplete = async (req, res) => {
+  try {
+    await respondWithDoctorTransition(req, res, APPOINTMENT_STATUS.COMPLETED, "Appointment marked as completed");
+  } catch (error) {
+    console.error("Error completing appointment:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Mark one of the authenticated doctor's appointments as a no-show.
+ * The slot stays booked because the time has been used.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const appointmentNoShow = async (req, res) => {
+  try {
+    await respondWithDoctorTransition(req, res, APPOINTMENT_STATUS.NO_SHOW, "Appointment marked as no-show");
+  } catch (error) {
+    console.error("Error marking appointment as no-show:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Cancel one of the authenticated doctor's appointments with a reason and release the slot.
+ * Cancellations by the doctor are refunded in full under the cancellation policy,
+ * credited straight to the patient's wallet.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId and reason in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const appointmentCancelDoctor = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (reason !== undefined && typeof reason !== "string") {
+      return res.status(400).json({ success: false, message: "Reason must be text" });
+    }
+    if (!reason || !reason.trim()) {
+      return res.json({ success: false, message: "Cancellation reason is required" });
+    }
+    const docId = req.auth.id;
+    const { appointmentId } = req.body;
+    const { refund, message } = await cancelAppointmentWithPolicy(appointmentId, {
+      actor: { role: STATUS_ACTORS.DOCTOR, id: docId },
+      reason: reason.trim(),
+      filter: { docId },
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
+    res.json({ success: true, message: "Appointment cancelled successfully", refund });
+  } catch (error) {
+    console.error("Error cancelling appointment:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Record cash collected at the clinic for one of the authenticated doctor's appointments.
+ * The appointment moves to 'paid' and a CASH payment is stored with the doctor as collector.
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const appointmentCollectCash = async (req, res) => {
+  try {
+    const docId = req.auth.id;
+    const { appointmentId } = req.body;
+    const doctor = await Doctor.findById(docId).select("name");
+    const { payment, message } = await collectCashPayment(appointmentId, {
+      collector: { role: STATUS_ACTORS.DOCTOR, id: docId, name: doctor?.name },
+      filter: { docId },
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
+    res.json({ success: true, message: "Cash payment recorded", payment });
+  } catch (error) {
+    console.error("Error recording cash payment:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export {
+  changeAvailability,
+  doctorList,
+  doctorLogin,
+  appointmentsDoctor,
+  getDoctorProfile,
+  updateDoctorProfile,
+  getDoctorSlots,
+  getDoctorSchedule,
+  updateDoctorSchedule,
+  appointmentConfirm,
+  appointmentCheckIn,
+  appointmentComplete,
+  appointmentNoShow,
+  appointmentCancelDoctor,
+  appointmentCollectCash,
+};
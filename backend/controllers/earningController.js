@@ -0,0 +1,289 @@
+/**
+ * Controller for doctor earnings and payouts.
+ * Doctors see their earnings and download monthly statements; admins set
+ * commission rates, generate monthly payout statements and mark them paid.
+ *
+ * @module controllers/earningController
+ */
+import CommissionRate, { COMMISSION_SCOPES } from "../models/commissionRateModel.js";
+import Payout, { PAYOUT_STATUS } from "../models/payoutModel.js";
+import Doctor from "../models/doctorModel.js";
+import {
+  generatePayouts,
+  getCommissionRate,
+  getDoctorEarnings,
+  getMonthlyStatement,
+  isValidPeriod,
+  markPayoutPaid,
+  renderStatementPdf,
+} from "../utils/earnings.js";
+import { getDefaultCommissionRate } from "../config/earnings.js";
+
+/**
+ * Send a monthly statement as a PDF download.
+ * @param {import('express').Response} res - Express response object
+ * @param {Object} statement - Statement from getMonthlyStatement
+ * @returns {Promise<void>}
+ */
+const sendStatementPdf = async (res, statement) => {
+  const pdf = await renderStatementPdf(statement);
+  const name = statement.doctor.name.replace(/[^A-Za-z0-9]+/g, "-");
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="statement-${name}-${statement.period}.pdf"`,
+    "Content-Length": pdf.length,
+  });
+  res.send(pdf);
+};
+
+/**
+ * Gets the authenticated doctor's earnings: monthly totals, unsettled balance,
+ * payouts and current commission rate.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const doctorEarnings = async (req, res) => {
+  try {
+    const docId = req.auth.id;
+    const doctor = await Doctor.findById(docId).select("speciality");
+    if (!doctor) {
+      return res.status(404).json({ success: false, message: "Doctor not found" });
+    }
+
+    const earnings = await getDoctorEarnings(docId);
+    const commissionRate = await getCommissionRate(docId, doctor.speciality);
+    res.json({ success: true, ...earnings, commissionRate });
+  } catch (error) {
+    console.error("Error in doctorEarnings:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Downloads the authenticated doctor's earnings statement for a month.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth and period in params)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const downloadDoctorStatement = async (req, res) => {
+  try {
+    const { statement, message } = await getMonthlyStatement(req.auth.id, req.params.period);
+    if (message) {
+      return res.status(400).json({ success: false, message });
+    }
+
+    await sendStatementPdf(res, statement);
+  } catch (error) {
+    console.error("Error in downloadDoctorStatement:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Lists commission rates for admins, with the platform default.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listCommissionRates = async (req, res) => {
+  try {
+    const rates = await CommissionRate.find({}).sort({ scope: 1, target: 1 });
+    res.json({ success: true, rates, defaultRate: getDefaultCommissionRate() });
+  } catch (error) {
+    console.error("Error in listCommissionRates:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Sets the commission rate of a doctor or a speciality. Applies to payments
+ * completed from now on; earnings already recorded keep their rate.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects scope, target and rate in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const setCommissionRate = async (req, res) => {
+  try {
+    const { scope, target } = req.body;
+    const rate = Number(req.body.rate);
+    if (!Object.values(COMMISSION_SCOPES).includes(scope) || !target) {
+      return res.json({ success: false, message: "A doctor or speciality is required" });
+    }
+    if (req.body.rate === "" || !Number.isFinite(rate) || rate < 0 || rate > 100) {
+      return res.json({ success: false, message: "Rate must be between 0 and 100" });
+    }
+    if (scope === COMMISSION_SCOPES.DOCTOR && !(await Doctor.exists({ _id: target }))) {
+      return res.json({ success: false, message: "Doctor not found" });
+    }
+
+    const commissionRate = await CommissionRate.findOneAndUpdate(
+      { scope, target: String(target) },
+      { $set: { rate, updatedAt: new Date() } },
+      { new: true, upsert: true }
+    );
+    res.json({ success: true, message: "Commission rate saved", rate: commissionRate });
+  } catch (error) {
+    console.error("Error in setCommissionRate:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Removes a commission rate, so the doctor or speciality falls back to the
+ * next rate that applies.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects rateId in params)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const deleteCommissionRate = async (req, res) => {
+  try {
+    const rate = await CommissionRate.findByIdAndDelete(req.params.rateId);
+    if (!rate) {
+      return res.status(404).json({ success: false, message: "Commission rate not found" });
+    }
+    res.json({ success: true, message: "Commission rate removed" });
+  } catch (error) {
+    console.error("Error in deleteCommissionRate:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Lists payout statements for admins, newest month first.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (accepts optional status and period in query)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listPayouts = async (req, res) => {
+  try {
+    const { status, period } = req.query;
+    const query = {};
+    if (status && Object.values(PAYOUT_STATUS).includes(status)) {
+      query.status = status;
+    }
+    if (isValidPeriod(period)) {
+      query.period = period;
+    }
+
+    const payouts = await Payout.find(query).sort({ period: -1, createdAt: -1 }).limit(200);
+    res.json({ success: true, payouts });
+  } catch (error) {
+    console.error("Error in listPayouts:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Generates payout statements for a month that has ended.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects period 'YYYY-MM' in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const generatePayoutStatements = async (req, res) => {
+  try {
+    const { payouts, message } = await generatePayouts(req.body.period);
+    if (message) {
+      return res.json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      message: payouts.length
+        ? `${payouts.length} payout statement(s) generated`
+        : "No unsettled earnings to pay out for this month",
+      payouts,
+    });
+  } catch (error) {
+    console.error("Error in generatePayoutStatements:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Marks a payout statement as paid.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects payoutId in params, reference and optional note in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const payPayout = async (req, res) => {
+  try {
+    const { reference, note } = req.body;
+    const { payout, message } = await markPayoutPaid(req.params.payoutId, {
+      reference,
+      note,
+      paidBy: req.auth.id,
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
+
+    res.json({ success: true, message: "Payout marked as paid", payout });
+  } catch (error) {
+    console.error("Error in payPayout:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Downloads the earnings statement behind a payout for admins.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects payoutId in params)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const downloadPayoutStatement = async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.payoutId);
+    if (!payout) {
+      return res.status(404).json({ success: false, message: "Payout not found" });
+    }
+
+    const { statement, message } = await getMonthlyStatement(payout.doctorId, payout.period);
+    if (message) {
+      return res.status(404).json({ success: false, message });
+    }
+    await sendStatementPdf(res, statement);
+  } catch (error) {
+    console.error("Error in downloadPayoutStatement:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+export {
+  doctorEarnings,
+  downloadDoctorStatement,
+  listCommissionRates,
+  setCommissionRate,
+  deleteCommissionRate,
+  listPayouts,
+  generatePayoutStatements,
+  payPayout,
+  downloadPayoutStatement,
+};
@@ -0,0 +1,75 @@
+/**
+ * Controller for appointment invoices.
+ * Patients download the invoice of their own paid appointments; admins can
+ * download the invoice of any paid appointment.
+ *
+ * @module controllers/invoiceController
+ */
+import { getAppointmentInvoice, renderInvoicePdf } from "../utils/invoices.js";
+
+/**
+ * Send an invoice as a PDF download.
+ * @param {import('express').Response} res - Express response object
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<void>}
+ */
+const sendInvoicePdf = async (res, invoice) => {
+  const pdf = await renderInvoicePdf(invoice);
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${invoice.number}.pdf"`,
+    "Content-Length": pdf.length,
+  });
+  res.send(pdf);
+};
+
+/**
+ * Downloads the invoice of one of the user's paid appointments.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth and appointmentId in params)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const downloadUserInvoice = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const { invoice, message } = await getAppointmentInvoice(req.params.appointmentId, {
+      userId,
+    });
+    if (message) {
+      return res.status(404).json({ success: false, message });
+    }
+
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error("Error in downloadUserInvoice:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Downloads the invoice of any paid appointment for admins.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects appointmentId in params)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const downloadAdminInvoice = async (req, res) => {
+  try {
+    const { invoice, message } = await getAppointmentInvoice(req.params.appointmentId);
+    if (message) {
+      return res.status(404).json({ success: false, message });
+    }
+
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error("Error in downloadAdminInvoice:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+export { downloadUserInvoice, downloadAdminInvoice };
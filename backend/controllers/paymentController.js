@@ -1,171 +1,516 @@
 /**
- * Controller for payment and eSewa integration operations.
- * Handles payment initiation, verification, and status updates for appointments.
+ * Controller for payment gateway operations.
+ * Handles payment initiation, verification, and status updates for appointments
+ * through any configured gateway (eSewa, Khalti, or the local mock gateway).
  *
  * @module controllers/paymentController
  */
-import crypto from "crypto";
-import axios from "axios";
 import { v4 as uuidv4 } from "uuid";
 import Payment from "../models/paymentModel.js";
 import appointmentModel from "../models/appointmentModel.js";
+import User from "../models/userModel.js";
+import ReconciliationRun from "../models/reconciliationRunModel.js";
+import { getGateway, listGateways } from "../utils/paymentGateways/index.js";
+import { deductWalletAmount, getPayableAmount } from "../utils/paymentAmount.js";
+import {
+  applyCompletedPayment,
+  runReconciliation,
+  settlePayment,
+} from "../utils/paymentReconciliation.js";
+import { releaseCoupon, reserveCoupon, validateCoupon } from "../utils/coupons.js";
+import { findAttemptByKey, getOpenAttempt, parseIdempotencyKey } from "../utils/paymentAttempts.js";
+import { debitWallet, getWalletBalance, releaseWalletHold } from "../utils/wallet.js";
+import { WALLET_SOURCES } from "../models/walletTransactionModel.js";
+import {
+  PAYMENT_STATUS,
+  getFrontendUrl,
+  getReconciliationPolicy,
+} from "../config/paymentGateways.js";
+import {
+  APPOINTMENT_STATUS,
+  PAYABLE_STATUSES,
+  STATUS_ACTORS,
+} from "../config/appointmentStatus.js";
 
-const ESEWA_PRODUCT_CODE = "EPAYTEST";
-const ESEWA_SECRET_KEY = "8gBm/:&EnhH.1/q";
-const ESEWA_BASE_URL = "https://rc-epay.esewa.com.np/api/epay/main/v2/form";
+/**
+ * Lists the payment gateways patients can choose from.
+ *
+ * @function
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {void}
+ */
+const listPaymentGateways = (req, res) => {
+  res.json({ success: true, gateways: listGateways() });
+};
 
 /**
- * Initiates an eSewa payment instance and returns the payment form data to the frontend.
- * - Generates a unique transaction UUID if not provided.
- * - Calculates the total amount (amount + tax_amount).
- * - Generates a base64 HMAC-SHA256 signature as required by eSewa.
- * - Stores a new Payment record in the database with status 'PENDING'.
- * - Returns the eSewa payment URL and form data for client-side redirection.
+ * Load a user's appointment that is awaiting payment and price it, applying a promo code if given.
+ *
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} userId - Patient paying
+ * @param {string} [couponCode] - Promo code entered by the patient
+ * @returns {Promise<{appointment?: Object, payable?: Object, discount?: Object|null, message?: string}>}
+ */
+const priceAppointment = async (appointmentId, userId, couponCode) => {
+  const appointment = await appointmentModel.findOne({ _id: appointmentId, userId });
+  if (!appointment) {
+    return { message: "Appointment not found" };
+  }
+  if (appointment.status === APPOINTMENT_STATUS.PAID) {
+    return { message: "This appointment has already been paid" };
+  }
+  if ([APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.REFUNDED].includes(appointment.status)) {
+    return { message: "This appointment has been cancelled and can no longer be paid" };
+  }
+  if (!PAYABLE_STATUSES.includes(appointment.status)) {
+    return { message: `A ${appointment.status} appointment cannot be paid` };
+  }
+
+  let discount = null;
+  if (couponCode) {
+    const result = await validateCoupon(couponCode, {
+      appointment,
+      userId,
+      fee: getPayableAmount(appointment).fee,
+    });
+    if (result.message) {
+      return { message: result.message };
+    }
+    discount = result.discount;
+  }
+
+  const payable = getPayableAmount(appointment, { discount: discount?.amount || 0 });
+  return { appointment, payable, discount };
+};
+
+/**
+ * Checks a promo code for one of the user's appointments and returns the discounted price.
  *
  * @function
  * @async
- * @param {import('express').Request} req - Express request object (expects amount, tax_amount, product_service_charge, product_delivery_charge, transaction_uuid, userData, appointmentId in body)
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId and couponCode in body)
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
-const esewaInstance = async (req, res) => {
+const applyCoupon = async (req, res) => {
   try {
-    const {
-      amount = 0,
-      tax_amount = 0,
-      product_service_charge = 0,
-      product_delivery_charge = 0,
-      transaction_uuid,
-      userData = {},
-      appointmentId,
-    } = req.body;
-
-    const totalAmount = Number(amount) + Number(tax_amount);
-    const transactionUuid = transaction_uuid || uuidv4();
-    const message = `total_amount=${totalAmount},transaction_uuid=${transactionUuid},product_code=${ESEWA_PRODUCT_CODE}`;
-    const signature = Buffer.from(
-      crypto.createHmac("sha256", ESEWA_SECRET_KEY).update(message).digest()
-    ).toString("base64");
-
-    const paymentData = {
-      amount: String(amount),
-      product_delivery_charge: String(product_delivery_charge),
-      product_service_charge: String(product_service_charge),
-      product_code: ESEWA_PRODUCT_CODE,
-      signature,
-      tax_amount: String(tax_amount),
-      total_amount: String(totalAmount),
-      transaction_uuid: transactionUuid,
-      success_url: "http://localhost:4000/api/payment/esewa/success",
-      failure_url: "http://localhost:4000/api/payment/esewa/failure",
-      signed_field_names: "total_amount,transaction_uuid,product_code",
-      appointmentId,
-    };
+    const userId = req.auth.id;
+    const { appointmentId, couponCode } = req.body;
+    if (!couponCode) {
+      return res.json({ success: false, message: "Please enter a promo code" });
+    }
 
-    await Payment.create({
-      ...paymentData,
-      user: userData,
-      status: "PENDING",
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    });
+    const { payable, discount, message } = await priceAppointment(
+      appointmentId,
+      userId,
+      couponCode
+    );
+    if (message) {
+      return res.json({ success: false, message });
+    }
 
     res.json({
-      esewaUrl: ESEWA_BASE_URL,
-      paymentData,
+      success: true,
+      message: `Promo code ${discount.code} applied`,
+      code: discount.code,
+      fee: payable.fee,
+      discount: discount.amount,
+      totalAmount: payable.totalAmount,
     });
   } catch (error) {
-    console.error("Error in esewaInstance:", error);
-    res.status(500).json({ success: false, message: "Esewa instance error" });
+    console.error("Error in applyCoupon:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
   }
 };
 
 /**
- * Verifies the eSewa payment after user completes or cancels payment on eSewa.
- * - Decodes and parses the payment data from the query string.
- * - Calls eSewa's transaction status API to verify payment status.
- * - Updates the Payment record in the database with the verification result.
- * - If payment is successful, marks the related appointment as paid.
- * - Redirects the user to the frontend with payment status and transaction UUID.
+ * Builds the response for a payment attempt started earlier, so a retried
+ * request gets the same answer as the first one.
+ *
+ * @param {Object} payment - Payment document
+ * @returns {Object} Response body
+ */
+const describeAttempt = (payment) => {
+  if (payment.status === PAYMENT_STATUS.COMPLETE && payment.gateway === "coupon") {
+    return {
+      success: true,
+      message: "Your appointment is covered by the promo code",
+      free: true,
+      transaction_uuid: payment.transaction_uuid,
+    };
+  }
+  if (payment.status === PAYMENT_STATUS.COMPLETE && payment.gateway === "wallet") {
+    return {
+      success: true,
+      message: "Paid from your wallet",
+      paidWithWallet: true,
+      transaction_uuid: payment.transaction_uuid,
+    };
+  }
+  if (payment.status === PAYMENT_STATUS.COMPLETE) {
+    return { success: false, message: "This appointment has already been paid" };
+  }
+  if (payment.status !== PAYMENT_STATUS.PENDING) {
+    return { success: false, message: "This payment attempt has ended. Please start a new payment" };
+  }
+  if (!payment.checkout) {
+    return { success: false, message: "This payment is still being set up. Please try again in a moment" };
+  }
+  return {
+    success: true,
+    gateway: payment.gateway,
+    transaction_uuid: payment.transaction_uuid,
+    checkout: payment.checkout,
+  };
+};
+
+/**
+ * Initiates a payment with the chosen gateway and returns where to send the patient.
+ * - Only the authenticated owner of an appointment that is still awaiting payment can pay for it;
+ *   paid or cancelled appointments are rejected.
+ * - The amount is computed from the appointment; amounts sent by the client are ignored.
+ * - An optional promo code is validated on the server and recorded as the Payment's discount.
+ * - An appointment has one payment attempt in progress at a time. Retrying with the same
+ *   gateway, total and promo code resumes the attempt in progress; anything else waits until
+ *   it ends. See {@link module:utils/paymentAttempts}.
+ * - An optional idempotency key (`Idempotency-Key` header or `idempotencyKey` in body)
+ *   makes retries safe: a request repeating a key gets that attempt's response back.
+ * - The attempt is stored as a 'PENDING' Payment before anything is charged, so concurrent
+ *   requests cannot both start one.
+ * - A payment fully covered by a promo code completes at once without a gateway.
+ * - With `useWallet`, the patient's wallet balance pays as much as it can: it is taken
+ *   from the wallet now and the gateway is only charged the rest. A payment the wallet
+ *   covers in full completes at once; if the gateway payment fails, the balance is given back.
+ * - Lets the gateway prepare the checkout (a signed form for eSewa, a payment page for Khalti)
+ *   and stores it on the Payment.
+ * - Returns the checkout as `{ method, url, fields }` for client-side redirection.
  *
  * @function
  * @async
- * @param {import('express').Request} req - Express request object (expects base64 encoded data in query)
+ * @param {import('express').Request} req - Express request object (expects req.auth, gateway in params; appointmentId and optional couponCode, useWallet and idempotencyKey in body)
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
-const esewaVerification = async (req, res) => {
+const initiatePayment = async (req, res) => {
   try {
-    const encodedData = req.query.data;
-    const decodedData = Buffer.from(encodedData, "base64").toString("ascii");
-    const data = JSON.parse(decodedData);
-    const { product_code, total_amount, transaction_uuid } = data;
-    const verificationResponse = await axios.get(
-      "https://rc-epay.esewa.com.np/api/epay/transaction/status/",
+    const gateway = getGateway(req.params.gateway);
+    if (!gateway) {
+      return res.status(404).json({ success: false, message: "Payment gateway not available" });
+    }
+
+    const userId = req.auth.id;
+
+    const { appointmentId, couponCode, useWallet } = req.body;
+    const { key: idempotencyKey, message: keyMessage } = parseIdempotencyKey(
+      req.get("Idempotency-Key") ?? req.body.idempotencyKey
+    );
+    if (keyMessage) {
+      return res.status(400).json({ success: false, message: keyMessage });
+    }
+    if (idempotencyKey) {
+      const previous = await findAttemptByKey(userId, idempotencyKey);
+      if (previous) {
+        if (String(previous.appointmentId) !== String(appointmentId)) {
+          return res.status(422).json({
+            success: false,
+            message: "This idempotency key was already used for another payment",
+          });
+        }
+        return res.json(describeAttempt(previous));
+      }
+    }
+
+    const { appointment, payable, discount, message: priceMessage } = await priceAppointment(
+      appointmentId,
+      userId,
+      couponCode
+    );
+    if (priceMessage) {
+      return res.json({ success: false, message: priceMessage });
+    }
+
+    const { payment: openAttempt, message: attemptMessage } = await getOpenAttempt(
+      appointment._id,
       {
-        params: { product_code, total_amount, transaction_uuid },
+        gateway: gateway.name,
+        totalAmount: payable.totalAmount,
+        couponCode: discount?.code,
+        useWallet,
       }
     );
-    // find transaction_uuid and update status and ref_id first find Payment and store in variable and then update
-    const payment = await Payment.findOne({ transaction_uuid });
-    if (payment) {
-      // Update the payment record with the verification response
-      await payment.updateOne({
-        status: verificationResponse.data.status,
-        ref_id: verificationResponse.data.ref_id || "",
-        transaction_code: data.transaction_code || "",
-        esewa_signature: data.signature || "",
+    if (attemptMessage) {
+      return res.json({ success: false, message: attemptMessage });
+    }
+    if (openAttempt) {
+      return res.json(describeAttempt(openAttempt));
+    }
+
+    const user = await User.findById(userId).select("name email phone");
+    const userData = {
+      _id: String(userId),
+      name: user?.name || "",
+      email: user?.email || "",
+      phone: user?.phone || "",
+    };
+    const transactionUuid = uuidv4();
+    const walletAmount = useWallet
+      ? Math.max(Math.min(await getWalletBalance(userId), payable.totalAmount), 0)
+      : 0;
+
+    // Nothing left to pay (e.g. a free first consultation), paid from the wallet, or at the gateway
+    let method = gateway.name;
+    if (payable.totalAmount <= 0) method = "coupon";
+    else if (walletAmount >= payable.totalAmount) method = "wallet";
+
+    let payment;
+    try {
+      payment = await Payment.create({
+        amount: payable.amount,
+        discount,
+        wallet_amount: walletAmount,
+        tax_amount: payable.taxAmount,
+        tax_rates: payable.rates,
+        product_service_charge: payable.serviceCharge,
+        product_delivery_charge: payable.deliveryCharge,
+        total_amount: String(payable.totalAmount),
+        transaction_uuid: transactionUuid,
+        idempotency_key: idempotencyKey,
+        appointmentId: appointment._id,
+        user: userData,
+        gateway: method,
+        status: PAYMENT_STATUS.PENDING,
+        createdAt: new Date(),
         updatedAt: new Date(),
       });
-      await appointmentModel.updateOne(
-        { _id: payment.appointmentId },
-        { payment: true }
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Another request started an attempt at the same time
+      const previous = idempotencyKey && (await findAttemptByKey(userId, idempotencyKey));
+      if (previous) {
+        return res.json(describeAttempt(previous));
+      }
+      return res.json({
+        success: false,
+        message: "A payment for this appointment is already in progress",
+      });
+    }
+
+    const { message: couponMessage } = await reserveCoupon(payment);
+    if (couponMessage) {
+      await payment.deleteOne();
+      return res.json({ success: false, message: couponMessage });
+    }
+
+    if (method === "coupon") {
+      const completed = await Payment.findByIdAndUpdate(
+        payment._id,
+        { status: PAYMENT_STATUS.COMPLETE, updatedAt: new Date() },
+        { new: true }
+      );
+      await applyCompletedPayment(completed, {
+        actorId: "coupon",
+        reason: `Covered by promo code ${discount.code}`,
+      });
+      return res.json(describeAttempt(completed));
+    }
+
+    if (walletAmount > 0) {
+      const { message: walletMessage } = await debitWallet(userId, {
+        amount: walletAmount,
+        source: WALLET_SOURCES.CHECKOUT,
+        note: `Appointment with ${appointment.docData?.name || "doctor"}`,
+        paymentId: payment._id,
+        appointmentId: appointment._id,
+        actor: { role: STATUS_ACTORS.USER, id: userId },
+      });
+      if (walletMessage) {
+        await releaseCoupon(payment);
+        await payment.deleteOne();
+        return res.json({ success: false, message: walletMessage });
+      }
+    }
+
+    if (method === "wallet") {
+      const completed = await Payment.findByIdAndUpdate(
+        payment._id,
+        { status: PAYMENT_STATUS.COMPLETE, updatedAt: new Date() },
+        { new: true }
       );
+      await applyCompletedPayment(completed, {
+        actorId: "wallet",
+        reason: "Paid from the patient's wallet",
+      });
+      return res.json(describeAttempt(completed));
+    }
+
+    // Drops an attempt the gateway could not start, giving back any wallet balance and promo code use it held
+    const abandonAttempt = async () => {
+      if (walletAmount > 0) {
+        await releaseWalletHold(payment);
+      }
+      await releaseCoupon(payment);
+      await payment.deleteOne();
+    };
+
+    let initiated;
+    try {
+      initiated = await gateway.initiate({
+        ...deductWalletAmount(payable, walletAmount),
+        transactionUuid,
+        appointmentId: String(appointment._id),
+        customer: userData,
+      });
+    } catch (error) {
+      await abandonAttempt();
+      throw error;
+    }
+    const { checkout, record, message } = initiated;
+    if (message) {
+      await abandonAttempt();
+      return res.json({ success: false, message });
+    }
+
+    const started = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: PAYMENT_STATUS.PENDING },
+      { ...record, checkout, updatedAt: new Date() },
+      { new: true }
+    );
+    res.json(describeAttempt(started || (await Payment.findById(payment._id))));
+  } catch (error) {
+    console.error("Error in initiatePayment:", error);
+    res.status(500).json({ success: false, message: "Payment initiation error" });
+  }
+};
+
+/**
+ * Verifies a payment after the patient completes or cancels it on the gateway.
+ * - Reads the gateway's redirect to find our transaction UUID.
+ * - Rejects redirects that fail the gateway's integrity checks (e.g. eSewa's signature).
+ * - Settles the payment from the gateway's authoritative status (the redirect alone is not trusted):
+ *   a wrong amount marks it 'AMBIGUOUS', and only a complete payment for the right amount
+ *   moves the related appointment to 'paid'. See {@link module:utils/paymentReconciliation}.
+ * - A payment the gateway has not settled yet stays 'PENDING' for the reconciliation job.
+ * - Redirects the user to the frontend with payment status and transaction UUID.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects gateway in params, defaulting to eSewa, and the gateway's callback data in query)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const verifyPayment = async (req, res) => {
+  const frontendUrl = getFrontendUrl();
+  try {
+    const gateway = getGateway(req.params.gateway || "esewa");
+    if (!gateway) {
+      return res.redirect(`${frontendUrl}/payment-failure?status=error`);
+    }
+
+    const callback = await gateway.parseCallback(req.query);
+    if (callback.message) {
+      console.error(`Invalid ${gateway.name} callback:`, callback.message);
+      return res.redirect(`${frontendUrl}/payment-failure?status=error`);
     }
-    if (verificationResponse.data.status === "COMPLETE") {
-      // TODO: Update your database (e.g., mark order as paid)
-      console.log("Payment successful:", data);
+    const { transactionUuid } = callback;
+
+    const payment = await Payment.findOne({
+      transaction_uuid: transactionUuid,
+      gateway: gateway.name,
+    });
+    if (!payment) {
       return res.redirect(
-        `${process.env.FRONTEND_URL}/payment-success?status=success&uuid=${transaction_uuid}`
+        `${frontendUrl}/payment-failure?status=failed&uuid=${transactionUuid}`
       );
-    } else {
-      console.log("Payment status not complete:", verificationResponse.data);
+    }
+
+    const { status, message } = await settlePayment(payment, gateway, { callback });
+    if (message) {
+      console.error(`${gateway.label} status lookup failed:`, message);
+    }
+    if (status === PAYMENT_STATUS.COMPLETE) {
       return res.redirect(
-        `${process.env.FRONTEND_URL}/payment-failure?status=failed&uuid=${transaction_uuid}`
+        `${frontendUrl}/payment-success?status=success&uuid=${transactionUuid}`
       );
     }
-  } catch (error) {
-    console.error("Error verifying eSewa payment:", error);
+
+    console.log(`${gateway.label} payment status not complete:`, status);
     return res.redirect(
-      `${process.env.FRONTEND_URL}/payment-failure?status=error`
+      `${frontendUrl}/payment-failure?status=failed&uuid=${transactionUuid}`
     );
+  } catch (error) {
+    console.error("Error verifying payment:", error);
+    return res.redirect(`${frontendUrl}/payment-failure?status=error`);
   }
 };
 
 /**
- * Handles the eSewa success callback.
- * - Delegates to esewaVerification to process and redirect appropriately.
+ * Serves the checkout page of the local mock gateway.
+ * Only reachable while the mock gateway is enabled.
  *
  * @function
- * @param {import('express').Request} req - Express request object
+ * @param {import('express').Request} req - Express request object (expects reference in query)
+ * @param {import('express').Response} res - Express response object
+ * @returns {void}
+ */
+const mockCheckout = (req, res) => {
+  const gateway = getGateway("mock");
+  const page = gateway?.renderCheckout(String(req.query.reference || ""));
+  if (!page) {
+    return res.status(404).send("Mock payment session not found");
+  }
+  res.type("html").send(page);
+};
+
+/**
+ * Lists recent payment reconciliation runs, newest first, for admins.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (accepts optional limit in query, default 20, max 100)
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
-const esewaSuccess = (req, res) => {
-  return esewaVerification(req, res);
+const listReconciliationRuns = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const runs = await ReconciliationRun.find({}).sort({ startedAt: -1 }).limit(limit);
+    const pending = await Payment.countDocuments({ status: PAYMENT_STATUS.PENDING });
+    res.json({ success: true, runs, pending, policy: getReconciliationPolicy() });
+  } catch (error) {
+    console.error("Error in listReconciliationRuns:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
 };
 
 /**
- * Handles the eSewa failure callback.
- * - Delegates to esewaVerification to process and redirect appropriately.
+ * Runs payment reconciliation now instead of waiting for the background job.
  *
  * @function
+ * @async
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
-const esewaFailure = (req, res) => {
-  return esewaVerification(req, res);
+const reconcilePayments = async (req, res) => {
+  try {
+    const { run, message } = await runReconciliation({ trigger: "manual" });
+    if (message) {
+      return res.json({ success: false, message });
+    }
+    res.json({ success: true, message: "Reconciliation finished", run });
+  } catch (error) {
+    console.error("Error in reconcilePayments:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
 };
 
-export { esewaInstance, esewaVerification, esewaSuccess, esewaFailure };
+export {
+  listPaymentGateways,
+  applyCoupon,
+  initiatePayment,
+  verifyPayment,
+  mockCheckout,
+  listReconciliationRuns,
+  reconcilePayments,
+};
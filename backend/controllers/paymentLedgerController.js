@@ -0,0 +1,92 @@
+/**
+ * Controller for the admin payments ledger.
+ * Admins browse all payments with filters, open a payment with its
+ * appointment and refunds, and export the filtered ledger as CSV.
+ *
+ * @module controllers/paymentLedgerController
+ */
+import {
+  exportLedgerCsv,
+  getLedgerPayment,
+  listLedgerGateways,
+  listLedgerPayments,
+} from "../utils/paymentLedger.js";
+
+/**
+ * Lists one page of payments for admins, newest first, with the totals of
+ * the filtered result.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (accepts page, limit and the filters status, from, to, doctorId, patientId, patient, gateway and search in query)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listPayments = async (req, res) => {
+  try {
+    const { page, limit, ...filters } = req.query;
+    const { payments, pagination, totals, message } = await listLedgerPayments(filters, { page, limit });
+    if (message) {
+      return res.json({ success: false, message });
+    }
+
+    const gateways = await listLedgerGateways();
+    res.json({ success: true, payments, pagination, totals, gateways });
+  } catch (error) {
+    console.error("Error in listPayments:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Gets a payment with its appointment, refunds and invoice number.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects paymentId in params)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getPayment = async (req, res) => {
+  try {
+    const { message, ...details } = await getLedgerPayment(req.params.paymentId);
+    if (message) {
+      return res.status(404).json({ success: false, message });
+    }
+
+    res.json({ success: true, ...details });
+  } catch (error) {
+    console.error("Error in getPayment:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Downloads the filtered payments as a CSV file.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (accepts the same filters as listPayments in query)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const exportPayments = async (req, res) => {
+  try {
+    const { csv, message } = await exportLedgerCsv(req.query);
+    if (message) {
+      return res.status(400).json({ success: false, message });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="payments-${date}.csv"`,
+    });
+    res.send(csv);
+  } catch (error) {
+    console.error("Error in exportPayments:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+export { listPayments, getPayment, exportPayments };
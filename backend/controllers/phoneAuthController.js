@@ -0,0 +1,145 @@
+/**
+ * Controller for patient phone numbers.
+ * Patients sign in, or register, with a code texted to their phone, and
+ * signed-in patients verify a number before it is put on their account.
+ *
+ * @module controllers/phoneAuthController
+ */
+import { AUTH_ROLES } from "../config/auth.js";
+import { issueSession } from "../utils/authTokens.js";
+import { maskPhone } from "../utils/phoneNumbers.js";
+import {
+  changePhone,
+  requestLoginCode,
+  requestPhoneChangeCode,
+  signInWithPhone,
+} from "../utils/phoneLogin.js";
+
+/**
+ * Answer a request for a texted code.
+ * Throttled requests get 429 with a Retry-After header.
+ * @param {import('express').Response} res
+ * @param {{phone?: string, expiresIn?: number, resendAfter?: number, message?: string, retryAfter?: number}} sent
+ */
+const respondCodeSent = (res, sent) => {
+  if (sent.retryAfter) {
+    res.set("Retry-After", String(sent.retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: sent.message,
+      retryAfter: sent.retryAfter,
+    });
+  }
+  if (sent.message) {
+    return res.json({ success: false, message: sent.message });
+  }
+  res.json({
+    success: true,
+    message: `We've sent a code to ${maskPhone(sent.phone)}`,
+    phone: sent.phone,
+    expiresIn: sent.expiresIn,
+    resendAfter: sent.resendAfter,
+  });
+};
+
+/**
+ * Texts a sign-in code to a phone number.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects phone in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const sendLoginCode = async (req, res) => {
+  try {
+    respondCodeSent(res, await requestLoginCode(req.body?.phone));
+  } catch (error) {
+    console.error("Error in sendLoginCode:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Signs a patient in with a texted code, creating their account if the
+ * number has none. Without a name for a new account, answers with
+ * `nameRequired: true` and leaves the code unused.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects phone, code and, for a new account, name in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const loginWithCode = async (req, res) => {
+  try {
+    const { phone, code, name } = req.body || {};
+    const { user, created, nameRequired, message } = await signInWithPhone(phone, code, name);
+    if (message) {
+      return res.json({ success: false, message, nameRequired: Boolean(nameRequired) });
+    }
+
+    const { token, refreshToken } = await issueSession(AUTH_ROLES.USER, user._id, {
+      userAgent: req.get("User-Agent"),
+    });
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? "User registered successfully" : "User logged in successfully",
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email || "",
+        phone: user.phone,
+      },
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    console.error("Error in loginWithCode:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Texts a code to the number the signed-in patient wants on their account.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; phone in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const sendPhoneChangeCode = async (req, res) => {
+  try {
+    respondCodeSent(res, await requestPhoneChangeCode(req.auth.id, req.body?.phone));
+  } catch (error) {
+    console.error("Error in sendPhoneChangeCode:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Puts a number on the signed-in patient's account once the texted code is
+ * entered.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; phone and code in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const verifyPhoneChange = async (req, res) => {
+  try {
+    const { phone, code } = req.body || {};
+    const { user, message } = await changePhone(req.auth.id, phone, code);
+    if (message) {
+      return res.json({ success: false, message });
+    }
+    res.json({ success: true, message: "Phone number verified", phone: user.phone });
+  } catch (error) {
+    console.error("Error in verifyPhoneChange:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+export { sendLoginCode, loginWithCode, sendPhoneChangeCode, verifyPhoneChange };
@@ -0,0 +1,155 @@
+/**
+ * Controller for refunds.
+ * Admins review refund requests created by cancellations, request refunds
+ * themselves, approve refunds so they are sent to the gateway, and record
+ * refunds issued outside the gateway API.
+ *
+ * @module controllers/refundController
+ */
+import Payment from "../models/paymentModel.js";
+import Refund, { REFUND_STATUS, REFUND_SOURCES } from "../models/refundModel.js";
+import {
+  approveRefund,
+  recordManualRefund,
+  requestRefund,
+} from "../utils/refunds.js";
+import { PAYMENT_STATUS } from "../config/paymentGateways.js";
+import { STATUS_ACTORS } from "../config/appointmentStatus.js";
+
+/**
+ * The signed-in admin as the actor recorded on a refund.
+ * @param {import('express').Request} req
+ * @returns {{role: string, id: string}}
+ */
+const adminActor = (req) => ({ role: STATUS_ACTORS.ADMIN, id: req.auth.id });
+
+/**
+ * Lists refunds for admins, newest first, with their payment.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (accepts optional status and appointmentId in query)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listRefunds = async (req, res) => {
+  try {
+    const { status, appointmentId } = req.query;
+    const query = {};
+    if (status && Object.values(REFUND_STATUS).includes(status)) {
+      query.status = status;
+    }
+    if (appointmentId) {
+      query.appointmentId = appointmentId;
+    }
+
+    const refunds = await Refund.find(query)
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .populate("paymentId", "transaction_uuid total_amount refunded_amount status user ref_id");
+
+    const counts = {};
+    for (const value of Object.values(REFUND_STATUS)) {
+      counts[value] = await Refund.countDocuments({ status: value });
+    }
+
+    res.json({ success: true, refunds, counts });
+  } catch (error) {
+    console.error("Error in listRefunds:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Requests a refund of an appointment's completed payment on behalf of the clinic.
+ * - Without an amount, the whole refundable balance is requested.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects appointmentId and optional amount and reason in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const createRefund = async (req, res) => {
+  try {
+    const { appointmentId, amount, reason = "" } = req.body;
+
+    const payment = await Payment.findOne({
+      appointmentId,
+      status: { $in: [PAYMENT_STATUS.COMPLETE, PAYMENT_STATUS.PARTIAL_REFUND] },
+    }).sort({ createdAt: -1 });
+    if (!payment) {
+      return res.json({ success: false, message: "No completed payment found for this appointment" });
+    }
+
+    const { refund, message } = await requestRefund(payment, {
+      amount,
+      source: REFUND_SOURCES.ADMIN,
+      reason,
+      actor: adminActor(req),
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
+
+    res.json({ success: true, message: "Refund requested", refund });
+  } catch (error) {
+    console.error("Error in createRefund:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Approves a requested or failed refund and sends it to the payment's gateway.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects refundId in params)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const approveRefundRequest = async (req, res) => {
+  try {
+    const { refund, message } = await approveRefund(req.params.refundId, {
+      actor: adminActor(req),
+    });
+    if (message) {
+      return res.json({ success: false, message, refund });
+    }
+
+    res.json({ success: true, message: "Refund processed", refund });
+  } catch (error) {
+    console.error("Error in approveRefundRequest:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Records a refund issued outside the gateway API, e.g. from the eSewa merchant portal.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects refundId in params, refId and optional note in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const recordRefund = async (req, res) => {
+  try {
+    const { refId, note = "" } = req.body;
+    const { refund, message } = await recordManualRefund(req.params.refundId, {
+      refId,
+      note,
+      actor: adminActor(req),
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
+
+    res.json({ success: true, message: "Refund recorded", refund });
+  } catch (error) {
+    console.error("Error in recordRefund:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+export { listRefunds, createRefund, approveRefundRequest, recordRefund };
@@ -0,0 +1,93 @@
+/**
+ * Controller for sign-in sessions of users, doctors and admins.
+ * Refreshes access tokens, and logs out of one device or all of them.
+ *
+ * @module controllers/sessionController
+ */
+import User from "../models/userModel.js";
+import Doctor from "../models/doctorModel.js";
+import Admin from "../models/adminModel.js";
+import { AUTH_ROLES } from "../config/auth.js";
+import {
+  endAllSessions,
+  endSession,
+  refreshSession,
+} from "../utils/authTokens.js";
+
+/**
+ * Build the session handlers of one kind of account.
+ *
+ * @function
+ * @param {string} scope - One of AUTH_ROLES
+ * @param {Object} options
+ * @param {function(string): Promise<boolean>} options.canSignIn - Whether the account still exists and may sign in
+ * @returns {{refresh: import('express').RequestHandler, logout: import('express').RequestHandler, logoutAll: import('express').RequestHandler}}
+ */
+const createSessionHandlers = (scope, { canSignIn }) => {
+  /**
+   * Exchanges a refresh token for a new access token and refresh token.
+   * Answers 401 when the client must sign in again.
+   */
+  const refresh = async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+      const session = await refreshSession(scope, refreshToken, {
+        userAgent: req.get("User-Agent"),
+      });
+      if (session.message) {
+        return res.status(401).json({ success: false, message: session.message });
+      }
+      if (!(await canSignIn(session.subjectId))) {
+        await endAllSessions(scope, session.subjectId);
+        return res.status(401).json({ success: false, message: "This account can no longer sign in" });
+      }
+
+      res.json({ success: true, token: session.token, refreshToken: session.refreshToken });
+    } catch (error) {
+      console.error(`Error in refresh (${scope}):`, error);
+      res.status(500).json({ success: false, message: "Internal server error" });
+    }
+  };
+
+  /**
+   * Logs out of this device by ending the session of the refresh token sent.
+   */
+  const logout = async (req, res) => {
+    try {
+      await endSession(scope, req.body?.refreshToken);
+      res.json({ success: true, message: "Logged out" });
+    } catch (error) {
+      console.error(`Error in logout (${scope}):`, error);
+      res.status(500).json({ success: false, message: "Internal server error" });
+    }
+  };
+
+  /**
+   * Logs out of all devices. Other devices are signed out once their access token expires.
+   */
+  const logoutAll = async (req, res) => {
+    try {
+      const sessions = await endAllSessions(scope, req.auth.id);
+      res.json({ success: true, message: "Logged out of all devices", sessions });
+    } catch (error) {
+      console.error(`Error in logoutAll (${scope}):`, error);
+      res.status(500).json({ success: false, message: "Internal server error" });
+    }
+  };
+
+  return { refresh, logout, logoutAll };
+};
+
+const userSession = createSessionHandlers(AUTH_ROLES.USER, {
+  canSignIn: async (id) => Boolean(await User.exists({ _id: id })),
+});
+
+const doctorSession = createSessionHandlers(AUTH_ROLES.DOCTOR, {
+  canSignIn: async (id) => Boolean(await Doctor.exists({ _id: id })),
+});
+
+const adminSession = createSessionHandlers(AUTH_ROLES.ADMIN, {
+  canSignIn: async (id) => Boolean(await Admin.exists({ _id: id, active: true })),
+});
+
+export { userSession, doctorSession, adminSession };
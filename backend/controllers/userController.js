@@ -7,18 +7,44 @@
 import bcrypt from "bcrypt";
 import validator from "validator";
 import User from "../models/userModel.js";
-import jwt from "jsonwebtoken";
+import { issueSession } from "../utils/authTokens.js";
+import { sendEmailVerification } from "../utils/accountEmails.js";
 import { v2 as cloudinary } from "cloudinary";
 import Doctor from "../models/doctorModel.js";
 import appointmentModel from "../models/appointmentModel.js";
 import Payment from "../models/paymentModel.js";
+import Refund from "../models/refundModel.js";
 import ngramSearch from "../utils/ngramSearch.js";
 import patientMatcher from "../utils/patientMatcher.js";
+import { isSlotInSchedule, parseSlotDate } from "../utils/scheduleUtils.js";
+import { withReservedSlot } from "../utils/slotReservation.js";
+import { statusChange } from "../utils/appointmentTransitions.js";
+import {
+  cancelAppointmentWithPolicy,
+  getCancellationQuote,
+} from "../utils/cancellationPolicy.js";
+import { rescheduleAppointment as moveAppointment } from "../utils/appointmentReschedule.js";
+import { bookSeries, cancelSeries, previewSeries } from "../utils/appointmentSeries.js";
+import {
+  APPOINTMENT_STATUS,
+  STATUS_ACTORS,
+} from "../config/appointmentStatus.js";
+import { PAYMENT_METHODS } from "../config/paymentGateways.js";
+import { AUTH_ROLES } from "../config/auth.js";
+
+/**
+ * Read the payment method a patient chose at booking.
+ * @param {string} [method] - 'CASH' to pay at the clinic; anything else means online
+ * @returns {string} One of PAYMENT_METHODS
+ */
+const readPaymentMethod = (method) =>
+  method === PAYMENT_METHODS.CASH ? PAYMENT_METHODS.CASH : PAYMENT_METHODS.ONLINE;
 
 /**
  * Registers a new user.
  * - Validates input fields and email format.
  * - Hashes the password before saving.
+ * - Emails a link to verify the email address.
  * - Returns a JWT token on successful registration.
  *
  * @function
@@ -55,7 +81,14 @@ const registerUser = async (req, res) => {
     const newUser = new User(userData);
     const user = await newUser.save();
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    const verification = await sendEmailVerification(user);
+    if (verification.message) {
+      console.error(`Verification email to ${user.email} not sent:`, verification.message);
+    }
+
+    const { token, refreshToken } = await issueSession(AUTH_ROLES.USER, user._id, {
+      userAgent: req.get("User-Agent"),
+    });
     res.status(201).json({
       success: true,
       message: "User registered successfully",
@@ -63,8 +96,10 @@ const registerUser = async (req, res) => {
         _id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
       },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Error in registerUser:", error);
@@ -98,13 +133,18 @@ const loginUser = async (req, res) => {
     if (!user) {
       return res.json({ success: false, message: "User not found" });
     }
+    if (!user.password) {
+      return res.json({ success: false, message: "This account signs in with a phone number" });
+    }
 
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
       return res.json({ success: false, message: "Invalid credentials" });
     }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    const { token, refreshToken } = await issueSession(AUTH_ROLES.USER, user._id, {
+      userAgent: req.get("User-Agent"),
+    });
     res.status(200).json({
       success: true,
       message: "User logged in successfully",
@@ -112,8 +152,10 @@ const loginUser = async (req, res) => {
         _id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
       },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Error in loginUser:", error);
@@ -126,13 +168,13 @@ const loginUser = async (req, res) => {
  *
  * @function
  * @async
- * @param {import('express').Request} req - Express request object (expects userId in body)
+ * @param {import('express').Request} req - Express request object (expects req.auth)
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
 const getProfile = async (req, res) => {
   try {
-    const { userId } = req.body;
+    const userId = req.auth.id;
     const userData = await User.findById(userId).select("-password");
 
     res.json({
@@ -149,19 +191,21 @@ const getProfile = async (req, res) => {
  * Updates the profile of a user.
  * - Handles image upload if provided.
  * - Validates and parses address.
+ * - The phone number is changed separately, after verifying it with a texted code.
  *
  * @function
  * @async
- * @param {import('express').Request} req - Express request object (expects userId, name, phone, address, dob, gender, and optionally image file in body)
+ * @param {import('express').Request} req - Express request object (expects req.auth; name, address, dob, gender, and optionally image file in body)
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
 const updateProfile = async (req, res) => {
   try {
-    const { userId, name, phone, address, dob, gender } = req.body;
+    const userId = req.auth.id;
+    const { name, address, dob, gender } = req.body;
     const imageFile = req.file;
 
-    if (!name || !phone || !address || !dob || !gender) {
+    if (!name || !address || !dob || !gender) {
       return res.json({ success: false, message: "All fields are required" });
     }
 
@@ -176,7 +220,6 @@ const updateProfile = async (req, res) => {
 
     const updatedData = {
       name,
-      phone,
       address: addressObj,
       dob,
       gender,
@@ -203,34 +246,34 @@ const updateProfile = async (req, res) => {
 /**
  * Books an appointment for a user with a doctor.
  * - Checks doctor availability and slot.
- * - Updates doctor's slot_booked.
- * - Creates a new appointment record.
+ * - Rejects slots outside the doctor's weekly schedule or booking horizon.
+ * - Atomically reserves the slot in doctor's slot_booked.
+ * - Creates a new appointment record, releasing the slot again if that fails.
+ * - Records whether the patient pays online or at the clinic (`paymentMethod: 'CASH'`).
  *
  * @function
  * @async
- * @param {import('express').Request} req - Express request object (expects userId, docId, slotDate, slotTime in body)
+ * @param {import('express').Request} req - Express request object (expects req.auth; docId, slotDate, slotTime and optional paymentMethod in body)
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
 const bookAppointment = async (req, res) => {
   try {
-    const { userId, docId, slotDate, slotTime } = req.body;
+    const userId = req.auth.id;
+    const { docId, slotDate, slotTime, paymentMethod } = req.body;
 
     const docData = await Doctor.findById(docId).select("-password");
+    if (!docData) {
+      return res.json({ success: false, message: "Doctor not found" });
+    }
     if (!docData.available) {
       return res.json({ success: false, message: "Doctor is not available" });
     }
-    let slot_booked = docData.slot_booked;
-
-    if (slot_booked[slotDate]) {
-      if (slot_booked[slotDate].includes(slotTime)) {
-        return res.json({ success: false, message: "Slot already booked" });
-      } else {
-        slot_booked[slotDate].push(slotTime);
-      }
-    } else {
-      slot_booked[slotDate] = [];
-      slot_booked[slotDate].push(slotTime);
+    if (!isSlotInSchedule(docData.schedule, slotDate, slotTime)) {
+      return res.json({
+        success: false,
+        message: "Selected slot is not within the doctor's schedule",
+      });
     }
     const userData = await User.findById(userId).select("-password");
     // Fix: use correct field name and ensure docData and amount are set
@@ -240,16 +283,30 @@ const bookAppointment = async (req, res) => {
       userData,
       docData: docData, // fix: use correct field name for appointment model
       amount: docData.fees, // fix: use correct field name from doctor model
+      paymentMethod: readPaymentMethod(paymentMethod),
       slotTime,
-      slotDate: new Date(slotDate.split("_").reverse().join("-")), // fix: convert '12_6_2025' to Date
+      slotDate: parseSlotDate(slotDate), // local midnight, like series, reschedules and waitlist bookings
       date: new Date(),
+      status: APPOINTMENT_STATUS.BOOKED,
+      statusHistory: [
+        statusChange(null, APPOINTMENT_STATUS.BOOKED, {
+          role: STATUS_ACTORS.USER,
+          id: userId,
+        }),
+      ],
     };
-    const newAppointment = new appointmentModel(appointmentData);
-    await newAppointment.save();
 
-    await Doctor.findByIdAndUpdate(docId, {
-      slot_booked: { ...slot_booked }, // ensure a plain object is passed
-    });
+    // Reserve the slot atomically; the appointment is only kept if the reservation succeeded
+    const { reserved, result: newAppointment } = await withReservedSlot(
+      docId,
+      slotDate,
+      slotTime,
+      () => appointmentModel.create(appointmentData)
+    );
+    if (!reserved) {
+      return res.json({ success: false, message: "Slot already booked" });
+    }
+
     res.json({
       success: true,
       message: "Appointment booked successfully",
@@ -262,21 +319,35 @@ const bookAppointment = async (req, res) => {
 };
 
 /**
- * Lists all appointments for a user.
+ * Lists all appointments for a user, each with its refunds.
  *
  * @function
  * @async
- * @param {import('express').Request} req - Express request object (expects userId in body)
+ * @param {import('express').Request} req - Express request object (expects req.auth)
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
 const listAppointments = async (req, res) => {
   try {
-    const { userId } = req.body;
+    const userId = req.auth.id;
     const appointments = await appointmentModel.find({ userId });
+
+    // Attach refunds so patients can follow them on their appointments
+    const refunds = await Refund.find({ userId })
+      .select("appointmentId amount status source createdAt updatedAt")
+      .sort({ createdAt: 1 });
+    const refundsByAppointment = {};
+    for (const refund of refunds) {
+      const key = String(refund.appointmentId);
+      refundsByAppointment[key] = [...(refundsByAppointment[key] || []), refund];
+    }
+
     res.json({
       success: true,
-      appointments,
+      appointments: appointments.map((appointment) => ({
+        ...appointment.toObject(),
+        refunds: refundsByAppointment[String(appointment._id)] || [],
+      })),
     });
   } catch (error) {
     console.log(error);
@@ -284,73 +355,258 @@ const listAppointments = async (req, res) => {
   }
 };
 
+/**
+ * Previews the cancellation policy for a user's appointment.
+ * - Only matches appointments owned by the user.
+ * - Returns the amount paid, the fee that would be kept and the refundable amount if cancelled now.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth and appointmentId in params)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const cancellationQuote = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const appointment = await appointmentModel.findOne({
+      _id: req.params.appointmentId,
+      userId,
+    });
+    if (!appointment) {
+      return res.json({ success: false, message: "Appointment not found" });
+    }
+
+    const quote = await getCancellationQuote(appointment, {
+      cancelledBy: STATUS_ACTORS.USER,
+    });
+    res.json({ success: true, quote });
+  } catch (error) {
+    console.error("Error in cancellationQuote:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
+
 /**
  * Cancels a user's appointment and releases the booked slot.
- * - Checks user authorization.
- * - Updates appointment and doctor's slot_booked.
+ * - Only matches appointments owned by the user.
+ * - Moves the appointment to 'cancelled', which also releases the slot in doctor's slot_booked.
+ * - Applies the cancellation policy and returns the refundable amount.
+ * - The refund goes to `refundTo` ('wallet' or 'gateway') when given.
  *
  * @function
  * @async
- * @param {import('express').Request} req - Express request object (expects userId, appointmentId in body)
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId and optional reason and refundTo in body)
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
 const cancelAppointment = async (req, res) => {
   try {
-    const { userId, appointmentId } = req.body;
-    const appointment = await appointmentModel.findById(appointmentId);
-
-    if (appointment.userId !== userId) {
-      return res.json({ success: false, message: "Unauthorized action" });
+    const userId = req.auth.id;
+    const { appointmentId, reason = "", refundTo } = req.body;
+
+    // The transition releases the doctor slot
+    const { refund, message } = await cancelAppointmentWithPolicy(appointmentId, {
+      actor: { role: STATUS_ACTORS.USER, id: userId },
+      reason,
+      filter: { userId },
+      refundTo,
+    });
+    if (message) {
+      return res.json({ success: false, message });
     }
 
-    await appointmentModel.findByIdAndUpdate(appointmentId, {
-      cancelled: true,
+    res.json({
+      success: true,
+      message: "Appointment cancelled successfully",
+      refund,
     });
+  } catch (error) {
+    console.error("Error in cancelAppointment:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Reschedules a user's appointment to another free slot of the same doctor.
+ * - Only matches appointments owned by the user.
+ * - Keeps the appointment ID, so any linked payment stays attached.
+ * - Releases the old slot in doctor's slot_booked.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId, slotDate, slotTime and optional reason in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const rescheduleAppointment = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const { appointmentId, slotDate, slotTime, reason = "" } = req.body;
 
-    // releaseing doctor slot
+    const { appointment, message } = await moveAppointment(appointmentId, {
+      slotDate,
+      slotTime,
+      actor: { role: STATUS_ACTORS.USER, id: userId },
+      reason,
+      filter: { userId },
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
 
-    const { docId, slotDate, slotTime } = appointment;
+    res.json({
+      success: true,
+      message: "Appointment rescheduled successfully",
+      appointment,
+    });
+  } catch (error) {
+    console.error("Error in rescheduleAppointment:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
 
-    const doctorData = await Doctor.findById(docId);
+/**
+ * Checks every visit of a recurring series before booking it.
+ * - Repeats the first slot every `interval` days or weeks, for `count` visits or until `endDate`.
+ * - Returns each occurrence with whether it is free and, if not, why.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; docId, slotDate, slotTime, interval, unit and count or endDate in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const previewAppointmentSeries = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const { docId, slotDate, slotTime, interval, unit, count, endDate } = req.body;
 
-    // Convert slotDate (Date object) to '12_6_2025' format
-    const dateObj = new Date(slotDate);
-    const formattedSlotDate = `${dateObj.getDate()}_${
-      dateObj.getMonth() + 1
-    }_${dateObj.getFullYear()}`;
+    const { occurrences, message } = await previewSeries(docId, userId, {
+      slotDate,
+      slotTime,
+      interval,
+      unit,
+      count,
+      endDate,
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
 
-    let slot_booked = doctorData.slot_booked;
+    res.json({ success: true, occurrences });
+  } catch (error) {
+    console.error("Error in previewAppointmentSeries:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
 
-    slot_booked[formattedSlotDate] = slot_booked[formattedSlotDate].filter(
-      (el) => el !== slotTime
+/**
+ * Books a recurring series of appointments with a doctor.
+ * - All visits are checked up front; by default any conflict rejects the whole series
+ *   and the conflict report is returned in `occurrences`.
+ * - With `skipConflicts`, only the free visits are booked.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; docId, slotDate, slotTime, interval, unit, count or endDate and optional skipConflicts and paymentMethod in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const bookAppointmentSeries = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const {
+      docId,
+      slotDate,
+      slotTime,
+      interval,
+      unit,
+      count,
+      endDate,
+      skipConflicts = false,
+      paymentMethod,
+    } = req.body;
+
+    const { appointments, occurrences, message } = await bookSeries(
+      docId,
+      userId,
+      { slotDate, slotTime, interval, unit, count, endDate },
+      {
+        skipConflicts: Boolean(skipConflicts),
+        paymentMethod: readPaymentMethod(paymentMethod),
+      }
     );
+    if (message) {
+      return res.json({ success: false, message, occurrences });
+    }
+
+    res.json({
+      success: true,
+      message: `${appointments.length} appointments booked successfully`,
+      appointments,
+      occurrences,
+    });
+  } catch (error) {
+    console.error("Error in bookAppointmentSeries:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
 
-    await Doctor.findByIdAndUpdate(docId, { slot_booked });
+/**
+ * Cancels a visit of a recurring series and every later upcoming visit.
+ * - Only matches appointments owned by the user.
+ * - Each visit is cancelled under the cancellation policy; the refund totals are returned.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; appointmentId and optional reason and refundTo in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const cancelAppointmentSeries = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const { appointmentId, reason = "", refundTo } = req.body;
+
+    const { cancelled, refund, message } = await cancelSeries(appointmentId, {
+      actor: { role: STATUS_ACTORS.USER, id: userId },
+      reason,
+      filter: { userId },
+      refundTo,
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
 
     res.json({
       success: true,
-      message: "Appointment cancelled successfully",
+      message: `${cancelled} appointments cancelled successfully`,
+      cancelled,
+      refund,
     });
   } catch (error) {
-    console.error("Error in cancelAppointment:", error);
+    console.error("Error in cancelAppointmentSeries:", error);
     res.json({ success: false, message: "Server error" });
   }
 };
 
 /**
- * Retrieves payment details by transaction UUID.
+ * Retrieves one of the authenticated user's payments by transaction UUID.
  *
  * @function
  * @async
- * @param {import('express').Request} req - Express request object (expects transaction_uuid in body)
+ * @param {import('express').Request} req - Express request object (expects req.auth; transaction_uuid in body)
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<void>}
  */
 const getPaymentDetails = async (req, res) => {
   try {
     const { transaction_uuid } = req.body;
-    const payment = await Payment.findOne({ transaction_uuid });
+    const payment = await Payment.findOne({
+      transaction_uuid,
+      "user._id": String(req.auth.id),
+    });
 
     if (!payment) {
       return res.json({ success: false, message: "Payment not found" });
@@ -431,7 +687,7 @@ const getNgramSearchSuggestions = async (req, res) => {
  */
 const matchPatientWithDoctors = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.auth.id;
     const { symptoms = {}, additionalCriteria = {}, limit = 10 } = req.body;
 
     const matchedDoctors = await patientMatcher.matchPatientWithDoctors(
@@ -538,7 +794,12 @@ export {
   updateProfile,
   bookAppointment,
   listAppointments,
+  cancellationQuote,
   cancelAppointment,
+  rescheduleAppointment,
+  previewAppointmentSeries,
+  bookAppointmentSeries,
+  cancelAppointmentSeries,
   getPaymentDetails,
   searchDoctorsWithNgrams,
   getNgramSearchSuggestions,
@@ -0,0 +1,287 @@
+/**
+ * Controller for the doctor waitlist.
+ * Patients join a doctor's waitlist for a date range, receive time-limited
+ * offers when slots are freed, and accept or decline them. Doctors can see
+ * who is waiting for them.
+ *
+ * @module controllers/waitlistController
+ */
+import Doctor from "../models/doctorModel.js";
+import User from "../models/userModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import Waitlist, { WAITLIST_STATUS } from "../models/waitlistModel.js";
+import { statusChange } from "../utils/appointmentTransitions.js";
+import { closeOffer, freeSlot } from "../utils/waitlist.js";
+import { parseInputDate, parseSlotDate } from "../utils/scheduleUtils.js";
+import {
+  APPOINTMENT_STATUS,
+  STATUS_ACTORS,
+} from "../config/appointmentStatus.js";
+
+const MAX_WAITLIST_DAYS = 90;
+const ACTIVE_WAITLIST_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+
+/**
+ * Joins the waitlist of a doctor for a date range.
+ * - Rejects ranges in the past, reversed ranges and ranges longer than 90 days.
+ * - A patient can only have one active entry per doctor.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; docId, fromDate and toDate ('YYYY-MM-DD') in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const { docId, fromDate, toDate } = req.body;
+
+    const from = parseInputDate(fromDate);
+    const to = parseInputDate(toDate);
+    if (!from || !to) {
+      return res.json({ success: false, message: "Please choose a valid date range" });
+    }
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const lastDay = new Date(today);
+    lastDay.setDate(today.getDate() + MAX_WAITLIST_DAYS);
+    if (from < today || to < from) {
+      return res.json({ success: false, message: "The date range must start today or later and end after it starts" });
+    }
+    if (to > lastDay) {
+      return res.json({ success: false, message: `You can wait for at most ${MAX_WAITLIST_DAYS} days ahead` });
+    }
+
+    const doctor = await Doctor.findById(docId).select("name speciality image available");
+    if (!doctor) {
+      return res.json({ success: false, message: "Doctor not found" });
+    }
+    if (!doctor.available) {
+      return res.json({ success: false, message: "Doctor is not available" });
+    }
+
+    const existing = await Waitlist.findOne({
+      userId,
+      docId,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    });
+    if (existing) {
+      return res.json({ success: false, message: "You are already on this doctor's waitlist" });
+    }
+
+    const user = await User.findById(userId).select("name email phone image");
+    const entry = await Waitlist.create({
+      userId,
+      docId,
+      userData: {
+        name: user?.name || "",
+        email: user?.email || "",
+        phone: user?.phone || "",
+        image: user?.image || "",
+      },
+      docData: {
+        name: doctor.name,
+        speciality: doctor.speciality,
+        image: doctor.image,
+      },
+      fromDate: from,
+      toDate: to,
+    });
+
+    res.json({
+      success: true,
+      message: "You have joined the waitlist. We will hold the next free slot for you.",
+      entry,
+    });
+  } catch (error) {
+    console.error("Error in joinWaitlist:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Lists the authenticated user's waitlist entries, newest first.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listUserWaitlist = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const entries = await Waitlist.find({ userId }).sort({ createdAt: -1 });
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error("Error in listUserWaitlist:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Accepts an open waitlist offer and books the held slot.
+ * The slot is already reserved for the offer, so no other booking can take it.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; entryId in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const acceptWaitlistOffer = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const { entryId } = req.body;
+
+    const entry = await Waitlist.findOneAndUpdate(
+      {
+        _id: entryId,
+        userId,
+        status: WAITLIST_STATUS.OFFERED,
+        "offer.expiresAt": { $gt: new Date() },
+      },
+      { status: WAITLIST_STATUS.ACCEPTED, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!entry) {
+      return res.json({ success: false, message: "This offer is no longer available" });
+    }
+
+    const { slotDate, slotTime } = entry.offer;
+    let appointment;
+    try {
+      const docData = await Doctor.findById(entry.docId).select("-password");
+      const userData = await User.findById(userId).select("-password");
+      appointment = await appointmentModel.create({
+        userId,
+        docId: entry.docId,
+        userData,
+        docData,
+        amount: docData.fees,
+        slotTime,
+        slotDate: parseSlotDate(slotDate),
+        date: new Date(),
+        status: APPOINTMENT_STATUS.BOOKED,
+        statusHistory: [
+          statusChange(
+            null,
+            APPOINTMENT_STATUS.BOOKED,
+            { role: STATUS_ACTORS.USER, id: userId },
+            "Accepted waitlist offer"
+          ),
+        ],
+      });
+    } catch (error) {
+      // Hand the held slot to the next patient rather than leaving it blocked,
+      // and put this patient back in the queue so they get a later offer
+      try {
+        await freeSlot(entry.docId, slotDate, slotTime);
+      } finally {
+        await Waitlist.updateOne(
+          { _id: entry._id, status: WAITLIST_STATUS.ACCEPTED },
+          { status: WAITLIST_STATUS.WAITING, offer: null, updatedAt: new Date() }
+        );
+      }
+      throw error;
+    }
+
+    await entry.updateOne({ appointmentId: String(appointment._id) });
+
+    res.json({
+      success: true,
+      message: "Appointment booked successfully",
+      appointment,
+    });
+  } catch (error) {
+    console.error("Error in acceptWaitlistOffer:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Declines an open waitlist offer; the slot moves on to the next patient.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; entryId in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const declineWaitlistOffer = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const { entryId } = req.body;
+    const entry = await closeOffer({ _id: entryId, userId }, WAITLIST_STATUS.DECLINED);
+    if (!entry) {
+      return res.json({ success: false, message: "This offer is no longer available" });
+    }
+    res.json({ success: true, message: "Offer declined" });
+  } catch (error) {
+    console.error("Error in declineWaitlistOffer:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Leaves a waitlist. An open offer is released to the next patient.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth; entryId in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const userId = req.auth.id;
+    const { entryId } = req.body;
+
+    const waiting = await Waitlist.findOneAndUpdate(
+      { _id: entryId, userId, status: WAITLIST_STATUS.WAITING },
+      { status: WAITLIST_STATUS.CANCELLED, updatedAt: new Date() }
+    );
+    const left =
+      waiting || (await closeOffer({ _id: entryId, userId }, WAITLIST_STATUS.CANCELLED));
+    if (!left) {
+      return res.json({ success: false, message: "Waitlist entry not found" });
+    }
+    res.json({ success: true, message: "You have left the waitlist" });
+  } catch (error) {
+    console.error("Error in leaveWaitlist:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Lists the patients currently waiting for the authenticated doctor, in queue order.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listDoctorWaitlist = async (req, res) => {
+  try {
+    const docId = req.auth.id;
+    const entries = await Waitlist.find({
+      docId,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    }).sort({ createdAt: 1 });
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error("Error in listDoctorWaitlist:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
+
+export {
+  joinWaitlist,
+  listUserWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  leaveWaitlist,
+  listDoctorWaitlist,
+};
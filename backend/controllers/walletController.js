@@ -0,0 +1,123 @@
+/**
+ * Controller for patient wallets.
+ * Patients see their balance and transactions; admins look up a patient's
+ * wallet and add adjustments or promotional credit.
+ *
+ * @module controllers/walletController
+ */
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import { WALLET_ENTRY_TYPES, WALLET_SOURCES } from "../models/walletTransactionModel.js";
+import { creditWallet, debitWallet, getWallet, getWalletBalance } from "../utils/wallet.js";
+import { normalizePhone } from "../utils/phoneNumbers.js";
+import { STATUS_ACTORS } from "../config/appointmentStatus.js";
+
+/**
+ * Gets the authenticated patient's wallet balance and recent transactions.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects req.auth)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const userWallet = async (req, res) => {
+  try {
+    const { balance, transactions } = await getWallet(req.auth.id);
+    res.json({ success: true, balance, transactions });
+  } catch (error) {
+    console.error("Error in userWallet:", error);
+    res.json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Looks up a patient by ID, email or phone number and returns their wallet, for admins.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects userId, email or phone in query)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const patientWallet = async (req, res) => {
+  try {
+    const { userId, email, phone } = req.query;
+    let user = null;
+    if (userId && mongoose.isValidObjectId(userId)) {
+      user = await User.findById(userId).select("name email phone");
+    } else if (email) {
+      user = await User.findOne({ email: String(email).trim() }).select("name email phone");
+    } else if (phone && normalizePhone(phone)) {
+      user = await User.findOne({ phone: normalizePhone(phone) }).select("name email phone");
+    }
+    if (!user) {
+      return res.status(404).json({ success: false, message: "Patient not found" });
+    }
+
+    const { balance, transactions } = await getWallet(user._id, { limit: 200 });
+    res.json({ success: true, user, balance, transactions });
+  } catch (error) {
+    console.error("Error in patientWallet:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Credits or debits a patient's wallet by hand.
+ * - `source` 'adjustment' can credit or debit; 'promotion' only credits.
+ * - A note is required, as the patient sees it in their history.
+ * - A debit cannot take the balance below zero.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects userId in params; type, amount, source and note in body)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const adjustPatientWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { type, amount, source = WALLET_SOURCES.ADJUSTMENT, note = "" } = req.body;
+
+    if (!Object.values(WALLET_ENTRY_TYPES).includes(type)) {
+      return res.json({ success: false, message: "Choose a credit or a debit" });
+    }
+    if (![WALLET_SOURCES.ADJUSTMENT, WALLET_SOURCES.PROMOTION].includes(source)) {
+      return res.json({ success: false, message: "Source must be an adjustment or a promotion" });
+    }
+    if (source === WALLET_SOURCES.PROMOTION && type !== WALLET_ENTRY_TYPES.CREDIT) {
+      return res.json({ success: false, message: "Promotions can only credit the wallet" });
+    }
+    if (!note.trim()) {
+      return res.json({ success: false, message: "A note for the patient is required" });
+    }
+    if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ success: false, message: "Patient not found" });
+    }
+
+    const apply = type === WALLET_ENTRY_TYPES.CREDIT ? creditWallet : debitWallet;
+    const { transaction, message } = await apply(userId, {
+      amount,
+      source,
+      note: note.trim(),
+      actor: { role: STATUS_ACTORS.ADMIN, id: req.auth.id },
+    });
+    if (message) {
+      return res.json({ success: false, message });
+    }
+
+    const balance = await getWalletBalance(userId);
+    res.json({
+      success: true,
+      message: type === WALLET_ENTRY_TYPES.CREDIT ? "Wallet credited" : "Wallet debited",
+      transaction,
+      balance,
+    });
+  } catch (error) {
+    console.error("Error in adjustPatientWallet:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+export { userWallet, patientWallet, adjustPatientWallet };
@@ -0,0 +1,123 @@
+/**
+ * Authentication and authorization for users, doctors and admins.
+ * `authenticate` reads the access token from `Authorization: Bearer <token>`
+ * and puts the signed-in principal on `req.auth` as `{id, role}`; routes then
+ * restrict who may call them with `requireRole` or, for admins,
+ * `requirePermission`.
+ *
+ * @module middlewares/auth
+ */
+import Admin from "../models/adminModel.js";
+import { AUTH_ROLES, acceptsLegacyAuthHeaders } from "../config/auth.js";
+import { hasPermission } from "../config/adminRoles.js";
+import { verifyAccessToken } from "../utils/authTokens.js";
+
+/**
+ * The signed-in principal.
+ * @typedef {Object} AuthPrincipal
+ * @property {string} id - User, doctor or admin ID.
+ * @property {string} role - One of AUTH_ROLES.
+ * @property {string} [name] - Admin's name (admins only).
+ * @property {string} [adminRole] - Admin's role, one of ADMIN_ROLES (admins only).
+ */
+
+/**
+ * Read the access token of a request.
+ * The `token` (users and admins) and `dtoken` (doctors) headers predate
+ * `Authorization` and are accepted while LEGACY_AUTH_HEADERS allows it.
+ * @param {import('express').Request} req
+ * @returns {{token?: string, legacy?: boolean}}
+ */
+const readToken = (req) => {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (/^Bearer$/i.test(scheme) && token) {
+    return { token };
+  }
+  const legacyToken = req.headers.token || req.headers.dtoken;
+  if (legacyToken && acceptsLegacyAuthHeaders()) {
+    return { token: legacyToken, legacy: true };
+  }
+  return {};
+};
+
+/**
+ * Authenticates a request and sets `req.auth`.
+ * - If the token is missing or invalid, responds with 401 Unauthorized.
+ * - If the token has expired, responds with 401 and code 'TOKEN_EXPIRED' so the client can refresh it.
+ * - Admin tokens are only accepted while the admin account exists and is active.
+ *
+ * @function
+ * @async
+ * @param {import('express').Request} req - Express request object (expects an Authorization header)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+export const authenticate = async (req, res, next) => {
+  const { token, legacy } = readToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, message: "Unauthorized access" });
+  }
+  if (legacy) {
+    res.set("Deprecation", "true");
+  }
+
+  const { id, role, message, code } = verifyAccessToken(token);
+  if (message) {
+    return res.status(401).json({ success: false, message, code });
+  }
+  if (role !== AUTH_ROLES.ADMIN) {
+    req.auth = { id, role };
+    return next();
+  }
+
+  try {
+    const admin = await Admin.findById(id).select("name role active");
+    if (!admin || !admin.active) {
+      return res.status(401).json({ success: false, message: "Unauthorized access" });
+    }
+    req.auth = { id, role, name: admin.name, adminRole: admin.role };
+    next();
+  } catch (error) {
+    console.error("Error during authentication:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Allows the request only if the signed-in principal has one of the roles.
+ * Must run after `authenticate`.
+ *
+ * @function
+ * @param {...string} roles - AUTH_ROLES allowed
+ * @returns {import('express').RequestHandler}
+ */
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.auth || !roles.includes(req.auth.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to do this",
+      });
+    }
+    next();
+  };
+
+/**
+ * Allows the request only if the signed-in principal is an admin whose role
+ * grants a permission. Must run after `authenticate`.
+ *
+ * @function
+ * @param {string} permission - One of ADMIN_PERMISSIONS
+ * @returns {import('express').RequestHandler}
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  if (req.auth?.role !== AUTH_ROLES.ADMIN || !hasPermission(req.auth.adminRole, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: "You do not have permission to do this",
+    });
+  }
+  next();
+};
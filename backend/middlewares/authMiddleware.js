@@ -1,21 +0,0 @@
-// middleware/authMiddleware.js
-const jwt = require("jsonwebtoken");
-
-const protect = async (req, res, next) => {
-  let token;
-  if (req.headers.authorization?.startsWith("Bearer")) {
-    try {
-      token = req.headers.authorization.split(" ")[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select("-password");
-      next();
-    } catch (error) {
-      res.status(401);
-      throw new Error("Not authorized");
-    }
-  }
-  if (!token) {
-    res.status(401);
-    throw new Error("Not authorized, no token");
-  }
-};
@@ -0,0 +1,122 @@
+/**
+ * Migration script that converts appointments from the legacy boolean flags
+ * (`cancelled`, `payment`, `isCompleted`, `noShow`) to the `status` field
+ * and its `statusHistory`.
+ *
+ * Appointments that already have a status are left untouched, so the script
+ * can be run more than once.
+ *
+ * Usage: npm run migrate:appointment-status
+ *
+ * @module migrations/appointmentStatus
+ */
+
+import mongoose from "mongoose";
+import "dotenv/config";
+import connectDB from "../config/mongodb.js";
+import appointmentModel from "../models/appointmentModel.js";
+import {
+  APPOINTMENT_STATUS,
+  STATUS_ACTORS,
+} from "../config/appointmentStatus.js";
+
+const LEGACY_FIELDS = {
+  cancelled: "",
+  payment: "",
+  isCompleted: "",
+  noShow: "",
+  cancelledBy: "",
+  cancellationReason: "",
+};
+
+const MIGRATION_REASON = "Migrated from legacy status flags";
+
+/**
+ * Builds the status and history for a legacy appointment document.
+ * Cancelled wins over completed, which wins over no-show, so documents with
+ * impossible flag combinations end up in a single well-defined status.
+ *
+ * @param {Object} legacy - Raw appointment document
+ * @returns {{status: string, statusHistory: Array<Object>}}
+ */
+const buildStatus = (legacy) => {
+  const migratedAt = new Date();
+  const system = { role: STATUS_ACTORS.SYSTEM, id: "migration" };
+  const history = [
+    {
+      from: null,
+      to: APPOINTMENT_STATUS.BOOKED,
+      actor: { role: STATUS_ACTORS.USER, id: legacy.userId || "" },
+      reason: MIGRATION_REASON,
+      at: legacy.date || migratedAt,
+    },
+  ];
+  const push = (to, actor = system, reason = MIGRATION_REASON) => {
+    history.push({
+      from: history[history.length - 1].to,
+      to,
+      actor,
+      reason,
+      at: migratedAt,
+    });
+  };
+
+  if (legacy.payment) {
+    push(APPOINTMENT_STATUS.PAID);
+  }
+  if (legacy.cancelled) {
+    const role = Object.values(STATUS_ACTORS).includes(legacy.cancelledBy)
+      ? legacy.cancelledBy
+      : STATUS_ACTORS.SYSTEM;
+    push(
+      APPOINTMENT_STATUS.CANCELLED,
+      { role, id: "" },
+      legacy.cancellationReason || MIGRATION_REASON
+    );
+  } else if (legacy.isCompleted) {
+    push(APPOINTMENT_STATUS.COMPLETED);
+  } else if (legacy.noShow) {
+    push(APPOINTMENT_STATUS.NO_SHOW);
+  }
+
+  return {
+    status: history[history.length - 1].to,
+    statusHistory: history,
+  };
+};
+
+/**
+ * Converts every appointment without a status.
+ */
+const migrateAppointments = async () => {
+  const collection = appointmentModel.collection;
+  const cursor = collection.find({ status: { $exists: false } });
+  let migrated = 0;
+
+  for await (const legacy of cursor) {
+    const { status, statusHistory } = buildStatus(legacy);
+    await collection.updateOne(
+      { _id: legacy._id, status: { $exists: false } },
+      { $set: { status, statusHistory }, $unset: LEGACY_FIELDS }
+    );
+    migrated += 1;
+  }
+
+  console.log(`Migrated ${migrated} appointment(s)`);
+};
+
+/**
+ * Main function to run the migration
+ */
+const main = async () => {
+  await connectDB();
+  await migrateAppointments();
+  await mongoose.connection.close();
+  console.log("Appointment status migration completed");
+};
+
+// Run the script
+main().catch((error) => {
+  console.error("Appointment status migration failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+/**
+ * Migration script that normalizes patient phone numbers before they become
+ * unique, and rebuilds the user indexes.
+ *
+ * - Valid numbers are rewritten in E.164 form ('+9779812345678').
+ * - The old "0000000000" placeholder and invalid numbers are removed.
+ * - When several patients share a number, the oldest account keeps it.
+ *
+ * Numbers are left unverified: patients confirm them with a texted code.
+ * The script can be run more than once.
+ *
+ * Usage: npm run migrate:user-phones
+ *
+ * @module migrations/userPhones
+ */
+
+import mongoose from "mongoose";
+import "dotenv/config";
+import connectDB from "../config/mongodb.js";
+import User from "../models/userModel.js";
+import { normalizePhone } from "../utils/phoneNumbers.js";
+
+/**
+ * Normalizes every stored phone number, oldest account first.
+ */
+const migratePhones = async () => {
+  const collection = User.collection;
+  const cursor = collection
+    .find({ phone: { $exists: true } }, { projection: { phone: 1, phoneVerified: 1 } })
+    .sort({ _id: 1 });
+  const owners = new Map();
+  let normalized = 0;
+  let removed = 0;
+  let duplicates = 0;
+
+  for await (const user of cursor) {
+    const phone = normalizePhone(user.phone);
+    const owner = phone && owners.get(phone);
+    if (phone && !owner) {
+      owners.set(phone, user._id);
+      if (phone !== user.phone) {
+        await collection.updateOne({ _id: user._id }, { $set: { phone } });
+        normalized += 1;
+      }
+      continue;
+    }
+
+    if (owner) {
+      console.log(`User ${user._id} shares ${phone} with user ${owner}; removed from ${user._id}`);
+      duplicates += 1;
+    } else {
+      removed += 1;
+    }
+    await collection.updateOne(
+      { _id: user._id },
+      { $unset: { phone: "" }, $set: { phoneVerified: false } }
+    );
+  }
+
+  console.log(
+    `Normalized ${normalized} phone number(s), removed ${removed} invalid and ${duplicates} duplicate number(s)`
+  );
+};
+
+/**
+ * Main function to run the migration
+ */
+const main = async () => {
+  await connectDB();
+  await migratePhones();
+  // Email and phone become unique only where set
+  await User.syncIndexes();
+  await mongoose.connection.close();
+  console.log("User phone migration completed");
+};
+
+// Run the script
+main().catch((error) => {
+  console.error("User phone migration failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Mongoose schema for emailed account tokens: password reset and email
+ * verification links. Only a hash of each token is stored, and a token works
+ * once, until it expires.
+ *
+ * @module models/accountTokenModel
+ */
+import mongoose from "mongoose";
+import { AUTH_ROLES } from "../config/auth.js";
+
+/**
+ * What an account token is for.
+ * @enum {string}
+ */
+export const ACCOUNT_TOKEN_PURPOSES = {
+  PASSWORD_RESET: "password-reset",
+  EMAIL_VERIFICATION: "email-verification",
+};
+
+/**
+ * Account token schema definition.
+ * @typedef {Object} AccountToken
+ * @property {string} purpose - One of ACCOUNT_TOKEN_PURPOSES.
+ * @property {string} scope - Kind of account, one of AUTH_ROLES.
+ * @property {string} subjectId - The user or doctor the token was sent to.
+ * @property {string} email - Address the token was sent to.
+ * @property {string} tokenHash - SHA-256 hash of the token (unique).
+ * @property {Date} expiresAt - When the token stops working; it is deleted soon after.
+ * @property {Date|null} usedAt - When the token was used, or replaced by a newer one.
+ * @property {Date} createdAt - When the token was sent.
+ */
+
+const accountTokenSchema = new mongoose.Schema({
+  purpose: { type: String, enum: Object.values(ACCOUNT_TOKEN_PURPOSES), required: true },
+  scope: { type: String, enum: Object.values(AUTH_ROLES), required: true },
+  subjectId: { type: String, required: true },
+  email: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+accountTokenSchema.index({ purpose: 1, scope: 1, subjectId: 1 });
+// Expired tokens are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken =
+  mongoose.models.AccountToken || mongoose.model("AccountToken", accountTokenSchema);
+export default AccountToken;
@@ -0,0 +1,38 @@
+/**
+ * Mongoose schema for admin accounts.
+ * Each person using the admin panel has their own account and role, so their
+ * actions can be traced to them and their access can be changed or revoked.
+ *
+ * @module models/adminModel
+ */
+import mongoose from "mongoose";
+import { ADMIN_ROLES } from "../config/adminRoles.js";
+
+/**
+ * Admin schema definition.
+ * @typedef {Object} Admin
+ * @property {string} name - Admin's full name.
+ * @property {string} email - Login email, stored in lower case (unique).
+ * @property {string} password - Hashed password.
+ * @property {string} role - One of ADMIN_ROLES.
+ * @property {boolean} active - Whether the account can sign in; deactivating it revokes access at once.
+ * @property {Date|null} lastLoginAt - When the admin last signed in.
+ * @property {string} createdBy - ID of the admin who created the account, empty for the first one.
+ * @property {Date} createdAt - When the account was created.
+ * @property {Date} updatedAt - When the account was last changed.
+ */
+
+const adminSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: Object.values(ADMIN_ROLES), required: true },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date, default: null },
+  createdBy: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+const Admin = mongoose.models.Admin || mongoose.model("Admin", adminSchema);
+export default Admin;
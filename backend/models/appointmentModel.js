@@ -5,6 +5,11 @@
  * @module models/appointmentModel
  */
 import mongoose from "mongoose";
+import {
+  APPOINTMENT_STATUS,
+  STATUS_ACTORS,
+} from "../config/appointmentStatus.js";
+import { PAYMENT_METHODS } from "../config/paymentGateways.js";
 
 /**
  * Appointment schema definition.
@@ -16,12 +21,59 @@ import mongoose from "mongoose";
  * @property {Object} userData - The user data snapshot at the time of booking.
  * @property {Object} docdata - The doctor data snapshot at the time of booking.
  * @property {number} amount - The fee for the appointment.
+ * @property {string} paymentMethod - How the patient chose to pay at booking: 'ONLINE' or 'CASH' (at the clinic).
  * @property {Date} date - The date the appointment was created.
- * @property {boolean} cancelled - Whether the appointment is cancelled.
- * @property {Object} payment - Payment details for the appointment.
- * @property {boolean} isCompleted - Whether the appointment is completed.
+ * @property {string} status - Current status; see config/appointmentStatus for allowed transitions.
+ * @property {Array<Object>} statusHistory - Every status change with actor, timestamp and reason.
+ * @property {Array<Object>} rescheduleHistory - Every move to a different slot with actor, timestamp and reason.
+ * @property {string} seriesId - Shared by all occurrences of a recurring series; empty for single bookings.
+ * @property {number} seriesIndex - 1-based position of the occurrence within its series.
  */
 
+/**
+ * A single status change. `from` is null for the initial 'booked' entry.
+ */
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    actor: {
+      role: {
+        type: String,
+        enum: Object.values(STATUS_ACTORS),
+        required: true,
+      },
+      id: { type: String, default: "" },
+    },
+    reason: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * A single reschedule. Keeps the slot the appointment moved away from.
+ */
+const rescheduleSchema = new mongoose.Schema(
+  {
+    fromSlotDate: { type: Date, required: true },
+    fromSlotTime: { type: String, required: true },
+    toSlotDate: { type: Date, required: true },
+    toSlotTime: { type: String, required: true },
+    actor: {
+      role: {
+        type: String,
+        enum: Object.values(STATUS_ACTORS),
+        required: true,
+      },
+      id: { type: String, default: "" },
+    },
+    reason: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const appointmentSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -51,21 +103,36 @@ const appointmentSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  paymentMethod: {
+    type: String,
+    enum: Object.values(PAYMENT_METHODS),
+    default: PAYMENT_METHODS.ONLINE,
+  },
   date: {
     type: Date,
     default: Date.now,
   },
-  cancelled: {
-    type: Boolean,
-    default: false,
+  status: {
+    type: String,
+    enum: Object.values(APPOINTMENT_STATUS),
+    default: APPOINTMENT_STATUS.BOOKED,
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: [],
   },
-  payment: {
-    type: Boolean,
-    default: false,
+  rescheduleHistory: {
+    type: [rescheduleSchema],
+    default: [],
   },
-  isCompleted: {
-    type: Boolean,
-    default: false,
+  seriesId: {
+    type: String,
+    default: "",
+    index: true,
+  },
+  seriesIndex: {
+    type: Number,
+    default: 0,
   },
 });
 
@@ -0,0 +1,41 @@
+/**
+ * Mongoose schema for commission rates.
+ * A rate applies either to one doctor or to every doctor of a speciality; a
+ * doctor's own rate wins over their speciality's, and the platform default
+ * applies when neither is set.
+ *
+ * @module models/commissionRateModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * What a commission rate applies to.
+ * @enum {string}
+ */
+export const COMMISSION_SCOPES = {
+  DOCTOR: "doctor",
+  SPECIALITY: "speciality",
+};
+
+/**
+ * Commission rate schema definition.
+ * @typedef {Object} CommissionRate
+ * @property {string} scope - One of COMMISSION_SCOPES.
+ * @property {string} target - Doctor ID or speciality key, depending on the scope.
+ * @property {number} rate - Percent of the fee the platform keeps (0-100).
+ * @property {Date} updatedAt - When the rate was last changed.
+ */
+
+const commissionRateSchema = new mongoose.Schema({
+  scope: { type: String, enum: Object.values(COMMISSION_SCOPES), required: true },
+  target: { type: String, required: true },
+  rate: { type: Number, required: true, min: 0, max: 100 },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+commissionRateSchema.index({ scope: 1, target: 1 }, { unique: true });
+
+const CommissionRate =
+  mongoose.models.CommissionRate ||
+  mongoose.model("CommissionRate", commissionRateSchema);
+export default CommissionRate;
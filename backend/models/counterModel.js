@@ -0,0 +1,65 @@
+/**
+ * Mongoose schema for named counters.
+ * Hands out sequential numbers, e.g. for invoices, with an atomic increment
+ * so a number is never given out twice. A number taken but never used is
+ * recorded as voided, so every gap in the sequence can be accounted for.
+ *
+ * @module models/counterModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * Counter schema definition.
+ * @typedef {Object} Counter
+ * @property {string} _id - Counter name, e.g. 'invoice'.
+ * @property {number} seq - Last number handed out.
+ * @property {Array<{seq: number, reason: string, voidedAt: Date}>} voided - Numbers handed out but never used.
+ */
+
+const voidedSchema = new mongoose.Schema(
+  {
+    seq: { type: Number, required: true },
+    reason: { type: String, default: "" },
+    voidedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+  voided: { type: [voidedSchema], default: [] },
+});
+
+const Counter =
+  mongoose.models.Counter || mongoose.model("Counter", counterSchema);
+
+/**
+ * Take the next number of a counter, starting at 1.
+ * @param {string} name - Counter name
+ * @returns {Promise<number>}
+ */
+export const nextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Record that a number taken with nextSequence was never used.
+ * @param {string} name - Counter name
+ * @param {number} seq - The unused number
+ * @param {string} reason - Why it was not used
+ * @returns {Promise<void>}
+ */
+export const voidSequence = async (name, seq, reason) => {
+  await Counter.updateOne(
+    { _id: name },
+    { $push: { voided: { seq, reason, voidedAt: new Date() } } }
+  );
+};
+
+export default Counter;
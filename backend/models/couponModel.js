@@ -0,0 +1,63 @@
+/**
+ * Mongoose schema for promo codes.
+ * A coupon takes a percentage or a fixed amount off a consultation fee, within
+ * its validity window and usage limits, optionally only for some doctors or
+ * specialities.
+ *
+ * @module models/couponModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * Kinds of discount a coupon gives.
+ * @enum {string}
+ */
+export const COUPON_TYPES = {
+  PERCENTAGE: "percentage",
+  FIXED: "fixed",
+};
+
+/**
+ * Coupon schema definition.
+ * @typedef {Object} Coupon
+ * @property {string} code - Code patients enter, stored in upper case.
+ * @property {string} [description] - What the campaign is, shown to admins.
+ * @property {string} type - One of COUPON_TYPES.
+ * @property {number} value - Percentage off (0-100) or fixed amount off.
+ * @property {number} maxDiscount - Cap on a percentage discount; 0 means no cap.
+ * @property {Date|null} startsAt - First moment the code can be used; null means immediately.
+ * @property {Date|null} expiresAt - When the code stops working; null means never.
+ * @property {number} usageLimit - Total payments allowed; 0 means unlimited.
+ * @property {number} perUserLimit - Payments allowed per patient; 0 means unlimited.
+ * @property {number} usedCount - Payments in progress or completed that hold a use of the code.
+ * @property {Map<string, number>} usesByUser - The same count per patient ID.
+ * @property {string[]} doctorIds - Doctors the code is limited to; empty means any doctor.
+ * @property {string[]} specialities - Specialities the code is limited to; empty means any.
+ * @property {boolean} newPatientsOnly - Only valid for a patient's first paid consultation.
+ * @property {boolean} active - Inactive codes are rejected.
+ * @property {Date} createdAt - When the coupon was created.
+ * @property {Date} updatedAt - When the coupon was last changed.
+ */
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, default: "" },
+  type: { type: String, enum: Object.values(COUPON_TYPES), required: true },
+  value: { type: Number, required: true, min: 0 },
+  maxDiscount: { type: Number, default: 0, min: 0 },
+  startsAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  usageLimit: { type: Number, default: 0, min: 0 },
+  perUserLimit: { type: Number, default: 1, min: 0 },
+  usedCount: { type: Number, default: 0 },
+  usesByUser: { type: Map, of: Number, default: {} },
+  doctorIds: { type: [String], default: [] },
+  specialities: { type: [String], default: [] },
+  newPatientsOnly: { type: Boolean, default: false },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+const Coupon = mongoose.models.Coupon || mongoose.model("Coupon", couponSchema);
+export default Coupon;
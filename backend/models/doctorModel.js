@@ -5,6 +5,7 @@
  * @module models/doctorModel
  */
 import mongoose from "mongoose";
+import { DEFAULT_SCHEDULE } from "../utils/scheduleUtils.js";
 
 /**
  * Doctor schema definition.
@@ -22,8 +23,38 @@ import mongoose from "mongoose";
  * @property {Object} address - Address object for the doctor.
  * @property {Date} date - Date the doctor profile was created.
  * @property {Object} slot_booked - Object mapping dates to booked time slots.
+ * @property {Object} schedule - Weekly working hours, slot length, breaks, and booking horizon.
  */
 
+/**
+ * A time range on a weekday. `day` is 0 (Sunday) to 6 (Saturday);
+ * times use 24-hour 'HH:mm' format. A break without a day applies every day.
+ */
+const timeRangeSchema = new mongoose.Schema(
+  {
+    day: { type: Number, min: 0, max: 6 },
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const scheduleSchema = new mongoose.Schema(
+  {
+    weeklyHours: {
+      type: [timeRangeSchema],
+      default: () => DEFAULT_SCHEDULE.weeklyHours,
+    },
+    slotDuration: { type: Number, default: DEFAULT_SCHEDULE.slotDuration },
+    breaks: { type: [timeRangeSchema], default: [] },
+    bookingHorizonDays: {
+      type: Number,
+      default: DEFAULT_SCHEDULE.bookingHorizonDays,
+    },
+  },
+  { _id: false }
+);
+
 const doctorSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
@@ -38,6 +69,7 @@ const doctorSchema = new mongoose.Schema({
   address: { type: Object, required: true },
   date: { type: Date, default: Date.now },
   slot_booked: { type: Object, default: {} },
+  schedule: { type: scheduleSchema, default: () => ({}) },
 });
 
 const Doctor = mongoose.model.Doctor || mongoose.model("Doctor", doctorSchema);
@@ -0,0 +1,64 @@
+/**
+ * Mongoose schema for doctor earnings entries.
+ * Each completed payment adds an entry splitting the fee between the doctor
+ * and the platform; a processed refund adds a negative entry taking back the
+ * same share of the refunded amount. Entries are settled in monthly payouts.
+ *
+ * @module models/earningModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * Kinds of earnings entry.
+ * @enum {string}
+ */
+export const EARNING_TYPES = {
+  EARNING: "earning",
+  REVERSAL: "reversal",
+};
+
+/**
+ * Earnings entry schema definition.
+ * @typedef {Object} Earning
+ * @property {string} doctorId - The doctor earning the fee.
+ * @property {mongoose.Types.ObjectId} appointmentId - The appointment paid for.
+ * @property {mongoose.Types.ObjectId} paymentId - The payment the entry comes from.
+ * @property {mongoose.Types.ObjectId|null} refundId - The refund, for reversals.
+ * @property {string} type - One of EARNING_TYPES.
+ * @property {number} grossAmount - Fee paid (negative for reversals), excluding tax and service charge.
+ * @property {number} commissionRate - Percent kept by the platform.
+ * @property {number} commissionAmount - Amount kept by the platform.
+ * @property {number} netAmount - Amount owed to the doctor.
+ * @property {string} period - Month the entry belongs to ('YYYY-MM').
+ * @property {mongoose.Types.ObjectId|null} payoutId - Payout statement that settles the entry.
+ * @property {Date} createdAt - When the entry was recorded.
+ */
+
+const earningSchema = new mongoose.Schema({
+  doctorId: { type: String, required: true, index: true },
+  appointmentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  paymentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  refundId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  type: { type: String, enum: Object.values(EARNING_TYPES), required: true },
+  grossAmount: { type: Number, required: true },
+  commissionRate: { type: Number, required: true },
+  commissionAmount: { type: Number, required: true },
+  netAmount: { type: Number, required: true },
+  period: { type: String, required: true },
+  payoutId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One earning per payment and one reversal per refund
+earningSchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { type: EARNING_TYPES.EARNING } }
+);
+earningSchema.index(
+  { refundId: 1 },
+  { unique: true, partialFilterExpression: { type: EARNING_TYPES.REVERSAL } }
+);
+earningSchema.index({ doctorId: 1, period: 1 });
+
+const Earning = mongoose.models.Earning || mongoose.model("Earning", earningSchema);
+export default Earning;
@@ -0,0 +1,75 @@
+/**
+ * Mongoose schema for invoices.
+ * One invoice is issued per completed payment. It keeps a snapshot of the
+ * clinic, doctor, patient and amounts at the time of payment, so a downloaded
+ * invoice never changes afterwards.
+ *
+ * @module models/invoiceModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * Invoice schema definition.
+ * @typedef {Object} Invoice
+ * @property {number} sequence - Sequential invoice number, never reused.
+ * @property {string} number - Printed invoice number, e.g. 'INV-000042'.
+ * @property {mongoose.Types.ObjectId} paymentId - The completed payment.
+ * @property {mongoose.Types.ObjectId} appointmentId - The appointment paid for.
+ * @property {string} userId - The patient.
+ * @property {Object} clinic - Clinic name, address, phone, email and PAN.
+ * @property {Object} doctor - Doctor name and speciality.
+ * @property {Object} patient - Patient name, email and phone.
+ * @property {string} slotDate - Appointment date key ('D_M_YYYY').
+ * @property {string} slotTime - Appointment time ('hh:mm AM').
+ * @property {number} amount - Consultation fee before any discount.
+ * @property {number} discount - Promo code discount taken off the fee.
+ * @property {string} [discountCode] - Promo code used.
+ * @property {number} taxAmount - VAT included in the total.
+ * @property {number} serviceCharge - Service charge included in the total.
+ * @property {number} vatPercent - VAT rate applied, 0 if exempt.
+ * @property {number} serviceChargePercent - Service charge rate applied.
+ * @property {number} totalAmount - Amount paid.
+ * @property {string} gateway - Gateway the payment went through.
+ * @property {string} transactionUuid - Our transaction ID.
+ * @property {string} refId - Gateway reference, e.g. eSewa's ref_id.
+ * @property {Date} issuedAt - When the invoice was issued.
+ */
+
+const invoiceSchema = new mongoose.Schema({
+  sequence: { type: Number, required: true, unique: true },
+  number: { type: String, required: true, unique: true },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+    required: true,
+    unique: true,
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Appointment",
+    required: true,
+    index: true,
+  },
+  userId: { type: String, required: true },
+  clinic: { type: Object, required: true },
+  doctor: { type: Object, required: true },
+  patient: { type: Object, required: true },
+  slotDate: { type: String, required: true },
+  slotTime: { type: String, required: true },
+  amount: { type: Number, required: true },
+  discount: { type: Number, default: 0 },
+  discountCode: { type: String, default: "" },
+  taxAmount: { type: Number, default: 0 },
+  serviceCharge: { type: Number, default: 0 },
+  vatPercent: { type: Number, default: 0 },
+  serviceChargePercent: { type: Number, default: 0 },
+  totalAmount: { type: Number, required: true },
+  gateway: { type: String, required: true },
+  transactionUuid: { type: String, required: true },
+  refId: { type: String, default: "" },
+  issuedAt: { type: Date, default: Date.now },
+});
+
+const Invoice =
+  mongoose.models.Invoice || mongoose.model("Invoice", invoiceSchema);
+export default Invoice;
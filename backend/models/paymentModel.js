@@ -1,45 +1,128 @@
 /**
  * Mongoose schema for payment records.
- * Represents a payment transaction, including eSewa integration details, status, and references to appointments and users.
+ * Represents a payment transaction through any payment gateway, including gateway details, status, and references to appointments and users.
  *
  * @module models/paymentModel
  */
 import mongoose from "mongoose";
+import { PAYMENT_METHODS, PAYMENT_STATUS } from "../config/paymentGateways.js";
 
 /**
  * Payment schema definition.
  * @typedef {Object} Payment
- * @property {number} amount - The base amount for the payment.
+ * @property {number} amount - The base amount for the payment, after any discount.
+ * @property {Object|null} discount - Promo code applied to the payment (couponId, code, type, value, amount, and whether it holds a use of the code).
+ * @property {number} wallet_amount - Part of the total paid from the patient's wallet; the gateway is charged the rest.
  * @property {number} product_delivery_charge - Delivery charge for the product/service.
  * @property {number} product_service_charge - Service charge for the product/service.
- * @property {string} product_code - Product code used for eSewa integration.
- * @property {string} signature - HMAC signature for eSewa verification.
+ * @property {string} method - One of PAYMENT_METHODS: 'ONLINE' through a gateway or 'CASH' at the clinic.
+ * @property {string} gateway - Payment gateway used, e.g. 'esewa', 'khalti' or 'mock'; 'cash' for cash payments, 'wallet' when the wallet paid it all.
+ * @property {string} [gateway_reference] - Gateway session ID, e.g. Khalti's pidx.
+ * @property {string} [product_code] - Product code used for eSewa integration.
+ * @property {string} [signature] - HMAC signature for eSewa verification.
  * @property {number} tax_amount - Tax amount included in the payment.
+ * @property {Object|null} tax_rates - VAT and service charge rates the amounts were computed with (vatPercent, serviceChargePercent).
  * @property {string} total_amount - Total amount (base + tax + charges).
  * @property {string} transaction_uuid - Unique transaction identifier for the payment.
- * @property {string} signed_field_names - Comma-separated list of signed fields for eSewa.
+ * @property {string} [idempotency_key] - Key sent by the client when starting the payment; retries with the same key get this attempt back.
+ * @property {Object|null} checkout - Where the patient was sent to pay (see PaymentGateway#initiate), kept so a retry can resume it.
+ * @property {string} [signed_field_names] - Comma-separated list of signed fields for eSewa.
  * @property {string} status - Payment status (e.g., PENDING, COMPLETE, FAILED).
  * @property {Object} user - User data snapshot at the time of payment.
- * @property {string} [ref_id] - Reference ID returned by eSewa after payment verification.
- * @property {string} [transaction_code] - Transaction code from eSewa.
+ * @property {Object|null} collectedBy - Who took a cash payment (role, id, name).
+ * @property {string} [ref_id] - Reference ID returned by the gateway after payment verification.
+ * @property {string} [transaction_code] - Transaction code from the gateway callback.
  * @property {string} [esewa_signature] - Signature returned by eSewa after verification.
  * @property {mongoose.Types.ObjectId} appointmentId - Reference to the related appointment.
+ * @property {Object|null} cancellation - Outcome of the cancellation policy when the appointment was cancelled.
+ * @property {string} refund_status - Status of the latest refund of this payment, empty if none.
+ * @property {number} refunded_amount - Total amount refunded so far.
  * @property {Date} createdAt - Timestamp when the payment was created.
  * @property {Date} updatedAt - Timestamp when the payment was last updated.
  */
 
+/**
+ * Result of evaluating the cancellation policy against this payment.
+ * `tier` is one of 'free', 'late', 'after-start', 'rescheduled' or 'clinic'.
+ */
+const cancellationSchema = new mongoose.Schema(
+  {
+    tier: { type: String, required: true },
+    feePercent: { type: Number, default: 0 },
+    fee: { type: Number, default: 0 },
+    refundableAmount: { type: Number, default: 0 },
+    cancelledBy: {
+      role: { type: String, required: true },
+      id: { type: String, default: "" },
+    },
+    evaluatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Promo code applied when the payment was initiated. `amount` is what was
+ * taken off the consultation fee.
+ */
+const discountSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, required: true },
+    type: { type: String, required: true },
+    value: { type: Number, required: true },
+    amount: { type: Number, required: true },
+    // Whether the payment holds one of the coupon's uses
+    reserved: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+/**
+ * Doctor or admin who took a cash payment at the clinic.
+ */
+const collectorSchema = new mongoose.Schema(
+  {
+    role: { type: String, required: true },
+    id: { type: String, default: "" },
+    name: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
 const paymentSchema = new mongoose.Schema({
   amount: { type: Number, required: true },
+  discount: { type: discountSchema, default: null },
+  wallet_amount: { type: Number, default: 0 },
   product_delivery_charge: { type: Number, required: true },
   product_service_charge: { type: Number, required: true },
-  product_code: { type: String, required: true },
-  signature: { type: String, required: true },
+  method: {
+    type: String,
+    enum: Object.values(PAYMENT_METHODS),
+    default: PAYMENT_METHODS.ONLINE,
+  },
+  gateway: { type: String, default: "esewa" },
+  gateway_reference: { type: String, default: "" },
+  product_code: { type: String, default: "" },
+  signature: { type: String, default: "" },
   tax_amount: { type: Number, required: true },
+  tax_rates: {
+    type: new mongoose.Schema(
+      {
+        vatPercent: { type: Number, default: 0 },
+        serviceChargePercent: { type: Number, default: 0 },
+      },
+      { _id: false }
+    ),
+    default: null,
+  },
   total_amount: { type: String, required: true },
   transaction_uuid: { type: String, required: true },
-  signed_field_names: { type: String, required: true },
+  idempotency_key: { type: String },
+  checkout: { type: Object, default: null },
+  signed_field_names: { type: String, default: "" },
   status: { type: String, required: true },
   user: { type: Object, required: true },
+  collectedBy: { type: collectorSchema, default: null },
   ref_id: { type: String, default: "" },
   transaction_code: { type: String, default: "" },
   esewa_signature: { type: String, default: "" },
@@ -48,10 +131,23 @@ const paymentSchema = new mongoose.Schema({
     ref: "Appointment",
     required: true,
   },
+  cancellation: { type: cancellationSchema, default: null },
+  refund_status: { type: String, default: "" },
+  refunded_amount: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+// One payment attempt in progress per appointment, and one attempt per idempotency key
+paymentSchema.index(
+  { appointmentId: 1 },
+  { unique: true, partialFilterExpression: { status: PAYMENT_STATUS.PENDING } }
+);
+paymentSchema.index(
+  { "user._id": 1, idempotency_key: 1 },
+  { unique: true, partialFilterExpression: { idempotency_key: { $type: "string" } } }
+);
+
 const Payment =
   mongoose.models.Payment || mongoose.model("Payment", paymentSchema);
 export default Payment;
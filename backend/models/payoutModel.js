@@ -0,0 +1,63 @@
+/**
+ * Mongoose schema for doctor payout statements.
+ * A statement settles a doctor's unsettled earnings entries up to the end of a
+ * month. It is generated by an admin and marked paid once the money is sent.
+ *
+ * @module models/payoutModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * Payout statuses.
+ * @enum {string}
+ */
+export const PAYOUT_STATUS = {
+  PENDING: "pending",
+  PAID: "paid",
+};
+
+/**
+ * Payout schema definition.
+ * @typedef {Object} Payout
+ * @property {string} doctorId - The doctor being paid.
+ * @property {Object} doctor - Doctor name and speciality at the time of the statement.
+ * @property {string} period - Month of the statement ('YYYY-MM').
+ * @property {number} entryCount - Earnings entries settled by the statement.
+ * @property {number} grossAmount - Fees paid, less refunds.
+ * @property {number} commissionAmount - Amount kept by the platform.
+ * @property {number} netAmount - Amount owed to the doctor.
+ * @property {string} status - One of PAYOUT_STATUS.
+ * @property {string} [reference] - Bank or wallet transfer reference.
+ * @property {string} [note] - Remark from the admin who paid it.
+ * @property {Date|null} paidAt - When it was marked paid.
+ * @property {string} [paidBy] - ID of the admin who marked it paid.
+ * @property {Date} createdAt - When the statement was generated.
+ */
+
+const payoutSchema = new mongoose.Schema({
+  doctorId: { type: String, required: true },
+  doctor: {
+    name: { type: String, default: "" },
+    speciality: { type: String, default: "" },
+  },
+  period: { type: String, required: true },
+  entryCount: { type: Number, default: 0 },
+  grossAmount: { type: Number, default: 0 },
+  commissionAmount: { type: Number, default: 0 },
+  netAmount: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: Object.values(PAYOUT_STATUS),
+    default: PAYOUT_STATUS.PENDING,
+  },
+  reference: { type: String, default: "" },
+  note: { type: String, default: "" },
+  paidAt: { type: Date, default: null },
+  paidBy: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+payoutSchema.index({ doctorId: 1, period: 1 }, { unique: true });
+
+const Payout = mongoose.models.Payout || mongoose.model("Payout", payoutSchema);
+export default Payout;
@@ -0,0 +1,51 @@
+/**
+ * Mongoose schema for one-time codes sent by text message.
+ * Only a keyed hash of each code is stored. A code works once, until it
+ * expires or too many wrong codes have been entered; records are kept for a
+ * day so the number of codes sent to a phone can be limited.
+ *
+ * @module models/phoneOtpModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * What a code is for.
+ * @enum {string}
+ */
+export const OTP_PURPOSES = {
+  // Sign in, or register, with a phone number
+  LOGIN: "login",
+  // Add or change the phone number of a signed-in patient
+  CHANGE_PHONE: "change-phone",
+};
+
+/**
+ * Phone OTP schema definition.
+ * @typedef {Object} PhoneOtp
+ * @property {string} phone - E.164 number the code was sent to.
+ * @property {string} purpose - One of OTP_PURPOSES.
+ * @property {string} userId - Patient changing their number (CHANGE_PHONE only).
+ * @property {string} codeHash - HMAC-SHA-256 of the phone number and code.
+ * @property {Date} expiresAt - When the code stops working.
+ * @property {number} attempts - Wrong codes entered so far.
+ * @property {Date|null} usedAt - When the code was used, or replaced by a newer one.
+ * @property {Date} createdAt - When the code was sent; the record is deleted a day later.
+ */
+
+const phoneOtpSchema = new mongoose.Schema({
+  phone: { type: String, required: true },
+  purpose: { type: String, enum: Object.values(OTP_PURPOSES), required: true },
+  userId: { type: String, default: "" },
+  codeHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  attempts: { type: Number, default: 0 },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+phoneOtpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Old codes are removed by MongoDB
+phoneOtpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const PhoneOtp = mongoose.models.PhoneOtp || mongoose.model("PhoneOtp", phoneOtpSchema);
+export default PhoneOtp;
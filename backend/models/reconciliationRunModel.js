@@ -0,0 +1,63 @@
+/**
+ * Mongoose schema for payment reconciliation runs.
+ * Each run of the reconciliation job records what it checked and changed,
+ * so admins can see how stuck payments were settled.
+ *
+ * @module models/reconciliationRunModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * Reconciliation run schema definition.
+ * @typedef {Object} ReconciliationRun
+ * @property {string} trigger - 'schedule' for the background job, 'manual' when an admin started it.
+ * @property {Date} startedAt - When the run started.
+ * @property {Date|null} finishedAt - When the run finished; null while it is running.
+ * @property {number} checked - Payments looked up with their gateway.
+ * @property {number} completed - Payments moved to COMPLETE.
+ * @property {number} failed - Payments moved to FAILED or CANCELED.
+ * @property {number} expired - Payments moved to EXPIRED.
+ * @property {number} flagged - Payments moved to another status that needs a review, e.g. AMBIGUOUS.
+ * @property {number} unchanged - Payments left PENDING for a later run.
+ * @property {Array<Object>} changes - Every status change (transaction_uuid, gateway, from, to, note).
+ * @property {Array<Object>} failures - Payments that could not be checked (transaction_uuid, gateway, message).
+ */
+
+const changeSchema = new mongoose.Schema(
+  {
+    transaction_uuid: { type: String, required: true },
+    gateway: { type: String, required: true },
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    note: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const failureSchema = new mongoose.Schema(
+  {
+    transaction_uuid: { type: String, required: true },
+    gateway: { type: String, required: true },
+    message: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const reconciliationRunSchema = new mongoose.Schema({
+  trigger: { type: String, enum: ["schedule", "manual"], default: "schedule" },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date, default: null },
+  checked: { type: Number, default: 0 },
+  completed: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  expired: { type: Number, default: 0 },
+  flagged: { type: Number, default: 0 },
+  unchanged: { type: Number, default: 0 },
+  changes: { type: [changeSchema], default: [] },
+  failures: { type: [failureSchema], default: [] },
+});
+
+const ReconciliationRun =
+  mongoose.models.ReconciliationRun ||
+  mongoose.model("ReconciliationRun", reconciliationRunSchema);
+export default ReconciliationRun;
@@ -0,0 +1,46 @@
+/**
+ * Mongoose schema for refresh tokens.
+ * Only a hash of each token is stored. Tokens issued from one sign-in share a
+ * `family`; every refresh revokes the token used and issues the next one in
+ * the family, so a revoked token coming back means it was copied, and the
+ * whole family is revoked.
+ *
+ * @module models/refreshTokenModel
+ */
+import mongoose from "mongoose";
+import { AUTH_ROLES } from "../config/auth.js";
+
+/**
+ * Refresh token schema definition.
+ * @typedef {Object} RefreshToken
+ * @property {string} scope - One of AUTH_ROLES.
+ * @property {string} subjectId - The user, doctor or admin the token was issued to.
+ * @property {string} tokenHash - SHA-256 hash of the token (unique).
+ * @property {string} family - ID shared by the tokens of one sign-in.
+ * @property {Date} expiresAt - When the token stops working; it is deleted soon after.
+ * @property {Date|null} revokedAt - When the token was used, or revoked by a logout.
+ * @property {string} revokedReason - 'rotated', 'logout', 'logout-all' or 'reuse'.
+ * @property {string} userAgent - Browser that signed in, to tell devices apart.
+ * @property {Date} createdAt - When the token was issued.
+ */
+
+const refreshTokenSchema = new mongoose.Schema({
+  scope: { type: String, enum: Object.values(AUTH_ROLES), required: true },
+  subjectId: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: "" },
+  userAgent: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+refreshTokenSchema.index({ scope: 1, subjectId: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken =
+  mongoose.models.RefreshToken || mongoose.model("RefreshToken", refreshTokenSchema);
+export default RefreshToken;
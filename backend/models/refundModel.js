@@ -0,0 +1,113 @@
+/**
+ * Mongoose schema for refunds.
+ * A refund returns part or all of a completed payment to the patient. It is
+ * requested when a paid appointment is cancelled or by an admin, approved by an
+ * admin, and then processed through the payment's gateway. Refunds to the
+ * patient's wallet are processed as soon as they are requested.
+ *
+ * @module models/refundModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * Refund statuses.
+ * requested → approved → processed or failed; a failed refund can be approved again.
+ * @enum {string}
+ */
+export const REFUND_STATUS = {
+  REQUESTED: "requested",
+  APPROVED: "approved",
+  PROCESSED: "processed",
+  FAILED: "failed",
+};
+
+/**
+ * Where a refund request came from. A late payment is one that completed
+ * after its appointment could no longer be paid, e.g. once it was cancelled.
+ * @enum {string}
+ */
+export const REFUND_SOURCES = {
+  CANCELLATION: "cancellation",
+  ADMIN: "admin",
+  LATE_PAYMENT: "late-payment",
+};
+
+/**
+ * Where the refunded money goes.
+ * @enum {string}
+ */
+export const REFUND_DESTINATIONS = {
+  GATEWAY: "gateway",
+  WALLET: "wallet",
+};
+
+/**
+ * Refund schema definition.
+ * @typedef {Object} Refund
+ * @property {mongoose.Types.ObjectId} paymentId - The payment being refunded.
+ * @property {mongoose.Types.ObjectId} appointmentId - The appointment the payment was for.
+ * @property {string} userId - The patient receiving the refund.
+ * @property {string} gateway - Gateway of the payment, e.g. 'esewa'.
+ * @property {number} amount - Amount to refund, at most what is left of the payment.
+ * @property {string} source - One of REFUND_SOURCES.
+ * @property {string} destination - One of REFUND_DESTINATIONS: back through the gateway or into the patient's wallet.
+ * @property {string} reason - Why the refund was requested.
+ * @property {string} status - One of REFUND_STATUS.
+ * @property {string} [gatewayRefId] - Gateway reference of the refund once processed, or the wallet transaction ID.
+ * @property {string} [failureReason] - Why the last attempt failed.
+ * @property {Array<Object>} history - Every status change (status, actor, note, at).
+ * @property {Date} createdAt - When the refund was requested.
+ * @property {Date} updatedAt - When the refund last changed.
+ */
+
+const refundEventSchema = new mongoose.Schema(
+  {
+    status: { type: String, required: true },
+    actor: {
+      role: { type: String, required: true },
+      id: { type: String, default: "" },
+    },
+    note: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+    required: true,
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Appointment",
+    required: true,
+  },
+  userId: { type: String, required: true },
+  gateway: { type: String, required: true },
+  amount: { type: Number, required: true },
+  source: { type: String, enum: Object.values(REFUND_SOURCES), required: true },
+  destination: {
+    type: String,
+    enum: Object.values(REFUND_DESTINATIONS),
+    default: REFUND_DESTINATIONS.GATEWAY,
+  },
+  reason: { type: String, default: "" },
+  status: {
+    type: String,
+    enum: Object.values(REFUND_STATUS),
+    default: REFUND_STATUS.REQUESTED,
+  },
+  gatewayRefId: { type: String, default: "" },
+  failureReason: { type: String, default: "" },
+  history: { type: [refundEventSchema], default: [] },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ userId: 1, appointmentId: 1 });
+
+const Refund = mongoose.models.Refund || mongoose.model("Refund", refundSchema);
+export default Refund;
@@ -1,6 +1,8 @@
 /**
  * Mongoose schema for user records.
  * Represents a user profile, including authentication, personal, and contact details.
+ * Patients sign in with an email and password, or with a phone number and a
+ * texted code; phone-only accounts have no email or password.
  *
  * @module models/userModel
  */
@@ -10,19 +12,22 @@ import mongoose from "mongoose";
  * User schema definition.
  * @typedef {Object} User
  * @property {string} name - User's full name.
- * @property {string} email - User's email address (unique).
- * @property {string} password - Hashed password for authentication.
+ * @property {string} [email] - User's email address (unique when set).
+ * @property {boolean} emailVerified - Whether the user has confirmed they own the email address.
+ * @property {string} [password] - Hashed password for email sign-in.
  * @property {string} image - URL to the user's profile image.
  * @property {Object} address - Address object for the user (with line1, line2).
  * @property {string} gender - User's gender.
  * @property {Date|null} dob - User's date of birth.
- * @property {string} phone - User's phone number.
+ * @property {string} [phone] - Mobile number in E.164 form, e.g. '+9779812345678' (unique when set).
+ * @property {boolean} phoneVerified - Whether the user has confirmed the number with a texted code.
  */
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
+  email: { type: String, unique: true, sparse: true },
+  emailVerified: { type: Boolean, default: false },
+  password: { type: String },
   image: {
     type: String,
     default: "https://via.placeholder.com/150",
@@ -33,7 +38,8 @@ const userSchema = new mongoose.Schema({
   },
   gender: { type: String, default: "Not selected" },
   dob: { type: Date, default: null },
-  phone: { type: String, default: "0000000000" },
+  phone: { type: String, unique: true, sparse: true },
+  phoneVerified: { type: Boolean, default: false },
 });
 
 const User = mongoose.model("User", userSchema);
@@ -0,0 +1,70 @@
+/**
+ * Mongoose schema for waitlist entries.
+ * A patient waits for any freed slot of a doctor within a date range. When a
+ * slot is freed it is held for the next waiting patient as a time-limited offer.
+ *
+ * @module models/waitlistModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * Waitlist entry statuses.
+ * @enum {string}
+ */
+export const WAITLIST_STATUS = {
+  WAITING: "waiting",
+  OFFERED: "offered",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+};
+
+/**
+ * Waitlist entry schema definition.
+ * @typedef {Object} WaitlistEntry
+ * @property {string} userId - The ID of the waiting patient.
+ * @property {string} docId - The ID of the doctor.
+ * @property {Object} userData - Patient snapshot (name, email, phone, image) shown to the doctor.
+ * @property {Object} docData - Doctor snapshot (name, speciality, image) shown to the patient.
+ * @property {Date} fromDate - First day the patient can attend.
+ * @property {Date} toDate - Last day the patient can attend.
+ * @property {string} status - One of WAITLIST_STATUS.
+ * @property {Object|null} offer - The held slot while status is 'offered' (slotDate key, slotTime, offeredAt, expiresAt).
+ * @property {string} [appointmentId] - Appointment created when the offer was accepted.
+ * @property {Date} createdAt - When the patient joined; earlier entries are offered first.
+ */
+
+const offerSchema = new mongoose.Schema(
+  {
+    slotDate: { type: String, required: true },
+    slotTime: { type: String, required: true },
+    offeredAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+const waitlistSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  docId: { type: String, required: true },
+  userData: { type: Object, required: true },
+  docData: { type: Object, required: true },
+  fromDate: { type: Date, required: true },
+  toDate: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: Object.values(WAITLIST_STATUS),
+    default: WAITLIST_STATUS.WAITING,
+  },
+  offer: { type: offerSchema, default: null },
+  appointmentId: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+waitlistSchema.index({ docId: 1, status: 1, createdAt: 1 });
+
+const Waitlist =
+  mongoose.models.Waitlist || mongoose.model("Waitlist", waitlistSchema);
+export default Waitlist;
@@ -0,0 +1,87 @@
+/**
+ * Mongoose schema for patient wallet transactions.
+ * The wallet is an append-only ledger: refunds credited to the wallet, admin
+ * adjustments and promotions add credits, and checkouts paid from the wallet
+ * add debits. A patient's balance is always the sum of their entries.
+ *
+ * @module models/walletTransactionModel
+ */
+import mongoose from "mongoose";
+
+/**
+ * Direction of a wallet transaction.
+ * @enum {string}
+ */
+export const WALLET_ENTRY_TYPES = {
+  CREDIT: "credit",
+  DEBIT: "debit",
+};
+
+/**
+ * Why a wallet transaction was made.
+ * - refund: a refund paid into the wallet instead of through the gateway.
+ * - adjustment: an admin correction, credit or debit.
+ * - promotion: credit given by the clinic, e.g. a goodwill gesture.
+ * - checkout: wallet balance spent on an appointment payment.
+ * - checkout-release: wallet balance given back when that payment did not go through.
+ * @enum {string}
+ */
+export const WALLET_SOURCES = {
+  REFUND: "refund",
+  ADJUSTMENT: "adjustment",
+  PROMOTION: "promotion",
+  CHECKOUT: "checkout",
+  CHECKOUT_RELEASE: "checkout-release",
+};
+
+/**
+ * Wallet transaction schema definition.
+ * @typedef {Object} WalletTransaction
+ * @property {string} userId - The patient owning the wallet.
+ * @property {string} type - One of WALLET_ENTRY_TYPES.
+ * @property {string} source - One of WALLET_SOURCES.
+ * @property {number} amount - Amount credited or debited, always positive.
+ * @property {string} note - Description shown to the patient.
+ * @property {mongoose.Types.ObjectId|null} paymentId - Payment the wallet was spent on or refunded from.
+ * @property {mongoose.Types.ObjectId|null} refundId - Refund credited to the wallet.
+ * @property {mongoose.Types.ObjectId|null} appointmentId - Related appointment.
+ * @property {Object} createdBy - Who made the transaction (role, id).
+ * @property {Date} createdAt - When the transaction was made.
+ */
+
+const walletTransactionSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  type: { type: String, enum: Object.values(WALLET_ENTRY_TYPES), required: true },
+  source: { type: String, enum: Object.values(WALLET_SOURCES), required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  note: { type: String, default: "" },
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", default: null },
+  refundId: { type: mongoose.Schema.Types.ObjectId, ref: "Refund", default: null },
+  appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment", default: null },
+  createdBy: {
+    role: { type: String, required: true },
+    id: { type: String, default: "" },
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One credit per refund, and one checkout debit and one release per payment
+walletTransactionSchema.index(
+  { refundId: 1 },
+  { unique: true, partialFilterExpression: { source: WALLET_SOURCES.REFUND } }
+);
+walletTransactionSchema.index(
+  { paymentId: 1, source: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      source: { $in: [WALLET_SOURCES.CHECKOUT, WALLET_SOURCES.CHECKOUT_RELEASE] },
+    },
+  }
+);
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+const WalletTransaction =
+  mongoose.models.WalletTransaction ||
+  mongoose.model("WalletTransaction", walletTransactionSchema);
+export default WalletTransaction;
@@ -1,6 +1,7 @@
 /**
  * Express router for admin-related API endpoints.
- * Handles routes for doctor management, appointments, admin authentication, and dashboard data.
+ * Handles routes for doctor management, appointments, payments, wallets, refunds, invoices, coupons, commission and payouts, admin authentication and accounts, and dashboard data.
+ * Every protected route also checks that the signed-in admin's role grants the permission it needs.
  *
  * @module routes/adminRoute
  */
@@ -11,12 +12,51 @@ import {
   adminLogin,
   allDoctors,
   appointmentCancel,
+  appointmentCollectCash,
+  appointmentReschedule,
   appointmentsAdmin,
   updateDoctor,
 } from "../controllers/adminController.js";
 import { changeAvailability } from "../controllers/doctorController.js";
+import {
+  approveRefundRequest,
+  createRefund,
+  listRefunds,
+  recordRefund,
+} from "../controllers/refundController.js";
+import { downloadAdminInvoice } from "../controllers/invoiceController.js";
+import {
+  createCoupon,
+  deleteCoupon,
+  listCoupons,
+  updateCoupon,
+} from "../controllers/couponController.js";
+import {
+  deleteCommissionRate,
+  downloadPayoutStatement,
+  generatePayoutStatements,
+  listCommissionRates,
+  listPayouts,
+  payPayout,
+  setCommissionRate,
+} from "../controllers/earningController.js";
+import {
+  exportPayments,
+  getPayment,
+  listPayments,
+} from "../controllers/paymentLedgerController.js";
+import { adjustPatientWallet, patientWallet } from "../controllers/walletController.js";
+import {
+  adminProfile,
+  createAdminAccount,
+  listAdminAccounts,
+  updateAdminAccount,
+} from "../controllers/adminAccountController.js";
+import { adminSession } from "../controllers/sessionController.js";
 import upload from "../middlewares/multer.js";
-import authAdmin from "../middlewares/authAdmin.js";
+import { authenticate, requirePermission, requireRole } from "../middlewares/auth.js";
+import { AUTH_ROLES } from "../config/auth.js";
+import { ADMIN_PERMISSIONS } from "../config/adminRoles.js";
 
 const adminRouter = express.Router();
 
@@ -25,14 +65,14 @@ const adminRouter = express.Router();
  * @desc Add a new doctor (requires admin authentication and image upload)
  * @access Protected
  */
-adminRouter.post("/add-doctor", authAdmin, upload.single("image"), addDoctor);
+adminRouter.post("/add-doctor", authenticate, requirePermission(ADMIN_PERMISSIONS.DOCTORS_MANAGE), upload.single("image"), addDoctor);
 
 /**
  * @route POST /update-doctor/:doctId
  * @desc Update an existing doctor (requires admin authentication, optional image upload)
  * @access Protected
  */
-adminRouter.post("/update-doctor/:doctId", authAdmin, upload.single("image"), updateDoctor);
+adminRouter.post("/update-doctor/:doctId", authenticate, requirePermission(ADMIN_PERMISSIONS.DOCTORS_MANAGE), upload.single("image"), updateDoctor);
 
 /**
  * @route POST /login
@@ -41,39 +81,249 @@ adminRouter.post("/update-doctor/:doctId", authAdmin, upload.single("image"), up
  */
 adminRouter.post("/login", adminLogin);
 
+/**
+ * @route POST /refresh-token
+ * @desc Exchange a refresh token for a new access token and refresh token
+ * @access Public
+ */
+adminRouter.post("/refresh-token", adminSession.refresh);
+
+/**
+ * @route POST /logout
+ * @desc Log out of this device by ending the session of the refresh token sent
+ * @access Public
+ */
+adminRouter.post("/logout", adminSession.logout);
+
+/**
+ * @route POST /logout-all
+ * @desc Log out of all devices (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/logout-all", authenticate, requireRole(AUTH_ROLES.ADMIN), adminSession.logoutAll);
+
+/**
+ * @route GET /me
+ * @desc Get the signed-in admin's profile, role and permissions (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/me", authenticate, requireRole(AUTH_ROLES.ADMIN), adminProfile);
+
+/**
+ * @route GET /admins
+ * @desc List admin accounts (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/admins", authenticate, requirePermission(ADMIN_PERMISSIONS.ADMINS_MANAGE), listAdminAccounts);
+
+/**
+ * @route POST /admins
+ * @desc Create an admin account with a role (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/admins", authenticate, requirePermission(ADMIN_PERMISSIONS.ADMINS_MANAGE), createAdminAccount);
+
+/**
+ * @route PUT /admins/:adminId
+ * @desc Change an admin account's name, role, password or active flag (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.put("/admins/:adminId", authenticate, requirePermission(ADMIN_PERMISSIONS.ADMINS_MANAGE), updateAdminAccount);
+
 /**
  * @route POST /all-doctors
  * @desc Get all doctors (requires admin authentication)
  * @access Protected
  */
-adminRouter.post("/all-doctors", authAdmin, allDoctors);
+adminRouter.post("/all-doctors", authenticate, requirePermission(ADMIN_PERMISSIONS.DOCTORS_VIEW), allDoctors);
 
 /**
  * @route POST /change-availability
  * @desc Change doctor availability (requires admin authentication)
  * @access Protected
  */
-adminRouter.post("/change-availability", authAdmin, changeAvailability);
+adminRouter.post("/change-availability", authenticate, requirePermission(ADMIN_PERMISSIONS.DOCTORS_MANAGE), changeAvailability);
 
 /**
  * @route GET /appointments
  * @desc Get all appointments (requires admin authentication)
  * @access Protected
  */
-adminRouter.get("/appointments", authAdmin, appointmentsAdmin);
+adminRouter.get("/appointments", authenticate, requirePermission(ADMIN_PERMISSIONS.APPOINTMENTS_VIEW), appointmentsAdmin);
 
 /**
  * @route POST /cancel-appointment
  * @desc Cancel an appointment (requires admin authentication)
  * @access Protected
  */
-adminRouter.post("/cancel-appointment", authAdmin, appointmentCancel);
+adminRouter.post("/cancel-appointment", authenticate, requirePermission(ADMIN_PERMISSIONS.APPOINTMENTS_MANAGE), appointmentCancel);
+
+/**
+ * @route POST /collect-cash
+ * @desc Record cash collected at the clinic for a booked or confirmed appointment (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/collect-cash", authenticate, requirePermission(ADMIN_PERMISSIONS.CASH_COLLECT), appointmentCollectCash);
+
+/**
+ * @route POST /reschedule-appointment
+ * @desc Move an appointment to another free slot of the same doctor (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/reschedule-appointment", authenticate, requirePermission(ADMIN_PERMISSIONS.APPOINTMENTS_MANAGE), appointmentReschedule);
 
 /**
  * @route GET /dashboard
  * @desc Get admin dashboard data (requires admin authentication)
  * @access Protected
  */
-adminRouter.get("/dashboard", authAdmin, adminDashboard);
+adminRouter.get("/dashboard", authenticate, requirePermission(ADMIN_PERMISSIONS.DASHBOARD_VIEW), adminDashboard);
+
+/**
+ * @route GET /payments
+ * @desc List payments page by page, filtered by status, date range, doctor, patient, gateway or transaction UUID (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/payments", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYMENTS_VIEW), listPayments);
+
+/**
+ * @route GET /payments/export
+ * @desc Download the filtered payments as CSV (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/payments/export", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYMENTS_VIEW), exportPayments);
+
+/**
+ * @route GET /payments/:paymentId
+ * @desc Get a payment with its appointment, refunds and invoice (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/payments/:paymentId", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYMENTS_VIEW), getPayment);
+
+/**
+ * @route GET /wallets
+ * @desc Look up a patient's wallet by userId or email (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/wallets", authenticate, requirePermission(ADMIN_PERMISSIONS.WALLETS_VIEW), patientWallet);
+
+/**
+ * @route POST /wallets/:userId/adjust
+ * @desc Credit or debit a patient's wallet as an adjustment or promotion (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/wallets/:userId/adjust", authenticate, requirePermission(ADMIN_PERMISSIONS.WALLETS_ADJUST), adjustPatientWallet);
+
+/**
+ * @route GET /refunds
+ * @desc List refunds, optionally filtered by status or appointment (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/refunds", authenticate, requirePermission(ADMIN_PERMISSIONS.REFUNDS_VIEW), listRefunds);
+
+/**
+ * @route POST /refunds
+ * @desc Request a full or partial refund of an appointment's payment (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/refunds", authenticate, requirePermission(ADMIN_PERMISSIONS.REFUNDS_REQUEST), createRefund);
+
+/**
+ * @route POST /refunds/:refundId/approve
+ * @desc Approve a refund and send it to the payment gateway (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/refunds/:refundId/approve", authenticate, requirePermission(ADMIN_PERMISSIONS.REFUNDS_APPROVE), approveRefundRequest);
+
+/**
+ * @route POST /refunds/:refundId/record
+ * @desc Record a refund issued outside the gateway API, e.g. from the eSewa portal (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/refunds/:refundId/record", authenticate, requirePermission(ADMIN_PERMISSIONS.REFUNDS_APPROVE), recordRefund);
+
+/**
+ * @route GET /invoice/:appointmentId
+ * @desc Download the PDF invoice of a paid appointment (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/invoice/:appointmentId", authenticate, requirePermission(ADMIN_PERMISSIONS.INVOICES_VIEW), downloadAdminInvoice);
+
+/**
+ * @route GET /coupons
+ * @desc List promo codes (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/coupons", authenticate, requirePermission(ADMIN_PERMISSIONS.COUPONS_MANAGE), listCoupons);
+
+/**
+ * @route POST /coupons
+ * @desc Create a promo code (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/coupons", authenticate, requirePermission(ADMIN_PERMISSIONS.COUPONS_MANAGE), createCoupon);
+
+/**
+ * @route PUT /coupons/:couponId
+ * @desc Update a promo code (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.put("/coupons/:couponId", authenticate, requirePermission(ADMIN_PERMISSIONS.COUPONS_MANAGE), updateCoupon);
+
+/**
+ * @route DELETE /coupons/:couponId
+ * @desc Delete a promo code (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.delete("/coupons/:couponId", authenticate, requirePermission(ADMIN_PERMISSIONS.COUPONS_MANAGE), deleteCoupon);
+
+/**
+ * @route GET /commission-rates
+ * @desc List doctor and speciality commission rates and the platform default (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/commission-rates", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYOUTS_MANAGE), listCommissionRates);
+
+/**
+ * @route PUT /commission-rates
+ * @desc Set the commission rate of a doctor or speciality (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.put("/commission-rates", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYOUTS_MANAGE), setCommissionRate);
+
+/**
+ * @route DELETE /commission-rates/:rateId
+ * @desc Remove a commission rate (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.delete("/commission-rates/:rateId", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYOUTS_MANAGE), deleteCommissionRate);
+
+/**
+ * @route GET /payouts
+ * @desc List doctor payout statements (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/payouts", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYOUTS_MANAGE), listPayouts);
+
+/**
+ * @route POST /payouts/generate
+ * @desc Generate payout statements for a month that has ended (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/payouts/generate", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYOUTS_MANAGE), generatePayoutStatements);
+
+/**
+ * @route POST /payouts/:payoutId/paid
+ * @desc Mark a payout statement as paid (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.post("/payouts/:payoutId/paid", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYOUTS_MANAGE), payPayout);
+
+/**
+ * @route GET /payouts/:payoutId/statement
+ * @desc Download the PDF earnings statement of a payout (requires admin authentication)
+ * @access Protected
+ */
+adminRouter.get("/payouts/:payoutId/statement", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYOUTS_MANAGE), downloadPayoutStatement);
 
 export default adminRouter;
@@ -13,7 +13,8 @@ import {
   deleteContact,
   getContactStats
 } from "../controllers/contactController.js";
-import authAdmin from "../middlewares/authAdmin.js";
+import { authenticate, requirePermission } from "../middlewares/auth.js";
+import { ADMIN_PERMISSIONS } from "../config/adminRoles.js";
 
 const contactRouter = express.Router();
 
@@ -29,34 +30,34 @@ contactRouter.post("/submit", submitContact);
  * @desc Get all contact messages (requires admin authentication)
  * @access Protected
  */
-contactRouter.get("/admin/all", authAdmin, getAllContacts);
+contactRouter.get("/admin/all", authenticate, requirePermission(ADMIN_PERMISSIONS.CONTACTS_MANAGE), getAllContacts);
 
 /**
  * @route GET /admin/:id
  * @desc Get a single contact message by ID (requires admin authentication)
  * @access Protected
  */
-contactRouter.get("/admin/:id", authAdmin, getContactById);
+contactRouter.get("/admin/:id", authenticate, requirePermission(ADMIN_PERMISSIONS.CONTACTS_MANAGE), getContactById);
 
 /**
  * @route PUT /admin/:id/status
  * @desc Update contact message status (requires admin authentication)
  * @access Protected
  */
-contactRouter.put("/admin/:id/status", authAdmin, updateContactStatus);
+contactRouter.put("/admin/:id/status", authenticate, requirePermission(ADMIN_PERMISSIONS.CONTACTS_MANAGE), updateContactStatus);
 
 /**
  * @route DELETE /admin/:id
  * @desc Delete a contact message (requires admin authentication)
  * @access Protected
  */
-contactRouter.delete("/admin/:id", authAdmin, deleteContact);
+contactRouter.delete("/admin/:id", authenticate, requirePermission(ADMIN_PERMISSIONS.CONTACTS_MANAGE), deleteContact);
 
 /**
  * @route GET /admin/stats
  * @desc Get contact statistics for admin dashboard (requires admin authentication)
  * @access Protected
  */
-contactRouter.get("/admin/stats", authAdmin, getContactStats);
+contactRouter.get("/admin/stats", authenticate, requirePermission(ADMIN_PERMISSIONS.CONTACTS_MANAGE), getContactStats);
 
 export default contactRouter; 
\ No newline at end of file
@@ -5,8 +5,31 @@
  * @module routes/doctorRoute
  */
 import express from "express";
-import { doctorList, doctorLogin, appointmentsDoctor, getDoctorProfile, updateDoctorProfile } from "../controllers/doctorController.js";
-import authDoctor from "../middlewares/authDoctor.js";
+import {
+  doctorList,
+  doctorLogin,
+  appointmentsDoctor,
+  getDoctorProfile,
+  updateDoctorProfile,
+  getDoctorSlots,
+  getDoctorSchedule,
+  updateDoctorSchedule,
+  appointmentConfirm,
+  appointmentCheckIn,
+  appointmentComplete,
+  appointmentNoShow,
+  appointmentCancelDoctor,
+  appointmentCollectCash,
+} from "../controllers/doctorController.js";
+import { listDoctorWaitlist } from "../controllers/waitlistController.js";
+import {
+  doctorEarnings,
+  downloadDoctorStatement,
+} from "../controllers/earningController.js";
+import { doctorSession } from "../controllers/sessionController.js";
+import { doctorPasswordReset } from "../controllers/accountEmailController.js";
+import { authenticate, requireRole } from "../middlewares/auth.js";
+import { AUTH_ROLES } from "../config/auth.js";
 const doctorRouter = express.Router();
 
 /**
@@ -16,12 +39,130 @@ const doctorRouter = express.Router();
  */
 doctorRouter.get("/list", doctorList);
 doctorRouter.post("/login", doctorLogin);
-doctorRouter.post("/appointments", authDoctor, appointmentsDoctor);
+
+/**
+ * @route POST /refresh-token
+ * @desc Exchange a refresh token for a new access token and refresh token
+ * @access Public
+ */
+doctorRouter.post("/refresh-token", doctorSession.refresh);
+
+/**
+ * @route POST /logout
+ * @desc Log out of this device by ending the session of the refresh token sent
+ * @access Public
+ */
+doctorRouter.post("/logout", doctorSession.logout);
+
+/**
+ * @route POST /logout-all
+ * @desc Log out of all devices (requires doctor authentication)
+ * @access Protected
+ */
+doctorRouter.post("/logout-all", authenticate, requireRole(AUTH_ROLES.DOCTOR), doctorSession.logoutAll);
+
+/**
+ * @route POST /forgot-password
+ * @desc Email a link to reset the password
+ * @access Public
+ */
+doctorRouter.post("/forgot-password", doctorPasswordReset.forgotPassword);
+
+/**
+ * @route POST /reset-password
+ * @desc Set a new password with the token from a reset link
+ * @access Public
+ */
+doctorRouter.post("/reset-password", doctorPasswordReset.resetPassword);
+
+doctorRouter.post("/appointments", authenticate, requireRole(AUTH_ROLES.DOCTOR), appointmentsDoctor);
 
 // Profile management endpoints
-doctorRouter.get("/profile/:doctorId", authDoctor, getDoctorProfile);
-doctorRouter.put("/profile/:doctorId", authDoctor, updateDoctorProfile);
+doctorRouter.get("/profile/:doctorId", authenticate, requireRole(AUTH_ROLES.DOCTOR), getDoctorProfile);
+doctorRouter.put("/profile/:doctorId", authenticate, requireRole(AUTH_ROLES.DOCTOR), updateDoctorProfile);
+
+/**
+ * @route GET /slots/:docId
+ * @desc Get the bookable slots of a doctor, derived from their weekly schedule
+ * @access Public
+ */
+doctorRouter.get("/slots/:docId", getDoctorSlots);
+
+/**
+ * @route GET /schedule
+ * @desc Get the authenticated doctor's weekly schedule
+ * @access Protected
+ */
+doctorRouter.get("/schedule", authenticate, requireRole(AUTH_ROLES.DOCTOR), getDoctorSchedule);
+
+/**
+ * @route PUT /schedule
+ * @desc Replace the authenticated doctor's weekly schedule
+ * @access Protected
+ */
+doctorRouter.put("/schedule", authenticate, requireRole(AUTH_ROLES.DOCTOR), updateDoctorSchedule);
+
+/**
+ * @route POST /confirm-appointment
+ * @desc Confirm one of the doctor's booked appointments
+ * @access Protected
+ */
+doctorRouter.post("/confirm-appointment", authenticate, requireRole(AUTH_ROLES.DOCTOR), appointmentConfirm);
+
+/**
+ * @route POST /check-in-appointment
+ * @desc Check in the patient for one of the doctor's appointments
+ * @access Protected
+ */
+doctorRouter.post("/check-in-appointment", authenticate, requireRole(AUTH_ROLES.DOCTOR), appointmentCheckIn);
+
+/**
+ * @route POST /complete-appointment
+ * @desc Mark one of the doctor's checked-in appointments as completed
+ * @access Protected
+ */
+doctorRouter.post("/complete-appointment", authenticate, requireRole(AUTH_ROLES.DOCTOR), appointmentComplete);
+
+/**
+ * @route POST /no-show-appointment
+ * @desc Mark one of the doctor's appointments as a no-show
+ * @access Protected
+ */
+doctorRouter.post("/no-show-appointment", authenticate, requireRole(AUTH_ROLES.DOCTOR), appointmentNoShow);
+
+/**
+ * @route POST /cancel-appointment
+ * @desc Cancel one of the doctor's appointments with a reason and release the slot
+ * @access Protected
+ */
+doctorRouter.post("/cancel-appointment", authenticate, requireRole(AUTH_ROLES.DOCTOR), appointmentCancelDoctor);
+
+/**
+ * @route POST /collect-cash
+ * @desc Record cash collected at the clinic for one of the doctor's booked or confirmed appointments
+ * @access Protected
+ */
+doctorRouter.post("/collect-cash", authenticate, requireRole(AUTH_ROLES.DOCTOR), appointmentCollectCash);
+
+/**
+ * @route GET /waitlist
+ * @desc Get the patients waiting for the doctor's freed slots, in queue order
+ * @access Protected
+ */
+doctorRouter.get("/waitlist", authenticate, requireRole(AUTH_ROLES.DOCTOR), listDoctorWaitlist);
+
+/**
+ * @route GET /earnings
+ * @desc Get the authenticated doctor's earnings, unsettled balance and payouts
+ * @access Protected
+ */
+doctorRouter.get("/earnings", authenticate, requireRole(AUTH_ROLES.DOCTOR), doctorEarnings);
+
+/**
+ * @route GET /earnings/statement/:period
+ * @desc Download the authenticated doctor's PDF earnings statement for a month ('YYYY-MM')
+ * @access Protected
+ */
+doctorRouter.get("/earnings/statement/:period", authenticate, requireRole(AUTH_ROLES.DOCTOR), downloadDoctorStatement);
 
-// Test endpoint for debugging (remove in production)
-doctorRouter.post("/appointments-test", appointmentsDoctor);
 export default doctorRouter;
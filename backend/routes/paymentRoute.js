@@ -1,44 +1,86 @@
 /**
- * Express router for payment and eSewa integration API endpoints.
- * Handles routes for payment initiation, verification, and status callbacks.
+ * Express router for payment gateway API endpoints.
+ * Handles routes for listing gateways, payment initiation, verification, and status callbacks.
+ * `:gateway` is one of the enabled gateways, e.g. 'esewa', 'khalti' or 'mock'.
  *
  * @module routes/paymentRoute
  */
 import express from "express";
 import {
-  esewaInstance,
-  esewaVerification,
-  esewaSuccess,
-  esewaFailure,
+  listPaymentGateways,
+  applyCoupon,
+  initiatePayment,
+  verifyPayment,
+  mockCheckout,
+  listReconciliationRuns,
+  reconcilePayments,
 } from "../controllers/paymentController.js";
+import { authenticate, requirePermission, requireRole } from "../middlewares/auth.js";
+import { AUTH_ROLES } from "../config/auth.js";
+import { ADMIN_PERMISSIONS } from "../config/adminRoles.js";
 const paymentRouter = express.Router();
 
 /**
- * @route POST /esewa/initiate-payment
- * @desc Initiate an eSewa payment and return payment form data
+ * @route GET /gateways
+ * @desc List the payment gateways patients can choose from
  * @access Public
  */
-paymentRouter.post("/esewa/initiate-payment", esewaInstance);
+paymentRouter.get("/gateways", listPaymentGateways);
+
+/**
+ * @route POST /apply-coupon
+ * @desc Check a promo code for the user's appointment and return the discounted price (requires authentication)
+ * @access Protected
+ */
+paymentRouter.post("/apply-coupon", authenticate, requireRole(AUTH_ROLES.USER), applyCoupon);
+
+/**
+ * @route GET /admin/reconciliation-runs
+ * @desc List recent reconciliation runs of stuck payments (requires admin authentication)
+ * @access Protected
+ */
+paymentRouter.get("/admin/reconciliation-runs", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYMENTS_VIEW), listReconciliationRuns);
+
+/**
+ * @route POST /admin/reconcile
+ * @desc Reconcile stuck PENDING payments with their gateways now (requires admin authentication)
+ * @access Protected
+ */
+paymentRouter.post("/admin/reconcile", authenticate, requirePermission(ADMIN_PERMISSIONS.PAYMENTS_RECONCILE), reconcilePayments);
+
+/**
+ * @route GET /mock/checkout
+ * @desc Checkout page of the local mock gateway (development and tests only)
+ * @access Public
+ */
+paymentRouter.get("/mock/checkout", mockCheckout);
 
 /**
  * @route GET /esewa/esewaVerification
  * @desc Verify eSewa payment status after user completes/cancels payment
  * @access Public
  */
-paymentRouter.get("/esewa/esewaVerification", esewaVerification);
+paymentRouter.get("/esewa/esewaVerification", verifyPayment);
+
+/**
+ * @route POST /:gateway/initiate-payment
+ * @desc Initiate a payment for the user's appointment with the chosen gateway and return checkout details (requires authentication)
+ * @access Protected
+ */
+paymentRouter.post("/:gateway/initiate-payment", authenticate, requireRole(AUTH_ROLES.USER), initiatePayment);
 
 /**
- * @route GET /esewa/success
- * @desc Handle eSewa payment success callback and redirect
+ * @route GET /:gateway/success
+ * @desc Handle a gateway's payment success callback, verify and redirect
  * @access Public
  */
-paymentRouter.get("/esewa/success", esewaSuccess);
+paymentRouter.get("/:gateway/success", verifyPayment);
 
 /**
- * @route GET /esewa/failure
- * @desc Handle eSewa payment failure callback and redirect
+ * @route GET /:gateway/failure
+ * @desc Handle a gateway's payment failure callback, verify and redirect
  * @access Public
  */
-paymentRouter.get("/esewa/failure", esewaFailure);
+paymentRouter.get("/:gateway/failure", verifyPayment);
 
 export default paymentRouter;
@@ -1,13 +1,18 @@
 /**
  * Express router for user-related API endpoints.
- * Handles routes for user registration, authentication, profile management, appointments, and payment details.
+ * Handles routes for user registration, authentication, profile management, appointments, payment details, invoices and the wallet.
  *
  * @module routes/userRoute
  */
 import express from "express";
 import {
   bookAppointment,
+  cancellationQuote,
   cancelAppointment,
+  rescheduleAppointment,
+  previewAppointmentSeries,
+  bookAppointmentSeries,
+  cancelAppointmentSeries,
   getPaymentDetails,
   getProfile,
   listAppointments,
@@ -21,8 +26,30 @@ import {
   getNgramStatistics,
   getSimilarPatients,
 } from "../controllers/userController.js";
-import authUser from "../middlewares/authUser.js";
+import {
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  joinWaitlist,
+  leaveWaitlist,
+  listUserWaitlist,
+} from "../controllers/waitlistController.js";
+import { downloadUserInvoice } from "../controllers/invoiceController.js";
+import { userWallet } from "../controllers/walletController.js";
+import { userSession } from "../controllers/sessionController.js";
+import {
+  resendEmailVerification,
+  userPasswordReset,
+  verifyEmailAddress,
+} from "../controllers/accountEmailController.js";
+import {
+  loginWithCode,
+  sendLoginCode,
+  sendPhoneChangeCode,
+  verifyPhoneChange,
+} from "../controllers/phoneAuthController.js";
 import upload from "../middlewares/multer.js";
+import { authenticate, requireRole } from "../middlewares/auth.js";
+import { AUTH_ROLES } from "../config/auth.js";
 
 const userRouter = express.Router();
 
@@ -40,12 +67,94 @@ userRouter.post("/register", registerUser);
  */
 userRouter.post("/login", loginUser);
 
+/**
+ * @route POST /login-otp/send
+ * @desc Text a sign-in code to a phone number
+ * @access Public
+ */
+userRouter.post("/login-otp/send", sendLoginCode);
+
+/**
+ * @route POST /login-otp/verify
+ * @desc Sign in, or register with a name, using the texted code
+ * @access Public
+ */
+userRouter.post("/login-otp/verify", loginWithCode);
+
+/**
+ * @route POST /refresh-token
+ * @desc Exchange a refresh token for a new access token and refresh token
+ * @access Public
+ */
+userRouter.post("/refresh-token", userSession.refresh);
+
+/**
+ * @route POST /logout
+ * @desc Log out of this device by ending the session of the refresh token sent
+ * @access Public
+ */
+userRouter.post("/logout", userSession.logout);
+
+/**
+ * @route POST /logout-all
+ * @desc Log out of all devices (requires user authentication)
+ * @access Protected
+ */
+userRouter.post("/logout-all", authenticate, requireRole(AUTH_ROLES.USER), userSession.logoutAll);
+
+/**
+ * @route POST /forgot-password
+ * @desc Email a link to reset the password
+ * @access Public
+ */
+userRouter.post("/forgot-password", userPasswordReset.forgotPassword);
+
+/**
+ * @route POST /reset-password
+ * @desc Set a new password with the token from a reset link
+ * @access Public
+ */
+userRouter.post("/reset-password", userPasswordReset.resetPassword);
+
+/**
+ * @route POST /verify-email
+ * @desc Confirm the email address with the token from a verification link
+ * @access Public
+ */
+userRouter.post("/verify-email", verifyEmailAddress);
+
+/**
+ * @route POST /resend-verification
+ * @desc Send a new email verification link (requires user authentication)
+ * @access Protected
+ */
+userRouter.post(
+  "/resend-verification",
+  authenticate,
+  requireRole(AUTH_ROLES.USER),
+  resendEmailVerification
+);
+
 /**
  * @route GET /get-profile
  * @desc Get user profile (requires authentication)
  * @access Protected
  */
-userRouter.get("/get-profile", authUser, getProfile);
+userRouter.get("/get-profile", authenticate, requireRole(AUTH_ROLES.USER), getProfile);
+
+/**
+ * @route POST /phone/send-otp
+ * @desc Text a code to verify a new phone number (requires authentication)
+ * @access Protected
+ */
+userRouter.post("/phone/send-otp", authenticate, requireRole(AUTH_ROLES.USER), sendPhoneChangeCode);
+
+/**
+ * @route POST /phone/verify
+ * @desc Put the verified phone number on the account (requires authentication)
+ * @access Protected
+ */
+userRouter.post("/phone/verify", authenticate, requireRole(AUTH_ROLES.USER), verifyPhoneChange);
 
 /**
  * @route POST /update-profile
@@ -55,7 +164,8 @@ userRouter.get("/get-profile", authUser, getProfile);
 userRouter.post(
   "/update-profile",
   upload.single("image"),
-  authUser,
+  authenticate,
+  requireRole(AUTH_ROLES.USER),
   updateProfile
 );
 
@@ -64,69 +174,153 @@ userRouter.post(
  * @desc Book an appointment with a doctor (requires authentication)
  * @access Protected
  */
-userRouter.post("/book-appointment", authUser, bookAppointment);
+userRouter.post("/book-appointment", authenticate, requireRole(AUTH_ROLES.USER), bookAppointment);
 
 /**
  * @route GET /appointments
  * @desc Get all appointments for the authenticated user
  * @access Protected
  */
-userRouter.get("/appointments", authUser, listAppointments);
+userRouter.get("/appointments", authenticate, requireRole(AUTH_ROLES.USER), listAppointments);
+
+/**
+ * @route GET /cancellation-quote/:appointmentId
+ * @desc Preview the refund the cancellation policy allows if the appointment is cancelled now (requires authentication)
+ * @access Protected
+ */
+userRouter.get("/cancellation-quote/:appointmentId", authenticate, requireRole(AUTH_ROLES.USER), cancellationQuote);
 
 /**
  * @route POST /cancel-appointment
  * @desc Cancel an appointment (requires authentication)
  * @access Protected
  */
-userRouter.post("/cancel-appointment", authUser, cancelAppointment);
+userRouter.post("/cancel-appointment", authenticate, requireRole(AUTH_ROLES.USER), cancelAppointment);
+
+/**
+ * @route POST /reschedule-appointment
+ * @desc Move an appointment to another free slot of the same doctor (requires authentication)
+ * @access Protected
+ */
+userRouter.post("/reschedule-appointment", authenticate, requireRole(AUTH_ROLES.USER), rescheduleAppointment);
+
+/**
+ * @route POST /preview-series
+ * @desc Check every visit of a recurring series for conflicts before booking (requires authentication)
+ * @access Protected
+ */
+userRouter.post("/preview-series", authenticate, requireRole(AUTH_ROLES.USER), previewAppointmentSeries);
+
+/**
+ * @route POST /book-series
+ * @desc Book a recurring series of appointments, every N days or weeks (requires authentication)
+ * @access Protected
+ */
+userRouter.post("/book-series", authenticate, requireRole(AUTH_ROLES.USER), bookAppointmentSeries);
+
+/**
+ * @route POST /cancel-series
+ * @desc Cancel a visit of a series and all later upcoming visits (requires authentication)
+ * @access Protected
+ */
+userRouter.post("/cancel-series", authenticate, requireRole(AUTH_ROLES.USER), cancelAppointmentSeries);
+
+/**
+ * @route POST /join-waitlist
+ * @desc Join a doctor's waitlist for a date range (requires authentication)
+ * @access Protected
+ */
+userRouter.post("/join-waitlist", authenticate, requireRole(AUTH_ROLES.USER), joinWaitlist);
+
+/**
+ * @route GET /waitlist
+ * @desc Get the authenticated user's waitlist entries and open offers
+ * @access Protected
+ */
+userRouter.get("/waitlist", authenticate, requireRole(AUTH_ROLES.USER), listUserWaitlist);
+
+/**
+ * @route POST /accept-waitlist-offer
+ * @desc Book the slot held for a waitlist offer (requires authentication)
+ * @access Protected
+ */
+userRouter.post("/accept-waitlist-offer", authenticate, requireRole(AUTH_ROLES.USER), acceptWaitlistOffer);
+
+/**
+ * @route POST /decline-waitlist-offer
+ * @desc Decline a waitlist offer so it moves to the next patient (requires authentication)
+ * @access Protected
+ */
+userRouter.post("/decline-waitlist-offer", authenticate, requireRole(AUTH_ROLES.USER), declineWaitlistOffer);
+
+/**
+ * @route POST /leave-waitlist
+ * @desc Leave a doctor's waitlist (requires authentication)
+ * @access Protected
+ */
+userRouter.post("/leave-waitlist", authenticate, requireRole(AUTH_ROLES.USER), leaveWaitlist);
 
 /**
  * @route POST /get-payment-details
  * @desc Get payment details by transaction UUID (requires authentication)
  * @access Protected
  */
-userRouter.post("/get-payment-details", authUser, getPaymentDetails);
+userRouter.post("/get-payment-details", authenticate, requireRole(AUTH_ROLES.USER), getPaymentDetails);
+
+/**
+ * @route GET /invoice/:appointmentId
+ * @desc Download the PDF invoice of a paid appointment (requires authentication)
+ * @access Protected
+ */
+userRouter.get("/invoice/:appointmentId", authenticate, requireRole(AUTH_ROLES.USER), downloadUserInvoice);
+
+/**
+ * @route GET /wallet
+ * @desc Get the user's wallet balance and transaction history (requires authentication)
+ * @access Protected
+ */
+userRouter.get("/wallet", authenticate, requireRole(AUTH_ROLES.USER), userWallet);
 
 /**
  * @route POST /search-ngrams
  * @desc Search doctors using N-gram algorithm (requires authentication)
  * @access Protected
  */
-userRouter.post("/search-ngrams", authUser, searchDoctorsWithNgrams);
+userRouter.post("/search-ngrams", authenticate, requireRole(AUTH_ROLES.USER), searchDoctorsWithNgrams);
 
 /**
  * @route GET /suggestions-ngrams
  * @desc Get search suggestions using N-grams (requires authentication)
  * @access Protected
  */
-userRouter.get("/suggestions-ngrams", authUser, getNgramSearchSuggestions);
+userRouter.get("/suggestions-ngrams", authenticate, requireRole(AUTH_ROLES.USER), getNgramSearchSuggestions);
 
 /**
  * @route POST /match-patient
  * @desc Match patient with doctors using N-gram algorithm (requires authentication)
  * @access Protected
  */
-userRouter.post("/match-patient", authUser, matchPatientWithDoctors);
+userRouter.post("/match-patient", authenticate, requireRole(AUTH_ROLES.USER), matchPatientWithDoctors);
 
 /**
  * @route POST /similar-doctors
  * @desc Find similar doctors using N-gram similarity (requires authentication)
  * @access Protected
  */
-userRouter.post("/similar-doctors", authUser, findSimilarDoctors);
+userRouter.post("/similar-doctors", authenticate, requireRole(AUTH_ROLES.USER), findSimilarDoctors);
 
 /**
  * @route GET /ngram-statistics
  * @desc Get N-gram search statistics (requires authentication)
  * @access Protected
  */
-userRouter.get("/ngram-statistics", authUser, getNgramStatistics);
+userRouter.get("/ngram-statistics", authenticate, requireRole(AUTH_ROLES.USER), getNgramStatistics);
 
 /**
  * @route POST /similar-patients
  * @desc Get similar patients for a doctor (requires authentication)
  * @access Protected
  */
-userRouter.post("/similar-patients", authUser, getSimilarPatients);
+userRouter.post("/similar-patients", authenticate, requireRole(AUTH_ROLES.USER), getSimilarPatients);
 
 export default userRouter;
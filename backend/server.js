@@ -14,6 +14,8 @@ import doctorRouter from "./routes/doctorRoute.js";
 import userRouter from "./routes/userRoute.js";
 import paymentRouter from "./routes/paymentRoute.js";
 import contactRouter from "./routes/contactRoute.js";
+import { startWaitlistJob } from "./utils/waitlist.js";
+import { startReconciliationJob } from "./utils/paymentReconciliation.js";
 
 // app configuration
 const app = express();
@@ -21,7 +23,8 @@ const PORT = process.env.PORT || 4000;
 connectDB();
 connectCloudinary();
 // middleware
-app.use(cors());
+// Expose Content-Disposition so the panels can read invoice file names
+app.use(cors({ exposedHeaders: ["Content-Disposition", "Deprecation"] }));
 app.use(express.json());
 
 /**
@@ -59,4 +62,8 @@ app.use("/api/contact", contactRouter);
  */
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  // Expire waitlist offers that were not accepted in time
+  startWaitlistJob();
+  // Settle payments whose gateway callback never arrived
+  startReconciliationJob();
 });
@@ -0,0 +1,79 @@
+/**
+ * Tests for invoices: the appointment date is stored as a slot date key and
+ * printed as a readable date.
+ *
+ * @module tests/invoices
+ */
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import Payment from "../models/paymentModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { PAYMENT_STATUS } from "../config/paymentGateways.js";
+import { formatAppointmentDate, issueInvoice, renderInvoicePdf } from "../utils/invoices.js";
+import { parseSlotDate } from "../utils/scheduleUtils.js";
+
+describe("formatAppointmentDate", () => {
+  test("prints a slot date key as a readable date", () => {
+    assert.equal(formatAppointmentDate("20_10_2026"), "20 October 2026");
+  });
+
+  test("reads dates stored as strings by earlier invoices", () => {
+    assert.equal(formatAppointmentDate(String(parseSlotDate("20_10_2026"))), "20 October 2026");
+  });
+
+  test("prints anything else as it is", () => {
+    assert.equal(formatAppointmentDate("sometime"), "sometime");
+  });
+});
+
+describe("issueInvoice", () => {
+  let mongo;
+
+  before(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongo?.stop();
+  });
+
+  beforeEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+  });
+
+  test("stores the appointment date as a slot date key and renders it", async () => {
+    const appointment = await appointmentModel.create({
+      userId: "user-1",
+      docId: "doctor-1",
+      slotDate: parseSlotDate("20_10_2026"),
+      slotTime: "10:00 AM",
+      userData: { name: "Patient", email: "patient@test.com" },
+      docData: { name: "Dr. Test", speciality: "General physician" },
+      amount: 500,
+    });
+    const payment = await Payment.create({
+      amount: 500,
+      tax_amount: 65,
+      product_service_charge: 0,
+      product_delivery_charge: 0,
+      total_amount: "565",
+      transaction_uuid: "txn-1",
+      status: PAYMENT_STATUS.COMPLETE,
+      appointmentId: appointment._id,
+      user: { _id: "user-1", name: "Patient" },
+      gateway: "mock",
+    });
+
+    const { invoice, message } = await issueInvoice(payment);
+    assert.equal(message, undefined);
+    assert.equal(invoice.slotDate, "20_10_2026");
+    assert.equal(formatAppointmentDate(invoice.slotDate), "20 October 2026");
+
+    const pdf = await renderInvoicePdf(invoice);
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  });
+});
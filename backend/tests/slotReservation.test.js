@@ -0,0 +1,148 @@
+/**
+ * Concurrency tests for slot reservation.
+ * Fires parallel bookings for one slot at an in-memory MongoDB and checks
+ * that exactly one appointment is created and the slot is reserved once.
+ *
+ * @module tests/slotReservation
+ */
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import Doctor from "../models/doctorModel.js";
+import User from "../models/userModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { bookAppointment } from "../controllers/userController.js";
+import { formatSlotDate, getDaySlots, normalizeSchedule } from "../utils/scheduleUtils.js";
+
+const PARALLEL_BOOKINGS = 10;
+
+let mongo;
+
+/**
+ * A doctor who works every day, so tomorrow always has slots.
+ * @returns {Promise<Object>} Doctor document
+ */
+const createDoctor = () =>
+  Doctor.create({
+    name: "Dr. Test",
+    email: "doctor@test.com",
+    password: "hashed",
+    image: "https://example.com/doctor.png",
+    speciality: "General physician",
+    degree: "MBBS",
+    experience: "4 Years",
+    about: "Test doctor",
+    fees: 500,
+    address: { line1: "Kathmandu" },
+    schedule: {
+      weeklyHours: [0, 1, 2, 3, 4, 5, 6].map((day) => ({ day, start: "09:00", end: "17:00" })),
+    },
+  });
+
+/**
+ * The first slot of tomorrow for a doctor.
+ * @param {Object} doctor - Doctor document
+ * @returns {{slotDate: string, slotTime: string}}
+ */
+const firstSlotTomorrow = (doctor) => {
+  const tomorrow = new Date();
+  tomorrow.setHours(0, 0, 0, 0);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const [slot] = getDaySlots(normalizeSchedule(doctor.schedule), tomorrow);
+  return { slotDate: formatSlotDate(tomorrow), slotTime: slot.slotTime };
+};
+
+/**
+ * Call bookAppointment as a patient and return the JSON it answers with.
+ * @param {Object} user - User document
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>}
+ */
+const book = async (user, body) => {
+  let payload;
+  const res = {
+    status() {
+      return this;
+    },
+    json(data) {
+      payload = data;
+      return this;
+    },
+  };
+  await bookAppointment({ auth: { id: String(user._id), role: "user" }, body }, res);
+  return payload;
+};
+
+describe("slot reservation", () => {
+  before(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongo?.stop();
+  });
+
+  beforeEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+  });
+
+  test("only one of many parallel bookings for a slot succeeds", async () => {
+    const doctor = await createDoctor();
+    const { slotDate, slotTime } = firstSlotTomorrow(doctor);
+    const users = await Promise.all(
+      Array.from({ length: PARALLEL_BOOKINGS }, (_, index) =>
+        User.create({ name: `Patient ${index}`, email: `patient${index}@test.com`, password: "hashed" })
+      )
+    );
+
+    const results = await Promise.all(
+      users.map((user) => book(user, { docId: String(doctor._id), slotDate, slotTime }))
+    );
+
+    const booked = results.filter((result) => result.success);
+    assert.equal(booked.length, 1);
+    for (const result of results.filter((item) => !item.success)) {
+      assert.equal(result.message, "Slot already booked");
+    }
+    assert.equal(await appointmentModel.countDocuments({ docId: String(doctor._id) }), 1);
+
+    const stored = await Doctor.findById(doctor._id).lean();
+    assert.deepEqual(stored.slot_booked[slotDate], [slotTime]);
+  });
+
+  test("the same patient booking a slot twice in parallel gets one appointment", async () => {
+    const doctor = await createDoctor();
+    const { slotDate, slotTime } = firstSlotTomorrow(doctor);
+    const user = await User.create({ name: "Patient", email: "patient@test.com", password: "hashed" });
+
+    const results = await Promise.all(
+      Array.from({ length: PARALLEL_BOOKINGS }, () =>
+        book(user, { docId: String(doctor._id), slotDate, slotTime })
+      )
+    );
+
+    assert.equal(results.filter((result) => result.success).length, 1);
+    assert.equal(await appointmentModel.countDocuments({ userId: String(user._id) }), 1);
+  });
+
+  test("a booked slot cannot be booked again under another spelling of its date", async () => {
+    const doctor = await createDoctor();
+    const { slotDate, slotTime } = firstSlotTomorrow(doctor);
+    const [first, second] = await Promise.all([
+      User.create({ name: "First", email: "first@test.com", password: "hashed" }),
+      User.create({ name: "Second", email: "second@test.com", password: "hashed" }),
+    ]);
+
+    const booked = await book(first, { docId: String(doctor._id), slotDate, slotTime });
+    assert.equal(booked.success, true);
+
+    for (const spelling of [`0${slotDate}`, `${slotDate}.0`]) {
+      const result = await book(second, { docId: String(doctor._id), slotDate: spelling, slotTime });
+      assert.equal(result.success, false);
+    }
+    assert.equal(await appointmentModel.countDocuments({ docId: String(doctor._id) }), 1);
+  });
+});
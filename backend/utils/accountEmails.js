@@ -0,0 +1,236 @@
+/**
+ * Password reset and email verification by emailed link.
+ * Each link carries a random token; only its hash is stored, it works once,
+ * and sending a new link replaces the earlier ones. Resetting a password
+ * signs the account out everywhere.
+ *
+ * @module utils/accountEmails
+ */
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import validator from "validator";
+import User from "../models/userModel.js";
+import Doctor from "../models/doctorModel.js";
+import AccountToken, { ACCOUNT_TOKEN_PURPOSES } from "../models/accountTokenModel.js";
+import { AUTH_ROLES } from "../config/auth.js";
+import { getAccountLinkSettings, getAdminPanelUrl } from "../config/mail.js";
+import { getFrontendUrl } from "../config/paymentGateways.js";
+import { sendMail } from "./mailer/index.js";
+import { endAllSessions } from "./authTokens.js";
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const INVALID_LINK = "This link is invalid or has expired. Please request a new one";
+
+/**
+ * Accounts that can reset their password by email, and the app each one
+ * opens the reset link in. Admin passwords are reset by a super-admin.
+ */
+const RESETTABLE_ACCOUNTS = {
+  [AUTH_ROLES.USER]: { model: User, appUrl: getFrontendUrl },
+  [AUTH_ROLES.DOCTOR]: { model: Doctor, appUrl: getAdminPanelUrl },
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Replace any earlier links with a new one and return its token.
+ * @param {string} purpose - One of ACCOUNT_TOKEN_PURPOSES
+ * @param {string} scope - One of AUTH_ROLES
+ * @param {Object} account - User or doctor document
+ * @param {number} lifetimeMs - How long the link works
+ * @returns {Promise<string>} The token, which is only ever sent by email
+ */
+const createAccountToken = async (purpose, scope, account, lifetimeMs) => {
+  const now = new Date();
+  await AccountToken.updateMany(
+    { purpose, scope, subjectId: String(account._id), usedAt: null },
+    { usedAt: now }
+  );
+  const token = crypto.randomBytes(32).toString("base64url");
+  await AccountToken.create({
+    purpose,
+    scope,
+    subjectId: String(account._id),
+    email: account.email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + lifetimeMs),
+  });
+  return token;
+};
+
+/**
+ * Use up a token, so the same link cannot be followed twice.
+ * @param {string} purpose - One of ACCOUNT_TOKEN_PURPOSES
+ * @param {string} scope - One of AUTH_ROLES
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object|null>} The token record, or null if it is unknown, used or expired
+ */
+const claimAccountToken = (purpose, scope, token) =>
+  AccountToken.findOneAndUpdate(
+    {
+      purpose,
+      scope,
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+
+/**
+ * Send a password reset link.
+ * Nothing tells the caller whether the address belongs to an account, so the
+ * form cannot be used to find out who is registered.
+ *
+ * @function
+ * @async
+ * @param {string} scope - AUTH_ROLES.USER or AUTH_ROLES.DOCTOR
+ * @param {string} email - Address entered on the form
+ * @returns {Promise<{message?: string}>} A message if the address is not valid
+ */
+export const requestPasswordReset = async (scope, email) => {
+  if (typeof email !== "string" || !validator.isEmail(email)) {
+    return { message: "Invalid email format" };
+  }
+  const { model, appUrl } = RESETTABLE_ACCOUNTS[scope];
+  const account = await model.findOne({ email });
+  if (!account) return {};
+
+  const { passwordResetMinutes } = getAccountLinkSettings();
+  const token = await createAccountToken(
+    ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET,
+    scope,
+    account,
+    passwordResetMinutes * 60 * 1000
+  );
+  const link = `${appUrl()}/reset-password?token=${token}`;
+  const sent = await sendMail({
+    to: account.email,
+    subject: "Reset your MeroDoctor password",
+    text: [
+      `Hello ${account.name},`,
+      "",
+      "We received a request to reset your password. Open this link to choose a new one:",
+      link,
+      "",
+      `The link works once and expires in ${passwordResetMinutes} minutes.`,
+      "If you did not ask to reset your password, you can ignore this email.",
+    ].join("\n"),
+  });
+  if (sent.message) {
+    console.error(`Password reset email to ${account.email} not sent:`, sent.message);
+  }
+  return {};
+};
+
+/**
+ * Set a new password with a reset link, and sign the account out everywhere.
+ * A user following the link has also shown they own the email address.
+ *
+ * @function
+ * @async
+ * @param {string} scope - AUTH_ROLES.USER or AUTH_ROLES.DOCTOR
+ * @param {string} token - Token from the link
+ * @param {string} password - New password
+ * @returns {Promise<{message?: string}>} A message if the link or password is not accepted
+ */
+export const resetPassword = async (scope, token, password) => {
+  if (!token) {
+    return { message: INVALID_LINK };
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return { message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` };
+  }
+
+  const claimed = await claimAccountToken(ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET, scope, token);
+  if (!claimed) {
+    return { message: INVALID_LINK };
+  }
+  const { model } = RESETTABLE_ACCOUNTS[scope];
+  const update = { password: await bcrypt.hash(password, await bcrypt.genSalt(10)) };
+  if (scope === AUTH_ROLES.USER) {
+    update.emailVerified = true;
+  }
+  const account = await model.findOneAndUpdate(
+    { _id: claimed.subjectId, email: claimed.email },
+    update
+  );
+  if (!account) {
+    return { message: INVALID_LINK };
+  }
+
+  await endAllSessions(scope, claimed.subjectId);
+  return {};
+};
+
+/**
+ * Send a user a link confirming they own their email address.
+ *
+ * @function
+ * @async
+ * @param {Object} user - User document
+ * @returns {Promise<{message?: string}>} A message if no email was sent
+ */
+export const sendEmailVerification = async (user) => {
+  if (!user.email) {
+    return { message: "Your account has no email address" };
+  }
+  if (user.emailVerified) {
+    return { message: "Your email is already verified" };
+  }
+  const { emailVerificationHours } = getAccountLinkSettings();
+  const token = await createAccountToken(
+    ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION,
+    AUTH_ROLES.USER,
+    user,
+    emailVerificationHours * 60 * 60 * 1000
+  );
+  const link = `${getFrontendUrl()}/verify-email?token=${token}`;
+  const sent = await sendMail({
+    to: user.email,
+    subject: "Confirm your MeroDoctor email address",
+    text: [
+      `Hello ${user.name},`,
+      "",
+      "Please confirm this is your email address by opening this link:",
+      link,
+      "",
+      `The link expires in ${emailVerificationHours} hours.`,
+      "If you did not create a MeroDoctor account, you can ignore this email.",
+    ].join("\n"),
+  });
+  return sent.message ? { message: "Verification email could not be sent. Please try again later" } : {};
+};
+
+/**
+ * Mark a user's email address as verified with a verification link.
+ * Links sent to an address the user no longer has are refused.
+ *
+ * @function
+ * @async
+ * @param {string} token - Token from the link
+ * @returns {Promise<{user?: Object, message?: string}>} The verified user, or a message
+ */
+export const verifyEmail = async (token) => {
+  if (!token) {
+    return { message: INVALID_LINK };
+  }
+  const claimed = await claimAccountToken(
+    ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION,
+    AUTH_ROLES.USER,
+    token
+  );
+  if (!claimed) {
+    return { message: INVALID_LINK };
+  }
+  const user = await User.findOneAndUpdate(
+    { _id: claimed.subjectId, email: claimed.email },
+    { emailVerified: true },
+    { new: true }
+  ).select("-password");
+  if (!user) {
+    return { message: INVALID_LINK };
+  }
+  return { user };
+};
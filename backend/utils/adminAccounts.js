@@ -0,0 +1,231 @@
+/**
+ * Admin accounts.
+ * Admins sign in with their own email and password and act with the
+ * permissions of their role. The first super-admin is created from
+ * ADMIN_EMAIL and ADMIN_PASSWORD the first time they are used to sign in
+ * while no admin account exists; from then on those variables are not used.
+ *
+ * @module utils/adminAccounts
+ */
+import bcrypt from "bcrypt";
+import validator from "validator";
+import Admin from "../models/adminModel.js";
+import { ADMIN_ROLES, ROLE_PERMISSIONS } from "../config/adminRoles.js";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a password for storage.
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+const hashPassword = async (password) => bcrypt.hash(password, await bcrypt.genSalt(10));
+
+/**
+ * Check a new password against the password rules.
+ * @param {string} password
+ * @returns {string} A message if the password is not acceptable, else an empty string
+ */
+const checkPassword = (password) =>
+  typeof password === "string" && password.length >= MIN_PASSWORD_LENGTH
+    ? ""
+    : `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+
+/**
+ * What the admin panel is told about an admin: never the password hash.
+ *
+ * @function
+ * @param {Object} admin - Admin document
+ * @returns {{_id: string, name: string, email: string, role: string, active: boolean, lastLoginAt: Date|null, createdAt: Date, permissions: string[]}}
+ */
+export const toAdminProfile = (admin) => ({
+  _id: String(admin._id),
+  name: admin.name,
+  email: admin.email,
+  role: admin.role,
+  active: admin.active,
+  lastLoginAt: admin.lastLoginAt,
+  createdAt: admin.createdAt,
+  permissions: ROLE_PERMISSIONS[admin.role] || [],
+});
+
+/**
+ * Create the first super-admin from ADMIN_EMAIL and ADMIN_PASSWORD, if no
+ * admin account exists yet and the credentials given match them.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object|null>} The new admin, or null
+ */
+const bootstrapSuperAdmin = async (email, password) => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return null;
+  if (email.toLowerCase() !== ADMIN_EMAIL.toLowerCase() || password !== ADMIN_PASSWORD) {
+    return null;
+  }
+  if (await Admin.exists({})) return null;
+
+  try {
+    return await Admin.create({
+      name: "Super Admin",
+      email,
+      password: await hashPassword(password),
+      role: ADMIN_ROLES.SUPER_ADMIN,
+    });
+  } catch (error) {
+    // Created by a concurrent sign-in
+    if (error.code === 11000) return Admin.findOne({ email: email.toLowerCase() });
+    throw error;
+  }
+};
+
+/**
+ * Check an admin's email and password.
+ *
+ * @function
+ * @async
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{admin?: Object, message?: string}>} The admin, or a message if they cannot sign in
+ */
+export const authenticateAdmin = async (email, password) => {
+  if (!email || !password) {
+    return { message: "Email and password are required" };
+  }
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  let admin = await Admin.findOne({ email: normalizedEmail });
+  if (!admin) {
+    admin = await bootstrapSuperAdmin(normalizedEmail, String(password));
+    if (!admin) {
+      return { message: "Invalid credentials" };
+    }
+  } else if (!(await bcrypt.compare(String(password), admin.password))) {
+    return { message: "Invalid credentials" };
+  }
+  if (!admin.active) {
+    return { message: "This admin account has been deactivated" };
+  }
+
+  admin.lastLoginAt = new Date();
+  await admin.save();
+  return { admin };
+};
+
+/**
+ * List all admin accounts, newest first.
+ *
+ * @function
+ * @async
+ * @returns {Promise<Array<Object>>} Admin profiles
+ */
+export const listAdmins = async () => {
+  const admins = await Admin.find({}).sort({ createdAt: -1 });
+  return admins.map(toAdminProfile);
+};
+
+/**
+ * Create an admin account.
+ *
+ * @function
+ * @async
+ * @param {Object} fields
+ * @param {string} fields.name
+ * @param {string} fields.email
+ * @param {string} fields.password
+ * @param {string} fields.role - One of ADMIN_ROLES
+ * @param {string} createdBy - ID of the admin creating the account
+ * @returns {Promise<{admin?: Object, message?: string}>}
+ */
+export const createAdmin = async ({ name, email, password, role }, createdBy) => {
+  if (!name?.trim() || !email || !password || !role) {
+    return { message: "Name, email, password and role are required" };
+  }
+  if (!validator.isEmail(String(email))) {
+    return { message: "Invalid email format" };
+  }
+  if (!Object.values(ADMIN_ROLES).includes(role)) {
+    return { message: "Unknown role" };
+  }
+  const passwordMessage = checkPassword(password);
+  if (passwordMessage) {
+    return { message: passwordMessage };
+  }
+
+  try {
+    const admin = await Admin.create({
+      name: name.trim(),
+      email,
+      password: await hashPassword(password),
+      role,
+      createdBy: String(createdBy),
+    });
+    return { admin };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { message: "An admin with this email already exists" };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Change an admin's name, role, password or whether the account is active.
+ * Admins cannot demote or deactivate themselves, and the last active
+ * super-admin cannot be demoted or deactivated.
+ *
+ * @function
+ * @async
+ * @param {string} adminId - Account to change
+ * @param {Object} changes
+ * @param {string} [changes.name]
+ * @param {string} [changes.role] - One of ADMIN_ROLES
+ * @param {boolean} [changes.active]
+ * @param {string} [changes.password] - New password
+ * @param {string} actingAdminId - ID of the admin making the change
+ * @returns {Promise<{admin?: Object, message?: string}>}
+ */
+export const updateAdmin = async (adminId, { name, role, active, password }, actingAdminId) => {
+  const admin = await Admin.findById(adminId);
+  if (!admin) {
+    return { message: "Admin not found" };
+  }
+
+  if (role !== undefined && !Object.values(ADMIN_ROLES).includes(role)) {
+    return { message: "Unknown role" };
+  }
+  const roleChanged = role !== undefined && role !== admin.role;
+  const demoted = roleChanged && role !== ADMIN_ROLES.SUPER_ADMIN;
+  const deactivated = active === false;
+  if ((roleChanged || deactivated) && String(admin._id) === String(actingAdminId)) {
+    return { message: "You cannot change your own role or deactivate your own account" };
+  }
+  if ((demoted || deactivated) && admin.role === ADMIN_ROLES.SUPER_ADMIN && admin.active) {
+    const otherSuperAdmins = await Admin.countDocuments({
+      _id: { $ne: admin._id },
+      role: ADMIN_ROLES.SUPER_ADMIN,
+      active: true,
+    });
+    if (otherSuperAdmins === 0) {
+      return { message: "There must be at least one active super-admin" };
+    }
+  }
+
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      return { message: "Name cannot be empty" };
+    }
+    admin.name = String(name).trim();
+  }
+  if (password !== undefined && password !== "") {
+    const passwordMessage = checkPassword(password);
+    if (passwordMessage) {
+      return { message: passwordMessage };
+    }
+    admin.password = await hashPassword(password);
+  }
+  if (role !== undefined) admin.role = role;
+  if (active !== undefined) admin.active = Boolean(active);
+  admin.updatedAt = new Date();
+  await admin.save();
+  return { admin };
+};
@@ -0,0 +1,123 @@
+/**
+ * Moving an upcoming appointment to a different slot of the same doctor.
+ * The appointment keeps its ID, so payments linked to it stay attached.
+ *
+ * @module utils/appointmentReschedule
+ */
+import appointmentModel from "../models/appointmentModel.js";
+import Doctor from "../models/doctorModel.js";
+import { UPCOMING_STATUSES } from "../config/appointmentStatus.js";
+import { getRescheduleCutoffHours } from "../config/appointmentPolicy.js";
+import {
+  formatSlotDate,
+  getSlotStart,
+  isSlotInSchedule,
+  parseSlotDate,
+} from "./scheduleUtils.js";
+import { releaseSlot, withReservedSlot } from "./slotReservation.js";
+import { freeSlot } from "./waitlist.js";
+
+/**
+ * Move an appointment to a new slot.
+ * - Only upcoming appointments (booked, confirmed, paid) can be moved.
+ * - The original start time must be further away than the reschedule cutoff.
+ * - The new slot is reserved atomically before the appointment is updated,
+ *   and the old slot is freed afterwards and offered to the waitlist.
+ *
+ * @function
+ * @async
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} options
+ * @param {string} options.slotDate - New slot date key ('D_M_YYYY')
+ * @param {string} options.slotTime - New slot time ('hh:mm AM')
+ * @param {{role: string, id?: string}} options.actor - Who is rescheduling
+ * @param {string} [options.reason] - Why the appointment is moved
+ * @param {Object} [options.filter={}] - Extra conditions, e.g. `{ userId }` to enforce ownership
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<{appointment?: Object, message?: string}>}
+ *   The updated appointment, or an error message
+ */
+export const rescheduleAppointment = async (
+  appointmentId,
+  { slotDate, slotTime, actor, reason = "", filter = {}, now = new Date() }
+) => {
+  if (!slotDate || !slotTime) {
+    return { message: "New slot date and time are required" };
+  }
+
+  const appointment = await appointmentModel.findOne({ _id: appointmentId, ...filter });
+  if (!appointment) {
+    return { message: "Appointment not found" };
+  }
+  if (!UPCOMING_STATUSES.includes(appointment.status)) {
+    return { message: `A ${appointment.status} appointment cannot be rescheduled` };
+  }
+
+  const cutoffHours = getRescheduleCutoffHours();
+  const start = getSlotStart(appointment.slotDate, appointment.slotTime);
+  if (start && start.getTime() - now.getTime() < cutoffHours * 60 * 60 * 1000) {
+    return {
+      message: `Appointments can only be rescheduled up to ${cutoffHours} hours before they start`,
+    };
+  }
+
+  const oldSlotDate = formatSlotDate(appointment.slotDate);
+  if (oldSlotDate === slotDate && appointment.slotTime === slotTime) {
+    return { message: "Please choose a different slot" };
+  }
+
+  const doctor = await Doctor.findById(appointment.docId).select("schedule available");
+  if (!doctor) {
+    return { message: "Doctor not found" };
+  }
+  if (!doctor.available) {
+    return { message: "Doctor is not available" };
+  }
+  if (!isSlotInSchedule(doctor.schedule, slotDate, slotTime, now)) {
+    return { message: "Selected slot is not within the doctor's schedule" };
+  }
+
+  const newSlotDate = parseSlotDate(slotDate);
+  const { reserved, result: updated } = await withReservedSlot(
+    appointment.docId,
+    slotDate,
+    slotTime,
+    () =>
+      // Conditional on the slot and status that were read, so a concurrent
+      // cancel or reschedule of the same appointment wins instead of being overwritten
+      appointmentModel.findOneAndUpdate(
+        {
+          _id: appointment._id,
+          status: appointment.status,
+          slotDate: appointment.slotDate,
+          slotTime: appointment.slotTime,
+        },
+        {
+          $set: { slotDate: newSlotDate, slotTime },
+          $push: {
+            rescheduleHistory: {
+              fromSlotDate: appointment.slotDate,
+              fromSlotTime: appointment.slotTime,
+              toSlotDate: newSlotDate,
+              toSlotTime: slotTime,
+              actor: { role: actor.role, id: actor.id ? String(actor.id) : "" },
+              reason,
+              at: new Date(),
+            },
+          },
+        },
+        { new: true }
+      )
+  );
+  if (!reserved) {
+    return { message: "Slot already booked" };
+  }
+  if (!updated) {
+    await releaseSlot(appointment.docId, slotDate, slotTime);
+    return { message: "Appointment was updated by another request, please retry" };
+  }
+
+  await freeSlot(appointment.docId, oldSlotDate, appointment.slotTime);
+
+  return { appointment: updated };
+};
@@ -0,0 +1,350 @@
+/**
+ * Recurring appointment series: the same slot with the same doctor repeated
+ * every N days or weeks, for a number of visits or until an end date.
+ * Every occurrence is checked up front, and the series is booked as a whole.
+ *
+ * @module utils/appointmentSeries
+ */
+import { randomUUID } from "crypto";
+import appointmentModel from "../models/appointmentModel.js";
+import Doctor from "../models/doctorModel.js";
+import User from "../models/userModel.js";
+import {
+  ACTIVE_STATUSES,
+  APPOINTMENT_STATUS,
+  STATUS_ACTORS,
+  UPCOMING_STATUSES,
+} from "../config/appointmentStatus.js";
+import { PAYMENT_METHODS } from "../config/paymentGateways.js";
+import {
+  formatSlotDate,
+  isSlotInSchedule,
+  parseInputDate,
+  parseSlotDate,
+} from "./scheduleUtils.js";
+import { releaseSlot, reserveSlot } from "./slotReservation.js";
+import { statusChange } from "./appointmentTransitions.js";
+import { cancelAppointmentWithPolicy } from "./cancellationPolicy.js";
+
+/**
+ * Limits on a single series.
+ * @type {{maxOccurrences: number, maxInterval: number, maxSpanDays: number}}
+ */
+export const SERIES_LIMITS = {
+  maxOccurrences: 12,
+  maxInterval: 30,
+  maxSpanDays: 180,
+};
+
+const UNIT_DAYS = { day: 1, week: 7 };
+
+/**
+ * Work out the dates of a series from its recurrence rule.
+ * Exactly one of `count` or `endDate` ends the series.
+ *
+ * @param {Object} recurrence
+ * @param {string} recurrence.slotDate - First occurrence ('D_M_YYYY')
+ * @param {number} recurrence.interval - Repeat every `interval` units
+ * @param {string} recurrence.unit - 'day' or 'week'
+ * @param {number} [recurrence.count] - Number of visits, including the first
+ * @param {string} [recurrence.endDate] - Last possible date ('YYYY-MM-DD'), inclusive
+ * @returns {{slotDates?: string[], message?: string}} Slot date keys in order, or an error message
+ */
+export const buildSeriesDates = ({ slotDate, interval, unit, count, endDate }) => {
+  const start = parseSlotDate(slotDate);
+  if (!start) {
+    return { message: "Please choose a valid first date" };
+  }
+  const step = Number(interval);
+  if (!Number.isInteger(step) || step < 1 || step > SERIES_LIMITS.maxInterval) {
+    return { message: `Repeat interval must be between 1 and ${SERIES_LIMITS.maxInterval}` };
+  }
+  if (!UNIT_DAYS[unit]) {
+    return { message: "Repeat unit must be 'day' or 'week'" };
+  }
+  const hasCount = count !== undefined && count !== null && count !== "";
+  if (hasCount === Boolean(endDate)) {
+    return { message: "Choose either a number of visits or an end date" };
+  }
+
+  const lastAllowed = new Date(start);
+  lastAllowed.setDate(start.getDate() + SERIES_LIMITS.maxSpanDays);
+  let last = lastAllowed;
+  let total = SERIES_LIMITS.maxOccurrences;
+
+  if (hasCount) {
+    total = Number(count);
+    if (!Number.isInteger(total) || total < 2 || total > SERIES_LIMITS.maxOccurrences) {
+      return { message: `A series has between 2 and ${SERIES_LIMITS.maxOccurrences} visits` };
+    }
+  } else {
+    last = parseInputDate(endDate);
+    if (!last || last <= start) {
+      return { message: "End date must be after the first visit" };
+    }
+    if (last > lastAllowed) {
+      return { message: `A series can span at most ${SERIES_LIMITS.maxSpanDays} days` };
+    }
+  }
+
+  const slotDates = [];
+  for (let i = 0; i < total; i++) {
+    const date = new Date(start);
+    date.setDate(start.getDate() + i * step * UNIT_DAYS[unit]);
+    if (date > last) break;
+    slotDates.push(formatSlotDate(date));
+  }
+
+  if (hasCount && slotDates.length < total) {
+    return { message: `A series can span at most ${SERIES_LIMITS.maxSpanDays} days` };
+  }
+  if (slotDates.length < 2) {
+    return { message: "The end date leaves room for only one visit" };
+  }
+  if (!hasCount && slotDates.length === total) {
+    const next = new Date(start);
+    next.setDate(start.getDate() + total * step * UNIT_DAYS[unit]);
+    if (next <= last) {
+      return { message: `A series has at most ${SERIES_LIMITS.maxOccurrences} visits` };
+    }
+  }
+
+  return { slotDates };
+};
+
+/**
+ * Check every occurrence of a series against the doctor's schedule, the
+ * doctor's bookings and the patient's own active appointments.
+ * Later occurrences may lie beyond the doctor's booking horizon.
+ *
+ * @function
+ * @async
+ * @param {Object} options
+ * @param {Object} options.doctor - Doctor document with schedule and slot_booked
+ * @param {string} options.userId - Patient booking the series
+ * @param {string[]} options.slotDates - Slot date keys of the occurrences
+ * @param {string} options.slotTime - Slot time shared by every occurrence
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Array<{slotDate: string, slotTime: string, available: boolean, reason: string}>>}
+ */
+export const checkSeriesAvailability = async ({
+  doctor,
+  userId,
+  slotDates,
+  slotTime,
+  now = new Date(),
+}) => {
+  // Match each whole day: bookings made before slot dates were stored at
+  // local midnight hold UTC midnight instead
+  const days = slotDates.map(parseSlotDate).filter(Boolean).map((start) => {
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { slotDate: { $gte: start, $lt: end } };
+  });
+  const ownAppointments = await appointmentModel
+    .find({
+      userId,
+      slotTime,
+      status: { $in: ACTIVE_STATUSES },
+      $or: days.length ? days : [{ _id: null }],
+    })
+    .select("slotDate");
+  const ownDates = new Set(ownAppointments.map((item) => formatSlotDate(item.slotDate)));
+  const slotBooked = doctor.slot_booked || {};
+
+  return slotDates.map((slotDate) => {
+    let reason = "";
+    if (!isSlotInSchedule(doctor.schedule, slotDate, slotTime, now, { enforceHorizon: false })) {
+      reason = "Doctor does not work at this time";
+    } else if ((slotBooked[slotDate] || []).includes(slotTime)) {
+      reason = "Slot already booked";
+    } else if (ownDates.has(slotDate)) {
+      reason = "You already have an appointment at this time";
+    }
+    return { slotDate, slotTime, available: !reason, reason };
+  });
+};
+
+/**
+ * Build a series from its recurrence rule and check every occurrence.
+ *
+ * @function
+ * @async
+ * @param {string} docId - Doctor ID
+ * @param {string} userId - Patient booking the series
+ * @param {Object} recurrence - See {@link buildSeriesDates}, plus `slotTime`
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<{doctor?: Object, occurrences?: Array<Object>, message?: string}>}
+ */
+export const previewSeries = async (docId, userId, recurrence, now = new Date()) => {
+  if (!recurrence.slotDate || !recurrence.slotTime) {
+    return { message: "First slot date and time are required" };
+  }
+  const { slotDates, message } = buildSeriesDates(recurrence);
+  if (message) {
+    return { message };
+  }
+
+  const doctor = await Doctor.findById(docId).select("-password");
+  if (!doctor) {
+    return { message: "Doctor not found" };
+  }
+  if (!doctor.available) {
+    return { message: "Doctor is not available" };
+  }
+
+  const occurrences = await checkSeriesAvailability({
+    doctor,
+    userId,
+    slotDates,
+    slotTime: recurrence.slotTime,
+    now,
+  });
+  return { doctor, occurrences };
+};
+
+/**
+ * Book a recurring series.
+ * - Every occurrence is checked up front. Unless `skipConflicts` is set, any
+ *   conflict rejects the whole series and returns the conflict report.
+ * - Slots are reserved one by one; if a reservation fails (another booking
+ *   got there first) it counts as a conflict, and when the series is booked
+ *   as a whole every slot reserved so far is released again.
+ * - The appointments share a `seriesId` and are numbered by `seriesIndex`.
+ *
+ * @function
+ * @async
+ * @param {string} docId - Doctor ID
+ * @param {string} userId - Patient booking the series
+ * @param {Object} recurrence - See {@link buildSeriesDates}, plus `slotTime`
+ * @param {Object} [options]
+ * @param {boolean} [options.skipConflicts=false] - Book the free occurrences and leave out the rest
+ * @param {string} [options.paymentMethod] - How the visits will be paid, one of PAYMENT_METHODS
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<{appointments?: Array<Object>, occurrences?: Array<Object>, message?: string}>}
+ *   The booked appointments and the checked occurrences, or an error message
+ *   (with `occurrences` when the series conflicts)
+ */
+export const bookSeries = async (
+  docId,
+  userId,
+  recurrence,
+  { skipConflicts = false, paymentMethod = PAYMENT_METHODS.ONLINE, now = new Date() } = {}
+) => {
+  const { doctor, occurrences, message } = await previewSeries(docId, userId, recurrence, now);
+  if (message) {
+    return { message };
+  }
+
+  const hasConflicts = () => occurrences.some((item) => !item.available);
+  if (hasConflicts() && !skipConflicts) {
+    return { message: "Some visits in this series are not available", occurrences };
+  }
+
+  const reserved = [];
+  const releaseReserved = () =>
+    Promise.all(reserved.map((item) => releaseSlot(docId, item.slotDate, item.slotTime)));
+
+  for (const item of occurrences.filter((occurrence) => occurrence.available)) {
+    if (await reserveSlot(docId, item.slotDate, item.slotTime)) {
+      reserved.push(item);
+    } else {
+      item.available = false;
+      item.reason = "Slot already booked";
+      if (!skipConflicts) break;
+    }
+  }
+
+  if (hasConflicts() && !skipConflicts) {
+    await releaseReserved();
+    return { message: "Some visits in this series are not available", occurrences };
+  }
+  if (reserved.length === 0) {
+    return { message: "None of the visits in this series are available", occurrences };
+  }
+
+  const seriesId = randomUUID();
+  const userData = await User.findById(userId).select("-password");
+  const actor = { role: STATUS_ACTORS.USER, id: userId };
+  const reason = `Recurring series, ${reserved.length} visits`;
+
+  try {
+    const appointments = await appointmentModel.insertMany(
+      reserved.map((item, index) => ({
+        userId,
+        docId,
+        userData,
+        docData: doctor,
+        amount: doctor.fees,
+        paymentMethod,
+        slotTime: item.slotTime,
+        slotDate: parseSlotDate(item.slotDate),
+        date: new Date(),
+        status: APPOINTMENT_STATUS.BOOKED,
+        statusHistory: [statusChange(null, APPOINTMENT_STATUS.BOOKED, actor, reason)],
+        seriesId,
+        seriesIndex: index + 1,
+      }))
+    );
+    return { appointments, occurrences };
+  } catch (error) {
+    await releaseReserved();
+    throw error;
+  }
+};
+
+/**
+ * Cancel an occurrence and every later upcoming occurrence of its series.
+ * Each appointment goes through the cancellation policy on its own, so paid
+ * visits are refunded according to how close they are.
+ *
+ * @function
+ * @async
+ * @param {string} appointmentId - The first occurrence to cancel
+ * @param {Object} options
+ * @param {{role: string, id?: string}} options.actor - Who is cancelling
+ * @param {string} [options.reason] - Why the series is cancelled
+ * @param {Object} [options.filter={}] - Extra conditions, e.g. `{ userId }` to enforce ownership
+ * @param {string} [options.refundTo] - Where refunds go, see {@link cancelAppointmentWithPolicy}
+ * @returns {Promise<{cancelled?: number, refund?: {paidAmount: number, fee: number, refundableAmount: number, refundTo: string}, message?: string}>}
+ */
+export const cancelSeries = async (appointmentId, { actor, reason = "", filter = {}, refundTo }) => {
+  const appointment = await appointmentModel.findOne({ _id: appointmentId, ...filter });
+  if (!appointment) {
+    return { message: "Appointment not found" };
+  }
+  if (!appointment.seriesId) {
+    return { message: "This appointment is not part of a series" };
+  }
+
+  const remaining = await appointmentModel
+    .find({
+      ...filter,
+      seriesId: appointment.seriesId,
+      seriesIndex: { $gte: appointment.seriesIndex },
+      status: { $in: UPCOMING_STATUSES },
+    })
+    .sort({ seriesIndex: 1 })
+    .select("_id");
+  if (remaining.length === 0) {
+    return { message: "No upcoming visits left in this series" };
+  }
+
+  const refund = { paidAmount: 0, fee: 0, refundableAmount: 0, refundTo };
+  let cancelled = 0;
+  for (const item of remaining) {
+    const result = await cancelAppointmentWithPolicy(item._id, { actor, reason, filter, refundTo });
+    // A visit that changed state meanwhile (e.g. checked in) is simply left alone
+    if (result.message) continue;
+    cancelled += 1;
+    refund.paidAmount += result.refund.paidAmount;
+    refund.fee += result.refund.fee;
+    refund.refundableAmount += result.refund.refundableAmount;
+    refund.refundTo = result.refund.refundTo;
+  }
+
+  if (cancelled === 0) {
+    return { message: "No upcoming visits left in this series" };
+  }
+  return { cancelled, refund };
+};
@@ -0,0 +1,90 @@
+/**
+ * Status transitions for appointments.
+ * Every change goes through `transitionAppointment`, which enforces the allowed
+ * transitions, appends to the status history, and frees the doctor's slot
+ * (offering it to the waitlist) when an appointment is cancelled.
+ *
+ * @module utils/appointmentTransitions
+ */
+import appointmentModel from "../models/appointmentModel.js";
+import {
+  APPOINTMENT_STATUS,
+  canTransition,
+} from "../config/appointmentStatus.js";
+import { freeSlot } from "./waitlist.js";
+
+/**
+ * Build a status history entry.
+ * @param {string|null} from - Previous status
+ * @param {string} to - New status
+ * @param {{role: string, id?: string}} actor - Who made the change
+ * @param {string} [reason=""] - Why the change was made
+ * @returns {Object} Status history entry
+ */
+export const statusChange = (from, to, actor, reason = "") => ({
+  from,
+  to,
+  actor: { role: actor.role, id: actor.id ? String(actor.id) : "" },
+  reason,
+  at: new Date(),
+});
+
+/**
+ * Move an appointment to a new status.
+ * The update is conditional on the status that was read, so two concurrent
+ * transitions cannot both apply.
+ *
+ * @function
+ * @async
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} to - Target status
+ * @param {Object} options
+ * @param {{role: string, id?: string}} options.actor - Who is making the change
+ * @param {string} [options.reason] - Why the change is made
+ * @param {Object} [options.filter={}] - Extra conditions, e.g. `{ docId }` to enforce ownership
+ * @returns {Promise<{appointment?: Object, previousStatus?: string, message?: string}>}
+ *   The updated appointment and its previous status, or an error message
+ */
+export const transitionAppointment = async (
+  appointmentId,
+  to,
+  { actor, reason = "", filter = {} }
+) => {
+  const appointment = await appointmentModel.findOne({ _id: appointmentId, ...filter });
+  if (!appointment) {
+    return { message: "Appointment not found" };
+  }
+
+  const from = appointment.status;
+  if (!canTransition(from, to)) {
+    return { message: `Cannot change appointment from ${from} to ${to}` };
+  }
+
+  const updated = await appointmentModel.findOneAndUpdate(
+    { _id: appointmentId, status: from },
+    {
+      $set: { status: to },
+      $push: { statusHistory: statusChange(from, to, actor, reason) },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { message: "Appointment was updated by another request, please retry" };
+  }
+
+  if (to === APPOINTMENT_STATUS.CANCELLED) {
+    await freeSlot(updated.docId, updated.slotDate, updated.slotTime);
+  }
+
+  return { appointment: updated, previousStatus: from };
+};
+
+/**
+ * Check whether an appointment has been paid at some point in its lifecycle.
+ * @param {Object} appointment - Appointment document
+ * @returns {boolean} True if the status history contains a 'paid' entry
+ */
+export const hasBeenPaid = (appointment) =>
+  (appointment.statusHistory || []).some(
+    (entry) => entry.to === APPOINTMENT_STATUS.PAID
+  );
@@ -0,0 +1,184 @@
+/**
+ * Access and refresh tokens.
+ * Signing in issues a short-lived access token and a refresh token. The
+ * client sends the access token with each request and, once it has expired,
+ * exchanges the refresh token for a new pair. Each refresh token works once:
+ * presenting one that was already used ends that sign-in on every device
+ * sharing it, since only a copy of the token could have been used twice.
+ *
+ * @module utils/authTokens
+ */
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import RefreshToken from "../models/refreshTokenModel.js";
+import { AUTH_ROLES, getTokenSettings } from "../config/auth.js";
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Sign an access token.
+ *
+ * @function
+ * @param {string} scope - One of AUTH_ROLES
+ * @param {string} subjectId - The user, doctor or admin ID
+ * @returns {string}
+ */
+export const signAccessToken = (scope, subjectId) =>
+  jwt.sign({ id: String(subjectId), scope }, process.env.JWT_SECRET, {
+    expiresIn: `${getTokenSettings().accessTokenMinutes}m`,
+  });
+
+/**
+ * Verify an access token.
+ * Tokens without an expiry, signed before sessions expired, are refused.
+ *
+ * @function
+ * @param {string} token - Access token from the request
+ * @returns {{id?: string, role?: string, message?: string, code?: string}} Who the
+ *   token was issued to (role is one of AUTH_ROLES), or a message and, for an
+ *   expired token, the code 'TOKEN_EXPIRED' telling the client to refresh
+ */
+export const verifyAccessToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return { message: "Session expired", code: "TOKEN_EXPIRED" };
+    }
+    return { message: "Invalid token" };
+  }
+  if (!Object.values(AUTH_ROLES).includes(decoded?.scope) || !decoded.id || !decoded.exp) {
+    return { message: "Invalid token" };
+  }
+  return { id: decoded.id, role: decoded.scope };
+};
+
+/**
+ * Store a new refresh token.
+ * @param {string} scope
+ * @param {string} subjectId
+ * @param {string} family
+ * @param {string} userAgent
+ * @returns {Promise<string>} The token, which is only ever returned here
+ */
+const createRefreshToken = async (scope, subjectId, family, userAgent) => {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const { refreshTokenDays } = getTokenSettings();
+  await RefreshToken.create({
+    scope,
+    subjectId: String(subjectId),
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenDays * 24 * 60 * 60 * 1000),
+    userAgent: String(userAgent || "").slice(0, 300),
+  });
+  return refreshToken;
+};
+
+/**
+ * Start a session after a successful sign-in.
+ *
+ * @function
+ * @async
+ * @param {string} scope - One of AUTH_ROLES
+ * @param {string} subjectId - The user, doctor or admin ID
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - User-Agent of the signing-in browser
+ * @returns {Promise<{token: string, refreshToken: string}>} Access and refresh tokens
+ */
+export const issueSession = async (scope, subjectId, { userAgent = "" } = {}) => {
+  const refreshToken = await createRefreshToken(scope, subjectId, uuidv4(), userAgent);
+  return { token: signAccessToken(scope, subjectId), refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ *
+ * @function
+ * @async
+ * @param {string} scope - One of AUTH_ROLES
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - User-Agent of the browser
+ * @returns {Promise<{token?: string, refreshToken?: string, subjectId?: string, message?: string}>}
+ *   New tokens and who they are for, or a message if the client must sign in again
+ */
+export const refreshSession = async (scope, refreshToken, { userAgent = "" } = {}) => {
+  if (!refreshToken) {
+    return { message: "Refresh token is required" };
+  }
+  const stored = await RefreshToken.findOne({ scope, tokenHash: hashToken(refreshToken) });
+  if (!stored || stored.expiresAt <= new Date()) {
+    return { message: "Session expired. Please log in again" };
+  }
+  if (stored.revokedAt) {
+    if (stored.revokedReason === "rotated") {
+      await RefreshToken.updateMany(
+        { family: stored.family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "reuse" }
+      );
+    }
+    return { message: "Session expired. Please log in again" };
+  }
+
+  // Only one request can use the token
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated" }
+  );
+  if (!claimed) {
+    return { message: "Session expired. Please log in again" };
+  }
+
+  const next = await createRefreshToken(
+    scope,
+    stored.subjectId,
+    stored.family,
+    userAgent || stored.userAgent
+  );
+  return {
+    token: signAccessToken(scope, stored.subjectId),
+    refreshToken: next,
+    subjectId: stored.subjectId,
+  };
+};
+
+/**
+ * End the session a refresh token belongs to (log out of this device).
+ * Unknown or already revoked tokens are ignored.
+ *
+ * @function
+ * @async
+ * @param {string} scope - One of AUTH_ROLES
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<void>}
+ */
+export const endSession = async (scope, refreshToken) => {
+  if (!refreshToken) return;
+  const stored = await RefreshToken.findOne({ scope, tokenHash: hashToken(refreshToken) });
+  if (!stored) return;
+  await RefreshToken.updateMany(
+    { family: stored.family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "logout" }
+  );
+};
+
+/**
+ * End every session of a user, doctor or admin (log out of all devices).
+ * Access tokens already issued keep working until they expire.
+ *
+ * @function
+ * @async
+ * @param {string} scope - One of AUTH_ROLES
+ * @param {string} subjectId - The user, doctor or admin ID
+ * @returns {Promise<number>} Number of sessions ended
+ */
+export const endAllSessions = async (scope, subjectId) => {
+  const { modifiedCount } = await RefreshToken.updateMany(
+    { scope, subjectId: String(subjectId), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "logout-all" }
+  );
+  return modifiedCount;
+};
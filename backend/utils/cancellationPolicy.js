@@ -0,0 +1,238 @@
+/**
+ * Cancellation policy engine.
+ * Decides how much of what was paid for an appointment is refundable when it
+ * is cancelled, and where the refund goes, and records that decision on the
+ * appointment's payments.
+ *
+ * @module utils/cancellationPolicy
+ */
+import Payment from "../models/paymentModel.js";
+import {
+  APPOINTMENT_STATUS,
+  STATUS_ACTORS,
+} from "../config/appointmentStatus.js";
+import { getCancellationPolicy } from "../config/appointmentPolicy.js";
+import { transitionAppointment } from "./appointmentTransitions.js";
+import { getSlotStart } from "./scheduleUtils.js";
+import { requestCancellationRefunds } from "./refunds.js";
+import { REFUND_DESTINATIONS } from "../models/refundModel.js";
+
+/**
+ * Outcome tiers of the policy.
+ * @enum {string}
+ */
+export const CANCELLATION_TIERS = {
+  FREE: "free",
+  LATE: "late",
+  AFTER_START: "after-start",
+  CLINIC: "clinic",
+  RESCHEDULED: "rescheduled",
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Evaluate the cancellation policy for a single amount.
+ * Cancellations made by the clinic side (doctor, admin or system) are always
+ * refunded in full, and so are patient cancellations of an appointment the
+ * clinic last rescheduled; other patient cancellations follow the configured
+ * windows.
+ *
+ * @param {Object} options
+ * @param {Date|null} options.start - When the appointment starts
+ * @param {number} options.paidAmount - Amount paid that the policy applies to
+ * @param {string} options.cancelledBy - Role of the actor cancelling
+ * @param {boolean} [options.rescheduledByClinic=false] - Whether the clinic last moved the appointment
+ * @param {Date} [options.now=new Date()] - Current time
+ * @param {{freeCancelHours: number, lateCancelFeePercent: number}} [options.policy] - Policy to apply
+ * @returns {{tier: string, feePercent: number, fee: number, refundableAmount: number}}
+ */
+export const evaluateCancellation = ({
+  start,
+  paidAmount,
+  cancelledBy,
+  rescheduledByClinic = false,
+  now = new Date(),
+  policy = getCancellationPolicy(),
+}) => {
+  const amount = Number(paidAmount) || 0;
+  const outcome = (tier, feePercent) => {
+    const fee = roundAmount((amount * feePercent) / 100);
+    return { tier, feePercent, fee, refundableAmount: roundAmount(amount - fee) };
+  };
+
+  if (cancelledBy !== STATUS_ACTORS.USER) {
+    return outcome(CANCELLATION_TIERS.CLINIC, 0);
+  }
+  if (rescheduledByClinic) {
+    return outcome(CANCELLATION_TIERS.RESCHEDULED, 0);
+  }
+
+  const msUntilStart = start ? start.getTime() - now.getTime() : 0;
+  if (msUntilStart <= 0) {
+    return outcome(CANCELLATION_TIERS.AFTER_START, 100);
+  }
+  if (msUntilStart >= policy.freeCancelHours * 60 * 60 * 1000) {
+    return outcome(CANCELLATION_TIERS.FREE, 0);
+  }
+  return outcome(CANCELLATION_TIERS.LATE, policy.lateCancelFeePercent);
+};
+
+/**
+ * Get the completed payments of an appointment.
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Array<Object>>} Payment documents with status COMPLETE
+ */
+const getCompletedPayments = (appointmentId) =>
+  Payment.find({ appointmentId, status: "COMPLETE" });
+
+/**
+ * Whether the last reschedule of an appointment was made by the clinic side
+ * rather than by the patient.
+ * @param {Object} appointment - Appointment document
+ * @returns {boolean}
+ */
+const wasRescheduledByClinic = (appointment) => {
+  const last = appointment.rescheduleHistory?.at(-1);
+  return Boolean(last) && last.actor?.role !== STATUS_ACTORS.USER;
+};
+
+/**
+ * Where a cancellation's refunds go: the destination asked for, else the
+ * patient's wallet when the clinic cancelled or moved the appointment, else
+ * back through the gateway.
+ * @param {Object} options
+ * @param {string} options.cancelledBy - Role of the actor cancelling
+ * @param {boolean} options.rescheduledByClinic - Whether the clinic last moved the appointment
+ * @param {string} [options.refundTo] - Destination asked for, one of REFUND_DESTINATIONS
+ * @returns {string} One of REFUND_DESTINATIONS
+ */
+const getRefundDestination = ({ cancelledBy, rescheduledByClinic, refundTo }) => {
+  if (Object.values(REFUND_DESTINATIONS).includes(refundTo)) {
+    return refundTo;
+  }
+  return cancelledBy !== STATUS_ACTORS.USER || rescheduledByClinic
+    ? REFUND_DESTINATIONS.WALLET
+    : REFUND_DESTINATIONS.GATEWAY;
+};
+
+/**
+ * Total amount paid across payments.
+ * @param {Array<Object>} payments - Payment documents
+ * @returns {number}
+ */
+const sumPaid = (payments) =>
+  roundAmount(payments.reduce((sum, payment) => sum + Number(payment.total_amount), 0));
+
+/**
+ * Preview what cancelling an appointment now would refund, without changing anything.
+ *
+ * @function
+ * @async
+ * @param {Object} appointment - Appointment document
+ * @param {Object} options
+ * @param {string} options.cancelledBy - Role of the actor who would cancel
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<{tier: string, feePercent: number, fee: number, refundableAmount: number, paidAmount: number, freeCancelHours: number, refundTo: string}>}
+ *   `refundTo` is where the refund goes unless another destination is asked for
+ */
+export const getCancellationQuote = async (
+  appointment,
+  { cancelledBy, now = new Date() }
+) => {
+  const policy = getCancellationPolicy();
+  const rescheduledByClinic = wasRescheduledByClinic(appointment);
+  const paidAmount = sumPaid(await getCompletedPayments(appointment._id));
+  const quote = evaluateCancellation({
+    start: getSlotStart(appointment.slotDate, appointment.slotTime),
+    paidAmount,
+    cancelledBy,
+    rescheduledByClinic,
+    now,
+    policy,
+  });
+  return {
+    ...quote,
+    paidAmount,
+    freeCancelHours: policy.freeCancelHours,
+    refundTo: getRefundDestination({ cancelledBy, rescheduledByClinic }),
+  };
+};
+
+/**
+ * Cancel an appointment and apply the cancellation policy.
+ * The policy is evaluated at the moment of cancellation, the result is stored
+ * on every completed payment of the appointment, and a refund is requested for
+ * each refundable amount. Refunds to the wallet are credited straight away.
+ *
+ * @function
+ * @async
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} options
+ * @param {{role: string, id?: string}} options.actor - Who is cancelling
+ * @param {string} [options.reason] - Why the appointment is cancelled
+ * @param {Object} [options.filter={}] - Extra conditions, e.g. `{ userId }` to enforce ownership
+ * @param {string} [options.refundTo] - Where refunds go, one of REFUND_DESTINATIONS; by default
+ *   the wallet when the clinic cancels or last moved the appointment, else the gateway
+ * @returns {Promise<{appointment?: Object, refund?: Object, refunds?: Array<Object>, message?: string}>}
+ *   The cancelled appointment, the refund outcome and the refunds created, or an error message
+ */
+export const cancelAppointmentWithPolicy = async (
+  appointmentId,
+  { actor, reason = "", filter = {}, refundTo }
+) => {
+  const now = new Date();
+  const { appointment, message } = await transitionAppointment(
+    appointmentId,
+    APPOINTMENT_STATUS.CANCELLED,
+    { actor, reason, filter }
+  );
+  if (message) {
+    return { message };
+  }
+
+  const policy = getCancellationPolicy();
+  const start = getSlotStart(appointment.slotDate, appointment.slotTime);
+  const payments = await getCompletedPayments(appointment._id);
+  const cancelledBy = { role: actor.role, id: actor.id ? String(actor.id) : "" };
+  const rescheduledByClinic = wasRescheduledByClinic(appointment);
+  const destination = getRefundDestination({
+    cancelledBy: actor.role,
+    rescheduledByClinic,
+    refundTo,
+  });
+  const refundable = [];
+
+  for (const payment of payments) {
+    const outcome = evaluateCancellation({
+      start,
+      paidAmount: Number(payment.total_amount),
+      cancelledBy: actor.role,
+      rescheduledByClinic,
+      now,
+      policy,
+    });
+    await payment.updateOne({
+      cancellation: { ...outcome, cancelledBy, evaluatedAt: now },
+      updatedAt: now,
+    });
+    refundable.push({ payment, refundableAmount: outcome.refundableAmount });
+  }
+  const refunds = await requestCancellationRefunds(refundable, { actor, reason, destination });
+
+  const paidAmount = sumPaid(payments);
+  const refund = {
+    ...evaluateCancellation({
+      start,
+      paidAmount,
+      cancelledBy: actor.role,
+      rescheduledByClinic,
+      now,
+      policy,
+    }),
+    paidAmount,
+    refundTo: destination,
+  };
+
+  return { appointment, refund, refunds };
+};
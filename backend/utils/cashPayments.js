@@ -0,0 +1,121 @@
+/**
+ * Cash payments taken at the clinic front desk.
+ * A doctor or admin marks the cash as collected, which moves the appointment
+ * to 'paid' and stores a CASH Payment with the collector's identity, so cash
+ * shows up in invoices, earnings and revenue like any online payment. Cash is
+ * refused while an online payment for the appointment may still complete.
+ *
+ * @module utils/cashPayments
+ */
+import { v4 as uuidv4 } from "uuid";
+import Payment from "../models/paymentModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { transitionAppointment } from "./appointmentTransitions.js";
+import { getPayableAmount } from "./paymentAmount.js";
+import { recordCompletedPayment, settlePayment } from "./paymentReconciliation.js";
+import { getGateway } from "./paymentGateways/index.js";
+import { PAYMENT_METHODS, PAYMENT_STATUS } from "../config/paymentGateways.js";
+import {
+  APPOINTMENT_STATUS,
+  PAYABLE_STATUSES,
+} from "../config/appointmentStatus.js";
+
+/**
+ * Settle an appointment's open online payment attempt, if any, so cash is
+ * never taken for an appointment the patient is still paying online.
+ * An attempt the patient never took to the gateway is expired.
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<string>} Why cash cannot be collected yet, or an empty string
+ */
+const closeOnlineAttempt = async (appointment) => {
+  const pending = await Payment.findOne({
+    appointmentId: appointment._id,
+    status: PAYMENT_STATUS.PENDING,
+  });
+  if (!pending) return "";
+
+  const gateway = getGateway(pending.gateway || "esewa");
+  const settled = gateway
+    ? await settlePayment(pending, gateway, { abandon: true, actorId: "cash-collection" })
+    : { message: `Gateway '${pending.gateway}' is not available` };
+  if (settled.message || settled.status === PAYMENT_STATUS.PENDING) {
+    return "An online payment for this appointment is still in progress. Collect cash once it has failed or expired";
+  }
+  if (settled.status === PAYMENT_STATUS.COMPLETE) {
+    return "This appointment has just been paid online";
+  }
+  if (settled.status === PAYMENT_STATUS.AMBIGUOUS) {
+    return "An online payment for this appointment is being reviewed";
+  }
+  return "";
+};
+
+/**
+ * Record cash collected for an appointment.
+ * Only booked or confirmed appointments can be paid, and only once any open
+ * online payment attempt has been settled without completing. The appointment
+ * is moved to 'paid' first; that update is conditional, so collecting twice at
+ * once records a single payment.
+ *
+ * @function
+ * @async
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} options
+ * @param {{role: string, id?: string, name?: string}} options.collector - Doctor or admin who took the cash
+ * @param {Object} [options.filter={}] - Extra conditions, e.g. `{ docId }` to enforce ownership
+ * @returns {Promise<{payment?: Object, message?: string}>} The CASH payment, or an error message
+ */
+export const collectCashPayment = async (appointmentId, { collector, filter = {} }) => {
+  const appointment = await appointmentModel.findOne({ _id: appointmentId, ...filter });
+  if (!appointment) {
+    return { message: "Appointment not found" };
+  }
+  if (!PAYABLE_STATUSES.includes(appointment.status)) {
+    return { message: "Only booked or confirmed appointments can be paid" };
+  }
+  const attemptMessage = await closeOnlineAttempt(appointment);
+  if (attemptMessage) {
+    return { message: attemptMessage };
+  }
+
+  const payable = getPayableAmount(appointment);
+  const { message } = await transitionAppointment(appointment._id, APPOINTMENT_STATUS.PAID, {
+    actor: { role: collector.role, id: collector.id },
+    reason: `Cash collected at the clinic (${payable.totalAmount})`,
+    filter,
+  });
+  if (message) {
+    return { message };
+  }
+
+  const userData = appointment.userData || {};
+  const payment = await Payment.create({
+    method: PAYMENT_METHODS.CASH,
+    gateway: "cash",
+    amount: payable.amount,
+    tax_amount: payable.taxAmount,
+    tax_rates: payable.rates,
+    product_service_charge: payable.serviceCharge,
+    product_delivery_charge: payable.deliveryCharge,
+    total_amount: String(payable.totalAmount),
+    transaction_uuid: `CASH-${uuidv4()}`,
+    status: PAYMENT_STATUS.COMPLETE,
+    appointmentId: appointment._id,
+    user: {
+      _id: String(appointment.userId),
+      name: userData.name || "",
+      email: userData.email || "",
+      phone: userData.phone || "",
+    },
+    collectedBy: {
+      role: collector.role,
+      id: collector.id ? String(collector.id) : "",
+      name: collector.name || "",
+    },
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  });
+
+  await recordCompletedPayment(payment);
+  return { payment };
+};
@@ -0,0 +1,204 @@
+/**
+ * Promo code validation and redemption.
+ * Coupons are checked against the appointment and the patient on the server
+ * whenever a payment is initiated, and the discount is recorded on the
+ * Payment. The payment then holds one use of the coupon, taken atomically
+ * within its limits, until it completes; a payment that fails, is cancelled
+ * or expires gives its use back.
+ *
+ * @module utils/coupons
+ */
+import Coupon, { COUPON_TYPES } from "../models/couponModel.js";
+import Payment from "../models/paymentModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { PAYMENT_STATUS } from "../config/paymentGateways.js";
+import { APPOINTMENT_STATUS } from "../config/appointmentStatus.js";
+
+// Payments that count as a use of their coupon
+const REDEEMED_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.COMPLETE,
+  PAYMENT_STATUS.PARTIAL_REFUND,
+  PAYMENT_STATUS.FULL_REFUND,
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalize a code as patients may type it, e.g. ' dashain10 ' → 'DASHAIN10'.
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeCouponCode = (code) => String(code || "").trim().toUpperCase();
+
+/**
+ * Work out how much a coupon takes off a fee, never more than the fee itself.
+ * @param {Object} coupon - Coupon document
+ * @param {number} fee - Consultation fee
+ * @returns {number} Discount amount
+ */
+export const computeDiscount = (coupon, fee) => {
+  let discount =
+    coupon.type === COUPON_TYPES.PERCENTAGE ? (fee * coupon.value) / 100 : coupon.value;
+  if (coupon.type === COUPON_TYPES.PERCENTAGE && coupon.maxDiscount > 0) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return roundAmount(Math.min(Math.max(discount, 0), fee));
+};
+
+/**
+ * Check a coupon against an appointment and patient, and price the discount.
+ *
+ * @function
+ * @async
+ * @param {string} code - Code entered by the patient
+ * @param {Object} options
+ * @param {Object} options.appointment - Appointment being paid for
+ * @param {string} options.userId - Patient paying
+ * @param {number} options.fee - Fee the discount applies to
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<{coupon?: Object, discount?: Object, message?: string}>}
+ *   The coupon and the discount to record on the Payment, or why the code cannot be used
+ */
+export const validateCoupon = async (code, { appointment, userId, fee, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  if (!coupon || !coupon.active) {
+    return { message: "This promo code is not valid" };
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { message: "This promo code is not active yet" };
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return { message: "This promo code has expired" };
+  }
+  if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
+    return { message: "This promo code has reached its usage limit" };
+  }
+  if (coupon.doctorIds.length > 0 && !coupon.doctorIds.includes(String(appointment.docId))) {
+    return { message: "This promo code is not valid for this doctor" };
+  }
+  if (
+    coupon.specialities.length > 0 &&
+    !coupon.specialities.includes(appointment.docData?.speciality)
+  ) {
+    return { message: "This promo code is not valid for this speciality" };
+  }
+
+  if (coupon.perUserLimit > 0) {
+    // Payments completed before uses were counted per patient are only on the payments
+    const completed = await Payment.countDocuments({
+      "discount.couponId": coupon._id,
+      "user._id": String(userId),
+      status: { $in: REDEEMED_PAYMENT_STATUSES },
+    });
+    const uses = Math.max(completed, coupon.usesByUser?.get(String(userId)) || 0);
+    if (uses >= coupon.perUserLimit) {
+      return { message: "You have already used this promo code" };
+    }
+  }
+  if (coupon.newPatientsOnly) {
+    const hasPaidBefore = await appointmentModel.exists({
+      userId,
+      _id: { $ne: appointment._id },
+      "statusHistory.to": APPOINTMENT_STATUS.PAID,
+    });
+    if (hasPaidBefore) {
+      return { message: "This promo code is only for a first consultation" };
+    }
+  }
+
+  const amount = computeDiscount(coupon, fee);
+  if (amount <= 0) {
+    return { message: "This promo code gives no discount on this appointment" };
+  }
+
+  return {
+    coupon,
+    discount: {
+      couponId: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      amount,
+    },
+  };
+};
+
+/**
+ * Take one use of a new payment's coupon for the payment.
+ * A single conditional update checks the total and per-patient limits and
+ * counts the use, so parallel checkouts cannot push a code past either limit.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - PENDING Payment document
+ * @returns {Promise<{message?: string}>} A message if no use is left
+ */
+export const reserveCoupon = async (payment) => {
+  const couponId = payment.discount?.couponId;
+  if (!couponId) return {};
+  const coupon = await Coupon.findById(couponId).select("usageLimit perUserLimit");
+  if (!coupon) {
+    return { message: "This promo code is not valid" };
+  }
+
+  const userPath = `usesByUser.${payment.user._id}`;
+  const filter = { _id: couponId };
+  if (coupon.usageLimit > 0) filter.usedCount = { $lt: coupon.usageLimit };
+  if (coupon.perUserLimit > 0) filter[userPath] = { $not: { $gte: coupon.perUserLimit } };
+  const result = await Coupon.updateOne(filter, {
+    $inc: { usedCount: 1, [userPath]: 1 },
+    $set: { updatedAt: new Date() },
+  });
+  if (result.modifiedCount !== 1) {
+    const current = await Coupon.findById(couponId).select("usedCount usageLimit");
+    return current && current.usageLimit > 0 && current.usedCount >= current.usageLimit
+      ? { message: "This promo code has reached its usage limit" }
+      : { message: "You have already used this promo code" };
+  }
+
+  await Payment.updateOne({ _id: payment._id }, { "discount.reserved": true });
+  return {};
+};
+
+/**
+ * Give back the coupon use held by a payment that did not go through, e.g. a
+ * failed, cancelled or expired payment, or one the gateway could not start.
+ * Only gives it back once.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Payment document
+ * @returns {Promise<void>}
+ */
+export const releaseCoupon = async (payment) => {
+  const couponId = payment.discount?.couponId;
+  if (!couponId) return;
+  const released = await Payment.updateOne(
+    { _id: payment._id, "discount.reserved": true },
+    { "discount.reserved": false }
+  );
+  if (released.modifiedCount !== 1) return;
+  await Coupon.updateOne(
+    { _id: couponId },
+    {
+      $inc: { usedCount: -1, [`usesByUser.${payment.user._id}`]: -1 },
+      $set: { updatedAt: new Date() },
+    }
+  );
+};
+
+/**
+ * Count a completed payment's coupon as used. Payments holding a use already
+ * count; this only counts payments started before uses were held.
+ * @function
+ * @async
+ * @param {Object} payment - Completed Payment document
+ * @returns {Promise<void>}
+ */
+export const redeemCoupon = async (payment) => {
+  if (!payment.discount?.couponId || payment.discount.reserved) return;
+  await Coupon.updateOne(
+    { _id: payment.discount.couponId },
+    { $inc: { usedCount: 1 }, $set: { updatedAt: new Date() } }
+  );
+};
@@ -0,0 +1,476 @@
+/**
+ * Doctor earnings, platform commission and payout statements.
+ * When a payment completes, the fee is split into the platform's commission
+ * and the doctor's earning; a processed refund takes back the same share of the
+ * refunded amount. Admins settle each doctor's unsettled entries in a monthly
+ * payout statement and mark it paid once the money is sent.
+ *
+ * @module utils/earnings
+ */
+import PDFDocument from "pdfkit";
+import Earning, { EARNING_TYPES } from "../models/earningModel.js";
+import Payout, { PAYOUT_STATUS } from "../models/payoutModel.js";
+import CommissionRate, { COMMISSION_SCOPES } from "../models/commissionRateModel.js";
+import Payment from "../models/paymentModel.js";
+import Doctor from "../models/doctorModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { getDefaultCommissionRate } from "../config/earnings.js";
+import { getClinicDetails } from "../config/invoice.js";
+import { parseSlotDate } from "./scheduleUtils.js";
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Month a date falls in, e.g. 2025-03-14 → '2025-03'.
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export const toPeriod = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+/**
+ * Check that a period is a 'YYYY-MM' month.
+ * @param {string} period
+ * @returns {boolean}
+ */
+export const isValidPeriod = (period) => PERIOD_PATTERN.test(String(period || ""));
+
+/**
+ * Commission rate for a doctor: their own rate, else their speciality's,
+ * else the platform default.
+ *
+ * @function
+ * @async
+ * @param {string} doctorId - Doctor ID
+ * @param {string} [speciality] - Doctor's speciality key
+ * @returns {Promise<number>} Percent of the fee the platform keeps
+ */
+export const getCommissionRate = async (doctorId, speciality) => {
+  const rates = await CommissionRate.find({
+    $or: [
+      { scope: COMMISSION_SCOPES.DOCTOR, target: String(doctorId) },
+      { scope: COMMISSION_SCOPES.SPECIALITY, target: speciality || "" },
+    ],
+  });
+  const own = rates.find((rate) => rate.scope === COMMISSION_SCOPES.DOCTOR);
+  const bySpeciality = rates.find((rate) => rate.scope === COMMISSION_SCOPES.SPECIALITY);
+  return (own || bySpeciality)?.rate ?? getDefaultCommissionRate();
+};
+
+/**
+ * Split an amount into the platform's commission and the doctor's share.
+ * @param {number} grossAmount
+ * @param {number} commissionRate - Percent kept by the platform
+ * @returns {{commissionAmount: number, netAmount: number}}
+ */
+const splitAmount = (grossAmount, commissionRate) => {
+  const commissionAmount = roundAmount((grossAmount * commissionRate) / 100);
+  return { commissionAmount, netAmount: roundAmount(grossAmount - commissionAmount) };
+};
+
+/**
+ * Record the doctor's earning from a completed payment. The fee paid, after
+ * any promo code and excluding tax and service charge, is split at the
+ * doctor's current commission rate. Recording twice keeps the first entry.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Completed Payment document
+ * @returns {Promise<{earning?: Object, message?: string}>} The entry, or why none was recorded
+ */
+export const recordEarning = async (payment) => {
+  const existing = await Earning.findOne({
+    paymentId: payment._id,
+    type: EARNING_TYPES.EARNING,
+  });
+  if (existing) {
+    return { earning: existing };
+  }
+  if (!(payment.amount > 0)) {
+    return { message: "Nothing was paid for the consultation" };
+  }
+
+  const appointment = await appointmentModel
+    .findById(payment.appointmentId)
+    .select("docId docData");
+  if (!appointment) {
+    return { message: "Appointment not found" };
+  }
+
+  const commissionRate = await getCommissionRate(
+    appointment.docId,
+    appointment.docData?.speciality
+  );
+  try {
+    const earning = await Earning.create({
+      doctorId: String(appointment.docId),
+      appointmentId: appointment._id,
+      paymentId: payment._id,
+      type: EARNING_TYPES.EARNING,
+      grossAmount: payment.amount,
+      commissionRate,
+      ...splitAmount(payment.amount, commissionRate),
+      period: toPeriod(),
+    });
+    return { earning };
+  } catch (error) {
+    // Recorded concurrently by the callback and the reconciliation job
+    if (error.code === 11000) {
+      const earning = await Earning.findOne({
+        paymentId: payment._id,
+        type: EARNING_TYPES.EARNING,
+      });
+      return { earning };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Take back the doctor's share of a processed refund. The refund is spread
+ * over the payment's fee and charges in proportion, and the fee's part is
+ * reversed at the commission rate of the original earning.
+ *
+ * @function
+ * @async
+ * @param {Object} refund - Processed Refund document
+ * @returns {Promise<{earning?: Object, message?: string}>} The reversal entry, or why none was recorded
+ */
+export const reverseEarning = async (refund) => {
+  const earning = await Earning.findOne({
+    paymentId: refund.paymentId,
+    type: EARNING_TYPES.EARNING,
+  });
+  if (!earning) {
+    return { message: "The payment has no earnings entry" };
+  }
+  const payment = await Payment.findById(refund.paymentId).select("total_amount");
+  const total = Number(payment?.total_amount);
+  if (!(total > 0)) {
+    return { message: "Payment not found" };
+  }
+
+  const grossAmount = -roundAmount((earning.grossAmount * Math.min(refund.amount, total)) / total);
+  try {
+    const reversal = await Earning.create({
+      doctorId: earning.doctorId,
+      appointmentId: earning.appointmentId,
+      paymentId: earning.paymentId,
+      refundId: refund._id,
+      type: EARNING_TYPES.REVERSAL,
+      grossAmount,
+      commissionRate: earning.commissionRate,
+      ...splitAmount(grossAmount, earning.commissionRate),
+      period: toPeriod(),
+    });
+    return { earning: reversal };
+  } catch (error) {
+    if (error.code === 11000) {
+      const reversal = await Earning.findOne({ refundId: refund._id });
+      return { earning: reversal };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Totals of a set of earnings entries, grouped by the given key.
+ * @param {Object} match - Entries to include
+ * @param {string|null} groupBy - Field to group by, or null for a single total
+ * @returns {Promise<Array<{_id: any, entryCount: number, grossAmount: number, commissionAmount: number, netAmount: number}>>}
+ */
+const sumEarnings = (match, groupBy) =>
+  Earning.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupBy ? `$${groupBy}` : null,
+        entryCount: { $sum: 1 },
+        grossAmount: { $sum: "$grossAmount" },
+        commissionAmount: { $sum: "$commissionAmount" },
+        netAmount: { $sum: "$netAmount" },
+      },
+    },
+  ]);
+
+const roundTotals = (totals) => ({
+  entryCount: totals?.entryCount || 0,
+  grossAmount: roundAmount(totals?.grossAmount || 0),
+  commissionAmount: roundAmount(totals?.commissionAmount || 0),
+  netAmount: roundAmount(totals?.netAmount || 0),
+});
+
+/**
+ * A doctor's earnings overview: monthly totals, unsettled balance and payouts.
+ *
+ * @function
+ * @async
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<{months: Array<Object>, unsettled: Object, paidOut: number, awaitingPayment: number, payouts: Array<Object>}>}
+ */
+export const getDoctorEarnings = async (doctorId) => {
+  const [months, [unsettled], payouts] = await Promise.all([
+    sumEarnings({ doctorId: String(doctorId) }, "period"),
+    sumEarnings({ doctorId: String(doctorId), payoutId: null }, null),
+    Payout.find({ doctorId: String(doctorId) }).sort({ period: -1 }),
+  ]);
+  const sumPayouts = (status) =>
+    roundAmount(
+      payouts
+        .filter((payout) => payout.status === status)
+        .reduce((sum, payout) => sum + payout.netAmount, 0)
+    );
+
+  return {
+    months: months
+      .map(({ _id, ...totals }) => ({ period: _id, ...roundTotals(totals) }))
+      .sort((a, b) => b.period.localeCompare(a.period)),
+    unsettled: roundTotals(unsettled),
+    paidOut: sumPayouts(PAYOUT_STATUS.PAID),
+    awaitingPayment: sumPayouts(PAYOUT_STATUS.PENDING),
+    payouts,
+  };
+};
+
+/**
+ * Generate payout statements for a month that has ended. Each doctor's
+ * unsettled entries up to that month are settled in one statement; doctors
+ * who already have a statement for the month, or whose balance is not
+ * positive (e.g. refunds exceeding earnings), are carried forward.
+ *
+ * @function
+ * @async
+ * @param {string} period - Month to settle ('YYYY-MM')
+ * @returns {Promise<{payouts?: Array<Object>, message?: string}>} The statements created, or an error message
+ */
+export const generatePayouts = async (period) => {
+  if (!isValidPeriod(period)) {
+    return { message: "Period must be a month like 2025-01" };
+  }
+  if (period >= toPeriod()) {
+    return { message: "Statements can only be generated for months that have ended" };
+  }
+
+  const match = { payoutId: null, period: { $lte: period } };
+  const balances = await sumEarnings(match, "doctorId");
+  const payouts = [];
+  for (const { _id: doctorId, netAmount } of balances) {
+    if (roundAmount(netAmount) <= 0) continue;
+
+    const doctor = await Doctor.findById(doctorId).select("name speciality");
+    let payout;
+    try {
+      payout = await Payout.create({
+        doctorId,
+        doctor: { name: doctor?.name || "", speciality: doctor?.speciality || "" },
+        period,
+      });
+    } catch (error) {
+      // This doctor already has a statement for the month
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    await Earning.updateMany({ ...match, doctorId }, { $set: { payoutId: payout._id } });
+    const [totals] = await sumEarnings({ payoutId: payout._id }, null);
+    payout.set(roundTotals(totals));
+    await payout.save();
+    payouts.push(payout);
+  }
+
+  return { payouts };
+};
+
+/**
+ * Mark a pending payout statement as paid.
+ *
+ * @function
+ * @async
+ * @param {string} payoutId - Payout ID
+ * @param {Object} options
+ * @param {string} options.reference - Bank or wallet transfer reference
+ * @param {string} [options.note] - Remark stored on the statement
+ * @param {string} [options.paidBy] - Admin who paid it
+ * @returns {Promise<{payout?: Object, message?: string}>} The paid statement, or an error message
+ */
+export const markPayoutPaid = async (payoutId, { reference, note = "", paidBy = "" }) => {
+  if (!reference) {
+    return { message: "Transfer reference is required" };
+  }
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: PAYOUT_STATUS.PENDING },
+    {
+      $set: {
+        status: PAYOUT_STATUS.PAID,
+        reference,
+        note,
+        paidBy,
+        paidAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!payout) {
+    return { message: "Payout not found or already paid" };
+  }
+  return { payout };
+};
+
+/**
+ * Collect a doctor's statement for a month: the entries settled by the
+ * month's payout, or the entries recorded in the month while it has none,
+ * each with the appointment it is for.
+ *
+ * @function
+ * @async
+ * @param {string} doctorId - Doctor ID
+ * @param {string} period - Month ('YYYY-MM')
+ * @returns {Promise<{statement?: Object, message?: string}>} The monthly statement, or an error message
+ */
+export const getMonthlyStatement = async (doctorId, period) => {
+  if (!isValidPeriod(period)) {
+    return { message: "Period must be a month like 2025-01" };
+  }
+  const [doctor, payout] = await Promise.all([
+    Doctor.findById(doctorId).select("name speciality"),
+    Payout.findOne({ doctorId: String(doctorId), period }),
+  ]);
+  if (!doctor) {
+    return { message: "Doctor not found" };
+  }
+
+  // A payout also settles entries carried forward from earlier months
+  const entries = await Earning.find(
+    payout ? { payoutId: payout._id } : { doctorId: String(doctorId), period }
+  ).sort({ createdAt: 1 });
+
+  const appointments = await appointmentModel
+    .find({ _id: { $in: entries.map((entry) => entry.appointmentId) } })
+    .select("slotDate slotTime userData");
+  const byId = new Map(appointments.map((appointment) => [String(appointment._id), appointment]));
+
+  const totals = entries.reduce(
+    (sum, entry) => ({
+      entryCount: sum.entryCount + 1,
+      grossAmount: sum.grossAmount + entry.grossAmount,
+      commissionAmount: sum.commissionAmount + entry.commissionAmount,
+      netAmount: sum.netAmount + entry.netAmount,
+    }),
+    { entryCount: 0, grossAmount: 0, commissionAmount: 0, netAmount: 0 }
+  );
+
+  return {
+    statement: {
+      doctor: { name: doctor.name, speciality: doctor.speciality },
+      period,
+      entries: entries.map((entry) => ({
+        entry,
+        appointment: byId.get(String(entry.appointmentId)) || null,
+      })),
+      totals: roundTotals(totals),
+      payout,
+    },
+  };
+};
+
+const formatMoney = (value) =>
+  `${value < 0 ? "- " : ""}Rs. ${Math.abs(Number(value || 0)).toFixed(2)}`;
+
+/**
+ * Render a monthly earnings statement as a PDF.
+ *
+ * @function
+ * @param {Object} statement - Statement from {@link getMonthlyStatement}
+ * @returns {Promise<Buffer>} The PDF file
+ */
+export const renderStatementPdf = (statement) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const clinic = getClinicDetails();
+    const { doctor, period, entries, totals, payout } = statement;
+    const [year, month] = period.split("-").map(Number);
+    const monthName = new Date(year, month - 1, 1).toLocaleDateString("en-GB", {
+      month: "long",
+      year: "numeric",
+    });
+
+    doc.fontSize(20).font("Helvetica-Bold").text(clinic.name);
+    doc.fontSize(10).font("Helvetica");
+    [clinic.address, clinic.phone, clinic.email].filter(Boolean).forEach((line) => doc.text(line));
+
+    doc.moveDown(1.5);
+    doc.fontSize(16).font("Helvetica-Bold").text("EARNINGS STATEMENT");
+    doc.fontSize(10).font("Helvetica");
+    doc.text(`${doctor.name}${doctor.speciality ? ` (${doctor.speciality})` : ""}`);
+    doc.text(`Period: ${monthName}`);
+    if (payout) {
+      doc.text(
+        payout.status === PAYOUT_STATUS.PAID
+          ? `Payout: ${formatMoney(payout.netAmount)} paid on ${new Date(payout.paidAt).toLocaleDateString("en-GB")} (ref. ${payout.reference})`
+          : `Payout: ${formatMoney(payout.netAmount)} pending`
+      );
+    }
+
+    // Entries
+    doc.moveDown(1.5);
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const columns = [
+      { label: "Appointment", x: left, width: 150 },
+      { label: "Patient", x: left + 150, width: 115 },
+      { label: "Fee", x: left + 265, width: 75, align: "right" },
+      { label: "Commission", x: left + 340, width: 80, align: "right" },
+      { label: "Earning", x: right - 75, width: 75, align: "right" },
+    ];
+    const printRow = (values) => {
+      const y = doc.y;
+      const height = Math.max(
+        ...columns.map((column, index) => doc.heightOfString(values[index], { width: column.width }))
+      );
+      columns.forEach((column, index) => {
+        doc.text(values[index], column.x, y, { width: column.width, align: column.align || "left" });
+      });
+      doc.x = left;
+      doc.y = y + height + 4;
+    };
+
+    doc.font("Helvetica-Bold");
+    printRow(columns.map((column) => column.label));
+    doc.font("Helvetica");
+    if (entries.length === 0) {
+      doc.text("No earnings recorded this month.", left);
+    }
+    entries.forEach(({ entry, appointment }) => {
+      const slotDate = appointment ? parseSlotDate(appointment.slotDate) : null;
+      const when = slotDate
+        ? `${slotDate.toLocaleDateString("en-GB")} ${appointment.slotTime}`
+        : "—";
+      printRow([
+        entry.type === EARNING_TYPES.REVERSAL ? `${when} (refund)` : when,
+        appointment?.userData?.name || "",
+        formatMoney(entry.grossAmount),
+        `${formatMoney(entry.commissionAmount)} (${entry.commissionRate}%)`,
+        formatMoney(entry.netAmount),
+      ]);
+    });
+
+    doc.moveTo(left, doc.y + 4).lineTo(right, doc.y + 4).stroke();
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold");
+    printRow([
+      `Total (${totals.entryCount} entries)`,
+      "",
+      formatMoney(totals.grossAmount),
+      formatMoney(totals.commissionAmount),
+      formatMoney(totals.netAmount),
+    ]);
+
+    doc.end();
+  });
@@ -0,0 +1,222 @@
+/**
+ * Invoices for completed payments.
+ * An invoice is issued when a payment completes (or on first download for
+ * payments completed earlier) and rendered to PDF on request. Invoice numbers
+ * come from an atomic counter, so they are sequential and never reused; a
+ * number that could not be issued is recorded as voided on the counter.
+ *
+ * @module utils/invoices
+ */
+import PDFDocument from "pdfkit";
+import Invoice from "../models/invoiceModel.js";
+import Payment from "../models/paymentModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { nextSequence, voidSequence } from "../models/counterModel.js";
+import { formatSlotDate, parseSlotDate } from "./scheduleUtils.js";
+import { PAYMENT_STATUS } from "../config/paymentGateways.js";
+import { getClinicDetails, getInvoicePrefix } from "../config/invoice.js";
+
+// Payments that were completed at some point, including refunded ones
+const INVOICED_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.COMPLETE,
+  PAYMENT_STATUS.PARTIAL_REFUND,
+  PAYMENT_STATUS.FULL_REFUND,
+];
+
+/**
+ * Format a sequence as a printed invoice number, e.g. 42 → 'INV-000042'.
+ * @param {number} sequence
+ * @returns {string}
+ */
+export const formatInvoiceNumber = (sequence) =>
+  `${getInvoicePrefix()}-${String(sequence).padStart(6, "0")}`;
+
+/**
+ * Issue the invoice of a completed payment. Issuing twice returns the same invoice.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Payment document
+ * @returns {Promise<{invoice?: Object, message?: string}>} The invoice, or an error message
+ */
+export const issueInvoice = async (payment) => {
+  const existing = await Invoice.findOne({ paymentId: payment._id });
+  if (existing) {
+    return { invoice: existing };
+  }
+  if (!INVOICED_PAYMENT_STATUSES.includes(payment.status)) {
+    return { message: "Invoices are only issued for completed payments" };
+  }
+
+  const appointment = await appointmentModel.findById(payment.appointmentId);
+  if (!appointment) {
+    return { message: "Appointment not found" };
+  }
+
+  const sequence = await nextSequence("invoice");
+  try {
+    const invoice = await Invoice.create({
+      sequence,
+      number: formatInvoiceNumber(sequence),
+      paymentId: payment._id,
+      appointmentId: appointment._id,
+      userId: appointment.userId,
+      clinic: getClinicDetails(),
+      doctor: {
+        name: appointment.docData?.name || "",
+        speciality: appointment.docData?.speciality || "",
+      },
+      patient: {
+        name: appointment.userData?.name || payment.user?.name || "",
+        email: appointment.userData?.email || payment.user?.email || "",
+        phone: appointment.userData?.phone || payment.user?.phone || "",
+      },
+      slotDate: formatSlotDate(appointment.slotDate),
+      slotTime: appointment.slotTime,
+      amount: payment.amount + (payment.discount?.amount || 0),
+      discount: payment.discount?.amount || 0,
+      discountCode: payment.discount?.code || "",
+      taxAmount: payment.tax_amount,
+      serviceCharge: payment.product_service_charge,
+      vatPercent: payment.tax_rates?.vatPercent || 0,
+      serviceChargePercent: payment.tax_rates?.serviceChargePercent || 0,
+      totalAmount: Number(payment.total_amount),
+      gateway: payment.gateway || "esewa",
+      transactionUuid: payment.transaction_uuid,
+      refId: payment.ref_id || "",
+    });
+    return { invoice };
+  } catch (error) {
+    const issued = error.code === 11000 && (await Invoice.findOne({ paymentId: payment._id }));
+    // Another request issued it first; its number stands and this one is voided
+    await voidSequence(
+      "invoice",
+      sequence,
+      issued ? `Payment ${payment._id} was invoiced as ${issued.number}` : `Not issued: ${error.message}`
+    );
+    if (issued) return { invoice: issued };
+    throw error;
+  }
+};
+
+/**
+ * Get the invoice of an appointment's completed payment, issuing it if needed.
+ *
+ * @function
+ * @async
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} [filter={}] - Extra conditions on the appointment, e.g. `{ userId }` to enforce ownership
+ * @returns {Promise<{invoice?: Object, message?: string}>} The invoice, or an error message
+ */
+export const getAppointmentInvoice = async (appointmentId, filter = {}) => {
+  const appointment = await appointmentModel
+    .findOne({ _id: appointmentId, ...filter })
+    .select("_id");
+  if (!appointment) {
+    return { message: "Appointment not found" };
+  }
+
+  const payment = await Payment.findOne({
+    appointmentId: appointment._id,
+    status: { $in: INVOICED_PAYMENT_STATUSES },
+  }).sort({ createdAt: -1 });
+  if (!payment) {
+    return { message: "This appointment has no completed payment" };
+  }
+
+  return issueInvoice(payment);
+};
+
+const formatMoney = (value) =>
+  `${value < 0 ? "- " : ""}Rs. ${Math.abs(Number(value || 0)).toFixed(2)}`;
+
+/**
+ * The appointment date as printed on an invoice, e.g. '20 October 2026'.
+ * Invoices issued before slot dates were stored as 'D_M_YYYY' keys hold the
+ * date as a string, which is read as a date instead.
+ * @param {string} slotDate - Invoice slotDate
+ * @returns {string}
+ */
+export const formatAppointmentDate = (slotDate) => {
+  const date = parseSlotDate(slotDate) || new Date(slotDate);
+  return Number.isNaN(date.getTime())
+    ? String(slotDate)
+    : date.toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric" });
+};
+
+/**
+ * Render an invoice as a PDF.
+ *
+ * @function
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>} The PDF file
+ */
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { clinic, doctor, patient } = invoice;
+    const appointmentDate = formatAppointmentDate(invoice.slotDate);
+
+    // Clinic header
+    doc.fontSize(20).font("Helvetica-Bold").text(clinic.name);
+    doc.fontSize(10).font("Helvetica");
+    [clinic.address, clinic.phone, clinic.email, clinic.pan && `PAN/VAT No: ${clinic.pan}`]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line));
+
+    doc.moveDown(1.5);
+    doc.fontSize(16).font("Helvetica-Bold").text("INVOICE / RECEIPT");
+    doc.fontSize(10).font("Helvetica");
+    doc.text(`Invoice No: ${invoice.number}`);
+    doc.text(`Issued: ${new Date(invoice.issuedAt).toLocaleDateString("en-GB")}`);
+
+    doc.moveDown();
+    doc.font("Helvetica-Bold").text("Billed to");
+    doc.font("Helvetica").text(patient.name);
+    [patient.email, patient.phone].filter(Boolean).forEach((line) => doc.text(line));
+
+    doc.moveDown();
+    doc.font("Helvetica-Bold").text("Appointment");
+    doc.font("Helvetica").text(`${doctor.name}${doctor.speciality ? ` (${doctor.speciality})` : ""}`);
+    doc.text(`${appointmentDate}, ${invoice.slotTime}`);
+
+    // Amounts
+    doc.moveDown(1.5);
+    const rows = [["Consultation fee", invoice.amount]];
+    if (invoice.discount > 0) {
+      rows.push([`Discount (${invoice.discountCode})`, -invoice.discount]);
+    }
+    if (invoice.serviceCharge > 0) {
+      const rate = invoice.serviceChargePercent ? ` (${invoice.serviceChargePercent}%)` : "";
+      rows.push([`Service charge${rate}`, invoice.serviceCharge]);
+    }
+    rows.push(["Taxable amount", invoice.totalAmount - invoice.taxAmount]);
+    rows.push([invoice.vatPercent > 0 ? `VAT (${invoice.vatPercent}%)` : "VAT (exempt)", invoice.taxAmount]);
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    rows.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.text(label, left, y);
+      doc.text(formatMoney(value), left, y, { width: right - left, align: "right" });
+    });
+    doc.moveTo(left, doc.y + 4).lineTo(right, doc.y + 4).stroke();
+    doc.moveDown(0.5);
+    const totalY = doc.y;
+    doc.font("Helvetica-Bold").text("Total paid", left, totalY);
+    doc.text(formatMoney(invoice.totalAmount), left, totalY, { width: right - left, align: "right" });
+
+    doc.moveDown(1.5);
+    doc.font("Helvetica").fontSize(9);
+    doc.text(`Paid via ${invoice.gateway}`, left);
+    doc.text(`Transaction ID: ${invoice.transactionUuid}`);
+    if (invoice.refId) {
+      doc.text(`Gateway reference: ${invoice.refId}`);
+    }
+
+    doc.end();
+  });
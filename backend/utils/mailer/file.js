@@ -0,0 +1,50 @@
+/**
+ * Local mail transport for development, used only with MAIL_TRANSPORT=file.
+ * Writes each message to the outbox folder as an .eml file, which any mail
+ * client can open. Nothing leaves the machine, and only the recipient and
+ * subject are logged, since bodies carry account links.
+ *
+ * @module utils/mailer/file
+ */
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { getMailSettings } from "../../config/mail.js";
+
+/**
+ * Build a minimal RFC 5322 message with a plain-text body.
+ * @param {import('./index.js').MailMessage & {from: string}} message
+ * @param {string} messageId
+ * @returns {string}
+ */
+const toEml = ({ from, to, subject, text }, messageId) =>
+  [
+    `Message-ID: ${messageId}`,
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    text,
+  ].join("\r\n");
+
+/** @type {import('./index.js').MailTransport} */
+const file = {
+  name: "file",
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const messageId = `<${id}@mail-outbox>`;
+    const { outboxDir } = getMailSettings();
+    const filePath = path.resolve(outboxDir, `${id}.eml`);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, toEml(message, messageId));
+    console.log(`Mail to ${message.to}: ${message.subject} (saved to ${filePath})`);
+    return { messageId };
+  },
+};
+
+export default file;
@@ -0,0 +1,57 @@
+/**
+ * Outgoing email.
+ * Every transport implements the same interface, so the code sending account
+ * emails never depends on how they are delivered:
+ *
+ * - `send(message)` delivers one message and returns `{ messageId }`.
+ *
+ * A failure is reported as `{ message }`.
+ *
+ * @module utils/mailer
+ */
+import { getMailSettings } from "../../config/mail.js";
+import smtp from "./smtp.js";
+import file from "./file.js";
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} to - Recipient address
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain-text body
+ * @property {string} [html] - HTML body
+ */
+
+/**
+ * @typedef {Object} MailTransport
+ * @property {string} name - Identifier used in MAIL_TRANSPORT
+ * @property {function(MailMessage & {from: string}): Promise<{messageId?: string, message?: string}>} send
+ */
+
+/** @type {Object<string, MailTransport>} */
+const TRANSPORTS = { smtp, file };
+
+/**
+ * Send an email with the configured transport.
+ *
+ * @function
+ * @async
+ * @param {MailMessage} message
+ * @returns {Promise<{messageId?: string, message?: string}>} The message ID, or a message if it was not sent
+ */
+export const sendMail = async (message) => {
+  const settings = getMailSettings();
+  const transport = TRANSPORTS[settings.transport];
+  if (!transport) {
+    const reason = settings.transport
+      ? `Unknown mail transport '${settings.transport}'`
+      : "No mail transport is configured; set SMTP_HOST, or MAIL_TRANSPORT=file in development";
+    console.error("Mail not sent:", reason);
+    return { message: reason };
+  }
+  try {
+    return await transport.send({ from: settings.from, ...message });
+  } catch (error) {
+    console.error(`Error sending mail (${transport.name}):`, error);
+    return { message: "Email could not be sent" };
+  }
+};
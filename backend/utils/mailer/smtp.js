@@ -0,0 +1,47 @@
+/**
+ * SMTP mail transport.
+ * One connection pool is kept per server configuration and reused.
+ *
+ * @module utils/mailer/smtp
+ */
+import nodemailer from "nodemailer";
+import { getMailSettings } from "../../config/mail.js";
+
+let transporter = null;
+let transporterKey = "";
+
+/**
+ * Get the nodemailer transporter for the current SMTP settings.
+ * @returns {import('nodemailer').Transporter}
+ */
+const getTransporter = () => {
+  const { smtp: settings } = getMailSettings();
+  const key = JSON.stringify(settings);
+  if (!transporter || transporterKey !== key) {
+    transporter?.close();
+    transporter = nodemailer.createTransport({
+      pool: true,
+      host: settings.host,
+      port: settings.port,
+      secure: settings.secure,
+      auth: settings.user ? { user: settings.user, pass: settings.pass } : undefined,
+    });
+    transporterKey = key;
+  }
+  return transporter;
+};
+
+/** @type {import('./index.js').MailTransport} */
+const smtp = {
+  name: "smtp",
+
+  async send({ from, to, subject, text, html }) {
+    if (!getMailSettings().smtp.host) {
+      return { message: "SMTP_HOST is not set" };
+    }
+    const info = await getTransporter().sendMail({ from, to, subject, text, html });
+    return { messageId: info.messageId };
+  },
+};
+
+export default smtp;
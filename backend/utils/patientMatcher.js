@@ -8,6 +8,7 @@
 import Doctor from '../models/doctorModel.js';
 import User from '../models/userModel.js';
 import appointmentModel from '../models/appointmentModel.js';
+import { APPOINTMENT_STATUS } from '../config/appointmentStatus.js';
 import ngramSearch from './ngramSearch.js';
 
 /**
@@ -591,7 +592,7 @@ class PatientMatcher {
       // Get doctor's appointment history
       const appointments = await appointmentModel.find({ 
         docId: doctorId,
-        cancelled: false 
+        status: { $ne: APPOINTMENT_STATUS.CANCELLED }
       }).populate('userId');
 
       if (appointments.length === 0) return [];
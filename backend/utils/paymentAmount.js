@@ -0,0 +1,112 @@
+/**
+ * Server-side payable amounts.
+ * What a patient owes is always derived from the appointment, never taken
+ * from the client, and gateway results are compared against it before an
+ * appointment is marked as paid.
+ *
+ * @module utils/paymentAmount
+ */
+import { getTaxRules } from "../config/tax.js";
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Parse an amount returned by a gateway, e.g. 1000, "1000.0" or "1,000.0".
+ * @param {number|string} value
+ * @returns {number} The amount, or NaN if it cannot be read
+ */
+export const parseAmount = (value) => {
+  if (typeof value === "number") return value;
+  if (value === undefined || value === null || value === "") return NaN;
+  return Number(String(value).replace(/,/g, ""));
+};
+
+/**
+ * Compare two amounts to the paisa.
+ * @param {number|string} a
+ * @param {number|string} b
+ * @returns {boolean} True if both are readable and equal
+ */
+export const amountsMatch = (a, b) => {
+  const left = parseAmount(a);
+  const right = parseAmount(b);
+  return Number.isFinite(left) && Number.isFinite(right) && Math.abs(left - right) < 0.005;
+};
+
+/**
+ * Work out what a patient pays for an appointment.
+ * Uses the fee recorded on the appointment at booking, falling back to the
+ * doctor's fee snapshot for older appointments, less any promo code discount.
+ * The service charge and VAT are then added following {@link module:config/tax},
+ * with exemptions by the doctor's speciality.
+ *
+ * @param {Object} appointment - Appointment document
+ * @param {Object} [options]
+ * @param {number} [options.discount=0] - Discount taken off the fee
+ * @param {Object} [options.rules=getTaxRules()] - Tax rules to apply
+ * @returns {{fee: number, discount: number, amount: number, taxAmount: number, serviceCharge: number, deliveryCharge: number, totalAmount: number, rates: {vatPercent: number, serviceChargePercent: number}}}
+ *   `amount` is the fee after the discount; `rates` are the rates applied after exemptions
+ */
+export const getPayableAmount = (appointment, { discount = 0, rules = getTaxRules() } = {}) => {
+  const fee = Number(appointment.amount || appointment.docData?.fees || 0);
+  const amount = roundAmount(Math.max(fee - discount, 0));
+  const speciality = String(appointment.docData?.speciality || "").toLowerCase();
+  const rates = {
+    vatPercent: rules.vatExemptSpecialities.includes(speciality) ? 0 : rules.vatPercent,
+    serviceChargePercent: rules.serviceChargeExemptSpecialities.includes(speciality)
+      ? 0
+      : rules.serviceChargePercent,
+  };
+  const serviceCharge = roundAmount((amount * rates.serviceChargePercent) / 100);
+  const deliveryCharge = 0;
+  const taxAmount = roundAmount(((amount + serviceCharge) * rates.vatPercent) / 100);
+  return {
+    fee,
+    discount,
+    amount,
+    taxAmount,
+    serviceCharge,
+    deliveryCharge,
+    totalAmount: roundAmount(amount + taxAmount + serviceCharge + deliveryCharge),
+    rates,
+  };
+};
+
+/**
+ * Amount of a payment charged through its gateway, i.e. the total less the
+ * part paid from the patient's wallet.
+ * @param {Object} payment - Payment document
+ * @returns {number}
+ */
+export const getGatewayAmount = (payment) =>
+  roundAmount(parseAmount(payment.total_amount) - (payment.wallet_amount || 0));
+
+/**
+ * Take wallet credit off a payable amount, to get what the gateway charges.
+ * The credit comes off the fee first, then the charges and tax, so the parts
+ * still add up to the total the gateway is sent.
+ *
+ * @param {Object} payable - Result of getPayableAmount
+ * @param {number} walletAmount - Wallet credit applied, at most the total
+ * @returns {{amount: number, taxAmount: number, serviceCharge: number, deliveryCharge: number, totalAmount: number}}
+ */
+export const deductWalletAmount = (payable, walletAmount) => {
+  let remaining = walletAmount;
+  const deduct = (value) => {
+    const taken = Math.min(value, remaining);
+    remaining = roundAmount(remaining - taken);
+    return roundAmount(value - taken);
+  };
+  const amount = deduct(payable.amount);
+  const serviceCharge = deduct(payable.serviceCharge);
+  const deliveryCharge = deduct(payable.deliveryCharge);
+  const taxAmount = deduct(payable.taxAmount);
+  return {
+    ...payable,
+    amount,
+    taxAmount,
+    serviceCharge,
+    deliveryCharge,
+    totalAmount: roundAmount(amount + taxAmount + serviceCharge + deliveryCharge),
+  };
+};
@@ -0,0 +1,128 @@
+/**
+ * Payment attempts.
+ * An appointment has at most one payment attempt in progress (a PENDING
+ * Payment) at a time, so a patient who retries is sent back to the checkout
+ * they already started instead of being charged twice. Clients can also send
+ * an idempotency key: repeating a request with the same key returns the same
+ * attempt.
+ *
+ * @module utils/paymentAttempts
+ */
+import Payment from "../models/paymentModel.js";
+import { getGateway } from "./paymentGateways/index.js";
+import { settlePayment } from "./paymentReconciliation.js";
+import { PAYMENT_STATUS } from "../config/paymentGateways.js";
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_:.-]{8,128}$/;
+
+// How long a new attempt may take to get its checkout from the gateway
+const SETUP_GRACE_MS = 2 * 60 * 1000;
+
+/**
+ * Check the idempotency key sent with a payment request.
+ *
+ * @function
+ * @param {string|undefined} key - Key from the Idempotency-Key header or the body
+ * @returns {{key?: string, message?: string}} The key, none if not sent, or a message if it is malformed
+ */
+export const parseIdempotencyKey = (key) => {
+  if (key === undefined || key === null || key === "") {
+    return {};
+  }
+  if (!IDEMPOTENCY_KEY_PATTERN.test(String(key))) {
+    return { message: "Idempotency key must be 8 to 128 letters, digits or - _ : ." };
+  }
+  return { key: String(key) };
+};
+
+/**
+ * Find the payment a patient started with an idempotency key.
+ *
+ * @function
+ * @async
+ * @param {string} userId - The patient's ID
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object|null>}
+ */
+export const findAttemptByKey = (userId, key) =>
+  Payment.findOne({ "user._id": String(userId), idempotency_key: key });
+
+/**
+ * Get the payment attempt of an appointment that a new attempt would clash with.
+ * - An appointment with a completed payment, or one under review for a wrong
+ *   amount, cannot be paid again.
+ * - A PENDING attempt still getting its checkout from the gateway is left alone.
+ * - Otherwise a PENDING attempt is first checked with its gateway. If the
+ *   patient never reached the gateway it is expired and a new attempt can
+ *   start. If it is still open and was started with the same gateway, total
+ *   and promo code, it is returned so the patient can resume it; otherwise the
+ *   new attempt must wait until it ends.
+ *
+ * @function
+ * @async
+ * @param {string} appointmentId - Appointment being paid for
+ * @param {Object} options - What the new attempt would be
+ * @param {string} options.gateway - Gateway name
+ * @param {number} options.totalAmount - Total the patient pays
+ * @param {string} [options.couponCode] - Promo code applied
+ * @param {boolean} [options.useWallet] - Whether wallet balance is spent
+ * @returns {Promise<{payment?: Object, message?: string}>} An attempt to resume, a message
+ *   if a new attempt cannot start, or neither if it can
+ */
+export const getOpenAttempt = async (
+  appointmentId,
+  { gateway, totalAmount, couponCode = "", useWallet = false }
+) => {
+  const settled = await Payment.findOne({
+    appointmentId,
+    status: { $in: [PAYMENT_STATUS.COMPLETE, PAYMENT_STATUS.AMBIGUOUS] },
+  }).select("status");
+  if (settled?.status === PAYMENT_STATUS.COMPLETE) {
+    return { message: "This appointment has already been paid" };
+  }
+  if (settled) {
+    return { message: "A previous payment for this appointment is being reviewed. Please contact the clinic" };
+  }
+
+  const pending = await Payment.findOne({ appointmentId, status: PAYMENT_STATUS.PENDING });
+  if (!pending) {
+    return {};
+  }
+  if (!pending.checkout && Date.now() - pending.createdAt.getTime() < SETUP_GRACE_MS) {
+    return { message: "A payment for this appointment is being set up. Please try again in a moment" };
+  }
+
+  const pendingGateway = getGateway(pending.gateway || "esewa");
+  if (pendingGateway) {
+    const { status, message } = await settlePayment(pending, pendingGateway, {
+      abandon: true,
+      actorId: "payment-retry",
+    });
+    if (message) {
+      return { message: "Could not check the payment already in progress. Please try again shortly" };
+    }
+    if (status === PAYMENT_STATUS.COMPLETE) {
+      return { message: "This appointment has already been paid" };
+    }
+    if (status === PAYMENT_STATUS.AMBIGUOUS) {
+      return { message: "A previous payment for this appointment is being reviewed. Please contact the clinic" };
+    }
+    if (status !== PAYMENT_STATUS.PENDING) {
+      return {};
+    }
+  }
+
+  const sameAttempt =
+    pending.checkout &&
+    pending.gateway === gateway &&
+    Number(pending.total_amount) === Number(totalAmount) &&
+    (pending.discount?.code || "") === couponCode &&
+    (pending.wallet_amount > 0) === Boolean(useWallet);
+  if (sameAttempt) {
+    return { payment: pending };
+  }
+  const label = pendingGateway?.label || pending.gateway;
+  return {
+    message: `A ${label} payment for this appointment is already in progress. Complete or cancel it before paying another way`,
+  };
+};
@@ -0,0 +1,148 @@
+/**
+ * eSewa ePay v2 gateway.
+ * The patient's browser posts a signed form to eSewa, which redirects back
+ * with a base64 payload; the status API gives the authoritative result.
+ *
+ * @module utils/paymentGateways/esewa
+ */
+import crypto from "crypto";
+import axios from "axios";
+import {
+  PAYMENT_STATUS,
+  getBackendUrl,
+  getEsewaConfig,
+} from "../../config/paymentGateways.js";
+import { getGatewayAmount } from "../paymentAmount.js";
+
+const SIGNED_FIELD_NAMES = "total_amount,transaction_uuid,product_code";
+
+/**
+ * Sign the fields eSewa expects, as a base64 HMAC-SHA256.
+ * @param {string} message - 'key=value' pairs joined by commas
+ * @param {string} secretKey - Merchant secret
+ * @returns {string}
+ */
+const sign = (message, secretKey) =>
+  crypto.createHmac("sha256", secretKey).update(message).digest("base64");
+
+/**
+ * Check the signature eSewa puts on its redirect.
+ * The signed message is built from the fields listed in `signed_field_names`,
+ * in that order, exactly as eSewa signs its requests.
+ * @param {Object} data - Decoded eSewa response
+ * @param {string} secretKey - Merchant secret
+ * @returns {boolean} True if the signature is present and valid
+ */
+const hasValidSignature = (data, secretKey) => {
+  if (typeof data.signature !== "string" || typeof data.signed_field_names !== "string") {
+    return false;
+  }
+  const fields = data.signed_field_names.split(",").map((field) => field.trim());
+  if (fields.some((field) => data[field] === undefined)) {
+    return false;
+  }
+  const message = fields.map((field) => `${field}=${data[field]}`).join(",");
+  const expected = Buffer.from(sign(message, secretKey));
+  const received = Buffer.from(data.signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Map an eSewa status onto our payment statuses.
+ * eSewa already uses the same names; anything unexpected is ambiguous.
+ * @param {string} status
+ * @returns {string}
+ */
+const mapStatus = (status) =>
+  Object.values(PAYMENT_STATUS).includes(status) ? status : PAYMENT_STATUS.AMBIGUOUS;
+
+/** @type {import('./index.js').PaymentGateway} */
+const esewa = {
+  name: "esewa",
+  label: "eSewa",
+
+  async initiate(order) {
+    const { productCode, secretKey, formUrl } = getEsewaConfig();
+    const message = `total_amount=${order.totalAmount},transaction_uuid=${order.transactionUuid},product_code=${productCode}`;
+    const signature = sign(message, secretKey);
+    const backendUrl = getBackendUrl();
+
+    return {
+      checkout: {
+        method: "POST",
+        url: formUrl,
+        fields: {
+          amount: String(order.amount),
+          tax_amount: String(order.taxAmount),
+          product_service_charge: String(order.serviceCharge),
+          product_delivery_charge: String(order.deliveryCharge),
+          total_amount: String(order.totalAmount),
+          transaction_uuid: order.transactionUuid,
+          product_code: productCode,
+          success_url: `${backendUrl}/api/payment/esewa/success`,
+          failure_url: `${backendUrl}/api/payment/esewa/failure`,
+          signed_field_names: SIGNED_FIELD_NAMES,
+          signature,
+        },
+      },
+      record: {
+        product_code: productCode,
+        signature,
+        signed_field_names: SIGNED_FIELD_NAMES,
+      },
+    };
+  },
+
+  async parseCallback(query) {
+    if (!query.data) {
+      return { message: "Missing eSewa response" };
+    }
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(String(query.data), "base64").toString("utf8"));
+    } catch {
+      return { message: "Malformed eSewa response" };
+    }
+
+    const { productCode, secretKey } = getEsewaConfig();
+    if (!hasValidSignature(data, secretKey)) {
+      return { message: "Invalid eSewa signature" };
+    }
+    if (data.product_code !== productCode) {
+      return { message: "eSewa response is for another merchant" };
+    }
+
+    return {
+      transactionUuid: data.transaction_uuid,
+      totalAmount: data.total_amount,
+      record: {
+        transaction_code: data.transaction_code || "",
+        esewa_signature: data.signature || "",
+      },
+    };
+  },
+
+  async lookupStatus(payment) {
+    const { productCode, statusUrl } = getEsewaConfig();
+    const { data } = await axios.get(statusUrl, {
+      params: {
+        product_code: payment.product_code || productCode,
+        total_amount: getGatewayAmount(payment),
+        transaction_uuid: payment.transaction_uuid,
+      },
+    });
+    return {
+      status: mapStatus(data.status),
+      refId: data.ref_id || "",
+      totalAmount: data.total_amount,
+    };
+  },
+
+  async refund() {
+    return {
+      message: "eSewa refunds must be issued from the eSewa merchant portal",
+    };
+  },
+};
+
+export default esewa;
@@ -0,0 +1,66 @@
+/**
+ * Registry of payment gateways.
+ * Every gateway implements the same interface, so controllers never depend on
+ * a specific provider:
+ *
+ * - `initiate(order)` starts a payment and returns where to send the patient.
+ * - `parseCallback(query)` reads the provider's redirect back to us.
+ * - `lookupStatus(payment)` asks the provider for the authoritative status.
+ * - `refund(payment, amount)` returns money to the patient, where supported.
+ *
+ * Methods return plain objects; a failure is reported as `{ message }`.
+ *
+ * @module utils/paymentGateways
+ */
+import { getEnabledGateways } from "../../config/paymentGateways.js";
+import esewa from "./esewa.js";
+import khalti from "./khalti.js";
+import mock from "./mock.js";
+
+/**
+ * @typedef {Object} PaymentOrder
+ * @property {string} transactionUuid - Our transaction ID, unique per attempt
+ * @property {number} amount - Base amount
+ * @property {number} taxAmount - Tax included in the total
+ * @property {number} serviceCharge - Service charge included in the total
+ * @property {number} deliveryCharge - Delivery charge included in the total
+ * @property {number} totalAmount - Amount the patient pays
+ * @property {string} appointmentId - Appointment being paid for
+ * @property {Object} [customer] - Patient name, email and phone
+ */
+
+/**
+ * @typedef {Object} PaymentGateway
+ * @property {string} name - Identifier used in routes and stored on Payment.gateway
+ * @property {string} label - Name shown to patients
+ * @property {function(PaymentOrder): Promise<{checkout?: {method: string, url: string, fields?: Object}, record?: Object, message?: string}>} initiate
+ *   `checkout` tells the browser where to go; `record` holds fields to store on the Payment
+ * @property {function(Object): Promise<{transactionUuid?: string, totalAmount?: number|string, record?: Object, message?: string}>} parseCallback
+ *   Rejects callbacks that fail the gateway's own integrity checks, such as eSewa's signature
+ * @property {function(Object): Promise<{status?: string, refId?: string, totalAmount?: number|string, message?: string}>} lookupStatus
+ *   `totalAmount` is what the gateway says was paid, in rupees
+ * @property {function(Object, number=): Promise<{status?: string, refId?: string, message?: string}>} refund
+ *   Omitting the amount refunds the full payment
+ */
+
+/** @type {Object<string, PaymentGateway>} */
+const GATEWAYS = { esewa, khalti, mock };
+
+/**
+ * Get a gateway by name.
+ * @param {string} name - Gateway name, e.g. 'esewa'
+ * @returns {PaymentGateway|null} The gateway, or null if it is unknown or disabled
+ */
+export const getGateway = (name) => {
+  const key = String(name || "").toLowerCase();
+  return GATEWAYS[key] && getEnabledGateways().includes(key) ? GATEWAYS[key] : null;
+};
+
+/**
+ * List the gateways patients can choose from, in configured order.
+ * @returns {Array<{name: string, label: string}>}
+ */
+export const listGateways = () =>
+  getEnabledGateways()
+    .filter((name) => GATEWAYS[name])
+    .map((name) => ({ name, label: GATEWAYS[name].label }));
@@ -0,0 +1,120 @@
+/**
+ * Khalti ePayment (KPG-2) gateway.
+ * The backend starts a payment session and sends the patient to Khalti's
+ * payment page; Khalti redirects back with the session `pidx`, which is then
+ * confirmed with the lookup API. Khalti amounts are in paisa.
+ *
+ * @module utils/paymentGateways/khalti
+ */
+import axios from "axios";
+import {
+  PAYMENT_STATUS,
+  getBackendUrl,
+  getFrontendUrl,
+  getKhaltiConfig,
+} from "../../config/paymentGateways.js";
+import { getGatewayAmount } from "../paymentAmount.js";
+
+const KHALTI_STATUS = {
+  Completed: PAYMENT_STATUS.COMPLETE,
+  Pending: PAYMENT_STATUS.PENDING,
+  Initiated: PAYMENT_STATUS.PENDING,
+  Refunded: PAYMENT_STATUS.FULL_REFUND,
+  "Partially Refunded": PAYMENT_STATUS.PARTIAL_REFUND,
+  Expired: PAYMENT_STATUS.FAILED,
+  "User canceled": PAYMENT_STATUS.CANCELED,
+};
+
+/**
+ * Convert rupees to paisa.
+ * @param {number|string} amount
+ * @returns {number}
+ */
+const toPaisa = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Request headers carrying the merchant secret.
+ * @param {string} secretKey
+ * @returns {Object}
+ */
+const authHeaders = (secretKey) => ({ Authorization: `Key ${secretKey}` });
+
+/** @type {import('./index.js').PaymentGateway} */
+const khalti = {
+  name: "khalti",
+  label: "Khalti",
+
+  async initiate(order) {
+    const { secretKey, baseUrl } = getKhaltiConfig();
+    if (!secretKey) {
+      return { message: "Khalti is not configured" };
+    }
+
+    const customer = order.customer || {};
+    const { data } = await axios.post(
+      `${baseUrl}/epayment/initiate/`,
+      {
+        return_url: `${getBackendUrl()}/api/payment/khalti/success`,
+        website_url: getFrontendUrl(),
+        amount: toPaisa(order.totalAmount),
+        purchase_order_id: order.transactionUuid,
+        purchase_order_name: `Appointment ${order.appointmentId}`,
+        customer_info: {
+          name: customer.name || "",
+          email: customer.email || "",
+          phone: customer.phone || "",
+        },
+      },
+      { headers: authHeaders(secretKey) }
+    );
+
+    return {
+      checkout: { method: "GET", url: data.payment_url },
+      record: { gateway_reference: data.pidx },
+    };
+  },
+
+  async parseCallback(query) {
+    if (!query.purchase_order_id || !query.pidx) {
+      return { message: "Missing Khalti response" };
+    }
+    return {
+      transactionUuid: query.purchase_order_id,
+      totalAmount: query.amount !== undefined ? Number(query.amount) / 100 : undefined,
+      record: { transaction_code: query.transaction_id || "" },
+    };
+  },
+
+  async lookupStatus(payment) {
+    const { secretKey, baseUrl } = getKhaltiConfig();
+    const { data } = await axios.post(
+      `${baseUrl}/epayment/lookup/`,
+      { pidx: payment.gateway_reference },
+      { headers: authHeaders(secretKey) }
+    );
+    return {
+      status: KHALTI_STATUS[data.status] || PAYMENT_STATUS.AMBIGUOUS,
+      refId: data.transaction_id || "",
+      totalAmount: Number(data.total_amount) / 100,
+    };
+  },
+
+  async refund(payment, amount) {
+    const { secretKey, refundUrl } = getKhaltiConfig();
+    if (!payment.ref_id) {
+      return { message: "Payment has no Khalti transaction to refund" };
+    }
+    const partial = amount !== undefined && Number(amount) < getGatewayAmount(payment);
+    await axios.post(
+      `${refundUrl}/${payment.ref_id}/refund/`,
+      partial ? { amount: toPaisa(amount) } : {},
+      { headers: authHeaders(secretKey) }
+    );
+    return {
+      status: partial ? PAYMENT_STATUS.PARTIAL_REFUND : PAYMENT_STATUS.FULL_REFUND,
+      refId: payment.ref_id,
+    };
+  },
+};
+
+export default khalti;
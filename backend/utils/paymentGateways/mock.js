@@ -0,0 +1,110 @@
+/**
+ * Local mock gateway for development and tests.
+ * Serves its own checkout page from this backend, so the whole payment flow
+ * (initiate, pay or cancel, callback, status lookup, refund) runs without
+ * network access. Sessions live in memory and are lost on restart.
+ *
+ * @module utils/paymentGateways/mock
+ */
+import crypto from "crypto";
+import { PAYMENT_STATUS, getBackendUrl } from "../../config/paymentGateways.js";
+
+/**
+ * Mock payment sessions by reference.
+ * @type {Map<string, {transactionUuid: string, totalAmount: number, status: string, refId: string}>}
+ */
+const sessions = new Map();
+
+/**
+ * Escape text for inclusion in the checkout page.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/** @type {import('./index.js').PaymentGateway & {renderCheckout: function(string): string|null}} */
+const mock = {
+  name: "mock",
+  label: "Test payment (mock)",
+
+  async initiate(order) {
+    const reference = `mock_${crypto.randomUUID()}`;
+    sessions.set(reference, {
+      transactionUuid: order.transactionUuid,
+      totalAmount: Number(order.totalAmount),
+      status: PAYMENT_STATUS.PENDING,
+      refId: "",
+    });
+    return {
+      checkout: {
+        method: "GET",
+        url: `${getBackendUrl()}/api/payment/mock/checkout?reference=${reference}`,
+      },
+      record: { gateway_reference: reference },
+    };
+  },
+
+  /**
+   * Render the checkout page for a mock session.
+   * @param {string} reference - Session reference
+   * @returns {string|null} HTML, or null if the session does not exist
+   */
+  renderCheckout(reference) {
+    const session = sessions.get(reference);
+    if (!session) return null;
+    const base = `${getBackendUrl()}/api/payment/mock`;
+    const ref = encodeURIComponent(reference);
+    return `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><title>Mock payment</title></head>
+  <body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto;">
+    <h1>Mock payment</h1>
+    <p>Transaction ${escapeHtml(session.transactionUuid)}</p>
+    <p>Amount: Rs. ${escapeHtml(session.totalAmount)}</p>
+    <p>
+      <a href="${base}/success?reference=${ref}&outcome=paid">Pay</a>
+      &nbsp;|&nbsp;
+      <a href="${base}/failure?reference=${ref}&outcome=cancelled">Cancel</a>
+    </p>
+  </body>
+</html>`;
+  },
+
+  async parseCallback(query) {
+    const session = sessions.get(query.reference);
+    if (!session) {
+      return { message: "Unknown mock payment session" };
+    }
+    if (session.status === PAYMENT_STATUS.PENDING) {
+      session.status =
+        query.outcome === "paid" ? PAYMENT_STATUS.COMPLETE : PAYMENT_STATUS.CANCELED;
+      session.refId = query.outcome === "paid" ? `MOCK-${Date.now()}` : "";
+    }
+    return {
+      transactionUuid: session.transactionUuid,
+      totalAmount: session.totalAmount,
+      record: { transaction_code: session.refId },
+    };
+  },
+
+  async lookupStatus(payment) {
+    const session = sessions.get(payment.gateway_reference);
+    if (!session) {
+      return { status: PAYMENT_STATUS.NOT_FOUND, refId: "" };
+    }
+    return { status: session.status, refId: session.refId, totalAmount: session.totalAmount };
+  },
+
+  async refund(payment, amount) {
+    const session = sessions.get(payment.gateway_reference);
+    if (!session || !session.refId) {
+      return { message: "Mock payment was not completed" };
+    }
+    const partial = amount !== undefined && Number(amount) < session.totalAmount;
+    session.status = partial ? PAYMENT_STATUS.PARTIAL_REFUND : PAYMENT_STATUS.FULL_REFUND;
+    return { status: session.status, refId: session.refId };
+  },
+};
+
+export default mock;
@@ -0,0 +1,271 @@
+/**
+ * Payments ledger for admins.
+ * Filters the Payment collection by status, date range, doctor, patient,
+ * gateway and transaction UUID, pages through the result with the linked
+ * appointment, and exports it as CSV for the accountant.
+ *
+ * @module utils/paymentLedger
+ */
+import mongoose from "mongoose";
+import Payment from "../models/paymentModel.js";
+import Refund from "../models/refundModel.js";
+import Invoice from "../models/invoiceModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { PAYMENT_STATUS } from "../config/paymentGateways.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Upper bound on rows in one CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+// Appointment fields shown next to a payment in the ledger
+const APPOINTMENT_FIELDS = "slotDate slotTime status paymentMethod docId docData.name docData.speciality userData.name";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Parse a 'YYYY-MM-DD' date filter.
+ * @param {string} value - Date from the query string
+ * @param {boolean} endOfDay - Whether to return the last moment of that day
+ * @returns {Date|null} The date, or null when the value is not a valid date
+ */
+const parseDateFilter = (value, endOfDay) => {
+  if (!DATE_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build the Payment query for the ledger filters.
+ * - `status`: one of PAYMENT_STATUS.
+ * - `from` / `to`: 'YYYY-MM-DD' bounds on the payment date, both inclusive.
+ * - `doctorId`: payments for that doctor's appointments.
+ * - `patientId`: payments made by that patient.
+ * - `patient`: part of the patient's name, email or phone.
+ * - `gateway`: e.g. 'esewa', 'khalti', 'cash' or 'coupon'.
+ * - `search`: part of the transaction UUID.
+ * @param {Object} filters - Filters from the query string
+ * @returns {Promise<{query?: Object, message?: string}>}
+ */
+export const buildLedgerQuery = async (filters = {}) => {
+  const { status, from, to, doctorId, patientId, patient, gateway, search } = filters;
+  const query = {};
+
+  if (status) {
+    if (!Object.values(PAYMENT_STATUS).includes(status)) {
+      return { message: "Unknown payment status" };
+    }
+    query.status = status;
+  }
+
+  if (from || to) {
+    const start = from ? parseDateFilter(from, false) : null;
+    const end = to ? parseDateFilter(to, true) : null;
+    if ((from && !start) || (to && !end)) {
+      return { message: "Dates must be in YYYY-MM-DD format" };
+    }
+    if (start && end && start > end) {
+      return { message: "The start date must be before the end date" };
+    }
+    query.createdAt = {};
+    if (start) query.createdAt.$gte = start;
+    if (end) query.createdAt.$lte = end;
+  }
+
+  if (doctorId) {
+    if (!mongoose.isValidObjectId(doctorId)) {
+      return { message: "Invalid doctor" };
+    }
+    const appointmentIds = await appointmentModel.find({ docId: String(doctorId) }).distinct("_id");
+    query.appointmentId = { $in: appointmentIds };
+  }
+
+  if (patientId) {
+    query["user._id"] = String(patientId);
+  }
+
+  if (patient) {
+    const pattern = { $regex: escapeRegex(String(patient).trim()), $options: "i" };
+    query.$or = [{ "user.name": pattern }, { "user.email": pattern }, { "user.phone": pattern }];
+  }
+
+  if (gateway) {
+    query.gateway = String(gateway);
+  }
+
+  if (search) {
+    query.transaction_uuid = { $regex: escapeRegex(String(search).trim()), $options: "i" };
+  }
+
+  return { query };
+};
+
+/**
+ * Sum the amounts of the payments matching a ledger query.
+ * @param {Object} query - Query from buildLedgerQuery
+ * @returns {Promise<{count: number, totalAmount: number, refundedAmount: number, completedAmount: number}>}
+ */
+const sumLedger = async (query) => {
+  const [totals] = await Payment.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        totalAmount: { $sum: { $toDouble: "$total_amount" } },
+        refundedAmount: { $sum: "$refunded_amount" },
+        completedAmount: {
+          $sum: {
+            $cond: [
+              { $in: ["$status", [PAYMENT_STATUS.COMPLETE, PAYMENT_STATUS.PARTIAL_REFUND, PAYMENT_STATUS.FULL_REFUND]] },
+              { $toDouble: "$total_amount" },
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return {
+    count: totals?.count || 0,
+    totalAmount: totals?.totalAmount || 0,
+    refundedAmount: totals?.refundedAmount || 0,
+    completedAmount: totals?.completedAmount || 0,
+  };
+};
+
+/**
+ * List one page of the ledger, newest payment first, with the linked
+ * appointment and the totals of the whole filtered result.
+ * @param {Object} filters - Filters, see buildLedgerQuery
+ * @param {{page?: number|string, limit?: number|string}} [options]
+ * @returns {Promise<{payments?: Object[], pagination?: Object, totals?: Object, message?: string}>}
+ */
+export const listLedgerPayments = async (filters, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const { query, message } = await buildLedgerQuery(filters);
+  if (message) return { message };
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const payments = await Payment.find(query)
+    .sort({ createdAt: -1 })
+    .skip((currentPage - 1) * pageSize)
+    .limit(pageSize)
+    .populate("appointmentId", APPOINTMENT_FIELDS);
+  const totals = await sumLedger(query);
+
+  return {
+    payments,
+    totals,
+    pagination: {
+      currentPage,
+      totalPages: Math.ceil(totals.count / pageSize),
+      totalItems: totals.count,
+      itemsPerPage: pageSize,
+    },
+  };
+};
+
+/**
+ * Get a payment with its appointment, refunds and invoice, for drilling
+ * down from the ledger.
+ * @param {string} paymentId - The payment's ID
+ * @returns {Promise<{payment?: Object, appointment?: Object, refunds?: Object[], invoice?: Object, message?: string}>}
+ */
+export const getLedgerPayment = async (paymentId) => {
+  if (!mongoose.isValidObjectId(paymentId)) {
+    return { message: "Payment not found" };
+  }
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    return { message: "Payment not found" };
+  }
+
+  const appointment = await appointmentModel.findById(payment.appointmentId);
+  const refunds = await Refund.find({ paymentId: payment._id }).sort({ createdAt: -1 });
+  const invoice = await Invoice.findOne({ paymentId: payment._id }).select("number issuedAt");
+
+  return { payment, appointment, refunds, invoice };
+};
+
+/**
+ * Quote a value for a CSV cell. Text that a spreadsheet would read as a
+ * formula, such as a patient name starting with '=', is prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ["Date", (p) => p.createdAt],
+  ["Transaction UUID", (p) => p.transaction_uuid],
+  ["Status", (p) => p.status],
+  ["Method", (p) => p.method],
+  ["Gateway", (p) => p.gateway],
+  ["Gateway Reference", (p) => p.ref_id || p.gateway_reference],
+  ["Invoice", (p, invoices) => invoices.get(String(p._id))],
+  ["Patient", (p) => p.user?.name],
+  ["Patient Email", (p) => p.user?.email],
+  ["Patient Phone", (p) => p.user?.phone],
+  ["Doctor", (p) => p.appointmentId?.docData?.name],
+  ["Appointment ID", (p) => p.appointmentId?._id || p.appointmentId],
+  ["Appointment Date", (p) => p.appointmentId?.slotDate],
+  ["Promo Code", (p) => p.discount?.code],
+  ["Discount", (p) => p.discount?.amount || 0],
+  ["Amount", (p) => p.amount],
+  ["Tax", (p) => p.tax_amount],
+  ["Service Charge", (p) => p.product_service_charge],
+  ["Delivery Charge", (p) => p.product_delivery_charge],
+  ["Total", (p) => p.total_amount],
+  ["Refunded", (p) => p.refunded_amount],
+  ["Collected By", (p) => p.collectedBy?.name],
+];
+
+/**
+ * Export the filtered ledger as CSV, newest payment first.
+ * @param {Object} filters - Filters, see buildLedgerQuery
+ * @returns {Promise<{csv?: string, rowCount?: number, message?: string}>}
+ */
+export const exportLedgerCsv = async (filters) => {
+  const { query, message } = await buildLedgerQuery(filters);
+  if (message) return { message };
+
+  const count = await Payment.countDocuments(query);
+  if (count > MAX_EXPORT_ROWS) {
+    return { message: `Too many payments to export (${count}); narrow the filters to at most ${MAX_EXPORT_ROWS}` };
+  }
+
+  const payments = await Payment.find(query)
+    .sort({ createdAt: -1 })
+    .populate("appointmentId", APPOINTMENT_FIELDS);
+  const invoices = new Map(
+    (await Invoice.find({ paymentId: { $in: payments.map((p) => p._id) } }).select("paymentId number")).map(
+      (invoice) => [String(invoice.paymentId), invoice.number]
+    )
+  );
+
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(",")];
+  for (const payment of payments) {
+    lines.push(CSV_COLUMNS.map(([, read]) => toCsvCell(read(payment, invoices))).join(","));
+  }
+
+  return { csv: `${lines.join("\r\n")}\r\n`, rowCount: payments.length };
+};
+
+/**
+ * Gateways that appear in the ledger, for the gateway filter.
+ * @returns {Promise<string[]>}
+ */
+export const listLedgerGateways = async () => (await Payment.distinct("gateway")).sort();
@@ -0,0 +1,357 @@
+/**
+ * Settling payments with their gateway.
+ * The gateway callback settles a payment as soon as the patient returns; when
+ * the callback never arrives (e.g. the patient closed the tab), a background
+ * job looks up PENDING payments with the gateway and settles them instead.
+ * Each run of the job is recorded as a ReconciliationRun for admins.
+ *
+ * @module utils/paymentReconciliation
+ */
+import Payment from "../models/paymentModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import ReconciliationRun from "../models/reconciliationRunModel.js";
+import { transitionAppointment } from "./appointmentTransitions.js";
+import { amountsMatch, getPayableAmount } from "./paymentAmount.js";
+import { getGateway } from "./paymentGateways/index.js";
+import { issueInvoice } from "./invoices.js";
+import { redeemCoupon, releaseCoupon } from "./coupons.js";
+import { recordEarning } from "./earnings.js";
+import { releaseWalletHold } from "./wallet.js";
+import { requestLatePaymentRefund } from "./refunds.js";
+import {
+  PAYMENT_STATUS,
+  getReconciliationPolicy,
+} from "../config/paymentGateways.js";
+import {
+  APPOINTMENT_STATUS,
+  STATUS_ACTORS,
+} from "../config/appointmentStatus.js";
+
+const RECONCILE_BATCH_SIZE = 100;
+
+// Gateway answers that mean the patient may still be paying
+const UNSETTLED_STATUSES = [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.NOT_FOUND];
+
+// Outcomes after which wallet balance held by the payment is given back
+const UNPAID_STATUSES = [PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELED, PAYMENT_STATUS.EXPIRED];
+
+let isRunning = false;
+
+/**
+ * Check that every amount reported for a payment matches what was owed.
+ * Compares the fee bound at initiation with the appointment's current fee
+ * (less the payment's discount), the total with the breakdown stored on the
+ * payment (so tax rates changed since do not matter), and what the gateway
+ * charged (less the part paid from the wallet) with the gateway's status
+ * lookup and, when present, the callback.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Payment document
+ * @param {Array<number|string|undefined>} reported - Amounts reported by the gateway
+ * @returns {Promise<boolean>}
+ */
+const isPaidInFull = async (payment, reported) => {
+  const appointment = await appointmentModel.findById(payment.appointmentId);
+  if (!appointment) return false;
+  const { amount: owed } = getPayableAmount(appointment, {
+    discount: payment.discount?.amount || 0,
+  });
+  const expected =
+    payment.amount +
+    payment.tax_amount +
+    payment.product_service_charge +
+    payment.product_delivery_charge;
+  const charged = expected - (payment.wallet_amount || 0);
+  return (
+    amountsMatch(payment.amount, owed) &&
+    amountsMatch(payment.total_amount, expected) &&
+    reported
+      .filter((amount) => amount !== undefined)
+      .every((amount) => amountsMatch(amount, charged))
+  );
+};
+
+/**
+ * Record what follows from a completed payment: count its promo code as used,
+ * issue its invoice and record the doctor's earning. Failures are logged, as
+ * the payment itself stands.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Payment document, already COMPLETE
+ * @returns {Promise<void>}
+ */
+export const recordCompletedPayment = async (payment) => {
+  await redeemCoupon(payment);
+
+  try {
+    const invoice = await issueInvoice(payment);
+    if (invoice.message) {
+      console.error("Could not issue invoice:", invoice.message);
+    }
+  } catch (error) {
+    console.error("Error issuing invoice:", error);
+  }
+
+  try {
+    const earning = await recordEarning(payment);
+    if (earning.message) {
+      console.error("No earning recorded:", earning.message);
+    }
+  } catch (error) {
+    console.error("Error recording earning:", error);
+  }
+};
+
+/**
+ * Apply the effects of a completed payment: move the appointment to 'paid'
+ * and {@link recordCompletedPayment record the payment}.
+ * If the appointment can no longer be paid, e.g. it was cancelled while the
+ * patient was at the gateway, nothing is recorded: the promo code use is
+ * given back and a full refund is requested instead.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Payment document, already COMPLETE
+ * @param {Object} options
+ * @param {string} options.actorId - Recorded as the system actor of the appointment change
+ * @param {string} options.reason - Recorded as the reason of the appointment change
+ * @returns {Promise<string>} A remark for admins if the appointment could not be marked paid
+ */
+export const applyCompletedPayment = async (payment, { actorId, reason }) => {
+  const actor = { role: STATUS_ACTORS.SYSTEM, id: actorId };
+  const { message } = await transitionAppointment(
+    payment.appointmentId,
+    APPOINTMENT_STATUS.PAID,
+    { actor, reason }
+  );
+  if (!message) {
+    await recordCompletedPayment(payment);
+    return "";
+  }
+
+  console.error("Could not mark appointment as paid:", message);
+  try {
+    await releaseCoupon(payment);
+    const refunds = await requestLatePaymentRefund(payment, {
+      actor,
+      reason: `Payment completed after the appointment could no longer be paid: ${message}`,
+    });
+    return refunds.length
+      ? `Appointment not marked paid: ${message}. Full refund requested`
+      : `Appointment not marked paid: ${message}. Refund could not be requested`;
+  } catch (error) {
+    console.error("Error refunding late payment:", error);
+    return `Appointment not marked paid: ${message}. Refund could not be requested`;
+  }
+};
+
+/**
+ * Settle a PENDING payment from the gateway's authoritative status.
+ * - A completed payment for the wrong amount becomes AMBIGUOUS for manual review.
+ * - While the gateway has no final answer the payment stays PENDING, unless
+ *   `expire` is set, in which case it becomes EXPIRED. With `abandon`, it only
+ *   becomes EXPIRED if the gateway has no record of it at all.
+ * - The update only applies if the payment is still PENDING, so the callback
+ *   and the reconciliation job cannot settle the same payment twice.
+ * - A COMPLETE payment is applied with {@link applyCompletedPayment}.
+ * - A failed, cancelled or expired payment gives back any wallet balance and
+ *   promo code use it held.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Payment document
+ * @param {import('./paymentGateways/index.js').PaymentGateway} gateway - The payment's gateway
+ * @param {Object} [options]
+ * @param {Object} [options.callback={}] - Parsed gateway callback, when settling from a redirect
+ * @param {boolean} [options.expire=false] - Expire the payment if the gateway has no final answer
+ * @param {boolean} [options.abandon=false] - Expire the payment if the patient never reached the gateway
+ * @param {string} [options.actorId] - Recorded as the system actor of the appointment change
+ * @returns {Promise<{status?: string, changed?: boolean, note?: string, message?: string}>}
+ *   The payment's status afterwards, whether this call changed it and any remark
+ *   for admins, or a message if the gateway lookup failed
+ */
+export const settlePayment = async (
+  payment,
+  gateway,
+  { callback = {}, expire = false, abandon = false, actorId = gateway.name } = {}
+) => {
+  if (payment.status !== PAYMENT_STATUS.PENDING) {
+    return { status: payment.status, changed: false, note: "" };
+  }
+
+  const lookup = await gateway.lookupStatus(payment);
+  if (lookup.message) {
+    return { message: lookup.message };
+  }
+  let status = lookup.status;
+  let note = "";
+
+  if (UNSETTLED_STATUSES.includes(status)) {
+    if (abandon && status === PAYMENT_STATUS.NOT_FOUND) {
+      status = PAYMENT_STATUS.EXPIRED;
+      note = "Replaced by a new payment attempt before reaching the gateway";
+    } else if (!expire) {
+      return { status: PAYMENT_STATUS.PENDING, changed: false, note: "" };
+    } else {
+      status = PAYMENT_STATUS.EXPIRED;
+      note = "Gateway had no completed payment before the expiry window";
+    }
+  } else if (
+    status === PAYMENT_STATUS.COMPLETE &&
+    !(await isPaidInFull(payment, [lookup.totalAmount, callback.totalAmount]))
+  ) {
+    console.error(`${gateway.label} amount mismatch for ${payment.transaction_uuid}:`, {
+      expected: payment.total_amount,
+      lookup: lookup.totalAmount,
+      callback: callback.totalAmount,
+    });
+    status = PAYMENT_STATUS.AMBIGUOUS;
+    note = "Amount paid does not match the amount owed";
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_STATUS.PENDING },
+    {
+      ...callback.record,
+      status,
+      ref_id: lookup.refId || payment.ref_id || "",
+      updatedAt: new Date(),
+    },
+    { new: true }
+  );
+  if (!updated) {
+    const current = await Payment.findById(payment._id).select("status");
+    return { status: current?.status || payment.status, changed: false, note: "" };
+  }
+
+  if (status === PAYMENT_STATUS.COMPLETE) {
+    note = await applyCompletedPayment(updated, {
+      actorId,
+      reason: `${gateway.label} payment ${payment.transaction_uuid}`,
+    });
+  } else if (UNPAID_STATUSES.includes(status)) {
+    if (updated.wallet_amount > 0) {
+      try {
+        const { message } = await releaseWalletHold(updated);
+        if (message) {
+          console.error("Could not release wallet balance:", message);
+        }
+      } catch (error) {
+        console.error("Error releasing wallet balance:", error);
+      }
+    }
+    try {
+      await releaseCoupon(updated);
+    } catch (error) {
+      console.error("Error releasing promo code use:", error);
+    }
+  }
+
+  return { status, changed: true, note };
+};
+
+/**
+ * Look up PENDING payments older than the reconciliation threshold with their
+ * gateway and settle them. Payments still unsettled after the expiry window
+ * are marked EXPIRED. The run is saved as a ReconciliationRun.
+ *
+ * @function
+ * @async
+ * @param {Object} [options]
+ * @param {string} [options.trigger='schedule'] - 'schedule' or 'manual'
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<{run?: Object, message?: string}>} The saved run, or a message if a run is already in progress
+ */
+export const runReconciliation = async ({ trigger = "schedule", now = new Date() } = {}) => {
+  if (isRunning) {
+    return { message: "A reconciliation run is already in progress" };
+  }
+  isRunning = true;
+
+  try {
+    const { reconcileAfterMinutes, expireAfterHours } = getReconciliationPolicy();
+    const checkBefore = new Date(now.getTime() - reconcileAfterMinutes * 60 * 1000);
+    const expireBefore = new Date(now.getTime() - expireAfterHours * 60 * 60 * 1000);
+
+    const run = await ReconciliationRun.create({ trigger, startedAt: now });
+    const payments = await Payment.find({
+      status: PAYMENT_STATUS.PENDING,
+      createdAt: { $lte: checkBefore },
+    })
+      .sort({ createdAt: 1 })
+      .limit(RECONCILE_BATCH_SIZE);
+
+    for (const payment of payments) {
+      const gatewayName = payment.gateway || "esewa";
+      const gateway = getGateway(gatewayName);
+      if (!gateway) {
+        run.failures.push({
+          transaction_uuid: payment.transaction_uuid,
+          gateway: gatewayName,
+          message: "Payment gateway not available",
+        });
+        continue;
+      }
+
+      try {
+        run.checked += 1;
+        const { status, changed, note, message } = await settlePayment(payment, gateway, {
+          expire: payment.createdAt <= expireBefore,
+          actorId: "reconciliation",
+        });
+        if (message) {
+          run.failures.push({
+            transaction_uuid: payment.transaction_uuid,
+            gateway: gatewayName,
+            message,
+          });
+          continue;
+        }
+        if (!changed) {
+          run.unchanged += 1;
+          continue;
+        }
+        if (status === PAYMENT_STATUS.COMPLETE) run.completed += 1;
+        else if (status === PAYMENT_STATUS.EXPIRED) run.expired += 1;
+        else if ([PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELED].includes(status)) run.failed += 1;
+        else run.flagged += 1;
+        run.changes.push({
+          transaction_uuid: payment.transaction_uuid,
+          gateway: gatewayName,
+          from: PAYMENT_STATUS.PENDING,
+          to: status,
+          note,
+        });
+      } catch (error) {
+        run.failures.push({
+          transaction_uuid: payment.transaction_uuid,
+          gateway: gatewayName,
+          message: error.message || "Gateway lookup failed",
+        });
+      }
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+    return { run };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the background job that reconciles stuck payments.
+ * Does nothing when PAYMENT_RECONCILE_INTERVAL_MINUTES is 0.
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if the job is off
+ */
+export const startReconciliationJob = () => {
+  const { intervalMinutes } = getReconciliationPolicy();
+  if (!intervalMinutes) return null;
+  return setInterval(() => {
+    runReconciliation().catch((error) => {
+      console.error("Error reconciling payments:", error);
+    });
+  }, intervalMinutes * 60 * 1000);
+};
@@ -0,0 +1,159 @@
+/**
+ * Patient sign-in and registration by phone number.
+ * A patient proves they have a phone by entering the code texted to it.
+ * Only verified numbers identify an account: a number typed into a profile
+ * before numbers were verified is given up as soon as someone proves they
+ * own it, so it can never be used to reach another person's account.
+ *
+ * @module utils/phoneLogin
+ */
+import User from "../models/userModel.js";
+import { OTP_PURPOSES } from "../models/phoneOtpModel.js";
+import { normalizePhone } from "./phoneNumbers.js";
+import { checkOtp, consumeOtp, sendOtp } from "./phoneOtp.js";
+
+const INVALID_PHONE = "Enter a valid mobile number";
+const PHONE_TAKEN = "This phone number is already used by another account";
+
+/**
+ * Take a verified number off any account that has it unverified.
+ * @param {string} phone - E.164 number
+ * @param {string} [exceptUserId] - Account keeping the number
+ * @returns {Promise<void>}
+ */
+const releaseUnverifiedPhone = async (phone, exceptUserId) => {
+  const filter = { phone, phoneVerified: { $ne: true } };
+  if (exceptUserId) filter._id = { $ne: exceptUserId };
+  await User.updateMany(filter, { $unset: { phone: 1 }, $set: { phoneVerified: false } });
+};
+
+/**
+ * Text a sign-in code. Works the same whether or not the number has an
+ * account; `signInWithPhone` creates one when needed.
+ *
+ * @function
+ * @async
+ * @param {string} phoneInput - Number as entered
+ * @returns {Promise<{phone?: string, expiresIn?: number, resendAfter?: number, message?: string, retryAfter?: number}>}
+ */
+export const requestLoginCode = async (phoneInput) => {
+  const phone = normalizePhone(phoneInput);
+  if (!phone) {
+    return { message: INVALID_PHONE };
+  }
+  const sent = await sendOtp(phone, OTP_PURPOSES.LOGIN);
+  return sent.message ? sent : { phone, ...sent };
+};
+
+/**
+ * Sign in with a texted code, registering the patient if the number has no
+ * account yet. A new account needs a name: without one, the code is left
+ * unused and `nameRequired` is returned so the patient can add it.
+ *
+ * @function
+ * @async
+ * @param {string} phoneInput - Number as entered
+ * @param {string} code - Code entered
+ * @param {string} [name] - Name for a new account
+ * @returns {Promise<{user?: Object, created?: boolean, nameRequired?: boolean, message?: string}>}
+ */
+export const signInWithPhone = async (phoneInput, code, name) => {
+  const phone = normalizePhone(phoneInput);
+  if (!phone) {
+    return { message: INVALID_PHONE };
+  }
+  const { otp, message } = await checkOtp(phone, OTP_PURPOSES.LOGIN, code);
+  if (message) {
+    return { message };
+  }
+
+  const user = await User.findOne({ phone, phoneVerified: true });
+  const trimmedName = typeof name === "string" ? name.trim() : "";
+  if (!user && !trimmedName) {
+    return {
+      nameRequired: true,
+      message: "No account uses this number yet. Enter your name to create one",
+    };
+  }
+  if (!(await consumeOtp(otp))) {
+    return { message: "This code has expired. Please request a new one" };
+  }
+  if (user) {
+    return { user };
+  }
+
+  await releaseUnverifiedPhone(phone);
+  try {
+    const created = await User.create({ name: trimmedName, phone, phoneVerified: true });
+    return { user: created, created: true };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { message: PHONE_TAKEN };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Text a code to the number a signed-in patient wants on their account.
+ *
+ * @function
+ * @async
+ * @param {string} userId - Signed-in patient
+ * @param {string} phoneInput - New number as entered
+ * @returns {Promise<{phone?: string, expiresIn?: number, resendAfter?: number, message?: string, retryAfter?: number}>}
+ */
+export const requestPhoneChangeCode = async (userId, phoneInput) => {
+  const phone = normalizePhone(phoneInput);
+  if (!phone) {
+    return { message: INVALID_PHONE };
+  }
+  const owner = await User.findOne({ phone, phoneVerified: true }).select("_id");
+  if (owner && String(owner._id) !== String(userId)) {
+    return { message: PHONE_TAKEN };
+  }
+  if (owner) {
+    return { message: "This number is already verified on your account" };
+  }
+  const sent = await sendOtp(phone, OTP_PURPOSES.CHANGE_PHONE, { userId });
+  return sent.message ? sent : { phone, ...sent };
+};
+
+/**
+ * Put a verified number on a signed-in patient's account.
+ *
+ * @function
+ * @async
+ * @param {string} userId - Signed-in patient
+ * @param {string} phoneInput - New number as entered
+ * @param {string} code - Code texted to it
+ * @returns {Promise<{user?: Object, message?: string}>} The updated patient, or a message
+ */
+export const changePhone = async (userId, phoneInput, code) => {
+  const phone = normalizePhone(phoneInput);
+  if (!phone) {
+    return { message: INVALID_PHONE };
+  }
+  const { otp, message } = await checkOtp(phone, OTP_PURPOSES.CHANGE_PHONE, code, { userId });
+  if (message) {
+    return { message };
+  }
+  if (!(await consumeOtp(otp))) {
+    return { message: "This code has expired. Please request a new one" };
+  }
+
+  await releaseUnverifiedPhone(phone, userId);
+  try {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { phone, phoneVerified: true },
+      { new: true }
+    ).select("-password");
+    return user ? { user } : { message: "User not found" };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { message: PHONE_TAKEN };
+    }
+    throw error;
+  }
+};
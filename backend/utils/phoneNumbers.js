@@ -0,0 +1,46 @@
+/**
+ * Phone number normalization.
+ * Numbers are stored in E.164 form ('+9779812345678'), so the same phone
+ * typed in different ways matches one account.
+ *
+ * @module utils/phoneNumbers
+ */
+import validator from "validator";
+import { getDefaultCountryCode } from "../config/sms.js";
+
+/**
+ * Normalize a mobile number to E.164.
+ * - Spaces, dashes, dots and brackets are ignored.
+ * - A leading '00' is read as '+'.
+ * - Numbers without a country code get DEFAULT_PHONE_COUNTRY_CODE, after
+ *   dropping a leading trunk '0'.
+ *
+ * @function
+ * @param {string} input - Number as entered, e.g. '981-234 5678'
+ * @returns {string|null} The E.164 number, or null if it is not a valid mobile number
+ */
+export const normalizePhone = (input) => {
+  if (typeof input !== "string" && typeof input !== "number") return null;
+  let phone = String(input).trim().replace(/[\s().-]/g, "");
+  if (phone.startsWith("00")) {
+    phone = `+${phone.slice(2)}`;
+  }
+  if (!phone.startsWith("+")) {
+    phone = `+${getDefaultCountryCode()}${phone.replace(/^0+/, "")}`;
+  }
+  return /^\+\d+$/.test(phone) && validator.isMobilePhone(phone, "any", { strictMode: true })
+    ? phone
+    : null;
+};
+
+/**
+ * Hide all but the last digits of a number, for messages and logs.
+ *
+ * @function
+ * @param {string} phone - E.164 number
+ * @returns {string} e.g. '+977******5678'
+ */
+export const maskPhone = (phone) =>
+  String(phone).replace(/^(\+\d{1,3})(\d+)(\d{4})$/, (_, code, middle, last) =>
+    `${code}${"*".repeat(middle.length)}${last}`
+  );
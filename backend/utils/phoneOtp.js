@@ -0,0 +1,142 @@
+/**
+ * One-time codes sent by text message.
+ * Codes are random digits; only an HMAC of the phone number and code is
+ * stored, keyed with JWT_SECRET so a copy of the database does not reveal
+ * them. Sending a new code replaces the earlier ones. A code stops working
+ * once used, once it expires, or after too many wrong entries, and codes to
+ * the same number are throttled.
+ *
+ * @module utils/phoneOtp
+ */
+import crypto from "crypto";
+import PhoneOtp from "../models/phoneOtpModel.js";
+import { getOtpPolicy } from "../config/sms.js";
+import { sendSms } from "./sms/index.js";
+
+const hashCode = (phone, code) =>
+  crypto
+    .createHmac("sha256", String(process.env.JWT_SECRET))
+    .update(`${phone}:${code}`)
+    .digest("hex");
+
+const sameHash = (a, b) =>
+  a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Send a new code to a phone number.
+ *
+ * @function
+ * @async
+ * @param {string} phone - E.164 number
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Patient the code is for (CHANGE_PHONE only)
+ * @returns {Promise<{expiresIn?: number, resendAfter?: number, message?: string, retryAfter?: number}>}
+ *   Seconds until the code expires and another can be sent, or a message and,
+ *   when throttled, the seconds to wait
+ */
+export const sendOtp = async (phone, purpose, { userId = "" } = {}) => {
+  const policy = getOtpPolicy();
+  const now = Date.now();
+
+  const latest = await PhoneOtp.findOne({ phone, purpose }).sort({ createdAt: -1 });
+  const waitMs = latest ? latest.createdAt.getTime() + policy.resendSeconds * 1000 - now : 0;
+  if (waitMs > 0) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    return {
+      message: `Please wait ${retryAfter} seconds before requesting another code`,
+      retryAfter,
+    };
+  }
+
+  const hourAgo = new Date(now - 60 * 60 * 1000);
+  const sentLastHour = await PhoneOtp.find({ phone, createdAt: { $gt: hourAgo } })
+    .sort({ createdAt: 1 })
+    .limit(policy.maxSendsPerHour);
+  if (sentLastHour.length >= policy.maxSendsPerHour) {
+    return {
+      message: "Too many codes requested for this number. Please try again later",
+      retryAfter: Math.ceil((sentLastHour[0].createdAt.getTime() + 60 * 60 * 1000 - now) / 1000),
+    };
+  }
+
+  await PhoneOtp.updateMany({ phone, purpose, usedAt: null }, { usedAt: new Date(now) });
+  const code = String(crypto.randomInt(0, 10 ** policy.codeLength)).padStart(
+    policy.codeLength,
+    "0"
+  );
+  const otp = await PhoneOtp.create({
+    phone,
+    purpose,
+    userId: String(userId),
+    codeHash: hashCode(phone, code),
+    expiresAt: new Date(now + policy.ttlMinutes * 60 * 1000),
+  });
+
+  const sent = await sendSms({
+    to: phone,
+    text: `${code} is your MeroDoctor verification code. It expires in ${policy.ttlMinutes} minutes. Do not share it with anyone.`,
+  });
+  if (sent.message) {
+    await PhoneOtp.updateOne({ _id: otp._id }, { usedAt: new Date() });
+    return { message: "We couldn't send the code. Please try again later" };
+  }
+  return { expiresIn: policy.ttlMinutes * 60, resendAfter: policy.resendSeconds };
+};
+
+/**
+ * Check a code entered for a phone number. A wrong code counts as an attempt;
+ * a right one is not used up until `consumeOtp`.
+ *
+ * @function
+ * @async
+ * @param {string} phone - E.164 number
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} code - Code entered
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Patient the code was sent for (CHANGE_PHONE only)
+ * @returns {Promise<{otp?: Object, message?: string, attemptsLeft?: number}>} The code's record, or a message
+ */
+export const checkOtp = async (phone, purpose, code, { userId = "" } = {}) => {
+  const { maxAttempts } = getOtpPolicy();
+  const otp = await PhoneOtp.findOne({
+    phone,
+    purpose,
+    userId: String(userId),
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+  if (!otp) {
+    return { message: "This code has expired. Please request a new one" };
+  }
+  if (otp.attempts >= maxAttempts) {
+    return { message: "Too many wrong codes. Please request a new one" };
+  }
+
+  if (!/^\d+$/.test(String(code || "")) || !sameHash(otp.codeHash, hashCode(phone, code))) {
+    const counted = await PhoneOtp.findOneAndUpdate(
+      { _id: otp._id, attempts: { $lt: maxAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    const attemptsLeft = counted ? maxAttempts - counted.attempts : 0;
+    return {
+      message: attemptsLeft
+        ? `Incorrect code. ${attemptsLeft} attempt(s) left`
+        : "Too many wrong codes. Please request a new one",
+      attemptsLeft,
+    };
+  }
+  return { otp };
+};
+
+/**
+ * Use up a checked code, so it cannot be entered twice.
+ *
+ * @function
+ * @async
+ * @param {Object} otp - Record returned by `checkOtp`
+ * @returns {Promise<boolean>} False if the code was used meanwhile
+ */
+export const consumeOtp = async (otp) =>
+  Boolean(await PhoneOtp.findOneAndUpdate({ _id: otp._id, usedAt: null }, { usedAt: new Date() }));
@@ -0,0 +1,478 @@
+/**
+ * Refund workflow.
+ * Refunds are requested automatically when a paid appointment is cancelled
+ * (for the amount the cancellation policy allows), in full when a payment
+ * completes for an appointment that can no longer be paid, or by an admin,
+ * and an admin
+ * approves them before the money moves. Approving a refund sends it to the
+ * payment's gateway; refunds issued outside the gateway API, such as eSewa
+ * portal refunds or cash handed back at the clinic, are recorded with their
+ * reference instead. Refunds to the patient's wallet need no approval and are
+ * credited straight away.
+ *
+ * @module utils/refunds
+ */
+import Payment from "../models/paymentModel.js";
+import Refund, {
+  REFUND_DESTINATIONS,
+  REFUND_STATUS,
+  REFUND_SOURCES,
+} from "../models/refundModel.js";
+import { WALLET_SOURCES } from "../models/walletTransactionModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { transitionAppointment } from "./appointmentTransitions.js";
+import { getGateway } from "./paymentGateways/index.js";
+import { reverseEarning } from "./earnings.js";
+import { creditWallet } from "./wallet.js";
+import { getGatewayAmount } from "./paymentAmount.js";
+import { PAYMENT_METHODS, PAYMENT_STATUS } from "../config/paymentGateways.js";
+import { APPOINTMENT_STATUS } from "../config/appointmentStatus.js";
+
+// Payment statuses that still have money left to refund
+const REFUNDABLE_PAYMENT_STATUSES = [PAYMENT_STATUS.COMPLETE, PAYMENT_STATUS.PARTIAL_REFUND];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Build a refund history entry.
+ * @param {string} status - New refund status
+ * @param {{role: string, id?: string}} actor - Who made the change
+ * @param {string} [note=""] - Remark, e.g. the failure reason
+ * @returns {Object} Refund history entry
+ */
+const refundEvent = (status, actor, note = "") => ({
+  status,
+  actor: { role: actor.role, id: actor.id ? String(actor.id) : "" },
+  note,
+  at: new Date(),
+});
+
+/**
+ * Amount of a payment not yet refunded or claimed by an open refund.
+ * Failed refunds do not count, so their amount can be requested again.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Payment document
+ * @returns {Promise<number>}
+ */
+export const getRefundableBalance = async (payment) => {
+  const refunds = await Refund.find({
+    paymentId: payment._id,
+    status: { $ne: REFUND_STATUS.FAILED },
+  }).select("amount");
+  const claimed = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(roundAmount(Number(payment.total_amount) - claimed), 0);
+};
+
+/**
+ * Amount of a payment that can still go back through its gateway: what the
+ * gateway charged, less gateway refunds that are open or processed. The part
+ * paid from the wallet can only be refunded to the wallet.
+ *
+ * @param {Object} payment - Payment document
+ * @returns {Promise<number>}
+ */
+const getGatewayRefundableBalance = async (payment) => {
+  const refunds = await Refund.find({
+    paymentId: payment._id,
+    destination: { $ne: REFUND_DESTINATIONS.WALLET },
+    status: { $ne: REFUND_STATUS.FAILED },
+  }).select("amount");
+  const claimed = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(roundAmount(getGatewayAmount(payment) - claimed), 0);
+};
+
+/**
+ * Request a refund of a completed payment.
+ * A refund to the wallet is approved and credited right away.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Payment document
+ * @param {Object} options
+ * @param {number} [options.amount] - Amount to refund; defaults to the whole refundable balance
+ * @param {string} options.source - One of REFUND_SOURCES
+ * @param {string} [options.destination='gateway'] - One of REFUND_DESTINATIONS
+ * @param {string} [options.reason] - Why the refund is requested
+ * @param {{role: string, id?: string}} options.actor - Who requests it
+ * @returns {Promise<{refund?: Object, message?: string}>} The refund request, or an error message
+ */
+export const requestRefund = async (
+  payment,
+  { amount, source, destination = REFUND_DESTINATIONS.GATEWAY, reason = "", actor }
+) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    return { message: "Only completed payments can be refunded" };
+  }
+  if (!Object.values(REFUND_DESTINATIONS).includes(destination)) {
+    return { message: "Unknown refund destination" };
+  }
+
+  let balance = await getRefundableBalance(payment);
+  if (destination === REFUND_DESTINATIONS.GATEWAY) {
+    balance = Math.min(balance, await getGatewayRefundableBalance(payment));
+  }
+  const requested = amount === undefined || amount === "" ? balance : roundAmount(Number(amount));
+  if (!Number.isFinite(requested) || requested <= 0) {
+    return {
+      message:
+        destination === REFUND_DESTINATIONS.GATEWAY && payment.wallet_amount > 0
+          ? "Nothing left to refund through the gateway; refund the wallet part to the wallet"
+          : "Nothing left to refund for this payment",
+    };
+  }
+  if (requested > balance) {
+    return {
+      message:
+        destination === REFUND_DESTINATIONS.GATEWAY && payment.wallet_amount > 0
+          ? `At most ${balance} can still be refunded through the gateway; the rest was paid from the wallet`
+          : `At most ${balance} can still be refunded for this payment`,
+    };
+  }
+
+  const appointment = await appointmentModel.findById(payment.appointmentId).select("userId");
+  const refund = await Refund.create({
+    paymentId: payment._id,
+    appointmentId: payment.appointmentId,
+    userId: appointment?.userId || String(payment.user?._id || ""),
+    gateway: payment.gateway || "esewa",
+    amount: requested,
+    source,
+    destination,
+    reason,
+    history: [refundEvent(REFUND_STATUS.REQUESTED, actor, reason)],
+  });
+  await payment.updateOne({ refund_status: REFUND_STATUS.REQUESTED, updatedAt: new Date() });
+
+  if (destination === REFUND_DESTINATIONS.WALLET) {
+    const credited = await approveRefund(refund._id, { actor });
+    return { refund: credited.refund || refund };
+  }
+  return { refund };
+};
+
+/**
+ * Split a refund of a payment between its destinations. Refunds to the
+ * wallet take the whole amount; refunds through the gateway first give back
+ * the part paid from the wallet to the wallet, then refund the rest through
+ * the gateway.
+ *
+ * @param {Object} payment - Payment document
+ * @param {number} amount - Amount to refund
+ * @param {string} destination - One of REFUND_DESTINATIONS
+ * @returns {Promise<Array<{destination: string, amount: number}>>}
+ */
+const splitRefund = async (payment, amount, destination) => {
+  if (destination === REFUND_DESTINATIONS.WALLET || !(payment.wallet_amount > 0)) {
+    return [{ destination, amount }];
+  }
+  const walletRefunds = await Refund.find({
+    paymentId: payment._id,
+    destination: REFUND_DESTINATIONS.WALLET,
+    status: { $ne: REFUND_STATUS.FAILED },
+  }).select("amount");
+  const walletLeft = Math.max(
+    roundAmount(payment.wallet_amount - walletRefunds.reduce((sum, refund) => sum + refund.amount, 0)),
+    0
+  );
+  const walletPart = Math.min(walletLeft, amount);
+  return [
+    { destination: REFUND_DESTINATIONS.WALLET, amount: walletPart },
+    { destination: REFUND_DESTINATIONS.GATEWAY, amount: roundAmount(amount - walletPart) },
+  ].filter((part) => part.amount > 0);
+};
+
+/**
+ * Request refunds for the payments of a cancelled appointment.
+ * Each payment is refunded by the amount the cancellation policy allowed, to
+ * the given destination; the part of a payment made from the wallet always
+ * goes back to the wallet.
+ *
+ * @function
+ * @async
+ * @param {Array<{payment: Object, refundableAmount: number}>} items - Payments and their refundable amounts
+ * @param {Object} options
+ * @param {{role: string, id?: string}} options.actor - Who cancelled the appointment
+ * @param {string} [options.reason] - Why the appointment was cancelled
+ * @param {string} [options.destination='gateway'] - One of REFUND_DESTINATIONS
+ * @returns {Promise<Array<Object>>} The refunds created
+ */
+export const requestCancellationRefunds = async (
+  items,
+  { actor, reason = "", destination = REFUND_DESTINATIONS.GATEWAY }
+) => {
+  const refunds = [];
+  for (const { payment, refundableAmount } of items) {
+    if (refundableAmount <= 0) continue;
+    for (const part of await splitRefund(payment, refundableAmount, destination)) {
+      const { refund, message } = await requestRefund(payment, {
+        amount: part.amount,
+        source: REFUND_SOURCES.CANCELLATION,
+        destination: part.destination,
+        reason: reason || "Appointment cancelled",
+        actor,
+      });
+      if (message) {
+        console.error(`Could not request refund for ${payment.transaction_uuid}:`, message);
+        continue;
+      }
+      refunds.push(refund);
+    }
+  }
+  return refunds;
+};
+
+/**
+ * Request a full refund of a payment that completed after its appointment
+ * could no longer be paid, e.g. because it was cancelled while the patient
+ * was still at the gateway. The part paid from the wallet goes back to the
+ * wallet; the rest waits for an admin to approve it through the gateway.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Completed Payment document
+ * @param {Object} options
+ * @param {{role: string, id?: string}} options.actor - Who settled the payment
+ * @param {string} options.reason - Why the appointment could not take the payment
+ * @returns {Promise<Array<Object>>} The refunds created
+ */
+export const requestLatePaymentRefund = async (payment, { actor, reason }) => {
+  const refunds = [];
+  const amount = roundAmount(Number(payment.total_amount));
+  if (!(amount > 0)) return refunds;
+  for (const part of await splitRefund(payment, amount, REFUND_DESTINATIONS.GATEWAY)) {
+    const { refund, message } = await requestRefund(payment, {
+      amount: part.amount,
+      source: REFUND_SOURCES.LATE_PAYMENT,
+      destination: part.destination,
+      reason,
+      actor,
+    });
+    if (message) {
+      console.error(`Could not request refund for ${payment.transaction_uuid}:`, message);
+      continue;
+    }
+    refunds.push(refund);
+  }
+  return refunds;
+};
+
+/**
+ * Record a refund as processed and update its payment and appointment.
+ * The payment becomes FULL_REFUND or PARTIAL_REFUND, the doctor's share of
+ * the refund is taken back from their earnings, and a cancelled appointment
+ * moves to 'refunded'.
+ *
+ * @function
+ * @async
+ * @param {Object} refund - Refund document, already marked processed
+ * @param {{role: string, id?: string}} actor - Who processed it
+ * @returns {Promise<void>}
+ */
+const applyProcessedRefund = async (refund, actor) => {
+  const payment = await Payment.findByIdAndUpdate(
+    refund.paymentId,
+    {
+      $inc: { refunded_amount: refund.amount },
+      $set: { refund_status: REFUND_STATUS.PROCESSED, updatedAt: new Date() },
+    },
+    { new: true }
+  );
+  if (!payment) return;
+
+  const fullyRefunded = payment.refunded_amount >= Number(payment.total_amount) - 0.005;
+  await payment.updateOne({
+    status: fullyRefunded ? PAYMENT_STATUS.FULL_REFUND : PAYMENT_STATUS.PARTIAL_REFUND,
+  });
+
+  try {
+    const reversal = await reverseEarning(refund);
+    if (reversal.message) {
+      console.error("No earning reversed:", reversal.message);
+    }
+  } catch (error) {
+    console.error("Error reversing earning:", error);
+  }
+
+  const appointment = await appointmentModel.findById(refund.appointmentId).select("status");
+  if (appointment?.status === APPOINTMENT_STATUS.CANCELLED) {
+    const { message } = await transitionAppointment(
+      refund.appointmentId,
+      APPOINTMENT_STATUS.REFUNDED,
+      { actor, reason: `Refund of ${refund.amount} processed` }
+    );
+    if (message) {
+      console.error("Could not mark appointment as refunded:", message);
+    }
+  }
+};
+
+/**
+ * Move a refund from one of the given statuses to a new one.
+ * The update is conditional on the current status, so two admins cannot act
+ * on the same refund at once.
+ *
+ * @param {string} refundId - Refund ID
+ * @param {string[]} from - Statuses the refund may currently be in
+ * @param {string} to - New status
+ * @param {Object} options
+ * @param {{role: string, id?: string}} options.actor - Who makes the change
+ * @param {string} [options.note] - Remark stored in the history
+ * @param {Object} [options.set={}] - Extra fields to set
+ * @returns {Promise<Object|null>} The updated refund, or null if it was not in a `from` status
+ */
+const moveRefund = (refundId, from, to, { actor, note = "", set = {} }) =>
+  Refund.findOneAndUpdate(
+    { _id: refundId, status: { $in: from } },
+    {
+      $set: { ...set, status: to, updatedAt: new Date() },
+      $push: { history: refundEvent(to, actor, note) },
+    },
+    { new: true }
+  );
+
+/**
+ * Approve a refund and send it to the payment's gateway, or credit it to the
+ * patient's wallet for wallet refunds.
+ * Requested and failed refunds can be approved. The refund ends up processed,
+ * or failed with the gateway's reason.
+ *
+ * @function
+ * @async
+ * @param {string} refundId - Refund ID
+ * @param {Object} options
+ * @param {{role: string, id?: string}} options.actor - Who approves it
+ * @returns {Promise<{refund?: Object, message?: string}>}
+ *   The refund after processing; `message` is set if it could not be approved or the gateway refused it
+ */
+export const approveRefund = async (refundId, { actor }) => {
+  const approved = await moveRefund(
+    refundId,
+    [REFUND_STATUS.REQUESTED, REFUND_STATUS.FAILED],
+    REFUND_STATUS.APPROVED,
+    { actor }
+  );
+  if (!approved) {
+    return { message: "Refund not found or already approved" };
+  }
+  await Payment.updateOne(
+    { _id: approved.paymentId },
+    { refund_status: REFUND_STATUS.APPROVED, updatedAt: new Date() }
+  );
+
+  const fail = async (reason) => {
+    const refund = await moveRefund(refundId, [REFUND_STATUS.APPROVED], REFUND_STATUS.FAILED, {
+      actor,
+      note: reason,
+      set: { failureReason: reason },
+    });
+    await Payment.updateOne(
+      { _id: approved.paymentId },
+      { refund_status: REFUND_STATUS.FAILED, updatedAt: new Date() }
+    );
+    return { refund, message: reason };
+  };
+
+  const payment = await Payment.findById(approved.paymentId);
+  if (!payment) {
+    return fail("Payment not found");
+  }
+  if (payment.refunded_amount + approved.amount > Number(payment.total_amount) + 0.005) {
+    return fail("Refund exceeds the amount left on the payment");
+  }
+
+  if (approved.destination === REFUND_DESTINATIONS.WALLET) {
+    const { transaction, message } = await creditWallet(approved.userId, {
+      amount: approved.amount,
+      source: WALLET_SOURCES.REFUND,
+      note: approved.reason || "Refund",
+      paymentId: payment._id,
+      refundId: approved._id,
+      appointmentId: approved.appointmentId,
+      actor,
+    });
+    if (message) {
+      return fail(message);
+    }
+    const refund = await moveRefund(refundId, [REFUND_STATUS.APPROVED], REFUND_STATUS.PROCESSED, {
+      actor,
+      note: "Credited to the wallet",
+      set: { gatewayRefId: String(transaction._id), failureReason: "" },
+    });
+    await applyProcessedRefund(refund, actor);
+    return { refund };
+  }
+
+  const gatewayRefunds = await Refund.find({
+    paymentId: payment._id,
+    destination: { $ne: REFUND_DESTINATIONS.WALLET },
+    status: REFUND_STATUS.PROCESSED,
+  }).select("amount");
+  const gatewayRefunded = gatewayRefunds.reduce((sum, refund) => sum + refund.amount, 0);
+  if (gatewayRefunded + approved.amount > getGatewayAmount(payment) + 0.005) {
+    return fail("Refund exceeds the amount paid through the gateway");
+  }
+  if (payment.method === PAYMENT_METHODS.CASH) {
+    return fail("Cash payments are refunded at the clinic; record the refund with its receipt number");
+  }
+  const gateway = getGateway(payment.gateway || "esewa");
+  if (!gateway) {
+    return fail("Payment gateway not available");
+  }
+
+  let result;
+  try {
+    result = await gateway.refund(payment, approved.amount);
+  } catch (error) {
+    console.error(`${gateway.label} refund failed for ${payment.transaction_uuid}:`, error.message);
+    result = { message: `${gateway.label} refund request failed` };
+  }
+  if (result.message) {
+    return fail(result.message);
+  }
+
+  const refund = await moveRefund(refundId, [REFUND_STATUS.APPROVED], REFUND_STATUS.PROCESSED, {
+    actor,
+    set: { gatewayRefId: result.refId || "", failureReason: "" },
+  });
+  await applyProcessedRefund(refund, actor);
+  return { refund };
+};
+
+/**
+ * Record a refund that was issued outside the gateway API, e.g. from the
+ * eSewa merchant portal, as processed.
+ *
+ * @function
+ * @async
+ * @param {string} refundId - Refund ID
+ * @param {Object} options
+ * @param {string} options.refId - Reference of the refund at the gateway
+ * @param {string} [options.note] - Remark stored in the history
+ * @param {{role: string, id?: string}} options.actor - Who records it
+ * @returns {Promise<{refund?: Object, message?: string}>} The processed refund, or an error message
+ */
+export const recordManualRefund = async (refundId, { refId, note = "", actor }) => {
+  if (!refId) {
+    return { message: "Gateway refund reference is required" };
+  }
+  if (await Refund.exists({ _id: refundId, destination: REFUND_DESTINATIONS.WALLET })) {
+    return { message: "Wallet refunds are credited by approving them" };
+  }
+  const refund = await moveRefund(
+    refundId,
+    [REFUND_STATUS.REQUESTED, REFUND_STATUS.APPROVED, REFUND_STATUS.FAILED],
+    REFUND_STATUS.PROCESSED,
+    {
+      actor,
+      note: note || "Refunded outside the gateway API",
+      set: { gatewayRefId: refId, failureReason: "" },
+    }
+  );
+  if (!refund) {
+    return { message: "Refund not found or already processed" };
+  }
+  await applyProcessedRefund(refund, actor);
+  return { refund };
+};
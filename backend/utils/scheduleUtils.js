@@ -0,0 +1,298 @@
+/**
+ * Utility functions for doctor weekly schedules and bookable slot generation.
+ * Slot dates use the 'D_M_YYYY' key format stored in Doctor.slot_booked,
+ * and slot times use the 12-hour 'hh:mm AM' format shown to patients.
+ *
+ * @module utils/scheduleUtils
+ */
+
+/**
+ * Default schedule applied to doctors that have not configured one yet.
+ * Matches the previous hardcoded grid: every day 10:00–21:00, 30-minute slots, 7 days ahead.
+ * @type {Object}
+ */
+export const DEFAULT_SCHEDULE = {
+  weeklyHours: [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+    day,
+    start: "10:00",
+    end: "21:00",
+  })),
+  slotDuration: 30,
+  breaks: [],
+  bookingHorizonDays: 7,
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Convert an 'HH:mm' string to minutes since midnight.
+ * @param {string} time - Time in 24-hour 'HH:mm' format
+ * @returns {number} Minutes since midnight
+ */
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes since midnight as a patient-facing slot time, e.g. '02:30 PM'.
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Slot time in 'hh:mm AM' format
+ */
+export const formatSlotTime = (minutes) => {
+  const hours24 = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  const period = hours24 >= 12 ? "PM" : "AM";
+  const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+  return `${String(hours12).padStart(2, "0")}:${String(mins).padStart(2, "0")} ${period}`;
+};
+
+/**
+ * Parse a slot time ('hh:mm AM') into minutes since midnight.
+ * @param {string} slotTime - Slot time in 12-hour format
+ * @returns {number|null} Minutes since midnight, or null if the time is malformed
+ */
+export const parseSlotTime = (slotTime) => {
+  const match = /^(\d{1,2}):([0-5]\d)\s*(AM|PM)$/i.exec(String(slotTime).trim());
+  if (!match) return null;
+  const hours12 = Number(match[1]) % 12;
+  const isPm = match[3].toUpperCase() === "PM";
+  return (hours12 + (isPm ? 12 : 0)) * 60 + Number(match[2]);
+};
+
+/**
+ * Combine an appointment's slot date and time into the moment it starts.
+ * @param {Date|string} slotDate - Appointment slotDate or a 'D_M_YYYY' key
+ * @param {string} slotTime - Slot time ('hh:mm AM')
+ * @returns {Date|null} Start time, or null if either part is malformed
+ */
+export const getSlotStart = (slotDate, slotTime) => {
+  const date = typeof slotDate === "string" ? parseSlotDate(slotDate) : new Date(slotDate);
+  const minutes = parseSlotTime(slotTime);
+  if (!date || Number.isNaN(date.getTime()) || minutes === null) return null;
+  const start = new Date(date);
+  start.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return start;
+};
+
+/**
+ * Format a Date as a slot_booked key, e.g. '12_6_2025'.
+ * @param {Date} date - The date to format
+ * @returns {string} Slot date key
+ */
+export const formatSlotDate = (date) => {
+  const dateObj = new Date(date);
+  return `${dateObj.getDate()}_${dateObj.getMonth() + 1}_${dateObj.getFullYear()}`;
+};
+
+/**
+ * Parse a slot_booked key ('D_M_YYYY') into a Date at local midnight.
+ * Only keys exactly as formatSlotDate writes them are accepted, so
+ * '020_10_2026' or '20_10_2026.0' cannot stand for an already-booked day.
+ * @param {string} slotDate - Slot date key
+ * @returns {Date|null} Parsed date, or null if the key is malformed
+ */
+export const parseSlotDate = (slotDate) => {
+  const match = /^(\d{1,2})_(\d{1,2})_(\d{4})$/.exec(typeof slotDate === "string" ? slotDate : "");
+  if (!match) return null;
+  const [day, month, year] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  if (formatSlotDate(date) !== slotDate) return null;
+  return date;
+};
+
+/**
+ * Parse a 'YYYY-MM-DD' date from a date input into local midnight.
+ * @param {string} value - Date string from a date input
+ * @returns {Date|null} Parsed date, or null if invalid
+ */
+export const parseInputDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  return parseSlotDate(`${Number(match[3])}_${Number(match[2])}_${match[1]}`);
+};
+
+/**
+ * Merge a stored (possibly partial or missing) schedule with the defaults.
+ * @param {Object} [schedule] - Schedule stored on the doctor document
+ * @returns {Object} A complete schedule object
+ */
+export const normalizeSchedule = (schedule) => {
+  const source = schedule?.toObject ? schedule.toObject() : schedule || {};
+  return {
+    weeklyHours: Array.isArray(source.weeklyHours)
+      ? source.weeklyHours
+      : DEFAULT_SCHEDULE.weeklyHours,
+    slotDuration: source.slotDuration || DEFAULT_SCHEDULE.slotDuration,
+    breaks: Array.isArray(source.breaks) ? source.breaks : DEFAULT_SCHEDULE.breaks,
+    bookingHorizonDays:
+      source.bookingHorizonDays || DEFAULT_SCHEDULE.bookingHorizonDays,
+  };
+};
+
+/**
+ * Validate a schedule submitted by a doctor.
+ * @param {Object} schedule - Schedule to validate
+ * @returns {string|null} An error message, or null if the schedule is valid
+ */
+export const validateSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== "object") {
+    return "Schedule is required";
+  }
+  const { weeklyHours, slotDuration, breaks = [], bookingHorizonDays } = schedule;
+
+  if (!Array.isArray(weeklyHours)) {
+    return "Working hours must be a list";
+  }
+  if (!Number.isInteger(slotDuration) || slotDuration < 5 || slotDuration > 240) {
+    return "Slot length must be between 5 and 240 minutes";
+  }
+  if (
+    !Number.isInteger(bookingHorizonDays) ||
+    bookingHorizonDays < 1 ||
+    bookingHorizonDays > 90
+  ) {
+    return "Booking horizon must be between 1 and 90 days";
+  }
+  if (!Array.isArray(breaks)) {
+    return "Breaks must be a list";
+  }
+
+  for (const range of weeklyHours) {
+    if (!Number.isInteger(range.day) || range.day < 0 || range.day > 6) {
+      return "Working day must be between 0 (Sunday) and 6 (Saturday)";
+    }
+    if (!TIME_PATTERN.test(range.start) || !TIME_PATTERN.test(range.end)) {
+      return "Working hours must use HH:mm format";
+    }
+    if (toMinutes(range.start) >= toMinutes(range.end)) {
+      return "Working hours must end after they start";
+    }
+  }
+
+  for (const pause of breaks) {
+    if (
+      pause.day !== undefined &&
+      pause.day !== null &&
+      (!Number.isInteger(pause.day) || pause.day < 0 || pause.day > 6)
+    ) {
+      return "Break day must be between 0 (Sunday) and 6 (Saturday)";
+    }
+    if (!TIME_PATTERN.test(pause.start) || !TIME_PATTERN.test(pause.end)) {
+      return "Breaks must use HH:mm format";
+    }
+    if (toMinutes(pause.start) >= toMinutes(pause.end)) {
+      return "Breaks must end after they start";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Generate every scheduled slot for a single day, ignoring bookings.
+ * Slots that overlap a break or start before `now` are left out.
+ *
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} date - The day to generate slots for
+ * @param {Date} [now=new Date()] - Current time, used to drop past slots
+ * @returns {Array<{slotTime: string, dateTime: Date}>} Slots in chronological order
+ */
+export const getDaySlots = (schedule, date, now = new Date()) => {
+  const day = date.getDay();
+  const ranges = schedule.weeklyHours.filter((range) => range.day === day);
+  const breaks = schedule.breaks.filter(
+    (pause) => pause.day === undefined || pause.day === null || pause.day === day
+  );
+  const duration = schedule.slotDuration;
+  const slots = [];
+
+  ranges
+    .map((range) => [toMinutes(range.start), toMinutes(range.end)])
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      for (let minute = start; minute + duration <= end; minute += duration) {
+        const overlapsBreak = breaks.some(
+          (pause) =>
+            minute < toMinutes(pause.end) && minute + duration > toMinutes(pause.start)
+        );
+        if (overlapsBreak) continue;
+
+        const dateTime = new Date(date);
+        dateTime.setHours(Math.floor(minute / 60), minute % 60, 0, 0);
+        if (dateTime <= now) continue;
+
+        slots.push({ slotTime: formatSlotTime(minute), dateTime });
+      }
+    });
+
+  return slots;
+};
+
+/**
+ * Generate the bookable slots for a doctor across the booking horizon.
+ * Only working days are returned; a working day whose slots are all taken
+ * is returned with an empty `slots` list.
+ *
+ * @param {Object} schedule - Schedule stored on the doctor document
+ * @param {Object} [slotBooked={}] - The doctor's slot_booked map
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array<{slotDate: string, date: Date, slots: Array<{slotTime: string, dateTime: Date}>}>}
+ */
+export const getAvailableSlots = (schedule, slotBooked = {}, now = new Date()) => {
+  const normalized = normalizeSchedule(schedule);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = [];
+
+  for (let i = 0; i < normalized.bookingHorizonDays; i++) {
+    const date = new Date(today);
+    date.setDate(today.getDate() + i);
+    const isWorkingDay = normalized.weeklyHours.some(
+      (range) => range.day === date.getDay()
+    );
+    if (!isWorkingDay) continue;
+
+    const slotDate = formatSlotDate(date);
+    const booked = slotBooked[slotDate] || [];
+    const slots = getDaySlots(normalized, date, now).filter(
+      (slot) => !booked.includes(slot.slotTime)
+    );
+    days.push({ slotDate, date, slots });
+  }
+
+  return days;
+};
+
+/**
+ * Check whether a slot lies inside the doctor's schedule and booking horizon.
+ * Does not check whether the slot is already booked.
+ *
+ * @param {Object} schedule - Schedule stored on the doctor document
+ * @param {string} slotDate - Slot date key ('D_M_YYYY')
+ * @param {string} slotTime - Slot time ('hh:mm AM')
+ * @param {Date} [now=new Date()] - Current time
+ * @param {Object} [options]
+ * @param {boolean} [options.enforceHorizon=true] - Reject dates beyond the booking horizon;
+ *   recurring series turn this off so later occurrences can be booked up front
+ * @returns {boolean} True if the slot can be booked according to the schedule
+ */
+export const isSlotInSchedule = (
+  schedule,
+  slotDate,
+  slotTime,
+  now = new Date(),
+  { enforceHorizon = true } = {}
+) => {
+  const date = parseSlotDate(slotDate);
+  if (!date) return false;
+
+  const normalized = normalizeSchedule(schedule);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const lastDay = new Date(today);
+  lastDay.setDate(today.getDate() + normalized.bookingHorizonDays - 1);
+  if (date < today || (enforceHorizon && date > lastDay)) return false;
+
+  return getDaySlots(normalized, date, now).some(
+    (slot) => slot.slotTime === slotTime
+  );
+};
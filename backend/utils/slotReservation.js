@@ -0,0 +1,92 @@
+/**
+ * Atomic reservation and release of doctor slots in Doctor.slot_booked.
+ * Each operation is a single conditional update on the doctor document, so two
+ * concurrent bookings for the same slot cannot both succeed and no write can
+ * overwrite slots reserved by another request.
+ *
+ * @module utils/slotReservation
+ */
+import Doctor from "../models/doctorModel.js";
+import { formatSlotDate, parseSlotDate } from "./scheduleUtils.js";
+
+/**
+ * The slot_booked key for a date, or null if it is not a valid date.
+ * Keys are always rewritten by formatSlotDate, so reserving and releasing
+ * touch the same entry and a key can never become a nested path.
+ * @param {string|Date} slotDate - Slot date key ('D_M_YYYY') or a Date
+ * @returns {string|null}
+ */
+const slotKey = (slotDate) => {
+  const date = typeof slotDate === "string" ? parseSlotDate(slotDate) : new Date(slotDate);
+  return date && !Number.isNaN(date.getTime()) ? formatSlotDate(date) : null;
+};
+
+/**
+ * Reserve a slot for a doctor.
+ * The update only matches if the slot is not already present for that date.
+ *
+ * @function
+ * @async
+ * @param {string} docId - Doctor ID
+ * @param {string} slotDate - Slot date key ('D_M_YYYY')
+ * @param {string} slotTime - Slot time
+ * @returns {Promise<boolean>} True if the slot was reserved, false if it was already taken or the date is invalid
+ */
+export const reserveSlot = async (docId, slotDate, slotTime) => {
+  const key = slotKey(slotDate);
+  if (!key) return false;
+  const path = `slot_booked.${key}`;
+  const result = await Doctor.updateOne(
+    { _id: docId, [path]: { $ne: slotTime } },
+    { $addToSet: { [path]: slotTime } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Release a previously reserved slot for a doctor.
+ *
+ * @function
+ * @async
+ * @param {string} docId - Doctor ID
+ * @param {string|Date} slotDate - Slot date key ('D_M_YYYY') or the appointment's slotDate
+ * @param {string} slotTime - Slot time
+ * @returns {Promise<boolean>} True if a reserved slot was removed
+ */
+export const releaseSlot = async (docId, slotDate, slotTime) => {
+  const key = slotKey(slotDate);
+  if (!key) return false;
+  const result = await Doctor.updateOne(
+    { _id: docId },
+    { $pull: { [`slot_booked.${key}`]: slotTime } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Reserve a slot and run an operation that depends on it, such as creating
+ * the appointment. If the operation throws, the slot is released again so the
+ * reservation and the operation succeed or fail together.
+ *
+ * @function
+ * @async
+ * @template T
+ * @param {string} docId - Doctor ID
+ * @param {string} slotDate - Slot date key ('D_M_YYYY')
+ * @param {string} slotTime - Slot time
+ * @param {function(): Promise<T>} operation - Work to perform while the slot is held
+ * @returns {Promise<{reserved: boolean, result?: T}>} `reserved` is false if the slot was already taken
+ */
+export const withReservedSlot = async (docId, slotDate, slotTime, operation) => {
+  const reserved = await reserveSlot(docId, slotDate, slotTime);
+  if (!reserved) {
+    return { reserved: false };
+  }
+  try {
+    const result = await operation();
+    return { reserved: true, result };
+  } catch (error) {
+    await releaseSlot(docId, slotDate, slotTime);
+    throw error;
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Outgoing text messages.
+ * Every provider implements the same interface, so the code sending sign-in
+ * codes never depends on a specific SMS gateway:
+ *
+ * - `send(message)` delivers one message and returns `{ messageId }`.
+ *
+ * A failure is reported as `{ message }`.
+ *
+ * @module utils/sms
+ */
+import { getSmsSettings } from "../../config/sms.js";
+import sparrow from "./sparrow.js";
+import stub from "./stub.js";
+
+/**
+ * @typedef {Object} SmsMessage
+ * @property {string} to - Recipient number in E.164 form, e.g. '+9779812345678'
+ * @property {string} text - Message text
+ */
+
+/**
+ * @typedef {Object} SmsProvider
+ * @property {string} name - Identifier used in SMS_PROVIDER
+ * @property {function(SmsMessage): Promise<{messageId?: string, message?: string}>} send
+ */
+
+/** @type {Object<string, SmsProvider>} */
+const PROVIDERS = { sparrow, stub };
+
+/**
+ * Send a text message with the configured provider.
+ *
+ * @function
+ * @async
+ * @param {SmsMessage} message
+ * @returns {Promise<{messageId?: string, message?: string}>} The message ID, or a message if it was not sent
+ */
+export const sendSms = async (message) => {
+  const { provider: name } = getSmsSettings();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    const reason = name
+      ? `Unknown SMS provider '${name}'`
+      : "No SMS provider is configured; set SPARROW_SMS_TOKEN, or SMS_PROVIDER=stub in development";
+    console.error("SMS not sent:", reason);
+    return { message: reason };
+  }
+  try {
+    return await provider.send(message);
+  } catch (error) {
+    console.error(`Error sending SMS (${provider.name}):`, error);
+    return { message: "Text message could not be sent" };
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Sparrow SMS provider (Nepal).
+ * Sparrow takes local ten-digit mobile numbers, so numbers outside Nepal are
+ * refused.
+ *
+ * @module utils/sms/sparrow
+ */
+import axios from "axios";
+import { getSmsSettings } from "../../config/sms.js";
+
+/**
+ * Convert an E.164 Nepali number to the local form Sparrow expects.
+ * @param {string} phone - e.g. '+9779812345678'
+ * @returns {string|null} e.g. '9812345678', or null for other countries
+ */
+const toLocalNumber = (phone) => {
+  const match = /^\+977(\d{10})$/.exec(String(phone));
+  return match ? match[1] : null;
+};
+
+/** @type {import('./index.js').SmsProvider} */
+const sparrow = {
+  name: "sparrow",
+
+  async send({ to, text }) {
+    const { sparrow: settings } = getSmsSettings();
+    if (!settings.token) {
+      return { message: "SPARROW_SMS_TOKEN is not set" };
+    }
+    const localNumber = toLocalNumber(to);
+    if (!localNumber) {
+      return { message: "Only Nepali mobile numbers can receive text messages" };
+    }
+
+    const { data } = await axios.post(
+      settings.url,
+      new URLSearchParams({ token: settings.token, from: settings.from, to: localNumber, text }),
+      { timeout: 10000, validateStatus: () => true }
+    );
+    if (data?.response_code !== 200) {
+      return { message: data?.response || "Text message could not be sent" };
+    }
+    return { messageId: String(data.message_id || "") };
+  },
+};
+
+export default sparrow;
@@ -0,0 +1,49 @@
+/**
+ * Local SMS provider for development and tests, used only with
+ * SMS_PROVIDER=stub. Nothing leaves the machine and nothing is logged, since
+ * the messages carry sign-in codes. Tests can read the codes sent from the
+ * outbox, which keeps only the most recent messages.
+ *
+ * @module utils/sms/stub
+ */
+import crypto from "crypto";
+
+const OUTBOX_LIMIT = 100;
+
+/**
+ * The most recent messages sent since start-up (or the last clear), oldest first.
+ * @type {Array<{messageId: string, to: string, text: string, sentAt: Date}>}
+ */
+const outbox = [];
+
+/** @type {import('./index.js').SmsProvider & {outbox: function(string=): Array<Object>, clear: function(): void}} */
+const stub = {
+  name: "stub",
+
+  async send({ to, text }) {
+    const messageId = `stub_${crypto.randomUUID()}`;
+    outbox.push({ messageId, to, text, sentAt: new Date() });
+    if (outbox.length > OUTBOX_LIMIT) {
+      outbox.splice(0, outbox.length - OUTBOX_LIMIT);
+    }
+    return { messageId };
+  },
+
+  /**
+   * Messages still in the outbox.
+   * @param {string} [to] - Only messages to this number
+   * @returns {Array<Object>}
+   */
+  outbox(to) {
+    return to ? outbox.filter((message) => message.to === to) : [...outbox];
+  },
+
+  /**
+   * Forget the messages sent so far.
+   */
+  clear() {
+    outbox.length = 0;
+  },
+};
+
+export default stub;
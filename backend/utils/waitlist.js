@@ -0,0 +1,153 @@
+/**
+ * Waitlist offers for freed doctor slots.
+ * When a slot is freed it is handed to the longest-waiting patient whose date
+ * range covers it. The slot stays reserved in Doctor.slot_booked while the
+ * offer is open, so nobody else can book it until it is accepted, declined or
+ * expires, at which point it moves on to the next patient.
+ *
+ * @module utils/waitlist
+ */
+import Doctor from "../models/doctorModel.js";
+import Waitlist, { WAITLIST_STATUS } from "../models/waitlistModel.js";
+import { getWaitlistHoldMinutes } from "../config/appointmentPolicy.js";
+import { formatSlotDate, isSlotInSchedule, parseSlotDate } from "./scheduleUtils.js";
+import { releaseSlot, reserveSlot } from "./slotReservation.js";
+
+const OFFER_JOB_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Offer a free slot to the next waiting patient, holding it in slot_booked.
+ * Does nothing if the slot is outside the doctor's schedule, the doctor is
+ * unavailable, nobody is waiting for that date, or the slot was booked meanwhile.
+ *
+ * @function
+ * @async
+ * @param {string} docId - Doctor ID
+ * @param {string|Date} slotDate - Slot date key ('D_M_YYYY') or the appointment's slotDate
+ * @param {string} slotTime - Slot time
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Object|null>} The waitlist entry that received the offer, or null
+ */
+export const offerSlot = async (docId, slotDate, slotTime, now = new Date()) => {
+  const key = typeof slotDate === "string" ? slotDate : formatSlotDate(slotDate);
+  const day = parseSlotDate(key);
+
+  const doctor = await Doctor.findById(docId).select("schedule available");
+  if (!doctor || !doctor.available || !isSlotInSchedule(doctor.schedule, key, slotTime, now)) {
+    return null;
+  }
+
+  const candidates = await Waitlist.find({
+    docId,
+    status: WAITLIST_STATUS.WAITING,
+    fromDate: { $lte: day },
+    toDate: { $gte: day },
+  }).sort({ createdAt: 1 });
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  if (!(await reserveSlot(docId, key, slotTime))) {
+    return null;
+  }
+
+  const expiresAt = new Date(now.getTime() + getWaitlistHoldMinutes() * 60 * 1000);
+  for (const candidate of candidates) {
+    const entry = await Waitlist.findOneAndUpdate(
+      { _id: candidate._id, status: WAITLIST_STATUS.WAITING },
+      {
+        status: WAITLIST_STATUS.OFFERED,
+        offer: { slotDate: key, slotTime, offeredAt: now, expiresAt },
+        updatedAt: now,
+      },
+      { new: true }
+    );
+    if (entry) {
+      return entry;
+    }
+  }
+
+  // Every candidate left the queue in the meantime
+  await releaseSlot(docId, key, slotTime);
+  return null;
+};
+
+/**
+ * Release a slot and pass it on to the waitlist.
+ * Use this wherever a booked slot becomes free again.
+ *
+ * @function
+ * @async
+ * @param {string} docId - Doctor ID
+ * @param {string|Date} slotDate - Slot date key ('D_M_YYYY') or the appointment's slotDate
+ * @param {string} slotTime - Slot time
+ * @returns {Promise<Object|null>} The waitlist entry that received the offer, or null
+ */
+export const freeSlot = async (docId, slotDate, slotTime) => {
+  await releaseSlot(docId, slotDate, slotTime);
+  return offerSlot(docId, slotDate, slotTime);
+};
+
+/**
+ * Close an open offer and pass its slot to the next patient.
+ * The update is conditional on the offer still being open, so an offer can
+ * only be closed once.
+ *
+ * @function
+ * @async
+ * @param {Object} filter - Conditions identifying the entry, e.g. `{ _id, userId }`
+ * @param {string} status - Status to close the entry with (declined, expired or cancelled)
+ * @returns {Promise<Object|null>} The closed entry, or null if it had no open offer
+ */
+export const closeOffer = async (filter, status) => {
+  const entry = await Waitlist.findOneAndUpdate(
+    { ...filter, status: WAITLIST_STATUS.OFFERED },
+    { status, updatedAt: new Date() }
+  );
+  if (!entry) {
+    return null;
+  }
+  await freeSlot(entry.docId, entry.offer.slotDate, entry.offer.slotTime);
+  return entry;
+};
+
+/**
+ * Expire offers whose hold has run out and waiting entries whose date range has passed.
+ *
+ * @function
+ * @async
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<{expiredOffers: number, expiredEntries: number}>}
+ */
+export const expireWaitlist = async (now = new Date()) => {
+  const overdue = await Waitlist.find({
+    status: WAITLIST_STATUS.OFFERED,
+    "offer.expiresAt": { $lte: now },
+  }).select("_id");
+
+  let expiredOffers = 0;
+  for (const { _id } of overdue) {
+    if (await closeOffer({ _id, "offer.expiresAt": { $lte: now } }, WAITLIST_STATUS.EXPIRED)) {
+      expiredOffers += 1;
+    }
+  }
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const { modifiedCount } = await Waitlist.updateMany(
+    { status: WAITLIST_STATUS.WAITING, toDate: { $lt: today } },
+    { status: WAITLIST_STATUS.EXPIRED, updatedAt: now }
+  );
+
+  return { expiredOffers, expiredEntries: modifiedCount };
+};
+
+/**
+ * Start the background job that expires waitlist offers every minute.
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+export const startWaitlistJob = () =>
+  setInterval(() => {
+    expireWaitlist().catch((error) => {
+      console.error("Error expiring waitlist offers:", error);
+    });
+  }, OFFER_JOB_INTERVAL_MS);
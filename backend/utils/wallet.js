@@ -0,0 +1,201 @@
+/**
+ * Patient wallet.
+ * Balances are never stored: they are computed from the wallet ledger, so
+ * every change to a balance is a transaction the patient can see. Refunds can
+ * be credited to the wallet instead of going back through the gateway, admins
+ * add adjustments and promotions, and the balance can pay for appointments on
+ * its own or together with a gateway payment.
+ *
+ * @module utils/wallet
+ */
+import WalletTransaction, {
+  WALLET_ENTRY_TYPES,
+  WALLET_SOURCES,
+} from "../models/walletTransactionModel.js";
+import { STATUS_ACTORS } from "../config/appointmentStatus.js";
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Build the createdBy field of a transaction.
+ * @param {{role: string, id?: string}} actor - Who makes the transaction
+ * @returns {{role: string, id: string}}
+ */
+const toCreatedBy = (actor) => ({ role: actor.role, id: actor.id ? String(actor.id) : "" });
+
+/**
+ * Compute a patient's wallet balance from their ledger.
+ *
+ * @function
+ * @async
+ * @param {string} userId - The patient's ID
+ * @returns {Promise<number>}
+ */
+export const getWalletBalance = async (userId) => {
+  const [totals] = await WalletTransaction.aggregate([
+    { $match: { userId: String(userId) } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [{ $eq: ["$type", WALLET_ENTRY_TYPES.CREDIT] }, "$amount", { $multiply: ["$amount", -1] }],
+          },
+        },
+      },
+    },
+  ]);
+  return roundAmount(totals?.balance || 0);
+};
+
+/**
+ * Get a patient's wallet: balance and most recent transactions.
+ *
+ * @function
+ * @async
+ * @param {string} userId - The patient's ID
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Most transactions returned
+ * @returns {Promise<{balance: number, transactions: Array<Object>}>}
+ */
+export const getWallet = async (userId, { limit = 50 } = {}) => {
+  const balance = await getWalletBalance(userId);
+  const transactions = await WalletTransaction.find({ userId: String(userId) })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+  return { balance, transactions };
+};
+
+/**
+ * Add a credit to a patient's wallet.
+ * A refund or checkout release is only credited once; crediting it again
+ * returns the existing transaction.
+ *
+ * @function
+ * @async
+ * @param {string} userId - The patient's ID
+ * @param {Object} options
+ * @param {number} options.amount - Amount to credit
+ * @param {string} options.source - One of WALLET_SOURCES
+ * @param {string} [options.note] - Description shown to the patient
+ * @param {string} [options.paymentId] - Related payment
+ * @param {string} [options.refundId] - Refund being credited
+ * @param {string} [options.appointmentId] - Related appointment
+ * @param {{role: string, id?: string}} options.actor - Who credits it
+ * @returns {Promise<{transaction?: Object, message?: string}>}
+ */
+export const creditWallet = async (
+  userId,
+  { amount, source, note = "", paymentId = null, refundId = null, appointmentId = null, actor }
+) => {
+  const value = roundAmount(Number(amount));
+  if (!userId) {
+    return { message: "Patient not found" };
+  }
+  if (!Number.isFinite(value) || value <= 0) {
+    return { message: "Amount must be greater than 0" };
+  }
+
+  try {
+    const transaction = await WalletTransaction.create({
+      userId: String(userId),
+      type: WALLET_ENTRY_TYPES.CREDIT,
+      source,
+      amount: value,
+      note,
+      paymentId,
+      refundId,
+      appointmentId,
+      createdBy: toCreatedBy(actor),
+    });
+    return { transaction };
+  } catch (error) {
+    if (error.code === 11000) {
+      const existing = await WalletTransaction.findOne(
+        refundId ? { refundId, source } : { paymentId, source }
+      );
+      return { transaction: existing };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Take an amount from a patient's wallet.
+ * The debit is written first and the balance checked afterwards; if debits
+ * made at the same time would take the balance below zero, the debit is
+ * removed again and fails, so a wallet is never overdrawn.
+ *
+ * @function
+ * @async
+ * @param {string} userId - The patient's ID
+ * @param {Object} options
+ * @param {number} options.amount - Amount to debit
+ * @param {string} options.source - One of WALLET_SOURCES
+ * @param {string} [options.note] - Description shown to the patient
+ * @param {string} [options.paymentId] - Payment the balance is spent on
+ * @param {string} [options.appointmentId] - Related appointment
+ * @param {{role: string, id?: string}} options.actor - Who debits it
+ * @returns {Promise<{transaction?: Object, message?: string}>}
+ */
+export const debitWallet = async (
+  userId,
+  { amount, source, note = "", paymentId = null, appointmentId = null, actor }
+) => {
+  const value = roundAmount(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    return { message: "Amount must be greater than 0" };
+  }
+  if ((await getWalletBalance(userId)) < value) {
+    return { message: "Not enough wallet balance" };
+  }
+
+  const transaction = await WalletTransaction.create({
+    userId: String(userId),
+    type: WALLET_ENTRY_TYPES.DEBIT,
+    source,
+    amount: value,
+    note,
+    paymentId,
+    appointmentId,
+    createdBy: toCreatedBy(actor),
+  });
+  if ((await getWalletBalance(userId)) < 0) {
+    await transaction.deleteOne();
+    return { message: "Not enough wallet balance" };
+  }
+
+  return { transaction };
+};
+
+/**
+ * Give back the wallet balance held by a payment that did not go through,
+ * e.g. a failed, cancelled or expired gateway payment. Does nothing for
+ * payments that used no wallet balance, and only releases once.
+ *
+ * @function
+ * @async
+ * @param {Object} payment - Payment document
+ * @returns {Promise<{transaction?: Object, message?: string}>}
+ */
+export const releaseWalletHold = async (payment) => {
+  if (!(payment.wallet_amount > 0)) {
+    return { message: "Payment used no wallet balance" };
+  }
+  const debit = await WalletTransaction.findOne({
+    paymentId: payment._id,
+    source: WALLET_SOURCES.CHECKOUT,
+  });
+  if (!debit) {
+    return { message: "No wallet debit for this payment" };
+  }
+
+  return creditWallet(debit.userId, {
+    amount: debit.amount,
+    source: WALLET_SOURCES.CHECKOUT_RELEASE,
+    note: `Payment ${payment.transaction_uuid} did not go through`,
+    paymentId: payment._id,
+    appointmentId: payment.appointmentId,
+    actor: { role: STATUS_ACTORS.SYSTEM, id: payment.gateway },
+  });
+};
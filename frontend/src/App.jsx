@@ -11,6 +11,7 @@ import Navbar from "./components/Navbar";
 import Footer from "./components/Footer";
 import PaymentSuccess from "./pages/PaymentSuccess";
 import PaymentFailure from "./pages/PaymentFailure";
+import VerifyEmail from "./pages/VerifyEmail";
 
 import { ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
@@ -25,6 +26,8 @@ const App = () => {
         <Route path="/about" element={<About />} />
         <Route path="/contact" element={<Contact />} />
         <Route path="/login" element={<Login />} />
+        <Route path="/reset-password" element={<Login />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
         <Route path="/doctors" element={<Doctors />} />
         <Route path="/doctors/:specialty" element={<Doctors />} />
         <Route path="/my-appointments" element={<MyAppointments />} />
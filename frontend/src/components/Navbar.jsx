@@ -6,12 +6,11 @@ import { AppContext } from "../context/AppContext";
 
 const Navbar = () => {
   const navigate = useNavigate();
-  const { token, setToken, userData } = useContext(AppContext);
+  const { token, logout, userData } = useContext(AppContext);
   const [showMenu, setShowMenu] = useState(false);
 
-  const handleLogout = () => {
-    setToken(false);
-    localStorage.removeItem("token");
+  const handleLogout = async (allDevices = false) => {
+    await logout({ allDevices });
     navigate("/");
   };
 
@@ -158,7 +157,7 @@ const Navbar = () => {
                     </button>
                     
                     <button
-                      onClick={handleLogout}
+                      onClick={() => handleLogout()}
                       className="w-full px-4 py-3 text-left text-sm text-red-600 hover:bg-red-50 transition-colors duration-200 flex items-center space-x-3"
                     >
                       <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -166,6 +165,16 @@ const Navbar = () => {
                       </svg>
                       Logout
                     </button>
+
+                    <button
+                      onClick={() => handleLogout(true)}
+                      className="w-full px-4 py-3 text-left text-sm text-red-600 hover:bg-red-50 transition-colors duration-200 flex items-center space-x-3"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                      </svg>
+                      Log out of all devices
+                    </button>
                   </div>
                 </div>
               </div>
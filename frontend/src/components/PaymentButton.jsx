@@ -1,57 +1,124 @@
-import { useContext, useState } from "react";
+import { useContext, useEffect, useRef, useState } from "react";
 import axios from "axios";
-import { AppContext } from "../context/AppContext";
+import { toast } from "react-toastify";
+import { useNavigate } from "react-router-dom";
 import { v4 as uuidv4 } from "uuid";
+import { AppContext } from "../context/AppContext";
 
-const PaymentButton = ({ appointmentId, amount, children }) => {
-  const { backendUrl, userData, token } = useContext(AppContext);
+// Sends the browser to the gateway's checkout: a form post (eSewa) or a redirect (Khalti, mock)
+const openCheckout = ({ method, url, fields = {} }) => {
+  if (method !== "POST") {
+    window.location.href = url;
+    return;
+  }
+  const form = document.createElement("form");
+  form.method = "POST";
+  form.action = url;
+  for (const key in fields) {
+    const input = document.createElement("input");
+    input.type = "hidden";
+    input.name = key;
+    input.value = fields[key];
+    form.appendChild(input);
+  }
+  document.body.appendChild(form);
+  form.submit();
+};
+
+const PaymentButton = ({ appointmentId, children }) => {
+  const { backendUrl, token, paymentGateways, currencySymbol } = useContext(AppContext);
+  const navigate = useNavigate();
   const [isLoading, setIsLoading] = useState(false);
+  const [selectedGateway, setSelectedGateway] = useState("");
+  const [showCoupon, setShowCoupon] = useState(false);
+  const [couponInput, setCouponInput] = useState("");
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [payFromWallet, setPayFromWallet] = useState(false);
+  const attemptRef = useRef(null);
+  const gateway = selectedGateway || paymentGateways[0]?.name || "esewa";
+
+  // Loads the wallet balance so the patient can spend it on this payment
+  useEffect(() => {
+    if (!token) return;
+    const loadWallet = async () => {
+      try {
+        const { data } = await axios.get(`${backendUrl}/api/user/wallet`, { headers: { token } });
+        if (data.success) {
+          setWalletBalance(data.balance);
+        }
+      } catch (error) {
+        console.error("Error loading wallet balance:", error);
+      }
+    };
+    loadWallet();
+  }, [backendUrl, token]);
+
+  // Checks the promo code on the server and shows the discounted price
+  const applyCoupon = async () => {
+    if (!couponInput.trim()) return;
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/payment/apply-coupon`,
+        { appointmentId, couponCode: couponInput },
+        { headers: { token } }
+      );
+      if (data.success) {
+        setAppliedCoupon(data);
+        toast.success(data.message);
+      } else {
+        setAppliedCoupon(null);
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error applying promo code:", error);
+      toast.error("Could not apply the promo code");
+    }
+  };
+
+  // One idempotency key per choice of gateway, promo code and wallet, so a retry resumes the same payment
+  const getIdempotencyKey = () => {
+    const options = `${gateway}|${appliedCoupon?.code || ""}|${payFromWallet}`;
+    if (attemptRef.current?.options !== options) {
+      attemptRef.current = { options, key: uuidv4() };
+    }
+    return attemptRef.current.key;
+  };
 
   const handleClick = async () => {
     if (isLoading) return;
     
     setIsLoading(true);
     try {
-      const transactionUuid = uuidv4();
-      const response = await axios.post(
-        `${backendUrl}/api/payment/esewa/initiate-payment`,
+      // The backend works out the amount from the appointment and re-checks the promo code
+      const { data } = await axios.post(
+        `${backendUrl}/api/payment/${gateway}/initiate-payment`,
+        { appointmentId, couponCode: appliedCoupon?.code, useWallet: payFromWallet },
         {
-          amount: amount,
-          tax_amount: 0, // or calculate as needed
-          product_service_charge: 0,
-          product_delivery_charge: 0,
-          transaction_uuid: transactionUuid,
-          userData,
-          appointmentId,
-        },
-        {
-          headers: { token },
+          headers: { token, "Idempotency-Key": getIdempotencyKey() },
         }
       );
-      const { esewaUrl, paymentData } = response.data;
-      
-      // Create and submit form
-      const form = document.createElement("form");
-      form.method = "POST";
-      form.action = esewaUrl;
-      for (const key in paymentData) {
-        const input = document.createElement("input");
-        input.type = "hidden";
-        input.name = key;
-        input.value = paymentData[key];
-        form.appendChild(input);
+      if (!data.success) {
+        attemptRef.current = null;
+        alert(data.message || "Payment initiation failed");
+        return;
+      }
+      // Fully covered by the promo code or the wallet, nothing to pay at the gateway
+      if (data.free || data.paidWithWallet) {
+        toast.success(data.message);
+        navigate(`/payment-success?status=success&uuid=${data.transaction_uuid}`);
+        return;
       }
-      document.body.appendChild(form);
-      form.submit();
+      openCheckout(data.checkout);
     } catch (error) {
       alert("Payment initiation failed");
-      console.error("Esewa payment error:", error);
+      console.error("Payment initiation error:", error);
     } finally {
       setIsLoading(false);
     }
   };
 
-  return (
+  const button = (
     <button
       type="button"
       onClick={handleClick}
@@ -79,6 +146,79 @@ const PaymentButton = ({ appointmentId, amount, children }) => {
       <div className="absolute inset-0 rounded-xl bg-white/20 opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
     </button>
   );
+
+  const couponField = showCoupon ? (
+    <div className="flex flex-col gap-1">
+      <div className="flex gap-2">
+        <input
+          value={couponInput}
+          onChange={(e) => setCouponInput(e.target.value)}
+          placeholder="Promo code"
+          className="flex-1 min-w-0 px-3 py-2 rounded-xl border-2 border-gray-200 text-sm uppercase focus:outline-none focus:border-green-500"
+        />
+        <button
+          type="button"
+          onClick={applyCoupon}
+          className="px-4 py-2 rounded-xl border-2 border-green-500 text-green-700 text-sm font-semibold hover:bg-green-50"
+        >
+          Apply
+        </button>
+      </div>
+      {appliedCoupon && (
+        <p className="text-sm text-green-700">
+          {appliedCoupon.code}: {currencySymbol}{appliedCoupon.discount} off, you pay {currencySymbol}{appliedCoupon.totalAmount}
+        </p>
+      )}
+    </div>
+  ) : (
+    <button
+      type="button"
+      onClick={() => setShowCoupon(true)}
+      className="text-sm text-green-700 hover:underline self-start"
+    >
+      Have a promo code?
+    </button>
+  );
+
+  const walletField = walletBalance > 0 && (
+    <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={payFromWallet}
+        onChange={(e) => setPayFromWallet(e.target.checked)}
+        className="w-4 h-4 accent-green-600"
+      />
+      Use wallet balance ({currencySymbol}{walletBalance})
+    </label>
+  );
+
+  return (
+    <div className="flex flex-col gap-2 w-full sm:w-auto">
+      {paymentGateways.length > 1 && (
+        <div className="flex gap-2" role="radiogroup" aria-label="Payment method">
+          {paymentGateways.map((option) => (
+            <button
+              key={option.name}
+              type="button"
+              role="radio"
+              aria-checked={gateway === option.name}
+              onClick={() => setSelectedGateway(option.name)}
+              className={`flex-1 px-3 py-2 rounded-xl border-2 text-sm font-semibold transition-colors ${
+                gateway === option.name
+                  ? "border-green-500 bg-green-50 text-green-700"
+                  : "border-gray-200 text-gray-600 hover:bg-gray-50"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {couponField}
+      {walletField}
+      {button}
+    </div>
+  );
 };
 
 export default PaymentButton;
@@ -0,0 +1,154 @@
+import { useContext, useEffect, useState } from "react";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { AppContext } from "../context/AppContext";
+
+// Shows the patient's phone number and lets them add or change it by
+// entering the code texted to the new number
+const PhoneVerification = ({ phone, verified, onVerified }) => {
+  const { backendUrl, token } = useContext(AppContext);
+  const [isOpen, setIsOpen] = useState(false);
+  const [newPhone, setNewPhone] = useState("");
+  const [code, setCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // Counts down until another code can be sent
+  useEffect(() => {
+    if (resendIn <= 0) return;
+    const timer = setTimeout(() => setResendIn((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const close = () => {
+    setIsOpen(false);
+    setNewPhone("");
+    setCode("");
+    setCodeSent(false);
+  };
+
+  const sendCode = async () => {
+    try {
+      setIsBusy(true);
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/phone/send-otp`,
+        { phone: newPhone },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        setCodeSent(true);
+        setResendIn(data.resendAfter || 0);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error sending phone code:", error);
+      const { data } = error.response || {};
+      toast.error(data?.message || "Failed to send the code");
+      if (data?.retryAfter) setResendIn(data.retryAfter);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const verifyCode = async () => {
+    try {
+      setIsBusy(true);
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/phone/verify`,
+        { phone: newPhone, code },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        onVerified(data.phone);
+        close();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error verifying phone:", error);
+      toast.error("Failed to verify the code");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const inputClass =
+    "flex-1 px-4 py-2 bg-white border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-300";
+
+  return (
+    <div className="flex-1 flex flex-col gap-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-800 font-medium">{phone || "Not added"}</span>
+        {phone && (
+          <span
+            className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
+              verified ? "text-green-700 bg-green-100" : "text-amber-700 bg-amber-100"
+            }`}
+          >
+            {verified ? "Verified" : "Not verified"}
+          </span>
+        )}
+        {!isOpen && (
+          <button
+            onClick={() => {
+              setIsOpen(true);
+              setNewPhone(phone && !verified ? phone : "");
+            }}
+            className="text-xs text-blue-600 hover:text-blue-700 font-semibold"
+          >
+            {!phone ? "Add phone number" : verified ? "Change" : "Verify"}
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="tel"
+            value={newPhone}
+            onChange={(e) => setNewPhone(e.target.value)}
+            disabled={codeSent}
+            placeholder="98XXXXXXXX"
+            className={`${inputClass} disabled:bg-gray-100`}
+          />
+          {codeSent && (
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+              placeholder="Code"
+              className={inputClass}
+            />
+          )}
+          <button
+            onClick={codeSent ? verifyCode : sendCode}
+            disabled={isBusy || !newPhone.trim() || (codeSent && !code)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-xl text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+          >
+            {codeSent ? "Verify" : "Send code"}
+          </button>
+          {codeSent && (
+            <button
+              onClick={sendCode}
+              disabled={isBusy || resendIn > 0}
+              className="px-4 py-2 text-sm text-blue-600 font-medium disabled:text-gray-400"
+            >
+              {resendIn > 0 ? `Resend in ${resendIn}s` : "Resend"}
+            </button>
+          )}
+          <button onClick={close} className="px-4 py-2 text-sm text-gray-600 font-medium">
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PhoneVerification;
@@ -0,0 +1,208 @@
+import { useContext, useEffect, useState } from "react";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { useNavigate } from "react-router-dom";
+import { AppContext } from "../context/AppContext";
+
+// Formats a 'D_M_YYYY' slot date key for display
+const formatSlotKey = (slotDate) => {
+  const [day, month, year] = slotDate.split("_").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString("en-GB", {
+    weekday: "short",
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+};
+
+// Books the selected slot as a recurring series after checking every visit for conflicts
+const RecurringBooking = ({ docId, slotDate, slotTime, fees, paymentMethod, onBooked }) => {
+  const { backendUrl, token, currencySymbol } = useContext(AppContext);
+  const navigate = useNavigate();
+  const [repeatEvery, setRepeatEvery] = useState(1);
+  const [unit, setUnit] = useState("week");
+  const [endType, setEndType] = useState("count");
+  const [count, setCount] = useState(4);
+  const [endDate, setEndDate] = useState("");
+  const [occurrences, setOccurrences] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isBooking, setIsBooking] = useState(false);
+
+  // Any change to the rule makes the previous check stale
+  useEffect(() => {
+    setOccurrences(null);
+  }, [slotDate, slotTime, repeatEvery, unit, endType, count, endDate]);
+
+  const getRecurrence = () => ({
+    docId,
+    slotDate,
+    slotTime,
+    interval: Number(repeatEvery),
+    unit,
+    ...(endType === "count" ? { count: Number(count) } : { endDate }),
+  });
+
+  const checkSeries = async () => {
+    if (!token) {
+      toast.warn("Please login to book an appointment");
+      return navigate("/login");
+    }
+
+    try {
+      setIsChecking(true);
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/preview-series`,
+        getRecurrence(),
+        { headers: { token } }
+      );
+      if (data.success) {
+        setOccurrences(data.occurrences);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error checking series:", error);
+      toast.error("Failed to check availability. Please try again.");
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const bookSeries = async () => {
+    try {
+      setIsBooking(true);
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/book-series`,
+        { ...getRecurrence(), skipConflicts: true, paymentMethod },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        onBooked();
+      } else {
+        toast.error(data.message);
+        if (data.occurrences) {
+          setOccurrences(data.occurrences);
+        }
+      }
+    } catch (error) {
+      console.error("Error booking series:", error);
+      toast.error("Failed to book the series. Please try again.");
+    } finally {
+      setIsBooking(false);
+    }
+  };
+
+  const freeCount = occurrences
+    ? occurrences.filter((occurrence) => occurrence.available).length
+    : 0;
+  const conflictCount = occurrences ? occurrences.length - freeCount : 0;
+
+  return (
+    <div className="mb-6 p-6 rounded-2xl border-2 border-blue-100 bg-blue-50/50">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Repeat this appointment</h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <label className="text-sm text-gray-700">
+          Every
+          <div className="mt-1 flex gap-2">
+            <input
+              type="number"
+              min="1"
+              max="30"
+              value={repeatEvery}
+              onChange={(e) => setRepeatEvery(e.target.value)}
+              className="w-20 px-3 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <select
+              value={unit}
+              onChange={(e) => setUnit(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="day">day(s)</option>
+              <option value="week">week(s)</option>
+            </select>
+          </div>
+        </label>
+        <label className="text-sm text-gray-700">
+          Ends
+          <div className="mt-1 flex gap-2">
+            <select
+              value={endType}
+              onChange={(e) => setEndType(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="count">after</option>
+              <option value="date">on</option>
+            </select>
+            {endType === "count" ? (
+              <input
+                type="number"
+                min="2"
+                max="12"
+                value={count}
+                onChange={(e) => setCount(e.target.value)}
+                className="w-20 px-3 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            ) : (
+              <input
+                type="date"
+                value={endDate}
+                onChange={(e) => setEndDate(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            )}
+            {endType === "count" && <span className="self-center">visits</span>}
+          </div>
+        </label>
+      </div>
+
+      {occurrences && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-700 mb-2">
+            {freeCount} of {occurrences.length} visits available
+            {conflictCount > 0 && " — visits with conflicts will be skipped"}
+          </p>
+          <ul className="max-h-56 overflow-y-auto divide-y divide-gray-200 bg-white rounded-xl border border-gray-200">
+            {occurrences.map((occurrence) => (
+              <li
+                key={occurrence.slotDate}
+                className="flex items-center justify-between px-4 py-2 text-sm"
+              >
+                <span className="text-gray-900">
+                  {formatSlotKey(occurrence.slotDate)}, {occurrence.slotTime}
+                </span>
+                {occurrence.available ? (
+                  <span className="text-green-700 font-medium">Available</span>
+                ) : (
+                  <span className="text-red-600 font-medium">{occurrence.reason}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {occurrences && freeCount > 0 ? (
+        <button
+          onClick={bookSeries}
+          disabled={isBooking}
+          className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-4 px-6 rounded-xl font-semibold hover:from-blue-700 hover:to-purple-700 transition-all duration-300 disabled:opacity-50"
+        >
+          {isBooking
+            ? "Booking Series..."
+            : `Book ${freeCount} Visits - ${currencySymbol} ${fees} each`}
+        </button>
+      ) : (
+        <button
+          onClick={checkSeries}
+          disabled={isChecking || (endType === "date" && !endDate)}
+          className="w-full py-4 px-6 bg-blue-600 text-white rounded-xl font-semibold hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isChecking ? "Checking..." : "Check Availability"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default RecurringBooking;
@@ -0,0 +1,176 @@
+import { useContext, useEffect, useState } from "react";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { AppContext } from "../context/AppContext";
+
+const daysOfWeek = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+// Lets a patient move an appointment to another free slot of the same doctor
+const RescheduleModal = ({ appointment, onClose, onRescheduled }) => {
+  const { backendUrl, token } = useContext(AppContext);
+  const [days, setDays] = useState([]);
+  const [dayIndex, setDayIndex] = useState(0);
+  const [slotTime, setSlotTime] = useState("");
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const getAvailableSlots = async () => {
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get(
+        `${backendUrl}/api/doctor/slots/${appointment.docId}`
+      );
+      if (data.success) {
+        setDays(data.days.map((day) => ({ ...day, date: new Date(day.date) })));
+      } else {
+        setDays([]);
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error fetching available slots:", error);
+      setDays([]);
+      toast.error("Failed to load available slots");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const rescheduleAppointment = async () => {
+    if (!slotTime) {
+      toast.error("Please select a time slot");
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/reschedule-appointment`,
+        {
+          appointmentId: appointment._id,
+          slotDate: days[dayIndex].slotDate,
+          slotTime,
+        },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message || "Appointment rescheduled successfully");
+        onRescheduled();
+        onClose();
+      } else {
+        toast.error(data.message || "Failed to reschedule appointment");
+        getAvailableSlots();
+      }
+    } catch (error) {
+      console.error("Error rescheduling appointment:", error);
+      toast.error(error.message || "Failed to reschedule appointment");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  useEffect(() => {
+    getAvailableSlots();
+  }, [appointment._id]);
+
+  const selectedDay = days[dayIndex];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-3xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-8">
+        <div className="flex items-start justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Reschedule Appointment</h2>
+            <p className="text-gray-600 mt-1">
+              {appointment.docData.name} · currently at {appointment.slotTime}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            aria-label="Close"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-blue-600 border-t-transparent"></div>
+          </div>
+        ) : days.length === 0 ? (
+          <p className="text-sm text-gray-500 py-6">
+            This doctor has no bookable days in the coming period.
+          </p>
+        ) : (
+          <>
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Choose Date</h3>
+            <div className="flex gap-3 overflow-x-auto pb-2 mb-6">
+              {days.map((day, index) => (
+                <button
+                  key={day.slotDate}
+                  onClick={() => {
+                    setDayIndex(index);
+                    setSlotTime("");
+                  }}
+                  className={`min-w-[4.5rem] p-3 rounded-xl border-2 transition-all duration-300 text-center ${
+                    dayIndex === index
+                      ? "border-blue-500 bg-blue-50 text-blue-700 shadow-lg"
+                      : "border-gray-200 hover:border-gray-300 text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  <div className="text-xs font-medium text-gray-500 mb-1">
+                    {daysOfWeek[day.date.getDay()]}
+                  </div>
+                  <div className="text-lg font-bold">{day.date.getDate()}</div>
+                </button>
+              ))}
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Choose Time</h3>
+            {selectedDay && selectedDay.slots.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-6">
+                All slots on this day are booked. Please choose another date.
+              </p>
+            ) : (
+              <div className="grid grid-cols-3 md:grid-cols-5 gap-3 mb-6">
+                {selectedDay?.slots.map((slot) => (
+                  <button
+                    key={slot.slotTime}
+                    onClick={() => setSlotTime(slot.slotTime)}
+                    className={`p-3 rounded-xl border-2 transition-all duration-300 text-center ${
+                      slot.slotTime === slotTime
+                        ? "border-blue-500 bg-blue-500 text-white shadow-lg"
+                        : "border-gray-200 hover:border-gray-300 text-gray-700 hover:bg-gray-50"
+                    }`}
+                  >
+                    <span className="text-sm font-medium">{slot.slotTime}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end gap-3 border-t border-gray-200 pt-6">
+          <button
+            onClick={onClose}
+            className="px-6 py-3 text-gray-700 border-2 border-gray-200 rounded-2xl hover:bg-gray-50 transition-all duration-300 font-semibold"
+          >
+            Keep Current Time
+          </button>
+          <button
+            onClick={rescheduleAppointment}
+            disabled={isSubmitting || !slotTime}
+            className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-2xl hover:from-blue-700 hover:to-purple-700 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed font-semibold"
+          >
+            {isSubmitting ? "Rescheduling..." : "Confirm New Time"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RescheduleModal;
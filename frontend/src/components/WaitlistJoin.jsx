@@ -0,0 +1,93 @@
+import { useContext, useEffect, useState } from "react";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { useNavigate } from "react-router-dom";
+import { AppContext } from "../context/AppContext";
+
+// Formats a Date as 'YYYY-MM-DD' in local time for date inputs
+const toInputDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// Lets a patient wait for a freed slot when a doctor is fully booked
+const WaitlistJoin = ({ docId, startDate }) => {
+  const { backendUrl, token } = useContext(AppContext);
+  const navigate = useNavigate();
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [isJoining, setIsJoining] = useState(false);
+
+  useEffect(() => {
+    const from = startDate ? new Date(startDate) : new Date();
+    const to = new Date(from);
+    to.setDate(from.getDate() + 6);
+    setFromDate(toInputDate(from));
+    setToDate(toInputDate(to));
+  }, [startDate]);
+
+  const joinWaitlist = async () => {
+    if (!token) {
+      toast.warn("Please login to join the waitlist");
+      return navigate("/login");
+    }
+
+    try {
+      setIsJoining(true);
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/join-waitlist`,
+        { docId, fromDate, toDate },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error joining waitlist:", error);
+      toast.error("Failed to join the waitlist. Please try again.");
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  return (
+    <div className="mb-8 p-6 rounded-2xl border-2 border-dashed border-blue-200 bg-blue-50/50">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Join the waitlist</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        If a slot opens up between these dates, we will hold it for you for a limited time.
+        You can accept it from My Appointments.
+      </p>
+      <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+        <label className="flex-1 text-sm text-gray-700">
+          From
+          <input
+            type="date"
+            value={fromDate}
+            min={toInputDate(new Date())}
+            onChange={(e) => setFromDate(e.target.value)}
+            className="mt-1 w-full px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+        <label className="flex-1 text-sm text-gray-700">
+          To
+          <input
+            type="date"
+            value={toDate}
+            min={fromDate}
+            onChange={(e) => setToDate(e.target.value)}
+            className="mt-1 w-full px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+        <button
+          onClick={joinWaitlist}
+          disabled={isJoining || !fromDate || !toDate}
+          className="px-6 py-2.5 bg-blue-600 text-white rounded-xl font-semibold hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isJoining ? "Joining..." : "Join Waitlist"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistJoin;
@@ -0,0 +1,147 @@
+import { useContext, useEffect, useState } from "react";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { AppContext } from "../context/AppContext";
+
+// Formats a 'D_M_YYYY' slot date key for display
+const formatSlotKey = (slotDate) => {
+  const [day, month, year] = slotDate.split("_").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString("en-GB", {
+    weekday: "short",
+    day: "2-digit",
+    month: "short",
+  });
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", { day: "2-digit", month: "short" });
+
+// Shows the patient's active waitlist entries and lets them accept or decline held slots
+const WaitlistPanel = ({ onBooked }) => {
+  const { backendUrl, token } = useContext(AppContext);
+  const [entries, setEntries] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const getWaitlist = async () => {
+    try {
+      const { data } = await axios.get(`${backendUrl}/api/user/waitlist`, {
+        headers: { token },
+      });
+      if (data.success) {
+        setEntries(
+          data.entries.filter((entry) => ["waiting", "offered"].includes(entry.status))
+        );
+      }
+    } catch (error) {
+      console.error("Error fetching waitlist:", error);
+    }
+  };
+
+  const handleAction = async (entryId, endpoint) => {
+    try {
+      setBusyId(entryId);
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/${endpoint}`,
+        { entryId },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        if (endpoint === "accept-waitlist-offer") {
+          onBooked();
+        }
+      } else {
+        toast.error(data.message);
+      }
+      getWaitlist();
+    } catch (error) {
+      console.error("Error updating waitlist entry:", error);
+      toast.error("Something went wrong. Please try again.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      getWaitlist();
+    }
+  }, [token]);
+
+  // Keep the hold countdown current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white/80 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-8 mb-8">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Waitlist</h2>
+      <div className="space-y-4">
+        {entries.map((entry) => {
+          const minutesLeft = entry.offer
+            ? Math.max(0, Math.ceil((new Date(entry.offer.expiresAt).getTime() - now) / 60000))
+            : 0;
+          const isOpenOffer = entry.status === "offered" && minutesLeft > 0;
+
+          return (
+            <div
+              key={entry._id}
+              className={`flex flex-col md:flex-row md:items-center justify-between gap-4 p-5 rounded-2xl border-2 ${
+                isOpenOffer ? "border-green-300 bg-green-50" : "border-gray-100 bg-gray-50"
+              }`}
+            >
+              <div>
+                <p className="font-semibold text-gray-900">{entry.docData.name}</p>
+                <p className="text-sm text-gray-600">
+                  Waiting for {formatDate(entry.fromDate)} – {formatDate(entry.toDate)}
+                </p>
+                {isOpenOffer && (
+                  <p className="text-sm font-semibold text-green-700 mt-1">
+                    Slot held for you: {formatSlotKey(entry.offer.slotDate)} at {entry.offer.slotTime} ·{" "}
+                    {minutesLeft} min left to accept
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-3">
+                {isOpenOffer ? (
+                  <>
+                    <button
+                      onClick={() => handleAction(entry._id, "accept-waitlist-offer")}
+                      disabled={busyId === entry._id}
+                      className="px-5 py-2.5 bg-green-600 text-white rounded-xl font-semibold hover:bg-green-700 transition-colors disabled:opacity-50"
+                    >
+                      Accept
+                    </button>
+                    <button
+                      onClick={() => handleAction(entry._id, "decline-waitlist-offer")}
+                      disabled={busyId === entry._id}
+                      className="px-5 py-2.5 text-gray-700 border-2 border-gray-200 rounded-xl font-semibold hover:bg-gray-100 transition-colors disabled:opacity-50"
+                    >
+                      Decline
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    onClick={() => handleAction(entry._id, "leave-waitlist")}
+                    disabled={busyId === entry._id}
+                    className="px-5 py-2.5 text-red-600 border-2 border-red-200 rounded-xl font-semibold hover:bg-red-50 transition-colors disabled:opacity-50"
+                  >
+                    Leave Waitlist
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistPanel;
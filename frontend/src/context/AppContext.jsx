@@ -2,6 +2,7 @@ import { createContext, useEffect, useState } from "react";
 // import { doctors } from "../assets/assets";
 import { toast } from "react-toastify";
 import axios from "axios";
+import { installTokenRefresh } from "../utils/tokenRefresh";
 
 export const AppContext = createContext();
 const AppContextProvider = (props) => {
@@ -13,6 +14,57 @@ const AppContextProvider = (props) => {
     localStorage.getItem("token") ? localStorage.getItem("token") : null
   );
   const [userData, setUserData] = useState(false);
+  const [paymentGateways, setPaymentGateways] = useState([]);
+
+  // Stores the tokens returned by login, registration or a refresh
+  const saveSession = (accessToken, refreshToken) => {
+    localStorage.setItem("token", accessToken);
+    localStorage.setItem("refreshToken", refreshToken);
+    setToken(accessToken);
+  };
+
+  const clearSession = () => {
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+    setToken(false);
+  };
+
+  // Ends this device's session, or every session of the patient
+  const logout = async ({ allDevices = false } = {}) => {
+    try {
+      if (allDevices) {
+        await axios.post(`${backendUrl}/api/user/logout-all`, {}, { headers: { token } });
+      } else {
+        await axios.post(`${backendUrl}/api/user/logout`, {
+          refreshToken: localStorage.getItem("refreshToken"),
+        });
+      }
+    } catch (error) {
+      console.error("Error logging out:", error);
+    }
+    clearSession();
+  };
+
+  // Refreshes the access token when it expires
+  useEffect(
+    () =>
+      installTokenRefresh({
+        header: "token",
+        refreshUrl: `${backendUrl}/api/user/refresh-token`,
+        refreshTokenKey: "refreshToken",
+        onRefresh: (accessToken, refreshToken) => {
+          localStorage.setItem("token", accessToken);
+          localStorage.setItem("refreshToken", refreshToken);
+          setToken(accessToken);
+        },
+        onSessionEnd: () => {
+          localStorage.removeItem("token");
+          localStorage.removeItem("refreshToken");
+          setToken(false);
+        },
+      }),
+    [backendUrl]
+  );
 
   const getDoctorsData = async () => {
     try {
@@ -26,6 +78,17 @@ const AppContextProvider = (props) => {
     }
   };
 
+  const getPaymentGateways = async () => {
+    try {
+      const { data } = await axios.get(`${backendUrl}/api/payment/gateways`);
+      if (data.success) {
+        setPaymentGateways(data.gateways);
+      }
+    } catch (error) {
+      console.error("Error fetching payment gateways:", error);
+    }
+  };
+
   const loadUserProfileData = async () => {
     try {
       const { data } = await axios.get(`${backendUrl}/api/user/get-profile`, {
@@ -45,8 +108,30 @@ const AppContextProvider = (props) => {
     }
   };
 
+  // Downloads the PDF invoice of a paid appointment
+  const downloadInvoice = async (appointmentId) => {
+    try {
+      const { data, headers } = await axios.get(
+        `${backendUrl}/api/user/invoice/${appointmentId}`,
+        { headers: { token }, responseType: "blob" }
+      );
+      const filename =
+        /filename="(.+)"/.exec(headers["content-disposition"] || "")?.[1] || "invoice.pdf";
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error downloading invoice:", error);
+      toast.error("Invoice is not available for this appointment");
+    }
+  };
+
   useEffect(() => {
     getDoctorsData();
+    getPaymentGateways();
   }, []);
 
   useEffect(() => {
@@ -63,10 +148,14 @@ const AppContextProvider = (props) => {
     backendUrl,
     token,
     setToken,
+    saveSession,
+    logout,
     userData,
     setUserData,
     loadUserProfileData,
     getDoctorsData,
+    paymentGateways,
+    downloadInvoice,
   };
   return (
     <AppContext.Provider value={value}>{props.children}</AppContext.Provider>
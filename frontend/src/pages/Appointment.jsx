@@ -3,6 +3,8 @@ import { AppContext } from "../context/AppContext";
 import { useNavigate, useParams } from "react-router-dom";
 import { assets } from "../assets/assets";
 import RelatedDoctors from "../components/RelatedDoctors";
+import WaitlistJoin from "../components/WaitlistJoin";
+import RecurringBooking from "../components/RecurringBooking";
 import { toast } from "react-toastify";
 import axios from "axios";
 
@@ -18,6 +20,9 @@ const Appointment = () => {
   const [slotIndex, setSlotIndex] = useState(0);
   const [slotTime, setSlotTime] = useState("");
   const [isBooking, setIsBooking] = useState(false);
+  const [isRecurring, setIsRecurring] = useState(false);
+  const [paymentMethod, setPaymentMethod] = useState("ONLINE");
+  const [slotDuration, setSlotDuration] = useState(30);
 
   const fetchDocInfo = () => {
     const doctorInfo = doctors.find((doc) => doc._id === docId);
@@ -29,57 +34,30 @@ const Appointment = () => {
   };
 
   const getAvailableSlots = async () => {
-    setDocSlots([]);
-    const today = new Date();
-
-    for (let i = 0; i < 7; i++) {
-      let currentDate = new Date(today);
-      currentDate.setDate(today.getDate() + i);
-      let endTime = new Date();
-      endTime.setDate(today.getDate() + i);
-      endTime.setHours(21, 0, 0, 0);
-
-      if (today.getDate() === currentDate.getDate()) {
-        currentDate.setHours(
-          currentDate.getHours() > 10 ? currentDate.getHours() + 1 : 10
+    try {
+      const { data } = await axios.get(
+        backendUrl + "/api/doctor/slots/" + docId
+      );
+      if (data.success) {
+        setDocSlots(
+          data.days.map((day) => ({
+            slotDate: day.slotDate,
+            date: new Date(day.date),
+            slots: day.slots.map((slot) => ({
+              time: slot.slotTime,
+              dateTime: new Date(slot.dateTime),
+            })),
+          }))
         );
-        currentDate.setMinutes(currentDate.getMinutes() > 30 ? 30 : 0);
+        setSlotDuration(data.slotDuration);
       } else {
-        currentDate.setHours(10);
-        currentDate.setMinutes(0);
-      }
-      
-      let timeSlots = [];
-      while (currentDate < endTime) {
-        let formattedTime = currentDate.toLocaleTimeString([], {
-          hour: "2-digit",
-          minute: "2-digit",
-        });
-
-        let day = currentDate.getDate();
-        let month = currentDate.getMonth() + 1;
-        let year = currentDate.getFullYear();
-
-        const slotDate = day + "_" + month + "_" + year;
-        const slotTime = formattedTime.toLowerCase();
-
-        const isSlotAvailable =
-          docInfo &&
-          docInfo.slot_booked &&
-          docInfo.slot_booked[slotDate] &&
-          docInfo.slot_booked[slotDate].includes(slotTime)
-            ? false
-            : true;
-
-        if (isSlotAvailable) {
-          timeSlots.push({
-            dateTime: new Date(currentDate),
-            time: formattedTime,
-          });
-        }
-        currentDate.setMinutes(currentDate.getMinutes() + 30);
+        setDocSlots([]);
+        toast.error(data.message);
       }
-      setDocSlots((prev) => [...prev, timeSlots]);
+    } catch (error) {
+      console.error("Error fetching available slots:", error);
+      setDocSlots([]);
+      toast.error("Failed to load available slots");
     }
   };
 
@@ -96,16 +74,11 @@ const Appointment = () => {
 
     setIsBooking(true);
     try {
-      const date = docSlots[slotIndex][0].dateTime;
-      let day = date.getDate();
-      let month = date.getMonth() + 1;
-      let year = date.getFullYear();
-
-      const slotDate = day + "_" + month + "_" + year;
+      const slotDate = docSlots[slotIndex].slotDate;
 
       const { data } = await axios.post(
         backendUrl + "/api/user/book-appointment",
-        { docId, slotDate, slotTime },
+        { docId, slotDate, slotTime, paymentMethod },
         { headers: { token } }
       );
       if (data.success) {
@@ -114,6 +87,7 @@ const Appointment = () => {
         navigate("/my-appointments");
       } else {
         toast.error(data.message);
+        getAvailableSlots();
       }
     } catch (error) {
       console.error("Error booking appointment:", error);
@@ -233,7 +207,7 @@ const Appointment = () => {
                     <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
                     </svg>
-                    <span>30 minutes consultation</span>
+                    <span>{slotDuration} minutes consultation</span>
                   </div>
                   <div className="flex items-center gap-3 text-sm text-gray-600">
                     <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -263,10 +237,13 @@ const Appointment = () => {
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">Choose Date</h3>
                 <div className="grid grid-cols-7 gap-3">
                   {docSlots.length > 0 &&
-                    docSlots.map((slot, index) => (
+                    docSlots.map((day, index) => (
                       <button
-                        key={index}
-                        onClick={() => setSlotIndex(index)}
+                        key={day.slotDate}
+                        onClick={() => {
+                          setSlotIndex(index);
+                          setSlotTime("");
+                        }}
                         className={`p-4 rounded-xl border-2 transition-all duration-300 text-center ${
                           slotIndex === index
                             ? "border-blue-500 bg-blue-50 text-blue-700 shadow-lg"
@@ -274,13 +251,13 @@ const Appointment = () => {
                         }`}
                       >
                         <div className="text-xs font-medium text-gray-500 mb-1">
-                          {slot[0] && daysOfWeek[slot[0].dateTime.getDay()]}
+                          {daysOfWeek[day.date.getDay()]}
                         </div>
                         <div className="text-lg font-bold">
-                          {slot[0] && slot[0].dateTime.getDate()}
+                          {day.date.getDate()}
                         </div>
                         <div className="text-xs text-gray-500">
-                          {slot[0] && slot[0].dateTime.toLocaleDateString('en-US', { month: 'short' })}
+                          {day.date.toLocaleDateString('en-US', { month: 'short' })}
                         </div>
                       </button>
                     ))}
@@ -288,11 +265,24 @@ const Appointment = () => {
               </div>
 
               {/* Time Selection */}
-              {docSlots.length > 0 && docSlots[slotIndex].length > 0 && (
+              {docSlots.length === 0 && (
+                <p className="text-sm text-gray-500 mb-8">
+                  This doctor has no bookable days in the coming period.
+                </p>
+              )}
+              {docSlots[slotIndex] && docSlots[slotIndex].slots.length === 0 && (
+                <p className="text-sm text-gray-500 mb-8">
+                  All slots on this day are booked. Please choose another date.
+                </p>
+              )}
+              {(docSlots.length === 0 || docSlots[slotIndex]?.slots.length === 0) && (
+                <WaitlistJoin docId={docId} startDate={docSlots[slotIndex]?.date} />
+              )}
+              {docSlots[slotIndex] && docSlots[slotIndex].slots.length > 0 && (
                 <div className="mb-8">
                   <h3 className="text-lg font-semibold text-gray-900 mb-4">Choose Time</h3>
                   <div className="grid grid-cols-4 md:grid-cols-6 gap-3">
-                    {docSlots[slotIndex].map((slot, index) => (
+                    {docSlots[slotIndex].slots.map((slot, index) => (
                       <button
                         key={index}
                         onClick={() => setSlotTime(slot.time)}
@@ -311,34 +301,97 @@ const Appointment = () => {
                 </div>
               )}
 
+              {/* Payment Method */}
+              {slotTime && (
+                <div className="mb-6">
+                  <p className="text-sm font-medium text-gray-700 mb-2">How would you like to pay?</p>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    {[
+                      { value: "ONLINE", label: "Pay online", hint: "With a wallet before your visit" },
+                      { value: "CASH", label: "Pay at clinic", hint: "Cash at the front desk when you arrive" },
+                    ].map((option) => (
+                      <label
+                        key={option.value}
+                        className={`flex items-start gap-3 p-4 rounded-xl border-2 cursor-pointer transition-all duration-200 ${
+                          paymentMethod === option.value
+                            ? "border-blue-500 bg-blue-50"
+                            : "border-gray-200 hover:border-gray-300"
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name="paymentMethod"
+                          value={option.value}
+                          checked={paymentMethod === option.value}
+                          onChange={() => setPaymentMethod(option.value)}
+                          className="mt-1 w-4 h-4 text-blue-600"
+                        />
+                        <span>
+                          <span className="block text-sm font-semibold text-gray-900">{option.label}</span>
+                          <span className="block text-xs text-gray-500">{option.hint}</span>
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Recurring Series */}
+              {slotTime && (
+                <label className="flex items-center gap-2 mb-6 text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={isRecurring}
+                    onChange={(e) => setIsRecurring(e.target.checked)}
+                    className="w-4 h-4 text-blue-600 rounded"
+                  />
+                  Book as a recurring series (for follow-up care)
+                </label>
+              )}
+              {slotTime && isRecurring && (
+                <RecurringBooking
+                  docId={docId}
+                  slotDate={docSlots[slotIndex].slotDate}
+                  slotTime={slotTime}
+                  fees={docInfo.fees}
+                  paymentMethod={paymentMethod}
+                  onBooked={() => {
+                    getDoctorsData();
+                    navigate("/my-appointments");
+                  }}
+                />
+              )}
+
               {/* Booking Button */}
-              <div className="border-t border-gray-200 pt-6">
-                <button
-                  onClick={bookAppointment}
-                  disabled={!slotTime || isBooking}
-                  className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-4 px-6 rounded-xl font-semibold hover:from-blue-700 hover:to-purple-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-300 transform hover:scale-[1.02] disabled:opacity-50 disabled:transform-none flex items-center justify-center gap-3 shadow-lg"
-                >
-                  {isBooking ? (
-                    <>
-                      <div className="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
-                      Booking Appointment...
-                    </>
-                  ) : (
-                    <>
-                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                      </svg>
-                      Book Appointment - {currencySymbol} {docInfo.fees}
-                    </>
-                  )}
-                </button>
+              {!(slotTime && isRecurring) && (
+                <div className="border-t border-gray-200 pt-6">
+                  <button
+                    onClick={bookAppointment}
+                    disabled={!slotTime || isBooking}
+                    className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-4 px-6 rounded-xl font-semibold hover:from-blue-700 hover:to-purple-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-300 transform hover:scale-[1.02] disabled:opacity-50 disabled:transform-none flex items-center justify-center gap-3 shadow-lg"
+                  >
+                    {isBooking ? (
+                      <>
+                        <div className="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
+                        Booking Appointment...
+                      </>
+                    ) : (
+                      <>
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                        </svg>
+                        Book Appointment - {currencySymbol} {docInfo.fees}
+                      </>
+                    )}
+                  </button>
                 
-                {!slotTime && (
-                  <p className="text-sm text-gray-500 text-center mt-3">
-                    Please select a date and time to continue
-                  </p>
-                )}
-              </div>
+                  {!slotTime && (
+                    <p className="text-sm text-gray-500 text-center mt-3">
+                      Please select a date and time to continue
+                    </p>
+                  )}
+                </div>
+              )}
             </div>
           </div>
         </div>
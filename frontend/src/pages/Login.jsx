@@ -3,32 +3,111 @@ import { useState } from "react";
 import { AppContext } from "../context/AppContext";
 import axios from "axios";
 import { toast } from "react-toastify";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
+
+const HEADINGS = {
+  "Sign Up": ["Create Account", "Join MERO Doctor to book appointments"],
+  Login: ["Welcome Back", "Sign in to your account"],
+  "Forgot Password": ["Forgot Password", "We'll email you a link to reset it"],
+  "Reset Password": ["Reset Password", "Choose a new password for your account"],
+  Phone: ["Continue with Phone", "We'll text you a code to sign in or create your account"],
+};
+
+const SUBMIT_LABELS = {
+  "Sign Up": ["Create Account", "Creating Account..."],
+  Login: ["Sign In", "Signing In..."],
+  "Forgot Password": ["Send Reset Link", "Sending..."],
+  "Reset Password": ["Update Password", "Updating..."],
+  Phone: ["Send Code", "Sending..."],
+};
 
 const Login = () => {
-  const { backendUrl, token, setToken } = useContext(AppContext);
-  const [state, setState] = useState("Sign Up");
+  const { backendUrl, token, saveSession } = useContext(AppContext);
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  // Reset links from the email open /reset-password?token=...
+  const resetToken = searchParams.get("token");
+  const [state, setState] = useState(
+    location.pathname === "/reset-password" ? "Reset Password" : "Sign Up"
+  );
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
   const [name, setName] = useState("");
+  const [phone, setPhone] = useState("");
+  const [code, setCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  const [nameRequired, setNameRequired] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
 
+  // Texts a sign-in code to the phone number entered
+  const sendCode = async () => {
+    try {
+      const { data } = await axios.post(`${backendUrl}/api/user/login-otp/send`, { phone });
+      if (data.success) {
+        toast.success(data.message);
+        setCodeSent(true);
+        setCode("");
+        setResendIn(data.resendAfter || 0);
+      } else {
+        toast.error(data.message || "Could not send the code");
+      }
+    } catch (error) {
+      console.error("Error sending code:", error);
+      const { data } = error.response || {};
+      toast.error(data?.message || "Could not send the code");
+      if (data?.retryAfter) setResendIn(data.retryAfter);
+    }
+  };
+
+  // Signs in with the texted code; new numbers also need a name
+  const verifyCode = async () => {
+    const { data } = await axios.post(`${backendUrl}/api/user/login-otp/verify`, {
+      phone,
+      code,
+      name: nameRequired ? name : undefined,
+    });
+    if (data.success) {
+      saveSession(data.token, data.refreshToken);
+      toast.success(data.message);
+    } else {
+      if (data.nameRequired) setNameRequired(true);
+      toast.error(data.message || "Could not verify the code");
+    }
+  };
+
+  // Counts down until another code can be sent
+  useEffect(() => {
+    if (resendIn <= 0) return;
+    const timer = setTimeout(() => setResendIn((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const switchState = (nextState) => {
+    setState(nextState);
+    setCodeSent(false);
+    setNameRequired(false);
+    setCode("");
+  };
+
   const onSubmitHandler = async (event) => {
     event.preventDefault();
     setIsLoading(true);
     
     try {
-      if (state === "Sign Up") {
+      if (state === "Phone") {
+        await (codeSent ? verifyCode() : sendCode());
+      } else if (state === "Sign Up") {
         const { data } = await axios.post(`${backendUrl}/api/user/register`, {
           name,
           email,
           password,
         });
         if (data.success) {
-          localStorage.setItem("token", data.token);
-          setToken(data.token);
-          toast.success("Account created successfully!");
+          saveSession(data.token, data.refreshToken);
+          toast.success("Account created! Check your email to verify your address.");
           console.log("User registered successfully:", data.user);
         } else {
           toast.error(data.message || "Registration failed");
@@ -40,14 +119,41 @@ const Login = () => {
           password,
         });
         if (data.success) {
-          localStorage.setItem("token", data.token);
-          setToken(data.token);
+          saveSession(data.token, data.refreshToken);
           toast.success("Logged in successfully!");
           console.log("User logged in successfully:", data.user);
         } else {
           toast.error(data.message || "Login failed");
           console.error("Login failed:", data.message);
         }
+      } else if (state === "Forgot Password") {
+        const { data } = await axios.post(`${backendUrl}/api/user/forgot-password`, {
+          email,
+        });
+        if (data.success) {
+          toast.success(data.message);
+          setState("Login");
+        } else {
+          toast.error(data.message || "Could not send the reset link");
+        }
+      } else if (state === "Reset Password") {
+        if (password !== confirmPassword) {
+          toast.error("Passwords do not match");
+          return;
+        }
+        const { data } = await axios.post(`${backendUrl}/api/user/reset-password`, {
+          token: resetToken,
+          password,
+        });
+        if (data.success) {
+          toast.success(data.message);
+          setPassword("");
+          setConfirmPassword("");
+          setState("Login");
+          navigate("/login", { replace: true });
+        } else {
+          toast.error(data.message || "Could not reset the password");
+        }
       }
     } catch (error) {
       console.error("Error in onSubmitHandler:", error);
@@ -58,10 +164,10 @@ const Login = () => {
   };
 
   useEffect(() => {
-    if (token) {
+    if (token && state !== "Reset Password") {
       navigate("/");
     }
-  }, [token, navigate]);
+  }, [token, state, navigate]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center p-4">
@@ -75,19 +181,16 @@ const Login = () => {
               </svg>
             </div>
             <h1 className="text-2xl font-bold text-white mb-2">
-              {state === "Sign Up" ? "Create Account" : "Welcome Back"}
+              {HEADINGS[state][0]}
             </h1>
             <p className="text-blue-100 text-sm">
-              {state === "Sign Up" 
-                ? "Join MERO Doctor to book appointments" 
-                : "Sign in to your account"
-              }
+              {HEADINGS[state][1]}
             </p>
           </div>
 
           {/* Form */}
           <form onSubmit={onSubmitHandler} className="px-8 py-8 space-y-6">
-            {state === "Sign Up" && (
+            {(state === "Sign Up" || (state === "Phone" && nameRequired)) && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Full Name
@@ -110,47 +213,148 @@ const Login = () => {
               </div>
             )}
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Email Address
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 4.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-                  </svg>
+            {["Sign Up", "Login", "Forgot Password"].includes(state) && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 4.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                    </svg>
+                  </div>
+                  <input
+                    className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-300"
+                    type="email"
+                    placeholder="Enter your email"
+                    onChange={(e) => setEmail(e.target.value)}
+                    value={email}
+                    required
+                  />
                 </div>
-                <input
-                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-300"
-                  type="email"
-                  placeholder="Enter your email"
-                  onChange={(e) => setEmail(e.target.value)}
-                  value={email}
-                  required
-                />
               </div>
-            </div>
+            )}
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
-                  </svg>
+            {["Sign Up", "Login", "Reset Password"].includes(state) && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {state === "Reset Password" ? "New Password" : "Password"}
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>
+                  </div>
+                  <input
+                    className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-300"
+                    type="password"
+                    placeholder={state === "Reset Password" ? "Enter a new password" : "Enter your password"}
+                    onChange={(e) => setPassword(e.target.value)}
+                    value={password}
+                    required
+                  />
                 </div>
+                {state === "Login" && (
+                  <div className="text-right mt-2">
+                    <button
+                      type="button"
+                      onClick={() => setState("Forgot Password")}
+                      className="text-sm text-blue-600 hover:text-blue-700 font-medium transition-colors"
+                    >
+                      Forgot password?
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {state === "Reset Password" && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Confirm New Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>
+                  </div>
+                  <input
+                    className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-300"
+                    type="password"
+                    placeholder="Enter the new password again"
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    value={confirmPassword}
+                    required
+                  />
+                </div>
+              </div>
+            )}
+
+            {state === "Phone" && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Mobile Number
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
+                    </svg>
+                  </div>
+                  <input
+                    className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-300 disabled:bg-gray-100"
+                    type="tel"
+                    placeholder="98XXXXXXXX"
+                    onChange={(e) => setPhone(e.target.value)}
+                    value={phone}
+                    disabled={codeSent}
+                    required
+                  />
+                </div>
+                {codeSent && (
+                  <div className="text-right mt-2">
+                    <button
+                      type="button"
+                      onClick={() => switchState("Phone")}
+                      className="text-sm text-blue-600 hover:text-blue-700 font-medium transition-colors"
+                    >
+                      Change number
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {state === "Phone" && codeSent && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Verification Code
+                </label>
                 <input
-                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-300"
-                  type="password"
-                  placeholder="Enter your password"
-                  onChange={(e) => setPassword(e.target.value)}
-                  value={password}
+                  className="block w-full px-3 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-300 tracking-widest text-center"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  placeholder="Enter the code we texted you"
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+                  value={code}
                   required
                 />
+                <div className="text-right mt-2">
+                  <button
+                    type="button"
+                    onClick={sendCode}
+                    disabled={resendIn > 0}
+                    className="text-sm text-blue-600 hover:text-blue-700 font-medium transition-colors disabled:text-gray-400"
+                  >
+                    {resendIn > 0 ? `Resend code in ${resendIn}s` : "Resend code"}
+                  </button>
+                </div>
               </div>
-            </div>
+            )}
 
             <button
               type="submit"
@@ -160,14 +364,14 @@ const Login = () => {
               {isLoading ? (
                 <>
                   <div className="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
-                  {state === "Sign Up" ? "Creating Account..." : "Signing In..."}
+                  {state === "Phone" && codeSent ? "Verifying..." : SUBMIT_LABELS[state][1]}
                 </>
               ) : (
                 <>
                   <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 16l-4-4m0 0l4-4m-4 4h14m-5 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h7a3 3 0 013 3v1" />
                   </svg>
-                  {state === "Sign Up" ? "Create Account" : "Sign In"}
+                  {state === "Phone" && codeSent ? "Verify & Continue" : SUBMIT_LABELS[state][0]}
                 </>
               )}
             </button>
@@ -185,7 +389,7 @@ const Login = () => {
                     Sign In
                   </button>
                 </p>
-              ) : (
+              ) : state === "Login" ? (
                 <p className="text-sm text-gray-600">
                   Don't have an account?{" "}
                   <button
@@ -196,6 +400,40 @@ const Login = () => {
                     Create Account
                   </button>
                 </p>
+              ) : state === "Phone" ? (
+                <p className="text-sm text-gray-600">
+                  Have an email account?{" "}
+                  <button
+                    type="button"
+                    onClick={() => switchState("Login")}
+                    className="text-blue-600 hover:text-blue-700 font-semibold transition-colors"
+                  >
+                    Sign in with Email
+                  </button>
+                </p>
+              ) : (
+                <p className="text-sm text-gray-600">
+                  Remembered your password?{" "}
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setState("Login");
+                      navigate("/login", { replace: true });
+                    }}
+                    className="text-blue-600 hover:text-blue-700 font-semibold transition-colors"
+                  >
+                    Back to Sign In
+                  </button>
+                </p>
+              )}
+              {(state === "Sign Up" || state === "Login") && (
+                <button
+                  type="button"
+                  onClick={() => switchState("Phone")}
+                  className="mt-4 w-full border border-gray-300 text-gray-700 py-3 px-4 rounded-xl font-semibold hover:bg-gray-50 transition-all duration-300"
+                >
+                  Continue with Phone Number
+                </button>
               )}
             </div>
           </form>
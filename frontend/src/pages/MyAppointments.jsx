@@ -5,12 +5,26 @@ import axios from "axios";
 import { useState } from "react";
 import { useEffect } from "react";
 import PaymentButton from "../components/PaymentButton";
+import RescheduleModal from "../components/RescheduleModal";
+import WaitlistPanel from "../components/WaitlistPanel";
+import {
+  getCancellationReason,
+  getRefundDisplay,
+  getStatusColor,
+  getStatusText,
+  hasBeenPaid,
+  isAwaitingPayment,
+  isCancellable,
+  isCancelled,
+  isPayAtClinic,
+} from "../utils/appointmentStatus";
 
 const MyAppointments = () => {
-  const { backendUrl, token, getDoctorsData } = useContext(AppContext);
+  const { backendUrl, token, getDoctorsData, currencySymbol, downloadInvoice } = useContext(AppContext);
   const [appointments, setAppointments] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [cancellingId, setCancellingId] = useState(null);
+  const [reschedulingAppointment, setReschedulingAppointment] = useState(null);
   const [filter, setFilter] = useState('all'); // all, confirmed, pending, cancelled
 
   const getUserAppointments = async () => {
@@ -32,16 +46,76 @@ const MyAppointments = () => {
     }
   };
 
+  // Explains what the cancellation policy refunds so the patient sees it before confirming
+  const describeCancellationQuote = (quote) => {
+    if (quote.paidAmount === 0) {
+      return "Nothing has been paid for this appointment, so there is no fee.";
+    }
+    const paid = `${currencySymbol}${quote.paidAmount}`;
+    const refundable = `${currencySymbol}${quote.refundableAmount}`;
+    if (quote.tier === "after-start") {
+      return `This appointment has already started, so the ${paid} paid will not be refunded.`;
+    }
+    if (quote.tier === "late") {
+      return `You are cancelling less than ${quote.freeCancelHours} hours before the appointment. A ${quote.feePercent}% late-cancellation fee (${currencySymbol}${quote.fee}) applies and ${refundable} of the ${paid} paid will be refunded.`;
+    }
+    if (quote.tier === "rescheduled") {
+      return `This appointment was rescheduled by the clinic, so the full ${refundable} paid will be refunded.`;
+    }
+    return `The full ${refundable} paid will be refunded.`;
+  };
+
+  // Lets the patient take the refund as wallet credit, which is available straight away
+  const askRefundDestination = (refundable) =>
+    window.confirm(
+      `Credit ${refundable} to your wallet instead? Wallet credit is available immediately for your next booking.\n\nPress Cancel to have it refunded to your original payment method.`
+    )
+      ? "wallet"
+      : "gateway";
+
+  // Tells the patient where their refund went after a cancellation
+  const showRefundToast = (refund) => {
+    if (!(refund?.refundableAmount > 0)) return;
+    const amount = `${currencySymbol}${refund.refundableAmount}`;
+    if (refund.refundTo === "wallet") {
+      toast.info(`${amount} has been credited to your wallet`);
+    } else {
+      toast.info(`A refund of ${amount} has been requested`);
+    }
+  };
+
+  const getCancellationQuote = async (appointmentId) => {
+    try {
+      const { data } = await axios.get(
+        `${backendUrl}/api/user/cancellation-quote/${appointmentId}`,
+        { headers: { token } }
+      );
+      return data.success ? data.quote : null;
+    } catch (error) {
+      console.error("Error fetching cancellation quote:", error);
+      return null;
+    }
+  };
+
   const cancelAppointment = async (appointmentId) => {
-    if (!window.confirm("Are you sure you want to cancel this appointment?")) {
+    setCancellingId(appointmentId);
+    const quote = await getCancellationQuote(appointmentId);
+    const policyText = quote
+      ? describeCancellationQuote(quote)
+      : "We could not check the cancellation policy for this appointment.";
+    if (!window.confirm(`${policyText}\n\nAre you sure you want to cancel this appointment?`)) {
+      setCancellingId(null);
       return;
     }
+    const refundTo =
+      quote?.refundableAmount > 0
+        ? askRefundDestination(`${currencySymbol}${quote.refundableAmount}`)
+        : undefined;
 
     try {
-      setCancellingId(appointmentId);
       const { data } = await axios.post(
         `${backendUrl}/api/user/cancel-appointment`,
-        { appointmentId },
+        { appointmentId, refundTo },
         {
           headers: { token },
         }
@@ -49,6 +123,7 @@ const MyAppointments = () => {
 
       if (data.success) {
         toast.success(data.message || "Appointment cancelled successfully");
+        showRefundToast(data.refund);
         getUserAppointments();
         getDoctorsData();
       } else {
@@ -62,27 +137,61 @@ const MyAppointments = () => {
     }
   };
 
-  const getStatusColor = (appointment) => {
-    if (appointment.cancelled) return "red";
-    if (appointment.payment) return "green";
-    return "yellow";
-  };
+  // Upcoming visits of the same series from this one onwards
+  const getRemainingSeriesVisits = (appointment) =>
+    appointment.seriesId
+      ? appointments.filter(
+          (apt) =>
+            apt.seriesId === appointment.seriesId &&
+            apt.seriesIndex >= appointment.seriesIndex &&
+            isCancellable(apt)
+        )
+      : [];
+
+  const cancelSeries = async (appointment) => {
+    const remaining = getRemainingSeriesVisits(appointment).length;
+    if (
+      !window.confirm(
+        `This cancels this visit and the ${remaining - 1} later visit(s) in the series. The cancellation policy applies to each visit.\n\nAre you sure you want to cancel the rest of the series?`
+      )
+    ) {
+      return;
+    }
+    const refundTo = askRefundDestination("any refunds");
+
+    setCancellingId(appointment._id);
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/cancel-series`,
+        { appointmentId: appointment._id, refundTo },
+        { headers: { token } }
+      );
 
-  const getStatusText = (appointment) => {
-    if (appointment.cancelled) return "Cancelled";
-    if (appointment.payment) return "Confirmed";
-    return "Pending Payment";
+      if (data.success) {
+        toast.success(data.message);
+        showRefundToast(data.refund);
+        getUserAppointments();
+        getDoctorsData();
+      } else {
+        toast.error(data.message || "Failed to cancel the series");
+      }
+    } catch (error) {
+      console.error("Error cancelling series:", error);
+      toast.error(error.message || "Failed to cancel the series");
+    } finally {
+      setCancellingId(null);
+    }
   };
 
   const getStatusIcon = (appointment) => {
-    if (appointment.cancelled) {
+    if (getStatusColor(appointment) === 'red') {
       return (
         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
         </svg>
       );
     }
-    if (appointment.payment) {
+    if (getStatusColor(appointment) === 'green') {
       return (
         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -98,9 +207,9 @@ const MyAppointments = () => {
 
   const filteredAppointments = appointments.filter(appointment => {
     if (filter === 'all') return true;
-    if (filter === 'confirmed') return appointment.payment && !appointment.cancelled;
-    if (filter === 'pending') return !appointment.payment && !appointment.cancelled;
-    if (filter === 'cancelled') return appointment.cancelled;
+    if (filter === 'confirmed') return !isAwaitingPayment(appointment) && !isCancelled(appointment);
+    if (filter === 'pending') return isAwaitingPayment(appointment);
+    if (filter === 'cancelled') return isCancelled(appointment);
     return true;
   });
 
@@ -151,9 +260,9 @@ const MyAppointments = () => {
         <div className="flex flex-wrap justify-center gap-2 mb-8">
           {[
             { key: 'all', label: 'All', count: appointments.length },
-            { key: 'confirmed', label: 'Confirmed', count: appointments.filter(apt => apt.payment && !apt.cancelled).length },
-            { key: 'pending', label: 'Pending', count: appointments.filter(apt => !apt.payment && !apt.cancelled).length },
-            { key: 'cancelled', label: 'Cancelled', count: appointments.filter(apt => apt.cancelled).length }
+            { key: 'confirmed', label: 'Confirmed', count: appointments.filter(apt => !isAwaitingPayment(apt) && !isCancelled(apt)).length },
+            { key: 'pending', label: 'Pending', count: appointments.filter(isAwaitingPayment).length },
+            { key: 'cancelled', label: 'Cancelled', count: appointments.filter(isCancelled).length }
           ].map((tab) => (
             <button
               key={tab.key}
@@ -195,7 +304,7 @@ const MyAppointments = () => {
               <div>
                 <p className="text-sm font-semibold text-gray-600 uppercase tracking-wide">Confirmed</p>
                 <p className="text-3xl font-bold text-green-600 mt-2">
-                  {appointments.filter(apt => apt.payment && !apt.cancelled).length}
+                  {appointments.filter(apt => !isAwaitingPayment(apt) && !isCancelled(apt)).length}
                 </p>
               </div>
               <div className="w-16 h-16 bg-gradient-to-br from-green-500 to-green-600 rounded-2xl flex items-center justify-center shadow-lg">
@@ -211,7 +320,7 @@ const MyAppointments = () => {
               <div>
                 <p className="text-sm font-semibold text-gray-600 uppercase tracking-wide">Pending</p>
                 <p className="text-3xl font-bold text-yellow-600 mt-2">
-                  {appointments.filter(apt => !apt.payment && !apt.cancelled).length}
+                  {appointments.filter(isAwaitingPayment).length}
                 </p>
               </div>
               <div className="w-16 h-16 bg-gradient-to-br from-yellow-500 to-yellow-600 rounded-2xl flex items-center justify-center shadow-lg">
@@ -227,7 +336,7 @@ const MyAppointments = () => {
               <div>
                 <p className="text-sm font-semibold text-gray-600 uppercase tracking-wide">Cancelled</p>
                 <p className="text-3xl font-bold text-red-600 mt-2">
-                  {appointments.filter(apt => apt.cancelled).length}
+                  {appointments.filter(isCancelled).length}
                 </p>
               </div>
               <div className="w-16 h-16 bg-gradient-to-br from-red-500 to-red-600 rounded-2xl flex items-center justify-center shadow-lg">
@@ -239,6 +348,14 @@ const MyAppointments = () => {
           </div>
         </div>
 
+        {/* Waitlist */}
+        <WaitlistPanel
+          onBooked={() => {
+            getUserAppointments();
+            getDoctorsData();
+          }}
+        />
+
         {/* Appointments List */}
         {filteredAppointments.length === 0 ? (
           <div className="bg-white/80 backdrop-blur-sm rounded-3xl shadow-2xl border border-white/20 p-16 text-center">
@@ -307,6 +424,12 @@ const MyAppointments = () => {
                             }`}>
                               {getStatusText(appointment)}
                             </span>
+                            {appointment.seriesId && (
+                              <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-purple-100 text-purple-800">
+                                Series visit {appointment.seriesIndex} of{" "}
+                                {appointments.filter((apt) => apt.seriesId === appointment.seriesId).length}
+                              </span>
+                            )}
                           </div>
                           
                           <p className="text-gray-600 mb-6 text-lg">{appointment.docData.speciality}</p>
@@ -339,21 +462,27 @@ const MyAppointments = () => {
 
                         {/* Actions */}
                         <div className="flex flex-col gap-4 lg:items-end">
-                          {!appointment.cancelled && !appointment.payment && (
-                            <PaymentButton
-                              appointmentId={appointment._id}
-                              amount={appointment.amount}
-                            >
+                          {isPayAtClinic(appointment) && (
+                            <div className="flex items-center gap-3 text-blue-700 font-semibold bg-blue-50 px-4 py-3 rounded-2xl">
+                              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z" />
+                              </svg>
+                              Pay ${appointment.amount} at the clinic
+                            </div>
+                          )}
+
+                          {isAwaitingPayment(appointment) && (
+                            <PaymentButton appointmentId={appointment._id}>
                               <div className="flex items-center gap-2">
                                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
                                 </svg>
-                                Pay ${appointment.amount}
+                                {isPayAtClinic(appointment) ? "Pay online instead" : `Pay $${appointment.amount}`}
                               </div>
                             </PaymentButton>
                           )}
                           
-                          {!appointment.cancelled && appointment.payment && (
+                          {hasBeenPaid(appointment) && !isCancelled(appointment) && (
                             <div className="flex items-center gap-3 text-green-600 font-semibold bg-green-50 px-4 py-3 rounded-2xl">
                               <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -361,8 +490,32 @@ const MyAppointments = () => {
                               Payment Complete
                             </div>
                           )}
+
+                          {hasBeenPaid(appointment) && (
+                            <button
+                              onClick={() => downloadInvoice(appointment._id)}
+                              className="flex items-center gap-3 px-6 py-3 text-gray-700 border-2 border-gray-200 rounded-2xl hover:bg-gray-50 hover:border-gray-300 transition-all duration-300 font-semibold"
+                            >
+                              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                              </svg>
+                              Download Invoice
+                            </button>
+                          )}
                           
-                          {!appointment.cancelled && (
+                          {isCancellable(appointment) && (
+                            <button
+                              onClick={() => setReschedulingAppointment(appointment)}
+                              className="flex items-center gap-3 px-6 py-3 text-blue-600 border-2 border-blue-200 rounded-2xl hover:bg-blue-50 hover:border-blue-300 transition-all duration-300 font-semibold"
+                            >
+                              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                              </svg>
+                              Reschedule
+                            </button>
+                          )}
+
+                          {isCancellable(appointment) && (
                             <button
                               onClick={() => cancelAppointment(appointment._id)}
                               disabled={cancellingId === appointment._id}
@@ -378,13 +531,26 @@ const MyAppointments = () => {
                                   <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
                                   </svg>
-                                  Cancel Appointment
+                                  {appointment.seriesId ? 'Cancel This Visit' : 'Cancel Appointment'}
                                 </>
                               )}
                             </button>
                           )}
+
+                          {isCancellable(appointment) && getRemainingSeriesVisits(appointment).length > 1 && (
+                            <button
+                              onClick={() => cancelSeries(appointment)}
+                              disabled={cancellingId === appointment._id}
+                              className="flex items-center gap-3 px-6 py-3 text-red-600 border-2 border-red-200 rounded-2xl hover:bg-red-50 hover:border-red-300 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed font-semibold"
+                            >
+                              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                              </svg>
+                              Cancel Rest of Series
+                            </button>
+                          )}
                           
-                          {appointment.cancelled && (
+                          {isCancelled(appointment) && (
                             <div className="flex items-center gap-3 text-red-600 font-semibold bg-red-50 px-4 py-3 rounded-2xl">
                               <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -392,6 +558,28 @@ const MyAppointments = () => {
                               Appointment Cancelled
                             </div>
                           )}
+
+                          {isCancelled(appointment) && getCancellationReason(appointment) && (
+                            <p className="text-sm text-gray-600 max-w-xs lg:text-right">
+                              Reason: {getCancellationReason(appointment)}
+                            </p>
+                          )}
+
+                          {/* Refunds of this appointment's payment */}
+                          {appointment.refunds?.map((refund) => {
+                            const { label, color } = getRefundDisplay(refund);
+                            return (
+                              <span
+                                key={refund._id}
+                                className={`px-3 py-1 rounded-full text-sm font-semibold ${
+                                  color === 'green' ? 'bg-green-100 text-green-800' :
+                                  color === 'red' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                                }`}
+                              >
+                                {label}: {currencySymbol}{refund.amount}
+                              </span>
+                            );
+                          })}
                         </div>
                       </div>
                     </div>
@@ -402,6 +590,17 @@ const MyAppointments = () => {
           </div>
         )}
       </div>
+
+      {reschedulingAppointment && (
+        <RescheduleModal
+          appointment={reschedulingAppointment}
+          onClose={() => setReschedulingAppointment(null)}
+          onRescheduled={() => {
+            getUserAppointments();
+            getDoctorsData();
+          }}
+        />
+      )}
     </div>
   );
 };
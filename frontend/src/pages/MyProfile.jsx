@@ -1,15 +1,67 @@
-import { useState, useContext } from "react";
+import { useState, useContext, useEffect } from "react";
 import { AppContext } from "../context/AppContext";
 import { toast } from "react-toastify";
 import axios from "axios";
+import PhoneVerification from "../components/PhoneVerification";
+
+// Labels for the reasons a wallet transaction was made
+const WALLET_SOURCE_LABELS = {
+  refund: "Refund",
+  adjustment: "Adjustment",
+  promotion: "Promotional credit",
+  checkout: "Appointment payment",
+  "checkout-release": "Payment returned",
+};
 
 const MyProfile = () => {
-  const { userData, setUserData, backendUrl, token, loadUserProfileData } =
+  const { userData, setUserData, backendUrl, token, loadUserProfileData, currencySymbol } =
     useContext(AppContext);
 
   const [isEdit, setIsEdit] = useState(false);
   const [image, setImage] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [wallet, setWallet] = useState(null);
+  const [isSendingVerification, setIsSendingVerification] = useState(false);
+
+  // Wallet balance and history, computed by the server from the wallet ledger
+  useEffect(() => {
+    if (!token) return;
+    const loadWallet = async () => {
+      try {
+        const { data } = await axios.get(backendUrl + "/api/user/wallet", {
+          headers: { token },
+        });
+        if (data.success) {
+          setWallet(data);
+        }
+      } catch (error) {
+        console.log("Error loading wallet:", error);
+      }
+    };
+    loadWallet();
+  }, [backendUrl, token]);
+
+  // Emails a new link to confirm the address
+  const resendVerification = async () => {
+    try {
+      setIsSendingVerification(true);
+      const { data } = await axios.post(
+        backendUrl + "/api/user/resend-verification",
+        {},
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+      toast.error("Failed to send verification email");
+    } finally {
+      setIsSendingVerification(false);
+    }
+  };
 
   const updateUserProfileData = async () => {
     try {
@@ -17,7 +69,6 @@ const MyProfile = () => {
       const formData = new FormData();
 
       formData.append("name", userData.name);
-      formData.append("phone", userData.phone);
       formData.append("address", JSON.stringify(userData.address));
       formData.append("gender", userData.gender);
       formData.append("dob", userData.dob);
@@ -190,22 +241,36 @@ const MyProfile = () => {
                   <div className="space-y-4">
                     <div className="flex flex-col sm:flex-row sm:items-center gap-2">
                       <label className="text-sm font-semibold text-gray-700 min-w-24">Email:</label>
-                      <span className="text-blue-600 font-medium">{userData.email}</span>
+                      <span className="text-blue-600 font-medium">{userData.email || "Not added"}</span>
+                      {!userData.email ? null : userData.emailVerified ? (
+                        <span className="px-2 py-0.5 text-xs font-semibold text-green-700 bg-green-100 rounded-full">
+                          Verified
+                        </span>
+                      ) : (
+                        <span className="flex items-center gap-2">
+                          <span className="px-2 py-0.5 text-xs font-semibold text-amber-700 bg-amber-100 rounded-full">
+                            Not verified
+                          </span>
+                          <button
+                            onClick={resendVerification}
+                            disabled={isSendingVerification}
+                            className="text-xs text-blue-600 hover:text-blue-700 font-semibold disabled:opacity-50"
+                          >
+                            {isSendingVerification ? "Sending..." : "Resend verification email"}
+                          </button>
+                        </span>
+                      )}
                     </div>
                     
                     <div className="flex flex-col sm:flex-row sm:items-center gap-2">
                       <label className="text-sm font-semibold text-gray-700 min-w-24">Phone:</label>
-                      {isEdit ? (
-                        <input
-                          type="tel"
-                          value={userData.phone}
-                          onChange={(e) => setUserData({ ...userData, phone: e.target.value })}
-                          className="flex-1 px-4 py-2 bg-white border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-300"
-                          placeholder="Enter phone number"
-                        />
-                      ) : (
-                        <span className="text-gray-800 font-medium">{userData.phone}</span>
-                      )}
+                      <PhoneVerification
+                        phone={userData.phone}
+                        verified={userData.phoneVerified}
+                        onVerified={(phone) =>
+                          setUserData((data) => ({ ...data, phone, phoneVerified: true }))
+                        }
+                      />
                     </div>
                     
                     <div className="flex flex-col sm:flex-row gap-2">
@@ -349,6 +414,59 @@ const MyProfile = () => {
             </div>
           </div>
         </div>
+
+        {/* Wallet */}
+        {wallet && (
+          <div className="mt-8 bg-white/80 backdrop-blur-sm rounded-3xl shadow-2xl border border-white/20 p-8 md:p-12">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+              <h3 className="text-lg font-bold text-gray-900 flex items-center gap-3">
+                <div className="w-8 h-8 bg-green-100 rounded-xl flex items-center justify-center">
+                  <svg className="w-4 h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
+                  </svg>
+                </div>
+                Wallet
+              </h3>
+              <div className="text-right">
+                <p className="text-sm text-gray-500">Balance</p>
+                <p className="text-3xl font-bold text-green-600">
+                  {currencySymbol}{wallet.balance}
+                </p>
+              </div>
+            </div>
+
+            {wallet.transactions.length === 0 ? (
+              <p className="text-gray-500 text-sm">
+                No wallet activity yet. Refunds credited to your wallet can be used to pay for appointments.
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {wallet.transactions.map((transaction) => (
+                  <li key={transaction._id} className="py-3 flex items-center justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-semibold text-gray-800">
+                        {WALLET_SOURCE_LABELS[transaction.source] || transaction.source}
+                      </p>
+                      {transaction.note && (
+                        <p className="text-sm text-gray-500 truncate">{transaction.note}</p>
+                      )}
+                      <p className="text-xs text-gray-400">
+                        {new Date(transaction.createdAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <span
+                      className={`font-semibold whitespace-nowrap ${
+                        transaction.type === "credit" ? "text-green-600" : "text-gray-700"
+                      }`}
+                    >
+                      {transaction.type === "credit" ? "+" : "−"}{currencySymbol}{transaction.amount}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -6,7 +6,7 @@ import { toast } from "react-toastify";
 import { useNavigate } from "react-router-dom";
 
 export default function PaymentSuccess() {
-  const { backendUrl, token } = useContext(AppContext);
+  const { backendUrl, token, downloadInvoice } = useContext(AppContext);
   const navigate = useNavigate();
 
   const [paymentDetails, setPaymentDetails] = useState(null);
@@ -28,6 +28,35 @@ export default function PaymentSuccess() {
     return date.toLocaleString("en-US", options);
   }
 
+  // Fee, discount, service charge, VAT and wallet lines of the payment, as computed by the server
+  const getBreakdown = (payment) => {
+    const vatPercent = payment.tax_rates?.vatPercent || 0;
+    const serviceChargePercent = payment.tax_rates?.serviceChargePercent || 0;
+    const lines = [
+      { label: "Consultation fee", value: payment.amount + (payment.discount?.amount || 0) },
+    ];
+    if (payment.discount?.amount > 0) {
+      lines.push({ label: `Discount (${payment.discount.code})`, value: -payment.discount.amount });
+    }
+    if (payment.product_service_charge > 0) {
+      lines.push({
+        label: `Service charge${serviceChargePercent ? ` (${serviceChargePercent}%)` : ""}`,
+        value: payment.product_service_charge,
+      });
+    }
+    lines.push({
+      label: vatPercent > 0 ? `VAT (${vatPercent}%)` : "VAT (exempt)",
+      value: payment.tax_amount,
+    });
+    if (payment.wallet_amount > 0) {
+      lines.push({ label: "Paid from wallet", value: payment.wallet_amount });
+    }
+    return lines;
+  };
+
+  const formatAmount = (value) =>
+    `${value < 0 ? "- " : ""}Rs. ${Math.abs(Number(value || 0)).toFixed(2)}`;
+
   const getPaymentDetails = async () => {
     const searchParams = new URLSearchParams(window.location.search);
     const transactionUuid = searchParams.get("uuid");
@@ -82,168 +111,13 @@ export default function PaymentSuccess() {
     navigate("/my-appointments");
   };
 
+  // Downloads the numbered PDF invoice issued by the backend for this payment
   const handleDownloadReceipt = () => {
     if (!paymentDetails) {
       toast.error("Payment details not available");
       return;
     }
-
-    // Create receipt data
-    const receiptData = {
-      transactionId: paymentDetails.transaction_uuid,
-      amount: paymentDetails.amount,
-      date: formatDate(paymentDetails.updatedAt),
-      paymentMethod: "esewa",
-      status: paymentDetails.status,
-    };
-
-    // Create HTML content for PDF
-    const htmlContent = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Payment Receipt</title>
-        <style>
-          body { 
-            font-family: Arial, sans-serif; 
-            max-width: 600px; 
-            margin: 0 auto; 
-            padding: 40px 20px;
-            color: #333;
-          }
-          .header { 
-            text-align: center; 
-            border-bottom: 2px solid #10b981; 
-            padding-bottom: 20px; 
-            margin-bottom: 30px;
-          }
-          .header h1 { 
-            color: #10b981; 
-            margin: 0 0 10px 0;
-            font-size: 28px;
-          }
-          .success-icon {
-            width: 60px;
-            height: 60px;
-            background: #10b981;
-            border-radius: 50%;
-            margin: 0 auto 20px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            color: white;
-            font-size: 30px;
-          }
-          .details { 
-            background: #f9fafb; 
-            padding: 25px; 
-            border-radius: 12px; 
-            margin: 20px 0;
-            border: 1px solid #e5e7eb;
-          }
-          .detail-row { 
-            display: flex; 
-            justify-content: space-between; 
-            margin: 12px 0; 
-            padding: 8px 0;
-            border-bottom: 1px solid #e5e7eb;
-          }
-          .detail-row:last-child { border-bottom: none; }
-          .detail-label { 
-            font-weight: 600; 
-            color: #6b7280;
-          }
-          .detail-value { 
-            font-weight: 700; 
-            color: #111827;
-          }
-          .amount { 
-            font-size: 24px; 
-            color: #10b981; 
-            text-align: center;
-            margin: 20px 0;
-            padding: 15px;
-            background: #ecfdf5;
-            border-radius: 8px;
-          }
-          .status { 
-            text-align: center; 
-            background: #dcfce7; 
-            color: #166534; 
-            padding: 12px; 
-            border-radius: 25px; 
-            font-weight: 600;
-            margin: 20px 0;
-          }
-          .footer { 
-            text-align: center; 
-            color: #6b7280; 
-            font-size: 14px; 
-            margin-top: 40px;
-            padding-top: 20px;
-            border-top: 1px solid #e5e7eb;
-          }
-          .transaction-id {
-            font-family: monospace;
-            background: #f3f4f6;
-            padding: 4px 8px;
-            border-radius: 4px;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <div class="success-icon">✓</div>
-          <h1>Payment Receipt</h1>
-          <p style="margin: 0; color: #6b7280;">Transaction Completed Successfully</p>
-        </div>
-        
-        <div class="amount">
-          <strong>Amount Paid: ${receiptData.amount}</strong>
-        </div>
-        
-        <div class="status">
-          ✓ ${receiptData.status}
-        </div>
-        
-        <div class="details">
-          <div class="detail-row">
-            <span class="detail-label">Transaction ID:</span>
-            <span class="detail-value transaction-id">${receiptData.transactionId}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Date & Time:</span>
-            <span class="detail-value">${receiptData.date}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Payment Method:</span>
-            <span class="detail-value">${receiptData.paymentMethod}</span>
-          </div>
-        </div>
-        
-        <div class="footer">
-          <p><strong>Thank you for your purchase!</strong></p>
-          <p>Receipt generated on: ${new Date().toLocaleString()}</p>
-          <p>Keep this receipt for your records.</p>
-        </div>
-      </body>
-      </html>
-    `;
-
-    // Create PDF using browser's print functionality
-    const printWindow = window.open("", "_blank");
-    printWindow.document.write(htmlContent);
-    printWindow.document.close();
-
-    // Wait for content to load, then trigger print
-    printWindow.onload = () => {
-      printWindow.print();
-      // Close the window after printing
-      setTimeout(() => {
-        printWindow.close();
-      }, 1000);
-    };
+    downloadInvoice(paymentDetails.appointmentId);
   };
 
   const handleContactSupport = () => {
@@ -318,10 +192,22 @@ export default function PaymentSuccess() {
                 <div className="flex justify-between items-center mb-6">
                   <span className="text-gray-700 font-semibold text-lg">Amount Paid</span>
                   <span className="text-3xl font-bold text-emerald-600">
-                    Rs. {paymentDetails ? paymentDetails.amount : "0.00"}
+                    {formatAmount(paymentDetails?.total_amount)}
                   </span>
                 </div>
 
+                {/* Amount breakdown */}
+                {paymentDetails && (
+                  <div className="mb-6 space-y-2 text-sm">
+                    {getBreakdown(paymentDetails).map((line) => (
+                      <div key={line.label} className="flex justify-between items-center">
+                        <span className="text-gray-600">{line.label}</span>
+                        <span className="text-gray-900 font-medium">{formatAmount(line.value)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 <div className="space-y-4">
                   <div className="flex justify-between items-center py-3 border-b border-emerald-100">
                     <span className="text-gray-600 font-medium">Date & Time</span>
@@ -332,7 +218,9 @@ export default function PaymentSuccess() {
 
                   <div className="flex justify-between items-center py-3 border-b border-emerald-100">
                     <span className="text-gray-600 font-medium">Payment Method</span>
-                    <span className="text-gray-900 font-semibold">ESEWA</span>
+                    <span className="text-gray-900 font-semibold uppercase">
+                      {paymentDetails?.gateway || "esewa"}
+                    </span>
                   </div>
 
                   <div className="flex justify-between items-center py-3">
@@ -410,7 +298,7 @@ export default function PaymentSuccess() {
                     d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
                   />
                 </svg>
-                Download Receipt
+                Download Invoice
               </button>
 
               <button
@@ -0,0 +1,63 @@
+import { useContext, useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+
+// Opened from the link in the verification email: /verify-email?token=...
+const VerifyEmail = () => {
+  const { backendUrl, setUserData } = useContext(AppContext);
+  const [searchParams] = useSearchParams();
+  const verificationToken = searchParams.get("token");
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        const { data } = await axios.post(`${backendUrl}/api/user/verify-email`, {
+          token: verificationToken,
+        });
+        setStatus(data.success ? "verified" : "failed");
+        setMessage(data.success ? `${data.email} is verified.` : data.message);
+        if (data.success) {
+          // Update the signed-in profile, if any, without reloading it
+          setUserData((userData) => userData && { ...userData, emailVerified: true });
+        }
+      } catch (error) {
+        console.error("Error verifying email:", error);
+        setStatus("failed");
+        setMessage("We couldn't verify your email. Please try again.");
+      }
+    };
+    verify();
+  }, [backendUrl, verificationToken, setUserData]);
+
+  return (
+    <div className="min-h-[60vh] flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-white rounded-3xl shadow-2xl border border-gray-100 px-8 py-10 text-center">
+        {status === "verifying" ? (
+          <>
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-blue-600 border-t-transparent mx-auto mb-4"></div>
+            <p className="text-gray-600">Verifying your email...</p>
+          </>
+        ) : (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              {status === "verified" ? "Email Verified" : "Verification Failed"}
+            </h1>
+            <p className={status === "verified" ? "text-green-600" : "text-red-600"}>{message}</p>
+            <button
+              onClick={() => navigate(status === "verified" ? "/" : "/my-profile")}
+              className="mt-6 bg-gradient-to-r from-blue-600 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:from-blue-700 hover:to-purple-700 transition-all duration-300"
+            >
+              {status === "verified" ? "Go to Home" : "Go to My Profile"}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,117 @@
+/**
+ * Utility functions for displaying appointment statuses to patients.
+ * Mirrors the statuses defined by the backend state machine.
+ */
+
+// Patient-facing label and badge color for every appointment status
+const statusDisplay = {
+  booked: { label: "Pending Payment", color: "yellow" },
+  confirmed: { label: "Confirmed - Pending Payment", color: "yellow" },
+  paid: { label: "Paid", color: "green" },
+  "checked-in": { label: "Checked In", color: "green" },
+  completed: { label: "Completed", color: "green" },
+  cancelled: { label: "Cancelled", color: "red" },
+  "no-show": { label: "Missed", color: "red" },
+  refunded: { label: "Refunded", color: "red" },
+};
+
+// Statuses in which the appointment still has to be paid
+const AWAITING_PAYMENT_STATUSES = ["booked", "confirmed"];
+
+// Statuses from which the patient can still cancel
+const CANCELLABLE_STATUSES = ["booked", "confirmed", "paid"];
+
+// Statuses shown under the "Cancelled" filter
+const CANCELLED_STATUSES = ["cancelled", "refunded"];
+
+/**
+ * Gets the label to display for an appointment's status.
+ * @param {Object} appointment - Appointment object
+ * @returns {string} Status label
+ */
+export const getStatusText = (appointment) =>
+  isPayAtClinic(appointment)
+    ? "Pay at Clinic"
+    : statusDisplay[appointment.status]?.label || appointment.status;
+
+/**
+ * Gets the badge color ('green', 'red' or 'yellow') for an appointment's status.
+ * @param {Object} appointment - Appointment object
+ * @returns {string} Color name
+ */
+export const getStatusColor = (appointment) =>
+  statusDisplay[appointment.status]?.color || "yellow";
+
+/**
+ * Checks whether the appointment still needs to be paid.
+ * @param {Object} appointment - Appointment object
+ * @returns {boolean}
+ */
+export const isAwaitingPayment = (appointment) =>
+  AWAITING_PAYMENT_STATUSES.includes(appointment.status);
+
+/**
+ * Checks whether the patient chose to pay in cash at the clinic and has not paid yet.
+ * @param {Object} appointment - Appointment object
+ * @returns {boolean}
+ */
+export const isPayAtClinic = (appointment) =>
+  appointment.paymentMethod === "CASH" && isAwaitingPayment(appointment);
+
+/**
+ * Checks whether the appointment can still be cancelled by the patient.
+ * @param {Object} appointment - Appointment object
+ * @returns {boolean}
+ */
+export const isCancellable = (appointment) =>
+  CANCELLABLE_STATUSES.includes(appointment.status);
+
+/**
+ * Checks whether the appointment was cancelled (including refunded ones).
+ * @param {Object} appointment - Appointment object
+ * @returns {boolean}
+ */
+export const isCancelled = (appointment) =>
+  CANCELLED_STATUSES.includes(appointment.status);
+
+/**
+ * Checks whether the appointment has been paid at some point.
+ * @param {Object} appointment - Appointment object
+ * @returns {boolean}
+ */
+export const hasBeenPaid = (appointment) =>
+  (appointment.statusHistory || []).some((entry) => entry.to === "paid");
+
+/**
+ * Gets the reason recorded when the appointment was cancelled.
+ * @param {Object} appointment - Appointment object
+ * @returns {string} The cancellation reason, or an empty string
+ */
+export const getCancellationReason = (appointment) => {
+  const entry = [...(appointment.statusHistory || [])]
+    .reverse()
+    .find((change) => change.to === "cancelled");
+  return entry?.reason || "";
+};
+
+// Patient-facing label and badge color for every refund status
+const refundDisplay = {
+  requested: { label: "Refund requested", color: "yellow" },
+  approved: { label: "Refund being processed", color: "yellow" },
+  processed: { label: "Refunded", color: "green" },
+  failed: { label: "Refund delayed", color: "red" },
+};
+
+/**
+ * Gets the label and badge color ('green', 'red' or 'yellow') for a refund's status.
+ * A failed refund is shown as delayed, since the clinic will retry it, and a
+ * refund credited to the wallet says so.
+ * @param {Object} refund - Refund object
+ * @returns {{label: string, color: string}}
+ */
+export const getRefundDisplay = (refund) => {
+  if (refund.destination === "wallet" && refund.status === "processed") {
+    return { label: "Credited to wallet", color: "green" };
+  }
+  return refundDisplay[refund.status] || { label: refund.status, color: "yellow" };
+};
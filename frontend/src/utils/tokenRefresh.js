@@ -0,0 +1,85 @@
+/**
+ * Sends and keeps alive a signed-in session.
+ * Requests name the session they belong to with its header (e.g. `token`),
+ * which is sent to the API as `Authorization: Bearer`. Access tokens are
+ * short-lived: when a request is refused because its token has expired, the
+ * refresh token is exchanged for a new pair and the request is sent again.
+ * Mirrors backend/utils/authTokens.js.
+ */
+import axios from "axios";
+
+/**
+ * Installs axios interceptors sending the access token given in a header as
+ * `Authorization: Bearer`, and refreshing it once it has expired.
+ * Concurrent requests that fail together share a single refresh.
+ *
+ * @param {object} options
+ * @param {string} options.header - Request header the app passes the access token in, e.g. "token"
+ * @param {string} options.refreshUrl - Endpoint exchanging the refresh token
+ * @param {string} options.refreshTokenKey - localStorage key of the refresh token
+ * @param {function(string, string): void} options.onRefresh - Called with the new access and refresh tokens
+ * @param {function(): void} options.onSessionEnd - Called when the session is over and the user must log in again
+ * @returns {function(): void} Removes the interceptors
+ */
+export const installTokenRefresh = ({
+  header,
+  refreshUrl,
+  refreshTokenKey,
+  onRefresh,
+  onSessionEnd,
+}) => {
+  let refreshing = null;
+
+  const refresh = () => {
+    if (!refreshing) {
+      refreshing = axios
+        .post(refreshUrl, { refreshToken: localStorage.getItem(refreshTokenKey) })
+        .then(({ data }) => {
+          onRefresh(data.token, data.refreshToken);
+          return data.token;
+        })
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  };
+
+  const authorize = axios.interceptors.request.use((config) => {
+    const token = config.headers?.[header];
+    if (token) {
+      config.headers.delete(header);
+      config.headers.set("Authorization", `Bearer ${token}`);
+      config.session = header;
+    }
+    return config;
+  });
+
+  const interceptor = axios.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    // Only requests sent with this session's token, and only once
+    if (response?.status !== 401 || config?.session !== header || config.tokenRefreshed) {
+      throw error;
+    }
+    if (response.data?.code !== "TOKEN_EXPIRED" || !localStorage.getItem(refreshTokenKey)) {
+      onSessionEnd();
+      throw error;
+    }
+
+    let token;
+    try {
+      token = await refresh();
+    } catch (refreshError) {
+      if (refreshError.response?.status === 401) onSessionEnd();
+      throw error;
+    }
+    config.tokenRefreshed = true;
+    config.headers[header] = token;
+    return axios(config);
+  });
+
+  return () => {
+    axios.interceptors.request.eject(authorize);
+    axios.interceptors.response.eject(interceptor);
+  };
+};